@@ -34,8 +34,9 @@ public static class ClipboardEndpoints
         clipboardGroup.MapGet("/", GetClipboardAsync)
             .WithName("GetClipboard")
             .WithSummary("Get clipboard content")
-            .WithDescription("Retrieves the current content from the shared clipboard")
+            .WithDescription("Retrieves the current content from the shared clipboard; the content hash is its ETag")
             .Produces<GetClipboardResponse>(StatusCodes.Status200OK)
+            .Produces(StatusCodes.Status304NotModified)
             .Produces<ProblemDetails>(StatusCodes.Status404NotFound)
             .Produces<ProblemDetails>(StatusCodes.Status500InternalServerError);
 
@@ -160,6 +161,7 @@ public static class ClipboardEndpoints
     private static async Task<IResult> GetClipboardAsync(
         [FromRoute] Guid sessionId,
         [FromQuery] Guid? deviceId,
+        HttpContext httpContext,
         [FromServices] IClipboardManager clipboardManager,
         [FromServices] ISessionManager sessionManager,
         [FromServices] ILogger<Program> logger)
@@ -189,6 +191,19 @@ public static class ClipboardEndpoints
             var request = new GetClipboardRequest(sessionId, requestDeviceId);
             var result = await clipboardManager.GetClipboardAsync(request);
 
+            // Pollers send the last hash they saw and get 304 without the content while it is unchanged
+            if (result.ClipboardContent is { } content)
+            {
+                var etag = $"\"{content.ContentHash}\"";
+                httpContext.Response.Headers.ETag = etag;
+
+                var ifNoneMatch = httpContext.Request.Headers.IfNoneMatch.ToString();
+                if (ifNoneMatch.Split(',').Any(tag => tag.Trim() == etag))
+                {
+                    return Results.StatusCode(StatusCodes.Status304NotModified);
+                }
+            }
+
             return Results.Ok(result);
         }
         catch (SessionNotFoundException)
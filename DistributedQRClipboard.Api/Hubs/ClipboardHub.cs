@@ -18,6 +18,18 @@ public sealed class ClipboardHub(
     private readonly IClipboardManager _clipboardManager = clipboardManager;
     private readonly ILogger<ClipboardHub> _logger = logger;
 
+    /// <summary>
+    /// Largest base64 chunk relayed for a file transfer; keeps messages inside SignalR's default 32 KB limit.
+    /// </summary>
+    private const int MaxFileChunkDataLength = 24 * 1024;
+
+    private static readonly HashSet<string> FileTransferKinds = ["offer", "chunk", "request", "complete", "cancel"];
+
+    private static readonly HashSet<string> SyncPolicies = ["automatic", "send-only", "receive-only", "manual"];
+
+    // Most recipients one update may name, as in clipboard-message.js
+    private const int MaxTargetDevices = 8;
+
     /// <summary>
     /// Handles client connection to the hub.
     /// </summary>
@@ -99,9 +111,10 @@ public sealed class ClipboardHub(
             // Add connection to SignalR group
             var groupName = GetSessionGroupName(sessionGuid);
             await Groups.AddToGroupAsync(connectionId, groupName);
+            await Groups.AddToGroupAsync(connectionId, GetDeviceGroupName(sessionGuid, deviceGuid));
 
-            // Store connection metadata
-            Context.Items["SessionId"] = sessionGuid;
+            // Store connection metadata (a connection can be joined to several sessions)
+            GetJoinedSessions().Add(sessionGuid);
             Context.Items["DeviceId"] = deviceGuid;
             Context.Items["DeviceName"] = deviceName;
 
@@ -159,12 +172,15 @@ public sealed class ClipboardHub(
             // Also send a specific device count update to ensure all devices have the correct count
             await BroadcastDeviceCountAsync(sessionGuid, deviceCount);
 
-            return new JoinSessionResult(true, "Successfully joined session", joinResult.SessionInfo);
+            // Devices rejoining after an outage reconcile their device list against this one
+            var devices = await _sessionManager.GetSessionDevicesAsync(sessionGuid);
+
+            return new JoinSessionResult(true, "Successfully joined session", joinResult.SessionInfo, devices);
         }
-        catch (SessionNotFoundException)
+        catch (SessionNotFoundException ex)
         {
             _logger.LogWarning("Session not found: {SessionId}", sessionId);
-            return new JoinSessionResult(false, "Session not found or expired");
+            return new JoinSessionResult(false, "Session not found or expired", ErrorCode: ex.ErrorCode);
         }
         catch (Exception ex)
         {
@@ -202,17 +218,22 @@ public sealed class ClipboardHub(
             // Get device name BEFORE clearing context items
             var deviceName = Context.Items["DeviceName"]?.ToString();
 
-            // Remove from SignalR group
+            // Remove from SignalR groups
             var groupName = GetSessionGroupName(sessionGuid);
             await Groups.RemoveFromGroupAsync(connectionId, groupName);
+            await Groups.RemoveFromGroupAsync(connectionId, GetDeviceGroupName(sessionGuid, deviceGuid));
 
             // Leave session through session manager
             await _sessionManager.LeaveSessionAsync(sessionGuid, deviceGuid, DeviceLeaveReason.Disconnect);
 
-            // Clear connection metadata
-            Context.Items.Remove("SessionId");
-            Context.Items.Remove("DeviceId");
-            Context.Items.Remove("DeviceName");
+            // Clear connection metadata once no joined sessions remain
+            var joinedSessions = GetJoinedSessions();
+            joinedSessions.Remove(sessionGuid);
+            if (joinedSessions.Count == 0)
+            {
+                Context.Items.Remove("DeviceId");
+                Context.Items.Remove("DeviceName");
+            }
 
             _logger.LogInformation("Device {DeviceId} successfully left session {SessionId} via SignalR", deviceId, sessionId);
 
@@ -244,18 +265,17 @@ public sealed class ClipboardHub(
     }
 
     /// <summary>
-    /// Broadcasts clipboard update to all devices in a session.
+    /// Broadcasts clipboard update to all devices in a session, or only to the given devices.
     /// </summary>
     /// <param name="sessionId">The session ID</param>
     /// <param name="content">The clipboard content</param>
     /// <param name="deviceId">The device ID that initiated the update</param>
+    /// <param name="targetDeviceIds">IDs of the only devices to send the update to; everyone else in the session when empty</param>
     /// <returns>Broadcast result</returns>
-    public async Task<ClipboardUpdateResult> BroadcastClipboardUpdateAsync(string sessionId, string content, string deviceId)
+    public async Task<ClipboardUpdateResult> BroadcastClipboardUpdateAsync(string sessionId, string content, string deviceId, string[]? targetDeviceIds = null)
     {
         try
         {
-            var connectionId = Context.ConnectionId;
-            
             _logger.LogInformation("Broadcasting clipboard update for session {SessionId} from device {DeviceId}", sessionId, deviceId);
 
             // Validate session ID
@@ -270,8 +290,14 @@ public sealed class ClipboardHub(
                 return new ClipboardUpdateResult(false, "Invalid device ID format");
             }
 
+            // Validate target device IDs
+            if (!TryParseTargetDeviceIds(targetDeviceIds, out var targetGuids, out var targetError))
+            {
+                return new ClipboardUpdateResult(false, targetError);
+            }
+
             // Copy to clipboard through clipboard manager
-            var copyRequest = new CopyToClipboardRequest(content, sessionGuid, deviceGuid);
+            var copyRequest = new CopyToClipboardRequest(content, sessionGuid, deviceGuid, targetGuids);
             var copyResult = await _clipboardManager.CopyToClipboardAsync(copyRequest);
 
             if (!copyResult.Success)
@@ -286,9 +312,8 @@ public sealed class ClipboardHub(
                 copyResult.ClipboardContent!.Value,
                 deviceGuid);
 
-            // Broadcast to all devices in session except sender
-            var groupName = GetSessionGroupName(sessionGuid);
-            await Clients.GroupExcept(groupName, connectionId)
+            // Send to the target devices only, or to all devices in session except sender
+            await GetRecipients(sessionGuid, targetGuids)
                 .SendAsync("ClipboardUpdated", clipboardEvent);
 
             _logger.LogInformation("Successfully broadcasted clipboard update for session {SessionId}", sessionId);
@@ -308,17 +333,16 @@ public sealed class ClipboardHub(
     }
 
     /// <summary>
-    /// Broadcasts clipboard clear to all devices in a session.
+    /// Broadcasts clipboard clear to all devices in a session, or only to the devices the cleared content was for.
     /// </summary>
     /// <param name="sessionId">The session ID</param>
     /// <param name="deviceId">The device ID that initiated the clear</param>
+    /// <param name="targetDeviceIds">IDs of the only devices to tell; everyone else in the session when empty</param>
     /// <returns>Clear result</returns>
-    public async Task<ClipboardClearResult> BroadcastClipboardClearAsync(string sessionId, string deviceId)
+    public async Task<ClipboardClearResult> BroadcastClipboardClearAsync(string sessionId, string deviceId, string[]? targetDeviceIds = null)
     {
         try
         {
-            var connectionId = Context.ConnectionId;
-            
             _logger.LogInformation("Broadcasting clipboard clear for session {SessionId} from device {DeviceId}", sessionId, deviceId);
 
             // Validate session ID
@@ -333,8 +357,14 @@ public sealed class ClipboardHub(
                 return new ClipboardClearResult(false, "Invalid device ID format");
             }
 
+            // Validate target device IDs
+            if (!TryParseTargetDeviceIds(targetDeviceIds, out var targetGuids, out var targetError))
+            {
+                return new ClipboardClearResult(false, targetError);
+            }
+
             // Clear clipboard through clipboard manager
-            var clearResult = await _clipboardManager.ClearClipboardAsync(sessionGuid, deviceGuid);
+            var clearResult = await _clipboardManager.ClearClipboardAsync(sessionGuid, deviceGuid, targetGuids);
 
             if (!clearResult)
             {
@@ -342,12 +372,11 @@ public sealed class ClipboardHub(
                 return new ClipboardClearResult(false, "Failed to clear clipboard");
             }
 
-            // Broadcast to all devices in session except sender
-            var groupName = GetSessionGroupName(sessionGuid);
+            // Send to the target devices only, or to all devices in session except sender
             var deviceName = Context.Items["DeviceName"]?.ToString();
             var clearedBy = new DeviceInfo(deviceGuid, deviceName, DateTime.UtcNow, DateTime.UtcNow);
             
-            await Clients.GroupExcept(groupName, connectionId)
+            await GetRecipients(sessionGuid, targetGuids)
                 .SendAsync("ClipboardCleared", new { SessionId = sessionGuid, ClearedBy = clearedBy, Timestamp = DateTime.UtcNow });
 
             _logger.LogInformation("Successfully broadcasted clipboard clear for session {SessionId}", sessionId);
@@ -398,60 +427,230 @@ public sealed class ClipboardHub(
         }
     }
 
+    /// <summary>
+    /// Answers a client's latency probe without touching any session or clipboard state.
+    /// </summary>
+    /// <returns>The server time</returns>
+    public Task<PingResult> PingAsync()
+    {
+        return Task.FromResult(new PingResult(DateTime.UtcNow));
+    }
+
+    /// <summary>
+    /// Tells the other devices in a session which sync policy a device follows, for their device lists.
+    /// Policies are not stored; devices announce theirs again when another device joins.
+    /// </summary>
+    /// <param name="sessionId">The session ID</param>
+    /// <param name="deviceId">The device ID of the sender</param>
+    /// <param name="syncPolicy">automatic, send-only, receive-only or manual</param>
+    /// <returns>Announcement result</returns>
+    public async Task<SyncPolicyResult> AnnounceSyncPolicyAsync(string sessionId, string deviceId, string syncPolicy)
+    {
+        try
+        {
+            // Validate session ID
+            if (!Guid.TryParse(sessionId, out var sessionGuid))
+            {
+                return new SyncPolicyResult(false, "Invalid session ID format");
+            }
+
+            // Validate device ID
+            if (!Guid.TryParse(deviceId, out var deviceGuid))
+            {
+                return new SyncPolicyResult(false, "Invalid device ID format");
+            }
+
+            if (!await EnsureDeviceInSessionAsync(sessionGuid, deviceGuid))
+            {
+                return new SyncPolicyResult(false, "Not joined to this session");
+            }
+
+            if (!SyncPolicies.Contains(syncPolicy))
+            {
+                return new SyncPolicyResult(false, "Unknown sync policy");
+            }
+
+            var groupName = GetSessionGroupName(sessionGuid);
+            var deviceName = Context.Items["DeviceName"]?.ToString();
+
+            await Clients.GroupExcept(groupName, Context.ConnectionId)
+                .SendAsync("DeviceSyncPolicyChanged", new { SessionId = sessionGuid, DeviceId = deviceGuid, DeviceName = deviceName, SyncPolicy = syncPolicy, Timestamp = DateTime.UtcNow });
+
+            _logger.LogDebug("Device {DeviceId} announced sync policy {SyncPolicy} in session {SessionId}", deviceId, syncPolicy, sessionId);
+
+            return new SyncPolicyResult(true, "Sync policy announced");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error announcing sync policy for session {SessionId}", sessionId);
+            return new SyncPolicyResult(false, "An error occurred while announcing the sync policy");
+        }
+    }
+
+    /// <summary>
+    /// Tells the other devices in a session that a device received a clipboard update addressed to it.
+    /// Targets travel inside the (possibly encrypted) update, so the sender picks out its own receipts by message ID.
+    /// </summary>
+    /// <param name="sessionId">The session ID</param>
+    /// <param name="deviceId">The device ID of the recipient</param>
+    /// <param name="messageId">The ID of the update's message envelope</param>
+    /// <returns>Acknowledgement result</returns>
+    public async Task<DeliveryAcknowledgementResult> AcknowledgeClipboardUpdateAsync(string sessionId, string deviceId, string messageId)
+    {
+        try
+        {
+            // Validate session ID
+            if (!Guid.TryParse(sessionId, out var sessionGuid))
+            {
+                return new DeliveryAcknowledgementResult(false, "Invalid session ID format");
+            }
+
+            // Validate device ID
+            if (!Guid.TryParse(deviceId, out var deviceGuid))
+            {
+                return new DeliveryAcknowledgementResult(false, "Invalid device ID format");
+            }
+
+            if (!await EnsureDeviceInSessionAsync(sessionGuid, deviceGuid))
+            {
+                return new DeliveryAcknowledgementResult(false, "Not joined to this session");
+            }
+
+            if (!Guid.TryParse(messageId, out var messageGuid))
+            {
+                return new DeliveryAcknowledgementResult(false, "Invalid message ID format");
+            }
+
+            var groupName = GetSessionGroupName(sessionGuid);
+            var deviceName = Context.Items["DeviceName"]?.ToString();
+
+            await Clients.GroupExcept(groupName, Context.ConnectionId)
+                .SendAsync("ClipboardUpdateDelivered", new { SessionId = sessionGuid, DeviceId = deviceGuid, DeviceName = deviceName, MessageId = messageGuid, Timestamp = DateTime.UtcNow });
+
+            _logger.LogDebug("Device {DeviceId} acknowledged clipboard update {MessageId} in session {SessionId}", deviceId, messageId, sessionId);
+
+            return new DeliveryAcknowledgementResult(true, "Delivery acknowledged");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error acknowledging clipboard update for session {SessionId}", sessionId);
+            return new DeliveryAcknowledgementResult(false, "An error occurred while acknowledging the clipboard update");
+        }
+    }
+
+    /// <summary>
+    /// Relays a file transfer message to the other devices in a session. Files are never stored on the server.
+    /// </summary>
+    /// <param name="sessionId">The session ID</param>
+    /// <param name="deviceId">The device ID of the sender</param>
+    /// <param name="message">The offer, chunk, request, complete or cancel message</param>
+    /// <returns>Relay result</returns>
+    public async Task<FileTransferRelayResult> RelayFileTransferAsync(string sessionId, string deviceId, FileTransferMessage message)
+    {
+        try
+        {
+            // Validate session ID
+            if (!Guid.TryParse(sessionId, out var sessionGuid))
+            {
+                return new FileTransferRelayResult(false, "Invalid session ID format");
+            }
+
+            // Validate device ID
+            if (!Guid.TryParse(deviceId, out var deviceGuid))
+            {
+                return new FileTransferRelayResult(false, "Invalid device ID format");
+            }
+
+            if (!await EnsureDeviceInSessionAsync(sessionGuid, deviceGuid))
+            {
+                return new FileTransferRelayResult(false, "Not joined to this session");
+            }
+
+            if (message is null || !FileTransferKinds.Contains(message.Kind) || !Guid.TryParse(message.TransferId, out _))
+            {
+                return new FileTransferRelayResult(false, "Invalid file transfer message");
+            }
+
+            if (message.Data?.Length > MaxFileChunkDataLength)
+            {
+                return new FileTransferRelayResult(false, "File chunk is too large");
+            }
+
+            var groupName = GetSessionGroupName(sessionGuid);
+            var deviceName = Context.Items["DeviceName"]?.ToString();
+
+            await Clients.GroupExcept(groupName, Context.ConnectionId)
+                .SendAsync("FileTransferMessage", new { SessionId = sessionGuid, DeviceId = deviceGuid, DeviceName = deviceName, Message = message, Timestamp = DateTime.UtcNow });
+
+            _logger.LogDebug("Relayed file transfer {Kind} for transfer {TransferId} in session {SessionId}",
+                message.Kind, message.TransferId, sessionId);
+
+            return new FileTransferRelayResult(true, "File transfer message relayed");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error relaying file transfer message for session {SessionId}", sessionId);
+            return new FileTransferRelayResult(false, "An error occurred while relaying the file transfer message");
+        }
+    }
+
     /// <summary>
     /// Removes the connection from all session groups.
     /// </summary>
     private async Task LeaveAllSessionsAsync()
     {
-        if (Context.Items.TryGetValue("SessionId", out var sessionIdObj) && sessionIdObj is Guid sessionId)
+        if (!Context.Items.TryGetValue("DeviceId", out var deviceIdObj) || deviceIdObj is not Guid deviceId)
         {
-            if (Context.Items.TryGetValue("DeviceId", out var deviceIdObj) && deviceIdObj is Guid deviceId)
+            return;
+        }
+
+        foreach (var sessionId in GetJoinedSessions().ToList())
+        {
+            try
             {
+                // Get device name before leaving
+                var deviceName = Context.Items["DeviceName"]?.ToString();
+                
+                // Leave session through session manager
+                await _sessionManager.LeaveSessionAsync(sessionId, deviceId, DeviceLeaveReason.Disconnect);
+                
+                // Remove from SignalR groups
+                var groupName = GetSessionGroupName(sessionId);
+                await Groups.RemoveFromGroupAsync(Context.ConnectionId, groupName);
+                await Groups.RemoveFromGroupAsync(Context.ConnectionId, GetDeviceGroupName(sessionId, deviceId));
+                
+                // Get updated device count and notify remaining devices
                 try
                 {
-                    // Get device name before leaving
-                    var deviceName = Context.Items["DeviceName"]?.ToString();
+                    var currentSession = await _sessionManager.GetSessionAsync(sessionId);
+                    var deviceCount = currentSession.DeviceCount;
+
+                    // Notify remaining devices about disconnection
+                    var deviceLeftEvent = DeviceLeftEvent.Create(
+                        sessionId,
+                        deviceId,
+                        deviceName,
+                        deviceCount,
+                        DeviceLeaveReason.Disconnect);
+
+                    await Clients.Group(groupName).SendAsync("DeviceLeft", deviceLeftEvent);
                     
-                    // Leave session through session manager
-                    await _sessionManager.LeaveSessionAsync(sessionId, deviceId, DeviceLeaveReason.Disconnect);
-                    
-                    // Remove from SignalR group
-                    var groupName = GetSessionGroupName(sessionId);
-                    await Groups.RemoveFromGroupAsync(Context.ConnectionId, groupName);
-                    
-                    // Get updated device count and notify remaining devices
-                    try
-                    {
-                        var currentSession = await _sessionManager.GetSessionAsync(sessionId);
-                        var deviceCount = currentSession.DeviceCount;
-
-                        // Notify remaining devices about disconnection
-                        var deviceLeftEvent = DeviceLeftEvent.Create(
-                            sessionId,
-                            deviceId,
-                            deviceName,
-                            deviceCount,
-                            DeviceLeaveReason.Disconnect);
-
-                        await Clients.Group(groupName).SendAsync("DeviceLeft", deviceLeftEvent);
-                        
-                        // Broadcast updated device count to remaining devices
-                        await BroadcastDeviceCountAsync(sessionId, deviceCount);
-                    }
-                    catch (SessionNotFoundException)
-                    {
-                        // Session might have been cleaned up, which is normal
-                        _logger.LogDebug("Session {SessionId} not found during disconnect cleanup - likely expired", sessionId);
-                    }
-                    
-                    _logger.LogInformation("Connection {ConnectionId} removed from session {SessionId} on disconnect", 
-                        Context.ConnectionId, sessionId);
+                    // Broadcast updated device count to remaining devices
+                    await BroadcastDeviceCountAsync(sessionId, deviceCount);
                 }
-                catch (Exception ex)
+                catch (SessionNotFoundException)
                 {
-                    _logger.LogError(ex, "Error removing connection {ConnectionId} from session {SessionId}", 
-                        Context.ConnectionId, sessionId);
+                    // Session might have been cleaned up, which is normal
+                    _logger.LogDebug("Session {SessionId} not found during disconnect cleanup - likely expired", sessionId);
                 }
+                
+                _logger.LogInformation("Connection {ConnectionId} removed from session {SessionId} on disconnect", 
+                    Context.ConnectionId, sessionId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error removing connection {ConnectionId} from session {SessionId}", 
+                    Context.ConnectionId, sessionId);
             }
         }
     }
@@ -476,6 +675,34 @@ public sealed class ClipboardHub(
         }
     }
 
+    /// <summary>
+    /// Checks that this connection joined the session as the given device and that the session still lists it.
+    /// Only devices in a session may send to it.
+    /// </summary>
+    /// <param name="sessionId">The session ID</param>
+    /// <param name="deviceId">The device ID the caller claims to be</param>
+    /// <returns>True if the device may send to the session</returns>
+    private async Task<bool> EnsureDeviceInSessionAsync(Guid sessionId, Guid deviceId)
+    {
+        if (!GetJoinedSessions().Contains(sessionId)
+            || !Context.Items.TryGetValue("DeviceId", out var deviceIdObj)
+            || deviceIdObj is not Guid joinedDeviceId
+            || joinedDeviceId != deviceId)
+        {
+            return false;
+        }
+
+        try
+        {
+            var devices = await _sessionManager.GetSessionDevicesAsync(sessionId);
+            return devices.Any(device => device.DeviceId == deviceId);
+        }
+        catch (SessionNotFoundException)
+        {
+            return false;
+        }
+    }
+
     /// <summary>
     /// Gets the SignalR group name for a session.
     /// </summary>
@@ -485,6 +712,80 @@ public sealed class ClipboardHub(
     {
         return $"session_{sessionId}";
     }
+
+    /// <summary>
+    /// Parses the devices an update or clear is meant for.
+    /// </summary>
+    /// <param name="targetDeviceIds">The target device IDs sent by the client, if any</param>
+    /// <param name="targetGuids">The parsed IDs, empty for the whole session</param>
+    /// <param name="errorMessage">Why the IDs were rejected</param>
+    /// <returns>True if the IDs are valid</returns>
+    private static bool TryParseTargetDeviceIds(string[]? targetDeviceIds, out List<Guid> targetGuids, out string errorMessage)
+    {
+        targetGuids = [];
+        errorMessage = string.Empty;
+
+        foreach (var targetDeviceId in targetDeviceIds ?? [])
+        {
+            if (!Guid.TryParse(targetDeviceId, out var targetGuid))
+            {
+                errorMessage = "Invalid target device ID format";
+                return false;
+            }
+            targetGuids.Add(targetGuid);
+        }
+
+        if (targetGuids.Count > MaxTargetDevices)
+        {
+            errorMessage = $"An update can be sent to at most {MaxTargetDevices} devices";
+            return false;
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Gets the connections to send to: the target devices' connections, or every other connection in the session.
+    /// </summary>
+    /// <param name="sessionId">The session ID</param>
+    /// <param name="targetDeviceIds">The target device IDs, empty for the whole session</param>
+    /// <returns>The client proxy to send through</returns>
+    private IClientProxy GetRecipients(Guid sessionId, List<Guid> targetDeviceIds)
+    {
+        if (targetDeviceIds.Count == 0)
+        {
+            return Clients.GroupExcept(GetSessionGroupName(sessionId), Context.ConnectionId);
+        }
+
+        return Clients.Groups(targetDeviceIds.Select(targetDeviceId => GetDeviceGroupName(sessionId, targetDeviceId)).ToList());
+    }
+
+    /// <summary>
+    /// Gets the SignalR group of one device's connections to a session, for updates sent to that device only.
+    /// </summary>
+    /// <param name="sessionId">The session ID</param>
+    /// <param name="deviceId">The device ID</param>
+    /// <returns>The group name</returns>
+    private static string GetDeviceGroupName(Guid sessionId, Guid deviceId)
+    {
+        return $"session_{sessionId}_device_{deviceId}";
+    }
+
+    /// <summary>
+    /// Gets the sessions this connection has joined, creating the set on first use.
+    /// </summary>
+    /// <returns>The joined session IDs stored in the connection items</returns>
+    private HashSet<Guid> GetJoinedSessions()
+    {
+        if (Context.Items.TryGetValue("SessionIds", out var sessionIdsObj) && sessionIdsObj is HashSet<Guid> sessionIds)
+        {
+            return sessionIds;
+        }
+
+        var joinedSessions = new HashSet<Guid>();
+        Context.Items["SessionIds"] = joinedSessions;
+        return joinedSessions;
+    }
 }
 
 /// <summary>
@@ -493,7 +794,14 @@ public sealed class ClipboardHub(
 /// <param name="Success">Whether the operation was successful</param>
 /// <param name="Message">Result message</param>
 /// <param name="SessionInfo">Session information if successful</param>
-public sealed record JoinSessionResult(bool Success, string Message, SessionInfo? SessionInfo = null);
+/// <param name="Devices">Devices in the session, including the joining device, if successful</param>
+/// <param name="ErrorCode">Error code of the failure clients act on, e.g. SESSION_NOT_FOUND</param>
+public sealed record JoinSessionResult(
+    bool Success,
+    string Message,
+    SessionInfo? SessionInfo = null,
+    IReadOnlyList<DeviceInfo>? Devices = null,
+    string? ErrorCode = null);
 
 /// <summary>
 /// Result of leaving a session via SignalR.
@@ -517,6 +825,12 @@ public sealed record ClipboardUpdateResult(bool Success, string Message, Clipboa
 /// <param name="Message">Result message</param>
 public sealed record ClipboardClearResult(bool Success, string Message);
 
+/// <summary>
+/// Result of a latency probe.
+/// </summary>
+/// <param name="ServerTime">When the server answered</param>
+public sealed record PingResult(DateTime ServerTime);
+
 /// <summary>
 /// Result of getting clipboard content.
 /// </summary>
@@ -524,3 +838,55 @@ public sealed record ClipboardClearResult(bool Success, string Message);
 /// <param name="Message">Result message</param>
 /// <param name="ClipboardContent">The clipboard content if successful</param>
 public sealed record ClipboardContentResult(bool Success, string? Message, ClipboardContent? ClipboardContent = null);
+
+/// <summary>
+/// A file transfer message relayed between the devices of a session. Each kind uses a subset of the fields.
+/// </summary>
+/// <param name="Kind">offer, chunk, request, complete or cancel</param>
+/// <param name="TransferId">The transfer the message belongs to</param>
+/// <param name="FileName">File name (offer)</param>
+/// <param name="MimeType">File MIME type (offer)</param>
+/// <param name="Size">File size in bytes (offer)</param>
+/// <param name="ChunkSize">Chunk size in bytes (offer)</param>
+/// <param name="ChunkCount">Number of chunks (offer)</param>
+/// <param name="Hash">SHA-256 of the whole file (offer)</param>
+/// <param name="Index">Chunk index (chunk)</param>
+/// <param name="Data">Base64 chunk data (chunk)</param>
+/// <param name="ChunkHash">SHA-256 of the chunk data (chunk)</param>
+/// <param name="Missing">Chunk indices to send again (request)</param>
+/// <param name="Reason">Why the transfer ended (cancel)</param>
+public sealed record FileTransferMessage(
+    string Kind,
+    string TransferId,
+    string? FileName = null,
+    string? MimeType = null,
+    long? Size = null,
+    int? ChunkSize = null,
+    int? ChunkCount = null,
+    string? Hash = null,
+    int? Index = null,
+    string? Data = null,
+    string? ChunkHash = null,
+    int[]? Missing = null,
+    string? Reason = null);
+
+/// <summary>
+/// Result of relaying a file transfer message.
+/// </summary>
+/// <param name="Success">Whether the operation was successful</param>
+/// <param name="Message">Result message</param>
+public sealed record FileTransferRelayResult(bool Success, string Message);
+
+/// <summary>
+/// Result of announcing a device's sync policy.
+/// </summary>
+/// <param name="Success">Whether the operation was successful</param>
+/// <param name="Message">Result message</param>
+public sealed record SyncPolicyResult(bool Success, string Message);
+
+/// <summary>
+/// Result of acknowledging a clipboard update addressed to a device.
+/// </summary>
+/// <param name="Success">Whether the operation was successful</param>
+/// <param name="Message">Result message</param>
+public sealed record DeliveryAcknowledgementResult(bool Success, string Message);
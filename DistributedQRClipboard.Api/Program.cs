@@ -43,7 +43,7 @@ builder.Services.AddCoreServices();
 builder.Services.AddInfrastructureServices();
 
 // Register SignalR-based notification service
-builder.Services.AddSingleton<DistributedQRClipboard.Core.Interfaces.IClipboardNotificationService, DistributedQRClipboard.Infrastructure.Services.ClipboardNotificationService>();
+builder.Services.AddSingleton<DistributedQRClipboard.Core.Interfaces.IClipboardNotificationService, DistributedQRClipboard.Infrastructure.Services.ClipboardNotificationService<ClipboardHub>>();
 
 // Add global exception handling
 builder.Services.AddExceptionHandler<GlobalExceptionHandler>();
@@ -37,9 +37,14 @@ class HttpClient {
       const response = await fetch(url, config);
       clearTimeout(timeoutId);
       
+      // Conditional request whose resource has not changed
+      if (response.status === 304) {
+        return null;
+      }
+      
       if (!response.ok) {
         const errorData = await this.parseErrorResponse(response);
-        throw new ApiError(errorData.message || 'Request failed', response.status, errorData);
+        throw new ApiError(errorData.message || errorData.detail || 'Request failed', response.status, errorData);
       }
       
       const contentType = response.headers.get('content-type');
@@ -150,47 +155,54 @@ export class ApiClient {
     }, API_CONFIG.retries);
   }
   
-  async joinSession(sessionId, deviceName = null) {
+  async joinSession(sessionId, deviceName = null, deviceId = null) {
     return retryWithBackoff(async () => {
-      const data = deviceName ? { deviceName } : {};
+      const data = { sessionId, deviceId, deviceName };
       const response = await this.http.post(`/api/sessions/${sessionId}/join`, data);
       return response;
     }, API_CONFIG.retries);
   }
   
-  async leaveSession(sessionId) {
+  async leaveSession(sessionId, deviceId = null) {
     return retryWithBackoff(async () => {
-      const response = await this.http.delete(`/api/sessions/${sessionId}/leave`);
+      const query = deviceId ? `?deviceId=${deviceId}` : '';
+      const response = await this.http.delete(`/api/sessions/${sessionId}/leave${query}`);
       return response;
     }, API_CONFIG.retries);
   }
   
   // Clipboard Operations
-  async copyToClipboard(sessionId, content) {
+  async copyToClipboard(sessionId, content, deviceId = null) {
     return retryWithBackoff(async () => {
-      const data = { content };
+      const data = { content, sessionId, deviceId };
       const response = await this.http.post(`/api/sessions/${sessionId}/clipboard`, data);
       return response;
     }, API_CONFIG.retries);
   }
   
-  async getClipboardContent(sessionId) {
+  // Pass etag (the last seen content hash) for a conditional request; resolves to null when unchanged
+  async getClipboardContent(sessionId, { deviceId = null, etag = null, retries = API_CONFIG.retries } = {}) {
     return retryWithBackoff(async () => {
-      const response = await this.http.get(`/api/sessions/${sessionId}/clipboard`);
+      const query = deviceId ? `?deviceId=${deviceId}` : '';
+      const headers = etag ? { 'If-None-Match': `"${etag}"` } : {};
+      const response = await this.http.get(`/api/sessions/${sessionId}/clipboard${query}`, { headers });
       return response;
-    }, API_CONFIG.retries);
+    }, retries);
   }
   
-  async clearClipboard(sessionId) {
+  // The device must be in the session: the server refuses clears from anyone else
+  async clearClipboard(sessionId, deviceId = null) {
     return retryWithBackoff(async () => {
-      const response = await this.http.delete(`/api/sessions/${sessionId}/clipboard`);
+      const query = deviceId ? `?deviceId=${deviceId}` : '';
+      const response = await this.http.delete(`/api/sessions/${sessionId}/clipboard${query}`);
       return response;
     }, API_CONFIG.retries);
   }
   
-  async getClipboardHistory(sessionId, limit = 10) {
+  async getClipboardHistory(sessionId, limit = 10, deviceId = null) {
     return retryWithBackoff(async () => {
-      const response = await this.http.get(`/api/sessions/${sessionId}/clipboard/history?limit=${limit}`);
+      const device = deviceId ? `&deviceId=${deviceId}` : '';
+      const response = await this.http.get(`/api/sessions/${sessionId}/clipboard/history?limit=${limit}${device}`);
       return response;
     }, API_CONFIG.retries);
   }
@@ -325,6 +337,24 @@ export class ConnectionTracker {
     }
   }
   
+  /**
+   * Record the outcome of every request made through an ApiClient
+   */
+  track(client) {
+    const tracker = this;
+    const originalRequest = client.http.request;
+    client.http.request = async function(...args) {
+      try {
+        const result = await originalRequest.apply(this, args);
+        tracker.recordSuccess();
+        return result;
+      } catch (error) {
+        tracker.recordFailure();
+        throw error;
+      }
+    };
+  }
+  
   get status() {
     if (!this.isOnline) return 'offline';
     if (this.failureCount >= this.maxFailures) return 'unstable';
@@ -342,17 +372,4 @@ export class ConnectionTracker {
 export const connectionTracker = new ConnectionTracker();
 
 // Patch the API client to use connection tracking
-const originalRequest = apiClient.http.request;
-apiClient.http.request = async function(...args) {
-  try {
-    const result = await originalRequest.apply(this, args);
-    connectionTracker.recordSuccess();
-    return result;
-  } catch (error) {
-    connectionTracker.recordFailure();
-    throw error;
-  }
-};
-
-// Export the ApiClient class
-export { ApiClient };
+connectionTracker.track(apiClient);
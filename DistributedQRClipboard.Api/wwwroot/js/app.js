@@ -3,39 +3,177 @@
  * Orchestrates all components and handles user interactions
  */
 
-import { ApiClient } from './api.js';
+import { ApiClient, connectionTracker } from './api.js';
 import { SignalRClient } from './signalr-client.js';
 import { QRScanner } from './qr-scanner.js';
-import { ClipboardManager } from './clipboard.js';
+import { ClipboardManager, DeliveryStatus } from './clipboard.js';
+import { sanitizeFileName } from './file-transfer.js';
+import { MAX_TARGETS } from './clipboard-message.js';
+import { SignalRTransport, PollingTransport, FailoverTransport } from './transport.js';
+import { ConnectionHealthMonitor } from './connection-health.js';
+import { isImageContent, describeImageContent } from './clipboard-image.js';
+import { parseRichContent, contentToText, renderSanitizedHtml } from './rich-text.js';
+import { generateSessionKey, buildJoinUrl, readKeyFromUrl } from './session-crypto.js';
+import { SensitiveAction } from './sensitive-content.js';
+import { MonitoringState, PauseReason } from './clipboard-monitor.js';
+import { SyncPolicy, sendsAutomatically } from './sync-policy.js';
+import { TransformStage } from './content-transforms.js';
+import { ContentType } from './content-types.js';
 import { 
     Toast, 
     Loading, 
     escapeHtml, 
+    debounce,
+    formatFileSize,
+    isValidSessionId,
     generateUUID,
     Theme 
 } from './utils.js';
 
 console.log('DistributedQRClipboard app.js loading...');
 
+// History date filter choices: how far back each one reaches, in ms
+const HISTORY_DATE_RANGES = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000
+};
+
+// User-facing text for SensitiveAction values
+const SENSITIVE_ACTION_LABELS = {
+    [SensitiveAction.Block]: 'Never sync',
+    [SensitiveAction.Confirm]: 'Ask before syncing',
+    [SensitiveAction.Expire]: 'Sync, then clear after a minute',
+    [SensitiveAction.Mask]: 'Sync, hide in the activity log'
+};
+
+// User-facing text for SyncPolicy values
+const SYNC_POLICY_LABELS = {
+    [SyncPolicy.Automatic]: 'Automatic',
+    [SyncPolicy.SendOnly]: 'Send only',
+    [SyncPolicy.ReceiveOnly]: 'Receive only',
+    [SyncPolicy.Manual]: 'Manual'
+};
+
+// User-facing text for DeliveryStatus values
+const DELIVERY_STATUS_LABELS = {
+    [DeliveryStatus.Pending]: 'Sending',
+    [DeliveryStatus.Sent]: 'Sent',
+    [DeliveryStatus.Delivered]: 'Delivered'
+};
+
+/**
+ * Rule labels of sensitive content findings, for activity messages
+ */
+function describeFindings(findings) {
+    return findings.map(finding => finding.label.toLowerCase()).join(', ');
+}
+
+/**
+ * Time left on a self-destructing clip, e.g. "expires in 1:05"
+ */
+function formatCountdown(ms) {
+    if (ms <= 0) {
+        return 'expired';
+    }
+    const seconds = Math.ceil(ms / 1000);
+    return `expires in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * What clipboard monitoring is doing, in words, e.g. "Watching the clipboard (checking every 8 s)"
+ */
+function describeMonitoringState({ state, reason, delay }) {
+    switch (state) {
+        case MonitoringState.Active:
+            return 'Watching the clipboard';
+        case MonitoringState.Idle:
+            return `Watching the clipboard (checking every ${Math.round(delay / 1000)} s)`;
+        case MonitoringState.Paused:
+            return reason === PauseReason.Hidden
+                ? 'Paused while this tab is hidden'
+                : 'Paused until this window is focused';
+        case MonitoringState.Blocked:
+            return 'Clipboard access blocked: allow it in the site settings';
+        case MonitoringState.Unsupported:
+            return 'This browser cannot read the clipboard; paste to send';
+        default:
+            return 'Not watching the clipboard';
+    }
+}
+
+/**
+ * Actions offered for detected content types (see content-types.js), e.g. "Open link" for a URL
+ * @returns {Array} { smart, label, value }: smart is how runSmartAction handles value
+ */
+function smartActionsFor(contentTypes) {
+    return contentTypes.flatMap(({ type, value }) => {
+        switch (type) {
+            case ContentType.Url:
+                return [{ smart: 'open', label: 'Open link', value }];
+            case ContentType.Email:
+                return [{ smart: 'open', label: 'Write email', value: `mailto:${value}` }];
+            case ContentType.Phone:
+                return [
+                    { smart: 'open', label: 'Call', value: `tel:${value}` },
+                    { smart: 'open', label: 'Text', value: `sms:${value}` }
+                ];
+            case ContentType.Otp:
+                return [{ smart: 'copy', label: `Copy code ${value}`, value }];
+            case ContentType.Json:
+                return [{ smart: 'show', label: 'Pretty-print JSON', value }];
+            case ContentType.Address:
+                return [{ smart: 'open', label: 'Open in map', value: `https://www.openstreetmap.org/search?query=${encodeURIComponent(value)}` }];
+            default:
+                return [];
+        }
+    });
+}
+
+// Smart action buttons whose values are remembered; older toasts' buttons stop working past this
+const MAX_SMART_ACTIONS = 100;
+
+// User-facing text for SessionEndReason values
+const SESSION_END_REASONS = {
+    Expired: 'The session expired',
+    AllDevicesLeft: 'All devices left the session',
+    ExplicitClose: 'The session was closed',
+    ServerShutdown: 'The server is shutting down',
+    ResourceLimitExceeded: 'The session exceeded its resource limits'
+};
+
 class DistributedQRClipboardApp {
     constructor() {
         console.log('DistributedQRClipboardApp constructor called');
         this.apiClient = null;
         this.signalRClient = null;
+        this.transport = null;
+        this.healthMonitor = null;
         this.qrScanner = null;
         this.clipboardManager = null;
-        this.currentSession = null;
+        this.currentSession = null; // Session selected in the switcher; manual sends go here
+        this.selectedTargets = new Set(); // Device IDs ticked in the device list; manual sends go only to them
         this.deviceName = '';
         this.isInitialized = false;
         this.preloadedQRCode = null; // Store QR code from session creation
+        this.panelImage = null; // Image data URL shown in the clipboard panel instead of text
+        this.panelRich = null; // Formatted content whose plain text is in the panel textarea
+        this.fileDownloadUrls = new Map(); // transferId -> object URL of a received file
+        this.updateHistoryListDebounced = debounce(() => this.updateHistoryList(), 200);
+        this.updateSizeMeterDebounced = debounce(() => this.updateSizeMeter(), 200);
+        this.sizeMeterRun = 0; // Latest measurement, so a slower earlier one never overwrites it
+        this.updateSmartActionsDebounced = debounce(() => this.updateSmartActions(), 200);
+        this.smartActions = new Map(); // Button ID -> { smart, value } of a rendered smart action; values never go into markup
+        this.nextSmartActionId = 0;
         
         // UI elements
         this.elements = {};
         
         // State
-        this.connectedDevices = new Set();
+        this.sessions = new Map(); // sessionId -> { connectedDevices: Map of device ID to name, unread }
         this.lastQRGenerated = null;
         this.sessionHistory = new Map();
+        this.endedSession = null; // Last session ended by the server, kept for "start a new session"
         
         console.log('About to bind events...');
         this.bindEvents();
@@ -61,13 +199,22 @@ class DistributedQRClipboardApp {
             
             // Initialize API client
             this.apiClient = new ApiClient();
+            connectionTracker.track(this.apiClient);
             
-            // Initialize SignalR client
-            this.signalRClient = new SignalRClient();
-            this.setupSignalREventHandlers();
+            // Initialize SignalR client, with REST polling as the fallback transport
+            this.signalRClient = new SignalRClient(this.apiClient);
+            this.transport = new FailoverTransport(
+                new SignalRTransport(this.signalRClient),
+                new PollingTransport(this.apiClient, this.signalRClient.getDeviceId())
+            );
+            this.setupTransportEventHandlers();
+            
+            // Combine hub latency, delivery failures and REST request health into one indicator
+            this.healthMonitor = new ConnectionHealthMonitor(this.signalRClient, this.transport, connectionTracker);
+            this.healthMonitor.on('healthChanged', (health) => this.updateHealthIndicator(health));
             
             // Initialize clipboard manager
-            this.clipboardManager = new ClipboardManager(this.apiClient, this.signalRClient);
+            this.clipboardManager = new ClipboardManager(this.apiClient, this.transport);
             this.setupClipboardEventHandlers();
             
             // Initialize QR scanner
@@ -75,18 +222,21 @@ class DistributedQRClipboardApp {
             this.setupQRScannerEventHandlers();
             await this.qrScanner.initialize();
             
-            // Start SignalR connection
-            await this.signalRClient.start();
+            // Start the connection (falls back to polling if the hub is unreachable)
+            await this.transport.start();
+            await this.joinFromPageUrl();
             
             // Update UI state
             this.updateConnectionStatus();
+            this.updateHealthIndicator(this.healthMonitor.getHealth());
             this.updateDeviceInfo();
             this.checkClipboardSupport();
-            
-            // Set up periodic connection status checks
-            setInterval(() => {
-                this.updateConnectionStatus();
-            }, 2000);
+            this.updateOutboxList();
+            this.updateHistoryList();
+            this.updateSensitiveRules();
+            this.updateSyncPolicy();
+            this.updateHeldUpdates();
+            this.countdownInterval = setInterval(() => this.updateActivityCountdowns(), 1000);
             
             this.isInitialized = true;
             Loading.hide();
@@ -113,6 +263,8 @@ class DistributedQRClipboardApp {
                 connectionStatus: document.getElementById('connection-status'),
                 connectionText: document.getElementById('connection-text'),
                 retryConnection: document.getElementById('retry-connection'),
+                healthIndicator: document.getElementById('health-indicator'),
+                healthPopover: document.getElementById('health-popover'),
                 
                 // Session info
                 sessionId: document.getElementById('session-id'),
@@ -128,10 +280,33 @@ class DistributedQRClipboardApp {
                 
                 // Clipboard
                 clipboardContent: document.getElementById('clipboard-content'),
+                clipboardImagePreview: document.getElementById('clipboard-image-preview'),
+                clipboardRichPreview: document.getElementById('clipboard-rich-preview'),
                 clipboardSend: document.getElementById('clipboard-send'),
                 clipboardClear: document.getElementById('clipboard-clear'),
                 clipboardRead: document.getElementById('clipboard-read'),
                 clipboardMonitor: document.getElementById('clipboard-monitor'),
+                clipboardMonitorState: document.getElementById('clipboard-monitor-state'),
+                clipboardExpire: document.getElementById('clipboard-expire'),
+                clipboardBurn: document.getElementById('clipboard-burn'),
+                clipboardSizeMeter: document.getElementById('clipboard-size-meter'),
+                clipboardSmartActions: document.getElementById('clipboard-smart-actions'),
+                syncPolicy: document.getElementById('sync-policy'),
+                heldUpdates: document.getElementById('held-updates'),
+                deliveryList: document.getElementById('delivery-list'),
+                outboxList: document.getElementById('outbox-list'),
+                fileInput: document.getElementById('file-input'),
+                fileDropZone: document.getElementById('file-drop-zone'),
+                fileTransferList: document.getElementById('file-transfer-list'),
+                historyList: document.getElementById('history-list'),
+                historySearch: document.getElementById('history-search'),
+                historyDeviceFilter: document.getElementById('history-device-filter'),
+                historySessionFilter: document.getElementById('history-session-filter'),
+                historyDateFilter: document.getElementById('history-date-filter'),
+                historyPinnedOnly: document.getElementById('history-pinned-only'),
+                sensitiveRules: document.getElementById('sensitive-rules'),
+                sessionSwitcher: document.getElementById('session-switcher'),
+                sessionPanes: document.getElementById('session-panes'),
                 
                 // QR Code
                 qrCodeContainer: document.getElementById('qr-code'),
@@ -199,6 +374,22 @@ class DistributedQRClipboardApp {
         document.addEventListener('click', this.handleClick.bind(this));
         document.addEventListener('input', this.handleInput.bind(this));
         document.addEventListener('change', this.handleChange.bind(this));
+        document.addEventListener('paste', this.handlePaste.bind(this));
+
+        // Files dropped on the clipboard panel are sent to the current session
+        const dropZone = this.elements.fileDropZone;
+        if (dropZone) {
+            dropZone.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                dropZone.classList.add('drag-over');
+            });
+            dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+            dropZone.addEventListener('drop', (event) => {
+                event.preventDefault();
+                dropZone.classList.remove('drag-over');
+                this.sendFiles(event.dataTransfer?.files);
+            });
+        }
         
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
@@ -274,6 +465,10 @@ class DistributedQRClipboardApp {
                     await this.retryConnection();
                     break;
                     
+                case 'health-indicator':
+                    this.toggleHealthPopover();
+                    break;
+                    
                 case 'theme-toggle':
                     toggleTheme();
                     break;
@@ -282,6 +477,67 @@ class DistributedQRClipboardApp {
                     await this.copyJoinUrl();
                     break;
                     
+                case 'start-successor-session':
+                    await this.startSuccessorSession();
+                    break;
+                    
+                case 'switch-session':
+                    this.switchSession(target.dataset.sessionId);
+                    break;
+                    
+                case 'cancel-file-transfer':
+                    await this.clipboardManager.cancelFileTransfer(target.dataset.transferId);
+                    break;
+                    
+                case 'clear-file-transfers':
+                    this.clearFinishedFileTransfers();
+                    break;
+                    
+                case 'history-pin':
+                    await this.clipboardManager.pinHistoryEntry(target.dataset.entryId, target.dataset.pinned !== 'true');
+                    break;
+                    
+                case 'history-delete':
+                    await this.clipboardManager.deleteHistoryEntry(target.dataset.entryId);
+                    break;
+                    
+                case 'history-resend':
+                    await this.resendHistoryEntry(target.dataset.entryId);
+                    break;
+                    
+                case 'send-sensitive-content': {
+                    const pending = this.clipboardManager.getPendingSensitiveContent();
+                    if (pending) {
+                        await this.clipboardManager.confirmSensitiveContent(pending.id);
+                    }
+                    break;
+                }
+                    
+                case 'undo-overwrite':
+                    await this.undoOverwrite(target.dataset.restoreId);
+                    break;
+                    
+                case 'smart-action':
+                    await this.runSmartAction(this.smartActions.get(target.dataset.smartActionId));
+                    break;
+                    
+                case 'take-held-update':
+                    if (await this.clipboardManager.takeHeldUpdate(target.dataset.sessionId)) {
+                        Toast.show('Copied to clipboard', 'success');
+                    } else {
+                        Toast.show('That clip has expired', 'warning');
+                    }
+                    break;
+                    
+                case 'discard-held-update':
+                    this.clipboardManager.dropHeldUpdate(target.dataset.sessionId);
+                    break;
+                    
+                case 'history-clear':
+                    await this.clipboardManager.clearHistory();
+                    Toast.show('History cleared (pinned items kept)', 'info');
+                    break;
+                    
                 default:
                     // Handle modal close buttons
                     if (target.classList.contains('modal-close') || target.classList.contains('modal-overlay')) {
@@ -302,9 +558,50 @@ class DistributedQRClipboardApp {
         const target = event.target;
         
         if (target.id === 'clipboard-content') {
+            // Typing replaces an image shown in the panel
+            if (this.panelImage && target.value) {
+                this.showPanelImage(null);
+            }
+            // Editing the text sends it as plain text
+            if (this.panelRich && target.value !== parseRichContent(this.panelRich).text) {
+                this.showPanelRich(null);
+            }
+
             // Auto-resize textarea
             target.style.height = 'auto';
             target.style.height = target.scrollHeight + 'px';
+            this.updateSizeMeterDebounced();
+            this.updateSmartActionsDebounced();
+        }
+
+        if (target.id === 'history-search') {
+            this.updateHistoryListDebounced();
+        }
+    }
+
+    /**
+     * Handle paste events: an image pasted into the clipboard panel is prepared and shown for sending
+     */
+    async handlePaste(event) {
+        if (event.target !== this.elements.clipboardContent || !event.clipboardData) {
+            return;
+        }
+
+        const file = Array.from(event.clipboardData.files || []).find(file => file.type.startsWith('image/'));
+        if (!file) {
+            return;
+        }
+
+        event.preventDefault();
+        try {
+            const image = await this.clipboardManager.prepareImage(file);
+            this.updateClipboardUI(image.content);
+            if (image.resized) {
+                Toast.show(`Image reduced to ${image.width}×${image.height} to fit the size limit`, 'info');
+            }
+        } catch (error) {
+            console.error('Failed to prepare pasted image:', error);
+            Toast.show('This image is too large to share', 'error');
         }
     }
 
@@ -312,7 +609,52 @@ class DistributedQRClipboardApp {
      * Handle change events
      */
     handleChange(event) {
-        // Handle any form changes if needed
+        const target = event.target;
+
+        if (target.id === 'file-input') {
+            this.sendFiles(target.files);
+            target.value = '';
+            return;
+        }
+
+        if (target.id.startsWith('history-')) {
+            this.updateHistoryList();
+            return;
+        }
+
+        if (target.id === 'sync-policy') {
+            this.clipboardManager.setSyncPolicy(target.value);
+            return;
+        }
+
+        // Recipient checkboxes in the device list
+        if (target.classList.contains('device-target')) {
+            if (target.checked) {
+                this.selectedTargets.add(target.dataset.deviceId);
+            } else {
+                this.selectedTargets.delete(target.dataset.deviceId);
+            }
+            this.updateSendButton();
+            return;
+        }
+
+        if (target.classList.contains('sensitive-rule-action')) {
+            this.clipboardManager.detector.setAction(target.dataset.ruleId, target.value);
+            return;
+        }
+
+        // Per-session content transform toggles in the session panes
+        if (target.classList.contains('transform-toggle')) {
+            this.clipboardManager.transforms.setEnabled(target.dataset.sessionId, target.dataset.transformId, target.checked);
+            return;
+        }
+
+        // Per-session auto-send toggles in the session panes
+        if (target.classList.contains('auto-send-toggle')) {
+            this.clipboardManager.setAutoSend(target.dataset.sessionId, target.checked);
+            const state = target.checked ? 'on' : 'off';
+            this.addActivity(this.forSession(target.dataset.sessionId, `Auto-send ${state}`), 'session');
+        }
     }
 
     /**
@@ -358,46 +700,76 @@ class DistributedQRClipboardApp {
     }
 
     /**
-     * Setup SignalR event handlers
+     * Setup transport event handlers
      */
-    setupSignalREventHandlers() {
-        this.signalRClient.on('connectionStateChanged', (state) => {
+    setupTransportEventHandlers() {
+        this.transport.on('connectionStateChanged', (state) => {
             this.updateConnectionStatus(state);
         });
 
-        this.signalRClient.on('sessionJoined', (data) => {
-            this.currentSession = data.sessionId;
-            this.updateSessionInfo();
+        // Also fired when a session is rejoined after a reconnect or transport switch
+        this.transport.on('sessionJoined', (data) => {
+            if (this.sessions.has(data.sessionId)) {
+                return;
+            }
+
+            const connectedDevices = new Map((data.devices || []).map(device => [device.deviceId, device.deviceName]));
+            this.sessions.set(data.sessionId, { connectedDevices, unread: 0 });
+            this.switchSession(data.sessionId);
             this.addActivity(`Joined session: ${data.sessionId}`, 'session');
             Toast.show(`Joined session successfully`, 'success');
         });
 
-        this.signalRClient.on('sessionLeft', (data) => {
-            this.currentSession = null;
-            this.connectedDevices.clear();
-            this.updateSessionInfo();
-            this.updateDeviceList();
+        this.transport.on('sessionLeft', (data) => {
+            this.removeSession(data.sessionId);
             this.addActivity(`Left session: ${data.sessionId}`, 'session');
             Toast.show('Left session', 'info');
         });
 
-        this.signalRClient.on('deviceJoined', (data) => {
-            this.connectedDevices.add(data.deviceName);
+        this.transport.on('deviceJoined', (data) => {
+            this.getConnectedDevices(data.sessionId).set(data.deviceId, data.deviceName);
             this.updateDeviceList();
-            this.addActivity(`${data.deviceName} joined`, 'device');
+            this.renderSessions();
+            this.addActivity(this.forSession(data.sessionId, `${data.deviceName} joined`), 'device');
             Toast.show(`${data.deviceName} joined the session`, 'info');
         });
 
-        this.signalRClient.on('deviceLeft', (data) => {
-            this.connectedDevices.delete(data.deviceName);
+        this.transport.on('deviceLeft', (data) => {
+            this.getConnectedDevices(data.sessionId).delete(data.deviceId);
             this.updateDeviceList();
-            this.addActivity(`${data.deviceName} left`, 'device');
+            this.renderSessions();
+            this.addActivity(this.forSession(data.sessionId, `${data.deviceName} left`), 'device');
             Toast.show(`${data.deviceName} left the session`, 'info');
         });
 
-        this.signalRClient.on('error', (error) => {
-            console.error('SignalR error:', error);
-            Toast.show('Connection error occurred', 'error');
+        this.transport.on('sessionEnded', (data) => {
+            this.handleSessionEnded(data);
+        });
+
+        this.transport.on('clipboardCleared', (data) => {
+            if (data.sessionId === this.currentSession) {
+                this.updateClipboardUI('');
+            }
+            this.renderSessions();
+            this.addActivity(this.forSession(data.sessionId, `Clipboard cleared by ${data.deviceName}`), 'clipboard');
+        });
+
+        this.transport.on('transportChanged', (data) => {
+            if (data.type === 'polling') {
+                this.addActivity('Real-time connection unavailable, using polling', 'info');
+                Toast.show('Real-time connection unavailable. Syncing by polling instead.', 'warning', 'Fallback mode');
+            } else {
+                this.addActivity('Real-time connection restored', 'info');
+            }
+        });
+
+        this.transport.on('error', (error) => {
+            console.error('Transport error:', error);
+            if (error.type === 'contract') {
+                Toast.show(error.error.message, 'error', 'Server protocol mismatch');
+            } else {
+                Toast.show('Connection error occurred', 'error');
+            }
         });
     }
 
@@ -407,26 +779,244 @@ class DistributedQRClipboardApp {
     setupClipboardEventHandlers() {
         this.clipboardManager.on('localClipboardChanged', (data) => {
             this.updateClipboardUI(data.content);
-            this.addActivity('Clipboard content changed', 'clipboard');
+            if (isImageContent(data.content)) {
+                this.addActivity(`Clipboard image changed (${describeImageContent(data.content)})`, 'clipboard', null, data.content);
+            } else if (data.findings.length > 0) {
+                this.addActivity(`Clipboard content changed, looks sensitive (${describeFindings(data.findings)})`, 'clipboard');
+            } else {
+                this.addActivity('Clipboard content changed', 'clipboard');
+            }
+        });
+
+        // Secrets found before auto-sync are blocked outright or held until the user sends them anyway
+        this.clipboardManager.on('sensitiveContentBlocked', ({ findings }) => {
+            this.addActivity(`Not sent to other devices: ${describeFindings(findings)}`, 'clipboard');
+            Toast.show('Sensitive clipboard content was not synced', 'warning');
+        });
+
+        this.clipboardManager.on('sensitiveContentDetected', ({ findings }) => {
+            this.addActivity(`Held back from other devices: ${describeFindings(findings)}`, 'clipboard',
+                { label: 'Send anyway', action: 'send-sensitive-content' });
+            Toast.show('Sensitive clipboard content is waiting for confirmation', 'warning');
+        });
+
+        this.clipboardManager.on('sensitiveContentResolved', () => {
+            this.elements.activityList
+                ?.querySelectorAll('[data-action="send-sensitive-content"]')
+                .forEach(button => button.remove());
+        });
+
+        // Self-destructing clips leave the clipboard panel and session panes along with the clipboard
+        this.clipboardManager.on('clipExpired', ({ sessionId, content }) => {
+            this.removeFromPanel(content);
+            this.renderSessions();
+            this.addActivity(this.forSession(sessionId, 'A self-destructing clip expired and was removed'), 'clipboard');
+        });
+
+        this.clipboardManager.on('clipBurned', ({ sessionId, content, readHere, deviceName }) => {
+            if (readHere) {
+                this.addActivity(this.forSession(sessionId, 'Burn-after-read clip received here and removed from the session'), 'clipboard');
+                return;
+            }
+            this.removeFromPanel(content);
+            this.renderSessions();
+            this.addActivity(this.forSession(sessionId, `A burn-after-read clip was read by ${deviceName || 'another device'} and removed here`), 'clipboard');
         });
 
         this.clipboardManager.on('remoteClipboardReceived', (data) => {
-            this.updateClipboardUI(data.content);
-            this.addActivity(`Received from ${data.deviceName}`, 'clipboard');
-            Toast.show(`Clipboard updated from ${data.deviceName}`, 'success');
+            const session = this.sessions.get(data.sessionId);
+            if (data.sessionId === this.currentSession) {
+                this.updateClipboardUI(data.content);
+            } else if (session) {
+                session.unread++;
+            }
+            this.renderSessions();
+            const image = isImageContent(data.content) ? data.content : null;
+            const what = image ? `image (${describeImageContent(image)})` : '';
+            const burn = data.burnAfterRead ? ' (burn after read)' : '';
+            const kept = data.held ? ', held until you copy it' : data.written ? '' : ', not copied (send only)';
+            const undo = data.restoreId
+                ? { label: 'Undo', action: 'undo-overwrite', data: { restoreId: data.restoreId } }
+                : null;
+            this.addActivity(this.forSession(data.sessionId, `Received ${what ? `${what} ` : ''}from ${data.deviceName}${burn}${kept}`),
+                'clipboard', undo, image, data.expiresAt);
+            let toast = null;
+            if (data.held) {
+                toast = Toast.show(`New clip from ${data.deviceName}: tap Copy to use it`, 'info');
+            } else if (data.written) {
+                toast = Toast.show(`Clipboard updated from ${data.deviceName}`, 'success');
+            }
+            const undoButton = undo
+                ? `<button class="btn btn-secondary" data-action="undo-overwrite" data-restore-id="${escapeHtml(data.restoreId)}">Undo</button>`
+                : '';
+            const toastActions = undoButton + this.renderSmartActions(data.contentTypes || []);
+            if (toast && toastActions) {
+                toast.querySelector('.toast-content').insertAdjacentHTML('beforeend', toastActions);
+            }
+        });
+
+        // Undo buttons go once their restore point is used up
+        this.clipboardManager.on('restorePointsChanged', (restorePoints) => {
+            const ids = new Set(restorePoints.map(restorePoint => restorePoint.id));
+            document.querySelectorAll('[data-action="undo-overwrite"]')
+                .forEach(button => !ids.has(button.dataset.restoreId) && button.remove());
+        });
+
+        this.clipboardManager.on('contentTransformed', (data) => {
+            const labels = data.transforms.map(transform => transform.label.toLowerCase()).join(', ');
+            const when = data.stage === TransformStage.BeforeSend ? 'before sending' : 'on receipt';
+            this.addActivity(this.forSession(data.sessionId, `Changed ${when}: ${labels}`), 'clipboard');
+        });
+
+        this.clipboardManager.on('heldUpdatesChanged', (held) => {
+            this.updateHeldUpdates(held);
+        });
+
+        this.clipboardManager.on('syncPolicyChanged', ({ syncPolicy }) => {
+            this.updateSyncPolicy();
+            this.updateMonitorButton();
+            this.addActivity(`Sync policy: ${SYNC_POLICY_LABELS[syncPolicy]}`, 'info');
+        });
+
+        this.clipboardManager.on('devicePoliciesChanged', ({ sessionId }) => {
+            if (sessionId === this.currentSession) {
+                this.updateDeviceList();
+            }
+        });
+
+        this.clipboardManager.on('deliveryChanged', () => {
+            this.updateDeliveryList();
+        });
+
+        this.clipboardManager.on('clipboardDelivered', ({ sessionId, deviceName }) => {
+            this.addActivity(this.forSession(sessionId, `Delivered to ${deviceName || 'the selected device'}`), 'clipboard');
+        });
+
+        this.clipboardManager.on('imageWriteUnsupported', () => {
+            Toast.show('This browser cannot copy images to the clipboard; save the image from the clipboard panel instead', 'warning');
+        });
+
+        this.clipboardManager.on('imageRejected', () => {
+            Toast.show('The copied image is too large to share', 'warning');
         });
 
         this.clipboardManager.on('syncCompleted', () => {
+            this.renderSessions();
             Toast.show('Clipboard synced to devices', 'success');
         });
 
+        this.clipboardManager.on('autoSendChanged', () => {
+            this.renderSessions();
+        });
+
         this.clipboardManager.on('syncFailed', (data) => {
             Toast.show('Failed to sync clipboard', 'error');
         });
 
+        this.clipboardManager.on('syncQueued', () => {
+            this.addActivity('Offline: clipboard update queued', 'clipboard');
+        });
+
+        this.clipboardManager.on('outboxChanged', (items) => {
+            this.updateOutboxList(items);
+        });
+
+        this.clipboardManager.on('historyChanged', () => {
+            this.updateHistoryList();
+        });
+
         this.clipboardManager.on('permissionDenied', () => {
             Toast.show('Clipboard permission required', 'warning');
         });
+
+        this.clipboardManager.on('monitoringStateChanged', (state) => {
+            this.updateMonitoringState(state);
+        });
+        this.updateMonitoringState(this.clipboardManager.getMonitoringState());
+
+        // Missed updates arrive decrypted from the clipboard manager rather than the transport
+        this.clipboardManager.on('resynchronized', (snapshot) => {
+            this.reconcileAfterReconnect(snapshot);
+        });
+
+        this.clipboardManager.on('decryptionFailed', (data) => {
+            const message = data.reason === 'missingKey'
+                ? `Cannot decrypt content from ${data.deviceName}: this device has no key for the session`
+                : `Content from ${data.deviceName} could not be decrypted and was ignored`;
+            this.addActivity(this.forSession(data.sessionId, message), 'clipboard');
+            Toast.show(data.reason === 'missingKey'
+                ? 'Cannot decrypt: join by scanning the session QR code or opening its link'
+                : 'Received content could not be decrypted', 'warning');
+            this.renderSessions();
+        });
+
+        this.clipboardManager.on('syncBlocked', (data) => {
+            Toast.show(data.reason === 'tooLarge'
+                ? `Not sent: ${data.error.message}`
+                : 'Not sent: this session is encrypted and this device has no key', 'warning');
+        });
+
+        // Every device picks the same winner; the concurrent update that lost stays in the activity log
+        this.clipboardManager.on('clipboardConflict', ({ sessionId, loser }) => {
+            const from = loser.deviceName || 'this device';
+            if (isImageContent(loser.content)) {
+                this.addActivity(this.forSession(sessionId, `Kept the newer clipboard over an image from ${from}`), 'clipboard', null, loser.content);
+                return;
+            }
+            const preview = this.previewText(loser.content, 40);
+            this.addActivity(this.forSession(sessionId, `Kept the newer clipboard over "${preview}" from ${from}`), 'clipboard');
+        });
+
+        this.clipboardManager.on('sessionKeyChanged', () => {
+            this.renderSessions();
+        });
+
+        this.clipboardManager.on('fileTransferStarted', (transfer) => {
+            if (transfer.direction === 'incoming') {
+                this.addActivity(this.forSession(transfer.sessionId, `${transfer.deviceName} is sending ${transfer.name}`), 'file');
+            }
+            this.updateFileTransferList();
+        });
+
+        this.clipboardManager.on('fileTransferProgress', () => {
+            this.updateFileTransferList();
+        });
+
+        this.clipboardManager.on('fileTransferPaused', (transfer) => {
+            this.addActivity(`Sending ${transfer.name} paused until the connection is back`, 'file');
+            this.updateFileTransferList();
+        });
+
+        this.clipboardManager.on('fileTransferResumed', () => {
+            this.updateFileTransferList();
+        });
+
+        this.clipboardManager.on('fileTransferCompleted', (transfer) => {
+            if (transfer.direction === 'incoming') {
+                this.addActivity(this.forSession(transfer.sessionId, `Received ${transfer.name} from ${transfer.deviceName}`), 'file');
+                Toast.show(`${transfer.name} received`, 'success');
+            } else {
+                this.addActivity(this.forSession(transfer.sessionId, `${transfer.deviceName} received ${transfer.name}`), 'file');
+            }
+            this.updateFileTransferList();
+        });
+
+        this.clipboardManager.on('fileTransferCancelled', (transfer) => {
+            const by = transfer.deviceName && transfer.direction === 'outgoing' ? ` by ${transfer.deviceName}` : '';
+            const reason = transfer.reason === 'tooLarge' ? ' (too large for the receiving device)' : '';
+            this.addActivity(`Transfer of ${transfer.name} cancelled${by}${reason}`, 'file');
+            this.updateFileTransferList();
+        });
+
+        this.clipboardManager.on('fileTransferFailed', (transfer) => {
+            if (transfer.reason === 'undecryptable') {
+                this.addActivity(this.forSession(transfer.sessionId, `Cannot decrypt a file from ${transfer.deviceName}`), 'file');
+                return;
+            }
+            this.addActivity(`Transfer of ${transfer.name} failed its integrity check`, 'file');
+            Toast.show(`${transfer.name} arrived damaged and was discarded`, 'error');
+            this.updateFileTransferList();
+        });
     }
 
     /**
@@ -435,7 +1025,7 @@ class DistributedQRClipboardApp {
     setupQRScannerEventHandlers() {
         this.qrScanner.on('qrCodeDetected', async (data) => {
             this.closeModals();
-            await this.joinSession(data.sessionId);
+            await this.joinSession(data.sessionId, data.key);
         });
 
         this.qrScanner.on('invalidQrCode', () => {
@@ -467,6 +1057,9 @@ class DistributedQRClipboardApp {
             if (!sessionId) {
                 throw new Error('No session ID returned from server');
             }
+
+            // The key never leaves this device except in the join link and QR code
+            this.clipboardManager.setSessionKey(sessionId, generateSessionKey());
             
             // If QR code is already provided in the response, use it
             if (response.qrCodeBase64) {
@@ -485,13 +1078,24 @@ class DistributedQRClipboardApp {
     }
 
     /**
-     * Join a session
+     * Join a session, or switch to it if it is already joined
+     * @param {string} sessionId - Session to join
+     * @param {string} key - Session key from a join link, for encrypted sessions
      */
-    async joinSession(sessionId) {
+    async joinSession(sessionId, key = null) {
+        if (key) {
+            this.clipboardManager.setSessionKey(sessionId, key);
+        }
+
+        if (this.sessions.has(sessionId)) {
+            this.switchSession(sessionId);
+            return;
+        }
+
         try {
             Loading.show('Joining session...');
             
-            await this.signalRClient.joinSession(sessionId, this.deviceName);
+            await this.transport.joinSession(sessionId, this.deviceName);
             
             // Start clipboard monitoring
             this.clipboardManager.startMonitoring();
@@ -505,81 +1109,230 @@ class DistributedQRClipboardApp {
     }
 
     /**
-     * Leave current session
+     * Join the session in the page's join link (?session=...#key=...), then drop the key from the address bar
      */
-    async leaveSession() {
-        try {
-            // Stop clipboard monitoring
-            this.clipboardManager.stopMonitoring();
-            
-            await this.signalRClient.leaveSession();
-            
-        } catch (error) {
-            console.error('Failed to leave session:', error);
-            Toast.show('Failed to leave session', 'error');
+    async joinFromPageUrl() {
+        const sessionId = new URLSearchParams(window.location.search).get('session');
+        if (!sessionId || !isValidSessionId(sessionId)) {
+            return;
         }
-    }
-
-    /**
-     * Show join session modal
-     */
-    showJoinSessionModal() {
-        this.elements.joinSessionModal.classList.add('active');
-        this.elements.joinSessionInput.focus();
-    }
 
-    /**
-     * Join session from modal input
-     */
-    async joinSessionFromModal() {
-        const sessionId = this.elements.joinSessionInput.value.trim();
-        
-        if (!sessionId) {
-            Toast.show('Please enter a session ID', 'warning');
-            return;
+        const key = readKeyFromUrl(window.location.href);
+        if (key) {
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
         }
-        
-        this.closeModals();
-        await this.joinSession(sessionId);
+        await this.joinSession(sessionId, key);
     }
 
     /**
-     * Show scan QR modal
+     * Join link for a session, including its key when it is encrypted
      */
-    async showScanQRModal() {
-        this.elements.scanQRModal.classList.add('active');
-        
-        try {
-            await this.qrScanner.startScanning();
-        } catch (error) {
-            this.closeModals();
-            Toast.show('Failed to start QR scanner', 'error');
-        }
+    getJoinUrl(sessionId) {
+        return buildJoinUrl(window.location.origin, sessionId, this.clipboardManager.getSessionKey(sessionId));
     }
 
     /**
-     * Show QR code modal
+     * Leave the selected session
      */
-    async showQRCodeModal() {
+    async leaveSession() {
         if (!this.currentSession) {
-            Toast.show('Not in a session', 'warning');
             return;
         }
 
         try {
-            const qrCode = await this.apiClient.generateQrCode(this.currentSession);
-            this.elements.qrCodeContainer.innerHTML = `<img src="data:image/png;base64,${qrCode}" alt="Session QR Code">`;
-            this.elements.qrCodeModal.classList.add('active');
-            this.lastQRGenerated = new Date();
+            // Stop clipboard monitoring once no session is left to sync with
+            if (this.sessions.size <= 1) {
+                this.clipboardManager.stopMonitoring();
+            }
+            
+            await this.transport.leaveSession(this.currentSession);
             
         } catch (error) {
-            console.error('Failed to generate QR code:', error);
-            Toast.show('Failed to generate QR code', 'error');
+            console.error('Failed to leave session:', error);
+            Toast.show('Failed to leave session', 'error');
         }
     }
 
     /**
-     * Close all modals
+     * Reconcile devices and activity with what happened in a session while we were offline
+     */
+    reconcileAfterReconnect(snapshot) {
+        const offline = this.forSession(snapshot.sessionId, 'While you were offline:');
+        const connectedDevices = this.getConnectedDevices(snapshot.sessionId);
+
+        snapshot.missedUpdates.forEach(update => {
+            const time = update.timestamp.toLocaleTimeString();
+            if (update.undecryptable) {
+                this.addActivity(`${offline} ${update.deviceName} shared content this device cannot decrypt (${time})`, 'offline');
+                return;
+            }
+            if (isImageContent(update.content)) {
+                this.addActivity(`${offline} ${update.deviceName} shared an image (${time})`, 'offline', null, update.content);
+                return;
+            }
+            const preview = this.previewText(update.content, 40);
+            this.addActivity(`${offline} ${update.deviceName} shared "${preview}" (${time})`, 'offline');
+        });
+
+        // The snapshot lists the devices the server has in the session now
+        const currentDevices = new Map(snapshot.devices.map(device => [device.deviceId, device.deviceName]));
+        Array.from(connectedDevices).forEach(([deviceId, deviceName]) => {
+            if (!currentDevices.has(deviceId)) {
+                connectedDevices.delete(deviceId);
+                this.addActivity(`${offline} ${deviceName} left`, 'offline');
+            }
+        });
+        currentDevices.forEach((deviceName, deviceId) => {
+            if (!connectedDevices.has(deviceId)) {
+                connectedDevices.set(deviceId, deviceName);
+                this.addActivity(`${offline} ${deviceName} joined`, 'offline');
+            }
+        });
+
+        this.updateDeviceList();
+        this.updateSessionInfo();
+    }
+
+    /**
+     * Handle the server ending a joined session
+     */
+    handleSessionEnded(data) {
+        const reasonText = SESSION_END_REASONS[data.reason] || 'Session ended';
+        const label = this.forSession(data.sessionId, 'Session ended:');
+
+        this.removeSession(data.sessionId);
+        if (this.sessions.size === 0) {
+            this.clipboardManager.stopMonitoring();
+            this.updateMonitorButton();
+        }
+
+        this.endedSession = {
+            sessionId: data.sessionId,
+            reason: data.reason,
+            devices: data.devices
+        };
+
+        this.addActivity(`${label} ${reasonText}`, 'session', {
+            label: 'Start new session & share its link',
+            action: 'start-successor-session'
+        });
+        Toast.show(reasonText, 'warning', 'Session ended');
+    }
+
+    /**
+     * Start a new session after the previous one ended and hand on its join link for the previous devices
+     */
+    async startSuccessorSession() {
+        const previous = this.endedSession;
+        if (!previous) {
+            return;
+        }
+
+        const previousSelection = this.currentSession;
+        await this.createSession();
+        if (!this.currentSession || this.currentSession === previousSelection) {
+            return;
+        }
+
+        this.endedSession = null;
+        this.elements.activityList
+            .querySelectorAll('[data-action="start-successor-session"]')
+            .forEach(button => button.remove());
+
+        const joinUrl = this.getJoinUrl(this.currentSession);
+        const deviceNames = previous.devices.map(device => device.deviceName);
+
+        // The old session group no longer exists on the server, so nothing reaches the old devices;
+        // the join link only goes to the share sheet or this device's clipboard for the user to pass on
+        let handoff = 'Join link not shared';
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'Join my clipboard session', url: joinUrl });
+                handoff = 'Join link passed to the share sheet';
+            } else {
+                // Through the manager, so monitoring takes the link as local content rather than syncing it
+                await this.clipboardManager.writeToLocalClipboard(joinUrl);
+                handoff = 'Join link copied on this device';
+            }
+        } catch (error) {
+            console.warn('Failed to share join URL:', error);
+        }
+
+        if (deviceNames.length > 0) {
+            const names = deviceNames.join(', ');
+            this.addActivity(`${handoff}. Not invited yet: ${names}`, 'session');
+            Toast.show(`${handoff}. Send it to ${names} or show them the new QR code`, 'info', 'New session started');
+        }
+    }
+
+    /**
+     * Show join session modal
+     */
+    showJoinSessionModal() {
+        this.elements.joinSessionModal.classList.add('active');
+        this.elements.joinSessionInput.focus();
+    }
+
+    /**
+     * Join session from modal input
+     */
+    async joinSessionFromModal() {
+        const input = this.elements.joinSessionInput.value.trim();
+        
+        if (!input) {
+            Toast.show('Please enter a session ID', 'warning');
+            return;
+        }
+
+        // A pasted join link carries the session key in its fragment
+        let sessionId = input;
+        try {
+            sessionId = new URL(input).searchParams.get('session') || input;
+        } catch {
+            // Not a link, just a session ID
+        }
+        
+        this.closeModals();
+        await this.joinSession(sessionId, readKeyFromUrl(input));
+    }
+
+    /**
+     * Show scan QR modal
+     */
+    async showScanQRModal() {
+        this.elements.scanQRModal.classList.add('active');
+        
+        try {
+            await this.qrScanner.startScanning();
+        } catch (error) {
+            this.closeModals();
+            Toast.show('Failed to start QR scanner', 'error');
+        }
+    }
+
+    /**
+     * Show QR code modal
+     */
+    async showQRCodeModal() {
+        if (!this.currentSession) {
+            Toast.show('Not in a session', 'warning');
+            return;
+        }
+
+        try {
+            const qrCode = await this.apiClient.generateQrCode(this.currentSession);
+            this.elements.qrCodeContainer.innerHTML = `<img src="data:image/png;base64,${qrCode}" alt="Session QR Code">`;
+            this.elements.qrCodeModal.classList.add('active');
+            this.lastQRGenerated = new Date();
+            
+        } catch (error) {
+            console.error('Failed to generate QR code:', error);
+            Toast.show('Failed to generate QR code', 'error');
+        }
+    }
+
+    /**
+     * Close all modals
      */
     closeModals() {
         document.querySelectorAll('.modal').forEach(modal => {
@@ -596,7 +1349,7 @@ class DistributedQRClipboardApp {
      * Send clipboard content
      */
     async sendClipboardContent() {
-        const content = this.elements.clipboardContent.value.trim();
+        const content = this.panelImage || this.panelRich || this.elements.clipboardContent.value.trim();
         
         if (!content) {
             Toast.show('No content to send', 'warning');
@@ -608,9 +1361,18 @@ class DistributedQRClipboardApp {
             return;
         }
 
+        const options = this.getSendOptions();
+        if (options.targets.length > MAX_TARGETS) {
+            Toast.show(`Choose at most ${MAX_TARGETS} devices to send to`, 'warning');
+            return;
+        }
+
         try {
-            await this.clipboardManager.setClipboardContent(content);
-            this.addActivity('Sent clipboard content', 'clipboard');
+            await this.clipboardManager.setClipboardContent(content, this.currentSession, options);
+            const burn = options.burnAfterRead ? ' (burn after read)' : '';
+            const to = options.targets.length > 0 ? ` to ${this.describeTargets(options.targets)}` : '';
+            this.addActivity(this.forSession(this.currentSession, `Sent clipboard content${to}${burn}`), 'clipboard', null, null,
+                options.expiresIn ? Date.now() + options.expiresIn : null);
             
         } catch (error) {
             console.error('Failed to send clipboard:', error);
@@ -618,6 +1380,89 @@ class DistributedQRClipboardApp {
         }
     }
 
+    /**
+     * Send options chosen on the clipboard panel and device list
+     * #clipboard-expire holds seconds (empty for never); #clipboard-burn is a checkbox; targets are the
+     * devices ticked in the device list, none meaning every device
+     */
+    getSendOptions() {
+        const seconds = Number(this.elements.clipboardExpire?.value) || 0;
+        return {
+            expiresIn: seconds > 0 ? seconds * 1000 : null,
+            burnAfterRead: Boolean(this.elements.clipboardBurn?.checked),
+            targets: Array.from(this.selectedTargets)
+        };
+    }
+
+    /**
+     * Names of the devices with these IDs in the current session, e.g. "Phone and Tablet"
+     */
+    describeTargets(deviceIds) {
+        const names = new Map(this.clipboardManager.getDevicePolicies(this.currentSession)
+            .map(device => [device.deviceId, device.deviceName]));
+        const labels = deviceIds.map(deviceId => names.get(deviceId) || `Device ${deviceId.slice(0, 8)}`);
+        return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels.at(-1)}` : labels[0];
+    }
+
+    /**
+     * Say on the send button whether it sends to everyone or to the ticked devices
+     */
+    updateSendButton() {
+        const button = this.elements.clipboardSend;
+        if (!button) {
+            return;
+        }
+        button.title = this.selectedTargets.size > 0
+            ? `Send to ${this.describeTargets(Array.from(this.selectedTargets))} only`
+            : 'Send to every device in the session';
+    }
+
+    /**
+     * Clear the clipboard panel if it is showing content that was removed
+     */
+    removeFromPanel(content) {
+        const shown = this.panelImage || this.panelRich || this.elements.clipboardContent?.value;
+        if (content && shown === content) {
+            this.updateClipboardUI('');
+        }
+    }
+
+    /**
+     * Send files picked or dropped on the clipboard panel to the current session
+     * @param {FileList} files - Files to send
+     */
+    async sendFiles(files) {
+        if (!files?.length) {
+            return;
+        }
+        if (!this.currentSession) {
+            Toast.show('Not in a session', 'warning');
+            return;
+        }
+        if (!this.clipboardManager.getSupport().fileTransfer) {
+            Toast.show('Files can only be sent over a real-time connection', 'warning');
+            return;
+        }
+
+        for (const file of Array.from(files)) {
+            try {
+                this.addActivity(this.forSession(this.currentSession, `Sending ${file.name} (${formatFileSize(file.size)})`), 'file');
+                await this.clipboardManager.sendFile(file, this.currentSession);
+            } catch (error) {
+                console.error('Failed to send file:', error);
+                Toast.show(`Cannot send ${file.name}: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Forget finished file transfers and release their download links
+     */
+    clearFinishedFileTransfers() {
+        this.clipboardManager.clearFinishedFileTransfers();
+        this.updateFileTransferList();
+    }
+
     /**
      * Clear clipboard content
      */
@@ -625,6 +1470,8 @@ class DistributedQRClipboardApp {
         try {
             await this.clipboardManager.clearClipboard();
             this.elements.clipboardContent.value = '';
+            this.showPanelImage(null);
+            this.showPanelRich(null);
             this.addActivity('Cleared clipboard', 'clipboard');
             Toast.show('Clipboard cleared', 'info');
             
@@ -655,15 +1502,78 @@ class DistributedQRClipboardApp {
     toggleClipboardMonitoring() {
         if (this.clipboardManager.isMonitoringActive()) {
             this.clipboardManager.stopMonitoring();
-            this.elements.clipboardMonitor.textContent = 'Start Monitoring';
-            this.elements.clipboardMonitor.classList.remove('active');
             Toast.show('Clipboard monitoring stopped', 'info');
+        } else if (!sendsAutomatically(this.clipboardManager.getSyncPolicy())) {
+            Toast.show(`The ${SYNC_POLICY_LABELS[this.clipboardManager.getSyncPolicy()].toLowerCase()} sync policy does not send copies automatically`, 'warning');
         } else {
             this.clipboardManager.startMonitoring();
-            this.elements.clipboardMonitor.textContent = 'Stop Monitoring';
-            this.elements.clipboardMonitor.classList.add('active');
             Toast.show('Clipboard monitoring started', 'success');
         }
+        this.updateMonitorButton();
+    }
+
+    updateMonitorButton() {
+        const button = this.elements.clipboardMonitor;
+        if (!button) {
+            return;
+        }
+        const active = this.clipboardManager.isMonitoringActive();
+        button.textContent = active ? 'Stop Monitoring' : 'Start Monitoring';
+        button.classList.toggle('active', active);
+    }
+
+    /**
+     * Fill the optional #sync-policy select with the policies and select this device's one
+     */
+    updateSyncPolicy() {
+        const select = this.elements.syncPolicy;
+        if (!select) {
+            return;
+        }
+        const current = this.clipboardManager.getSyncPolicy();
+        select.innerHTML = Object.entries(SYNC_POLICY_LABELS).map(([policy, label]) =>
+            `<option value="${policy}"${policy === current ? ' selected' : ''}>${escapeHtml(label)}</option>`
+        ).join('');
+    }
+
+    /**
+     * List received clips waiting to be copied (manual policy) in the optional #held-updates element
+     */
+    updateHeldUpdates(held = this.clipboardManager.getHeldUpdates()) {
+        if (!this.elements.heldUpdates) {
+            return;
+        }
+
+        this.elements.heldUpdates.innerHTML = held.map(update => {
+            const sessionId = escapeHtml(update.sessionId);
+            const preview = isImageContent(update.content)
+                ? describeImageContent(update.content)
+                : this.previewText(update.content, 60);
+            return `<div class="held-update">
+                <span class="held-update-preview">${escapeHtml(preview)}</span>
+                <span class="held-update-source">${escapeHtml(this.forSession(update.sessionId, update.deviceName))}</span>
+                <button class="btn btn-primary" data-action="take-held-update" data-session-id="${sessionId}">Copy</button>
+                <button class="btn btn-secondary" data-action="discard-held-update" data-session-id="${sessionId}">Dismiss</button>
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * Show what monitoring is actually doing in the optional #clipboard-monitor-state element:
+     * watching, backed off, paused while hidden or unfocused, or blocked
+     */
+    updateMonitoringState(state) {
+        const text = describeMonitoringState(state);
+        if (this.elements.clipboardMonitor) {
+            this.elements.clipboardMonitor.title = text;
+        }
+
+        const element = this.elements.clipboardMonitorState;
+        if (!element) {
+            return;
+        }
+        element.className = `monitor-state ${state.state}`;
+        element.textContent = text;
     }
 
     /**
@@ -682,25 +1592,177 @@ class DistributedQRClipboardApp {
      * Update connection status UI
      */
     updateConnectionStatus(state = null) {
-        const currentState = state || this.signalRClient?.getConnectionState() || 'Disconnected';
+        const currentState = state || this.transport?.getConnectionState() || 'Idle';
         
         console.log('Updating connection status to:', currentState);
         
         this.elements.connectionStatus.className = `connection-status ${currentState.toLowerCase()}`;
         this.elements.connectionText.textContent = currentState;
         
-        if (currentState === 'Disconnected') {
-            this.elements.retryConnection.style.display = 'inline-block';
-        } else {
-            this.elements.retryConnection.style.display = 'none';
+        // While polling, retrying tries to get the real-time connection back
+        const canRetry = ['Backoff', 'Failed', 'Stopped', 'Polling'].includes(currentState);
+        this.elements.retryConnection.style.display = canRetry ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Update the connection health indicator and its detail popover
+     */
+    updateHealthIndicator(health) {
+        if (!this.elements.healthIndicator) {
+            return;
         }
-        
-        // Force update to Connected if SignalR reports connected
-        if (this.signalRClient && this.signalRClient.isConnected && this.signalRClient.isConnected()) {
-            console.log('SignalR reports connected, updating UI to Connected');
-            this.elements.connectionStatus.className = 'connection-status connected';
-            this.elements.connectionText.textContent = 'Connected';
-            this.elements.retryConnection.style.display = 'none';
+
+        const labels = { good: 'Good', degraded: 'Slow', bad: 'Broken' };
+        this.elements.healthIndicator.className = `health-indicator ${health.level}`;
+        this.elements.healthIndicator.textContent = labels[health.level];
+        this.elements.healthIndicator.title = health.reasons[0] || 'Connection is healthy';
+
+        if (!this.elements.healthPopover) {
+            return;
+        }
+
+        const { link } = health;
+        const ms = (value) => value === null ? 'n/a' : `${Math.round(value)} ms`;
+        const details = [
+            ['Transport', health.transportType === 'polling' ? 'REST polling' : 'Real-time (SignalR)'],
+            ['State', health.connectionState],
+            ['Round trip', ms(link.rtt)],
+            ['Jitter', ms(link.jitter)],
+            ['Failed messages', `${link.failedDeliveries} of ${link.deliveryCount}`],
+            ['Server requests', health.httpStatus],
+            ['Last measured', link.measuredAt ? link.measuredAt.toLocaleTimeString() : 'n/a']
+        ];
+
+        this.elements.healthPopover.innerHTML = `
+            <dl class="health-details">
+                ${details.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(String(value))}</dd>`).join('')}
+            </dl>
+            ${health.reasons.length
+                ? `<ul class="health-reasons">${health.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>`
+                : ''}
+        `;
+    }
+
+    /**
+     * Show or hide the connection health details
+     */
+    toggleHealthPopover() {
+        if (!this.elements.healthPopover) {
+            return;
+        }
+
+        const isHidden = this.elements.healthPopover.hidden;
+        if (isHidden) {
+            this.updateHealthIndicator(this.healthMonitor.update());
+        }
+        this.elements.healthPopover.hidden = !isHidden;
+    }
+
+    /**
+     * Select the session shown in the UI and targeted by manual sends
+     */
+    switchSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return;
+        }
+
+        const changed = sessionId !== this.currentSession;
+        this.currentSession = sessionId;
+        session.unread = 0;
+
+        if (changed) {
+            this.selectedTargets.clear();
+            this.updateSessionInfo();
+            this.updateDeviceList();
+            this.updateClipboardUI(this.clipboardManager.getSessionContent(sessionId)?.content || '');
+        }
+        this.renderSessions();
+    }
+
+    /**
+     * Forget a session that was left or ended, selecting another joined session if it was selected
+     */
+    removeSession(sessionId) {
+        this.sessions.delete(sessionId);
+
+        if (this.currentSession === sessionId) {
+            this.currentSession = null;
+            const [nextSessionId] = this.sessions.keys();
+            if (nextSessionId) {
+                this.switchSession(nextSessionId);
+            } else {
+                this.selectedTargets.clear();
+                this.updateSessionInfo();
+                this.updateDeviceList();
+            }
+        }
+        this.renderSessions();
+    }
+
+    /**
+     * Get the device names connected to a session
+     */
+    getConnectedDevices(sessionId = this.currentSession) {
+        return this.sessions.get(sessionId)?.connectedDevices || new Map();
+    }
+
+    /**
+     * Prefix a message with its session when more than one session is joined
+     */
+    forSession(sessionId, message) {
+        return this.sessions.size > 1 && sessionId ? `[${sessionId.slice(0, 8)}] ${message}` : message;
+    }
+
+    /**
+     * Render the session switcher and per-session clipboard panes
+     */
+    renderSessions() {
+        const sessionIds = Array.from(this.sessions.keys());
+
+        if (this.elements.sessionSwitcher) {
+            this.elements.sessionSwitcher.innerHTML = sessionIds.map(sessionId => {
+                const session = this.sessions.get(sessionId);
+                const active = sessionId === this.currentSession ? ' active' : '';
+                const unread = session.unread ? `<span class="session-unread">${session.unread}</span>` : '';
+                return `<button class="session-tab${active}" data-action="switch-session" data-session-id="${escapeHtml(sessionId)}"
+                    title="${escapeHtml(sessionId)}">${escapeHtml(sessionId.slice(0, 8))} (${session.connectedDevices.size})${unread}</button>`;
+            }).join('');
+        }
+
+        if (this.elements.sessionPanes) {
+            this.elements.sessionPanes.innerHTML = sessionIds.map(sessionId => {
+                const session = this.sessions.get(sessionId);
+                const latest = this.clipboardManager.getSessionContent(sessionId);
+                const active = sessionId === this.currentSession ? ' active' : '';
+                const autoSend = this.clipboardManager.isAutoSendEnabled(sessionId) ? 'checked' : '';
+                const isImage = latest && isImageContent(latest.content);
+                const preview = latest?.undecryptable
+                    ? 'Cannot decrypt: open this session\'s QR code or join link on this device'
+                    : latest && !isImage ? this.previewText(latest.content, 120) : '';
+                const encryption = {
+                    encrypted: '<span class="session-pane-encryption encrypted">End-to-end encrypted</span>',
+                    locked: '<span class="session-pane-encryption locked">No key</span>'
+                }[this.clipboardManager.getEncryptionState(sessionId)] || '';
+                const source = latest
+                    ? `${latest.isFromOtherDevice ? `From ${latest.deviceName}` : 'Sent from this device'} at ${latest.timestamp.toLocaleTimeString()}`
+                    : 'Nothing shared yet';
+                return `<div class="session-pane${active}">
+                    <div class="session-pane-header">
+                        <button class="session-pane-title" data-action="switch-session" data-session-id="${escapeHtml(sessionId)}">${escapeHtml(sessionId.slice(0, 8))}</button>
+                        <span class="session-pane-devices">${session.connectedDevices.size} other device(s)</span>
+                        ${encryption}
+                    </div>
+                    ${isImage
+                        ? `<img class="session-pane-image" src="${escapeHtml(latest.content)}" alt="${escapeHtml(describeImageContent(latest.content))}">`
+                        : `<pre class="session-pane-content">${escapeHtml(preview)}</pre>`}
+                    <div class="session-pane-footer">
+                        <span class="session-pane-source">${escapeHtml(source)}</span>
+                        <label><input type="checkbox" class="auto-send-toggle" data-session-id="${escapeHtml(sessionId)}" ${autoSend}> Auto-send local changes</label>
+                    </div>
+                    ${this.renderTransformToggles(sessionId)}
+                </div>`;
+            }).join('');
         }
     }
 
@@ -712,7 +1774,7 @@ class DistributedQRClipboardApp {
         
         if (this.currentSession) {
             this.elements.sessionId.textContent = this.currentSession;
-            this.elements.connectedDevicesCount.textContent = this.connectedDevices.size;
+            this.elements.connectedDevicesCount.textContent = this.getConnectedDevices().size;
             
             // Show session controls
             document.querySelectorAll('.session-active').forEach(el => el.style.display = 'block');
@@ -746,21 +1808,34 @@ class DistributedQRClipboardApp {
         console.log('Generating QR code for session:', this.currentSession);
 
         try {
-            let qrCode = this.preloadedQRCode;
-            
-            // If no preloaded QR code, fetch it from the API
-            if (!qrCode) {
-                console.log('No preloaded QR code, fetching from API...');
-                qrCode = await this.apiClient.generateQrCode(this.currentSession);
+            const joinUrl = this.getJoinUrl(this.currentSession);
+            const hasKey = !!this.clipboardManager.getSessionKey(this.currentSession);
+            let qrSource;
+
+            if (hasKey && typeof QRCode !== 'undefined') {
+                // The server's QR code cannot contain the key, so encrypted sessions draw theirs here
+                qrSource = await QRCode.toDataURL(joinUrl, { width: 256, margin: 1 });
+                this.preloadedQRCode = null;
             } else {
-                console.log('Using preloaded QR code');
-                this.preloadedQRCode = null; // Clear it after use
+                let qrCode = this.preloadedQRCode;
+                
+                // If no preloaded QR code, fetch it from the API
+                if (!qrCode) {
+                    console.log('No preloaded QR code, fetching from API...');
+                    qrCode = await this.apiClient.generateQrCode(this.currentSession);
+                } else {
+                    console.log('Using preloaded QR code');
+                    this.preloadedQRCode = null; // Clear it after use
+                }
+                qrSource = `data:image/png;base64,${qrCode}`;
+
+                if (hasKey) {
+                    this.addActivity('The QR code does not include the encryption key; share the join link instead', 'info');
+                }
             }
             
-            const joinUrl = `${window.location.origin}?session=${this.currentSession}`;
-            
             // Update QR code image
-            this.elements.qrCodeContainer.innerHTML = `<img src="data:image/png;base64,${qrCode}" alt="Session QR Code" style="max-width: 100%; height: auto;">`;
+            this.elements.qrCodeContainer.innerHTML = `<img src="${escapeHtml(qrSource)}" alt="Session QR Code" style="max-width: 100%; height: auto;">`;
             console.log('QR code image updated');
             
             // Update join URL
@@ -838,36 +1913,480 @@ class DistributedQRClipboardApp {
      * Update clipboard UI
      */
     updateClipboardUI(content) {
-        this.elements.clipboardContent.value = content;
+        if (isImageContent(content)) {
+            this.elements.clipboardContent.value = '';
+            this.showPanelImage(content);
+            this.showPanelRich(null);
+            this.updateSizeMeter();
+            this.updateSmartActions();
+            return;
+        }
+
+        const rich = parseRichContent(content);
+        this.showPanelImage(null);
+        this.showPanelRich(rich ? content : null);
+        this.elements.clipboardContent.value = rich ? rich.text : content;
         
         // Auto-resize textarea
         this.elements.clipboardContent.style.height = 'auto';
         this.elements.clipboardContent.style.height = this.elements.clipboardContent.scrollHeight + 'px';
+        this.updateSizeMeter();
+        this.updateSmartActions();
+    }
+
+    /**
+     * Offer actions for what the panel shows (open a link, copy a code's digits, ...) in the optional
+     * #clipboard-smart-actions element
+     */
+    updateSmartActions() {
+        const element = this.elements.clipboardSmartActions;
+        if (!element || !this.clipboardManager) {
+            return;
+        }
+        const content = this.panelImage ? null : this.panelRich || this.elements.clipboardContent.value;
+        element.innerHTML = this.renderSmartActions(this.clipboardManager.classifyContent(content));
+    }
+
+    /**
+     * Buttons for the actions of detected content types, and a swatch for a colour
+     * @returns {string} HTML, empty when nothing was detected that has an action
+     */
+    renderSmartActions(contentTypes) {
+        const swatches = contentTypes
+            .filter(detected => detected.type === ContentType.Color)
+            .map(detected => `<span class="color-swatch" style="background-color: ${escapeHtml(detected.value)}"
+                title="${escapeHtml(detected.value)}"></span>`);
+        // Values come from remote content, so buttons refer to them by ID rather than carrying them in an attribute
+        const buttons = smartActionsFor(contentTypes).map(action => {
+            const id = String(this.nextSmartActionId++);
+            this.smartActions.set(id, { smart: action.smart, value: action.value });
+            if (this.smartActions.size > MAX_SMART_ACTIONS) {
+                this.smartActions.delete(this.smartActions.keys().next().value);
+            }
+            return `<button class="btn btn-secondary" data-action="smart-action" data-smart-action-id="${id}">${escapeHtml(action.label)}</button>`;
+        });
+        const items = [...swatches, ...buttons];
+        return items.length > 0 ? `<div class="smart-actions">${items.join('')}</div>` : '';
+    }
+
+    /**
+     * Put back the local clipboard content a received update replaced (and roll back any overwrites since)
+     */
+    async undoOverwrite(restoreId) {
+        const restored = await this.clipboardManager.undoOverwrite(restoreId);
+        if (!restored) {
+            Toast.show('Nothing to undo', 'warning');
+            return;
+        }
+        this.updateClipboardUI(restored.content);
+        this.addActivity(this.forSession(restored.sessionId, `Restored the clipboard from before ${restored.deviceName}'s update`), 'clipboard');
+        Toast.show('Clipboard restored', 'success');
+    }
+
+    /**
+     * Carry out a smart action: open a link (or mailto:, tel:, sms: URL), copy a value, or show it in the panel
+     * @param {Object} action - { smart, value } remembered by renderSmartActions
+     */
+    async runSmartAction(action) {
+        if (!action) {
+            return;
+        }
+        const { smart, value } = action;
+        switch (smart) {
+            case 'open':
+                if (/^https?:/i.test(value)) {
+                    window.open(value, '_blank', 'noopener');
+                } else {
+                    window.location.href = value;
+                }
+                break;
+            case 'copy':
+                await this.clipboardManager.writeToLocalClipboard(value);
+                Toast.show('Copied to clipboard', 'success');
+                break;
+            case 'show':
+                this.updateClipboardUI(value);
+                break;
+        }
+    }
+
+    /**
+     * Show how the panel's text would travel against the effective limit: its length, the compressed length and
+     * number of parts once it no longer fits one update, and whether it can be sent at all.
+     * Renders into the optional #clipboard-size-meter element; images are fitted to the limit when read, so it is
+     * hidden for them.
+     */
+    async updateSizeMeter() {
+        const meter = this.elements.clipboardSizeMeter;
+        if (!meter || !this.clipboardManager) {
+            return;
+        }
+
+        const content = this.panelRich || this.elements.clipboardContent.value;
+        const run = ++this.sizeMeterRun;
+        meter.classList.add('size-meter');
+        meter.hidden = Boolean(this.panelImage) || !content;
+        if (meter.hidden) {
+            return;
+        }
+
+        const size = await this.clipboardManager.measureContent(content);
+        if (run !== this.sizeMeterRun) {
+            return;
+        }
+
+        const details = [formatFileSize(size.length)];
+        if (size.compressed) {
+            details.push(`${formatFileSize(size.packedLength)} compressed`);
+        }
+        if (size.frames > 1) {
+            details.push(`${size.frames} parts`);
+        }
+        details.push(`limit ${formatFileSize(size.capacity)}`);
+
+        meter.classList.toggle('over', !size.fits);
+        meter.innerHTML = `
+            <progress class="size-meter-bar" max="1" value="${Math.min(1, size.packedLength / size.capacity)}"></progress>
+            <span class="size-meter-text">${escapeHtml(details.join(' · '))}${size.fits ? '' : ' (too large to send)'}</span>
+        `;
+    }
+
+    /**
+     * Show an image in the clipboard panel, or remove it when content is null
+     * Renders into the optional #clipboard-image-preview element, with a save link for
+     * browsers that cannot put images on the clipboard
+     */
+    showPanelImage(content) {
+        this.panelImage = content;
+        const preview = this.elements.clipboardImagePreview;
+        if (!preview) {
+            return;
+        }
+
+        preview.classList.add('clipboard-image-preview');
+        preview.hidden = !content;
+        preview.innerHTML = content
+            ? `<img class="clipboard-image" src="${escapeHtml(content)}" alt="Shared clipboard image">
+               <div class="clipboard-image-footer">
+                   <span class="clipboard-image-info">${escapeHtml(describeImageContent(content))}</span>
+                   <a class="btn btn-secondary" href="${escapeHtml(content)}" download="clipboard-image">Save image</a>
+               </div>`
+            : '';
+    }
+
+    /**
+     * Show the sanitized rendering of formatted content next to the textarea, or remove it when content is null
+     * Renders into the optional #clipboard-rich-preview element as DOM nodes built by rich-text.js
+     */
+    showPanelRich(content) {
+        this.panelRich = content;
+        const preview = this.elements.clipboardRichPreview;
+        if (!preview) {
+            return;
+        }
+
+        preview.classList.add('clipboard-rich-preview');
+        preview.hidden = !content;
+        preview.replaceChildren(content ? renderSanitizedHtml(parseRichContent(content).html) : '');
+    }
+
+    /**
+     * Checkboxes for the session's content transforms, each with the stage it runs at
+     */
+    renderTransformToggles(sessionId) {
+        const toggles = this.clipboardManager.transforms.getTransforms(sessionId).map(transform =>
+            `<label class="transform-toggle-label">
+                <input type="checkbox" class="transform-toggle" data-session-id="${escapeHtml(sessionId)}"
+                    data-transform-id="${escapeHtml(transform.id)}" ${transform.enabled ? 'checked' : ''}>
+                ${escapeHtml(transform.label)}
+                <span class="transform-stage">${transform.stage === TransformStage.BeforeSend ? 'before sending' : 'on receipt'}</span>
+            </label>`
+        ).join('');
+        return toggles
+            ? `<details class="session-pane-transforms"><summary>Content transforms</summary>${toggles}</details>`
+            : '';
     }
 
     /**
      * Update device list UI
      */
     updateDeviceList() {
-        const deviceListHtml = Array.from(this.connectedDevices).map(device => 
-            `<div class="device-item">
+        // Devices are listed by name; those that announced a sync policy are known by ID too, and can be sent to alone
+        const policies = new Map(this.clipboardManager.getDevicePolicies(this.currentSession)
+            .map(device => [device.deviceName, device]));
+        const listedIds = new Set();
+        const deviceListHtml = Array.from(this.getConnectedDevices().values()).map(device => {
+            const known = policies.get(device);
+            const policyHtml = known
+                ? `<span class="device-policy ${known.syncPolicy}">${escapeHtml(SYNC_POLICY_LABELS[known.syncPolicy])}</span>`
+                : '';
+            if (known) {
+                listedIds.add(known.deviceId);
+            }
+            const targetHtml = known
+                ? `<input type="checkbox" class="device-target" data-device-id="${escapeHtml(known.deviceId)}"
+                    title="Send only to this device" aria-label="Send only to ${escapeHtml(device)}"
+                    ${this.selectedTargets.has(known.deviceId) ? 'checked' : ''}>`
+                : '';
+            return `<div class="device-item">
+                ${targetHtml}
                 <span class="device-name">${escapeHtml(device)}</span>
+                ${policyHtml}
                 <span class="device-status online">Online</span>
-            </div>`
-        ).join('');
+            </div>`;
+        }).join('');
         
         this.elements.deviceList.innerHTML = deviceListHtml || '<div class="no-devices">No other devices connected</div>';
+
+        // Devices that left are no longer sent to
+        this.selectedTargets.forEach(deviceId => !listedIds.has(deviceId) && this.selectedTargets.delete(deviceId));
+        this.updateSendButton();
+    }
+
+    /**
+     * Show targeted sends and where each has arrived in the optional #delivery-list element
+     */
+    updateDeliveryList() {
+        if (!this.elements.deliveryList) {
+            return;
+        }
+
+        this.elements.deliveryList.innerHTML = this.clipboardManager.getDeliveries().slice(0, 10).map(delivery => {
+            const preview = isImageContent(delivery.content)
+                ? describeImageContent(delivery.content)
+                : this.previewText(delivery.content, 40);
+            const recipients = delivery.recipients.map(recipient => {
+                const name = recipient.deviceName || `Device ${recipient.deviceId.slice(0, 8)}`;
+                return `<span class="delivery-recipient ${recipient.status}">
+                    ${escapeHtml(name)}: ${DELIVERY_STATUS_LABELS[recipient.status]}
+                </span>`;
+            }).join('');
+            return `<div class="delivery-item">
+                <span class="delivery-preview">${escapeHtml(this.forSession(delivery.sessionId, preview))}</span>
+                ${recipients}
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * Update outbox list UI with per-item queued/sent state
+     */
+    updateOutboxList(items = this.clipboardManager.getOutboxItems()) {
+        if (!this.elements.outboxList) {
+            return;
+        }
+
+        this.elements.outboxList.innerHTML = items.map(item => {
+            const preview = isImageContent(item.content)
+                ? describeImageContent(item.content)
+                : this.previewText(item.content, 60);
+            return `<div class="outbox-item ${item.status}">
+                <span class="outbox-preview">${escapeHtml(preview)}</span>
+                <span class="outbox-time">${new Date(item.queuedAt).toLocaleTimeString()}</span>
+                <span class="outbox-status">${escapeHtml(item.status)}</span>
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * Plain text of content for display, shortened, with what mask and block rules find masked
+     */
+    previewText(content, maxLength) {
+        const text = this.clipboardManager.detector.mask(contentToText(content));
+        return text.length > maxLength ? `${text.slice(0, maxLength)}...` : text;
+    }
+
+    /**
+     * Render the sensitive content rules with a choice of action for each
+     */
+    updateSensitiveRules() {
+        if (!this.elements.sensitiveRules) {
+            return;
+        }
+
+        this.elements.sensitiveRules.innerHTML = this.clipboardManager.detector.getRules().map(rule => {
+            const options = Object.entries(SENSITIVE_ACTION_LABELS).map(([action, label]) =>
+                `<option value="${action}"${action === rule.action ? ' selected' : ''}>${escapeHtml(label)}</option>`
+            ).join('');
+            return `<label class="sensitive-rule">
+                <span class="sensitive-rule-label">${escapeHtml(rule.label)}</span>
+                <select class="sensitive-rule-action" data-rule-id="${escapeHtml(rule.id)}">${options}</select>
+            </label>`;
+        }).join('');
+    }
+
+    /**
+     * Filters chosen in the history panel, in ClipboardHistory.search form
+     */
+    getHistoryFilters() {
+        const { historySearch, historyDeviceFilter, historySessionFilter, historyDateFilter, historyPinnedOnly } = this.elements;
+        const device = historyDeviceFilter?.value || '';
+        const range = HISTORY_DATE_RANGES[historyDateFilter?.value];
+        return {
+            query: historySearch?.value || '',
+            // "This device" finds what this device sent; other choices are names of devices items came from
+            direction: device === 'self' ? 'sent' : undefined,
+            deviceName: device && device !== 'self' ? device : undefined,
+            sessionId: historySessionFilter?.value || undefined,
+            from: range ? Date.now() - range : undefined,
+            pinned: historyPinnedOnly?.checked || false
+        };
+    }
+
+    /**
+     * Refill a filter dropdown, keeping its selection when that choice is still there
+     */
+    fillHistoryFilter(select, allLabel, options) {
+        if (!select) {
+            return;
+        }
+        const selected = select.value;
+        select.innerHTML = [`<option value="">${escapeHtml(allLabel)}</option>`]
+            .concat(options.map(({ value, label }) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`))
+            .join('');
+        select.value = options.some(option => option.value === selected) ? selected : '';
+    }
+
+    /**
+     * Update the local history panel: filter choices, then the entries matching them
+     */
+    updateHistoryList() {
+        if (!this.elements.historyList || !this.clipboardManager) {
+            return;
+        }
+
+        const { devices, sessions } = this.clipboardManager.getHistoryFacets();
+        this.fillHistoryFilter(this.elements.historyDeviceFilter, 'All devices',
+            [{ value: 'self', label: 'This device' }, ...devices.map(name => ({ value: name, label: name }))]);
+        this.fillHistoryFilter(this.elements.historySessionFilter, 'All sessions',
+            sessions.map(sessionId => ({ value: sessionId, label: sessionId.slice(0, 8) })));
+
+        const entries = this.clipboardManager.searchHistory(this.getHistoryFilters());
+        const items = entries.map(entry => {
+            const id = escapeHtml(entry.id);
+            const previewHtml = entry.type === 'image'
+                ? `<img class="history-thumbnail" src="${escapeHtml(entry.content)}" alt="">`
+                : `<span class="history-preview">${escapeHtml(this.previewText(entry.content, 80))}</span>`;
+            const origin = entry.direction === 'sent' ? 'Sent from this device' : `From ${entry.deviceName || 'another device'}`;
+            return `<div class="history-item ${entry.direction}${entry.pinned ? ' pinned' : ''}">
+                ${previewHtml}
+                <span class="history-info">${escapeHtml(origin)} · ${escapeHtml(entry.sessionId.slice(0, 8))} · ${new Date(entry.timestamp).toLocaleString()}</span>
+                <span class="history-actions">
+                    <button class="btn btn-secondary" data-action="history-pin" data-entry-id="${id}" data-pinned="${entry.pinned}">${entry.pinned ? 'Unpin' : 'Pin'}</button>
+                    <button class="btn btn-secondary" data-action="history-resend" data-entry-id="${id}"
+                        ${entry.redacted ? 'disabled title="Only a masked copy was kept, so it cannot be sent again"' : ''}>Send again</button>
+                    <button class="btn btn-secondary" data-action="history-delete" data-entry-id="${id}">Delete</button>
+                </span>
+            </div>`;
+        });
+
+        this.elements.historyList.innerHTML = items.length
+            ? items.join('') + '<button class="btn btn-secondary" data-action="history-clear">Clear history</button>'
+            : '<div class="no-history">No clipboard history</div>';
+    }
+
+    /**
+     * Send a history entry to the current session
+     */
+    async resendHistoryEntry(entryId) {
+        if (!this.currentSession) {
+            Toast.show('Join a session to send this item', 'warning');
+            return;
+        }
+
+        await this.clipboardManager.resendHistoryEntry(entryId, this.currentSession);
+        Toast.show('Sent to the session', 'success');
+    }
+
+    /**
+     * Update the file transfer list with progress, cancel buttons and download links for received files
+     */
+    updateFileTransferList() {
+        const list = this.elements.fileTransferList;
+        if (!list) {
+            return;
+        }
+
+        const transfers = this.clipboardManager.getFileTransfers();
+        const active = ['sending', 'paused', 'receiving'];
+
+        // Object URLs live until their transfer is cleared from the list
+        const ids = new Set(transfers.map(transfer => transfer.id));
+        this.fileDownloadUrls.forEach((url, id) => {
+            if (!ids.has(id)) {
+                URL.revokeObjectURL(url);
+                this.fileDownloadUrls.delete(id);
+            }
+        });
+
+        const items = transfers.map(transfer => {
+            if (transfer.blob && !this.fileDownloadUrls.has(transfer.id)) {
+                this.fileDownloadUrls.set(transfer.id, URL.createObjectURL(transfer.blob));
+            }
+            const direction = transfer.direction === 'incoming' ? `from ${transfer.deviceName}` : 'to session';
+            const actionHtml = active.includes(transfer.status)
+                ? `<button class="btn btn-secondary" data-action="cancel-file-transfer" data-transfer-id="${escapeHtml(transfer.id)}">Cancel</button>`
+                : '';
+            return `<div class="file-transfer-item ${transfer.status}" data-transfer-id="${escapeHtml(transfer.id)}">
+                <span class="file-transfer-name">${escapeHtml(transfer.name)}</span>
+                <span class="file-transfer-info">${escapeHtml(formatFileSize(transfer.size))} ${escapeHtml(direction)}</span>
+                <progress class="file-transfer-progress" max="1" value="${transfer.progress}"></progress>
+                <span class="file-transfer-status">${escapeHtml(transfer.status)}</span>
+                ${actionHtml}
+            </div>`;
+        });
+
+        const hasFinished = transfers.some(transfer => !active.includes(transfer.status) && transfer.status !== 'sent');
+        list.innerHTML = items.join('') + (hasFinished
+            ? '<button class="btn btn-secondary" data-action="clear-file-transfers">Clear finished</button>'
+            : '');
+
+        // Download links are built as elements: the file name comes from the sending device
+        list.querySelectorAll('.file-transfer-item').forEach(item => {
+            const transfer = transfers.find(candidate => candidate.id === item.dataset.transferId);
+            const url = this.fileDownloadUrls.get(transfer?.id);
+            if (!url || active.includes(transfer.status)) {
+                return;
+            }
+            const link = document.createElement('a');
+            link.className = 'btn btn-secondary';
+            link.href = url;
+            link.download = sanitizeFileName(transfer.name);
+            link.textContent = 'Download';
+            item.appendChild(link);
+        });
     }
 
     /**
      * Add activity to the activity list
+     * @param {string} message - Activity text
+     * @param {string} type - Activity type (session, device, clipboard, info)
+     * @param {Object} action - Optional { label, action, data } button dispatched through handleClick;
+     *                          data becomes data-* attributes, e.g. { restoreId } as data-restore-id
+     * @param {string} image - Optional image data URL shown as a thumbnail
+     * @param {number} expiresAt - Optional expiry time (ms) of a self-destructing clip, shown as a countdown
      */
-    addActivity(message, type = 'info') {
+    addActivity(message, type = 'info', action = null, image = null, expiresAt = null) {
         const timestamp = new Date().toLocaleTimeString();
+        const dataAttributes = Object.entries(action?.data || {})
+            .map(([key, value]) => ` data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}="${escapeHtml(value)}"`)
+            .join('');
+        const actionHtml = action
+            ? `<button class="btn btn-secondary activity-action" data-action="${escapeHtml(action.action)}"${dataAttributes}>${escapeHtml(action.label)}</button>`
+            : '';
+        const thumbnailHtml = isImageContent(image)
+            ? `<img class="activity-thumbnail" src="${escapeHtml(image)}" alt="">`
+            : '';
+        const countdownHtml = expiresAt
+            ? `<span class="activity-countdown" data-expires-at="${expiresAt}">${formatCountdown(expiresAt - Date.now())}</span>`
+            : '';
         const activityHtml = `
             <div class="activity-item ${type}">
                 <span class="activity-time">${timestamp}</span>
                 <span class="activity-message">${escapeHtml(message)}</span>
+                ${thumbnailHtml}
+                ${countdownHtml}
+                ${actionHtml}
             </div>
         `;
         
@@ -880,6 +2399,20 @@ class DistributedQRClipboardApp {
         }
     }
 
+    /**
+     * Tick the countdowns of self-destructing clips in the activity list
+     */
+    updateActivityCountdowns() {
+        this.elements.activityList?.querySelectorAll('.activity-countdown[data-expires-at]').forEach(countdown => {
+            const remaining = Number(countdown.dataset.expiresAt) - Date.now();
+            countdown.textContent = formatCountdown(remaining);
+            if (remaining <= 0) {
+                countdown.removeAttribute('data-expires-at');
+                countdown.classList.add('expired');
+            }
+        });
+    }
+
     /**
      * Check clipboard support and show warnings
      */
@@ -892,6 +2425,8 @@ class DistributedQRClipboardApp {
                 : `Clipboard ${!support.read ? 'read' : 'write'} not supported`;
                 
             Toast.show(message, 'warning');
+        } else if (!support.imageWrite) {
+            this.addActivity('Images and formatted text are shown here but only plain text can be copied in this browser', 'info');
         }
     }
 
@@ -924,6 +2459,9 @@ class DistributedQRClipboardApp {
      * Cleanup resources
      */
     cleanup() {
+        this.fileDownloadUrls.forEach(url => URL.revokeObjectURL(url));
+        this.fileDownloadUrls.clear();
+
         if (this.clipboardManager) {
             this.clipboardManager.cleanup();
         }
@@ -932,8 +2470,8 @@ class DistributedQRClipboardApp {
             this.qrScanner.cleanup();
         }
         
-        if (this.signalRClient) {
-            this.signalRClient.stop();
+        if (this.transport) {
+            this.transport.stop();
         }
         
         console.log('Application cleaned up');
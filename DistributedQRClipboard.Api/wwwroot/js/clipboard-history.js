@@ -0,0 +1,305 @@
+/**
+ * Local clipboard history
+ * Keeps every item this device sent or received, across sessions and reloads, in IndexedDB (or in memory
+ * where IndexedDB is unavailable). Unlike the server's per-session history it outlives the session.
+ */
+
+import { EventEmitter, generateUUID } from './utils.js';
+import { isImageContent, describeImageContent } from './clipboard-image.js';
+import { isRichContent, contentToText } from './rich-text.js';
+
+const DB_NAME = 'distributedQRClipboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'clipboardHistory';
+
+const HistoryDirection = Object.freeze({
+    Sent: 'sent',
+    Received: 'received'
+});
+
+const HistoryItemType = Object.freeze({
+    Text: 'text',
+    Rich: 'rich',
+    Image: 'image'
+});
+
+function historyItemType(content) {
+    if (isImageContent(content)) {
+        return HistoryItemType.Image;
+    }
+    return isRichContent(content) ? HistoryItemType.Rich : HistoryItemType.Text;
+}
+
+/**
+ * Resolve an IndexedDB request as a promise
+ */
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * History entries in an IndexedDB object store keyed by entry ID
+ */
+class IndexedDbHistoryStore {
+    constructor(indexedDb = globalThis.indexedDB) {
+        this.indexedDb = indexedDb;
+        this.opening = null;
+    }
+
+    open() {
+        if (!this.opening) {
+            const request = this.indexedDb.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                }
+            };
+            this.opening = requestResult(request);
+        }
+        return this.opening;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        return requestResult(operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    put(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * History entries kept for the lifetime of the page, for browsers without IndexedDB
+ */
+class MemoryHistoryStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async getAll() {
+        return Array.from(this.entries.values(), entry => ({ ...entry }));
+    }
+
+    async put(entry) {
+        this.entries.set(entry.id, { ...entry });
+    }
+
+    async delete(id) {
+        this.entries.delete(id);
+    }
+}
+
+/**
+ * Searchable history of sent and received clipboard items
+ * Entries: { id, messageId, content, text, type, direction, sessionId, deviceId, deviceName, timestamp, pinned }
+ * Emits 'changed' after every change.
+ */
+class ClipboardHistory extends EventEmitter {
+    /**
+     * @param {Object} options - store: IndexedDbHistoryStore or MemoryHistoryStore, IndexedDB when available;
+     *                           maxEntries: entries kept before the oldest unpinned ones are removed
+     */
+    constructor(options = {}) {
+        super();
+        this.store = options.store || (globalThis.indexedDB ? new IndexedDbHistoryStore() : new MemoryHistoryStore());
+        this.maxEntries = options.maxEntries ?? 500;
+        this.entries = []; // Newest first
+        this.loaded = null;
+    }
+
+    /**
+     * Read the stored entries once; every other method waits for this
+     */
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.store.getAll()
+                .then(entries => {
+                    this.entries = entries.sort((a, b) => b.timestamp - a.timestamp);
+                })
+                .catch(error => {
+                    console.warn('Clipboard history unavailable:', error);
+                });
+        }
+        return this.loaded;
+    }
+
+    /**
+     * Add a sent or received item; an item already recorded under the same message ID is not added again
+     * @param {Object} item - { content, direction, sessionId, deviceId, deviceName, timestamp, messageId,
+     *                        redacted: true when content is a masked copy of what was sent }
+     * @returns {Object|null} The new entry
+     */
+    async record(item) {
+        await this.load();
+        if (!item.content || (item.messageId && this.entries.some(entry => entry.messageId === item.messageId))) {
+            return null;
+        }
+
+        const type = historyItemType(item.content);
+        const entry = {
+            id: generateUUID(),
+            messageId: item.messageId || null,
+            content: item.content,
+            text: type === HistoryItemType.Image ? describeImageContent(item.content) : contentToText(item.content),
+            type,
+            direction: item.direction,
+            sessionId: item.sessionId,
+            deviceId: item.deviceId || null,
+            deviceName: item.deviceName || null,
+            timestamp: new Date(item.timestamp || Date.now()).getTime(),
+            redacted: !!item.redacted,
+            pinned: false
+        };
+
+        this.entries.unshift(entry);
+        this.entries.sort((a, b) => b.timestamp - a.timestamp);
+        await this.persist(() => this.store.put(entry));
+        await this.prune();
+        this.emit('changed', this.entries);
+        return entry;
+    }
+
+    /**
+     * Entries matching every given filter, newest first
+     * @param {Object} filters - query: words that must all appear in the text or device name;
+     *                           deviceName, sessionId, direction, type; from/to: timestamps in ms; pinned: true for favourites only
+     */
+    search(filters = {}) {
+        const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.entries.filter(entry => {
+            if (filters.deviceName && entry.deviceName !== filters.deviceName) {
+                return false;
+            }
+            if (filters.sessionId && entry.sessionId !== filters.sessionId) {
+                return false;
+            }
+            if (filters.direction && entry.direction !== filters.direction) {
+                return false;
+            }
+            if (filters.type && entry.type !== filters.type) {
+                return false;
+            }
+            if ((filters.from && entry.timestamp < filters.from) || (filters.to && entry.timestamp > filters.to)) {
+                return false;
+            }
+            if (filters.pinned && !entry.pinned) {
+                return false;
+            }
+
+            const haystack = `${entry.text} ${entry.deviceName || ''}`.toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Device names and session IDs that appear in the history, for filter choices
+     */
+    getFacets() {
+        const devices = new Set(this.entries.map(entry => entry.deviceName).filter(Boolean));
+        const sessions = new Set(this.entries.map(entry => entry.sessionId).filter(Boolean));
+        return { devices: [...devices].sort(), sessions: [...sessions] };
+    }
+
+    /**
+     * Pin or unpin a favourite; pinned entries are never removed to make room
+     */
+    async setPinned(id, pinned) {
+        await this.load();
+        const entry = this.get(id);
+        if (!entry || entry.pinned === pinned) {
+            return;
+        }
+
+        entry.pinned = pinned;
+        await this.persist(() => this.store.put(entry));
+        this.emit('changed', this.entries);
+    }
+
+    async delete(id) {
+        await this.load();
+        if (!this.get(id)) {
+            return;
+        }
+
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        await this.persist(() => this.store.delete(id));
+        this.emit('changed', this.entries);
+    }
+
+    /**
+     * Delete the entries of a clip that must not be kept (an expired self-destructing clip), pinned or not
+     */
+    async purgeMessage(messageId) {
+        await this.load();
+        const removed = this.entries.filter(entry => entry.messageId === messageId);
+        if (removed.length === 0) {
+            return;
+        }
+
+        this.entries = this.entries.filter(entry => entry.messageId !== messageId);
+        await this.persist(() => Promise.all(removed.map(entry => this.store.delete(entry.id))));
+        this.emit('changed', this.entries);
+    }
+
+    /**
+     * Delete every entry except pinned ones
+     */
+    async clear() {
+        await this.load();
+        const removed = this.entries.filter(entry => !entry.pinned);
+        this.entries = this.entries.filter(entry => entry.pinned);
+        await this.persist(() => Promise.all(removed.map(entry => this.store.delete(entry.id))));
+        this.emit('changed', this.entries);
+    }
+
+    /**
+     * Remove the oldest unpinned entries beyond maxEntries
+     */
+    async prune() {
+        const excess = this.entries.length - this.maxEntries;
+        if (excess <= 0) {
+            return;
+        }
+
+        const removed = this.entries.filter(entry => !entry.pinned).slice(-excess);
+        const ids = new Set(removed.map(entry => entry.id));
+        this.entries = this.entries.filter(entry => !ids.has(entry.id));
+        await this.persist(() => Promise.all(removed.map(entry => this.store.delete(entry.id))));
+    }
+
+    /**
+     * Write to the store; the in-memory entries stay usable when storage fails (e.g. quota exceeded)
+     */
+    async persist(operation) {
+        try {
+            await operation();
+        } catch (error) {
+            console.warn('Failed to save clipboard history:', error);
+        }
+    }
+}
+
+export {
+    ClipboardHistory,
+    IndexedDbHistoryStore,
+    MemoryHistoryStore,
+    HistoryDirection,
+    HistoryItemType
+};
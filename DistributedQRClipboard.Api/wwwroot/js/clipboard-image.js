@@ -0,0 +1,209 @@
+/**
+ * Clipboard images
+ * Images travel as data:image/png|jpeg;base64 URLs in the clipboard content string, so they are
+ * bound by the server's content length limit. The sending device downscales and re-encodes them
+ * until they fit; receivers decode the data URL back into a Blob for ClipboardItem.
+ */
+
+import { MAX_CONTENT_LENGTH } from './hub-protocol.js';
+import { sha256Hex, bytesToBase64, base64ToBytes } from './utils.js';
+
+const SUPPORTED_IMAGE_TYPES = Object.freeze(['image/png', 'image/jpeg']);
+const DATA_URL_REGEX = /^data:(image\/(?:png|jpeg));base64,([A-Za-z0-9+/]+={0,2})$/;
+
+/**
+ * Raised when an image cannot be made small enough to send
+ */
+class ImageTooLargeError extends Error {
+    constructor(message, originalSize) {
+        super(message);
+        this.name = 'ImageTooLargeError';
+        this.originalSize = originalSize;
+    }
+}
+
+/**
+ * Decodes and encodes images with createImageBitmap and a canvas
+ * Tests pass their own codec with the same two methods
+ */
+const browserImageCodec = {
+    /**
+     * @returns {ImageBitmap} Decoded image with width, height and close()
+     */
+    decode(blob) {
+        return createImageBitmap(blob);
+    },
+
+    /**
+     * @returns {Blob} The image drawn at width x height and encoded as type
+     */
+    async encode(bitmap, width, height, type, quality) {
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(width, height)
+            : Object.assign(document.createElement('canvas'), { width, height });
+        const context = canvas.getContext('2d');
+
+        // JPEG has no transparency; without a background transparent areas turn black
+        if (type === 'image/jpeg') {
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(bitmap, 0, 0, width, height);
+
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type, quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Image encoding failed')), type, quality);
+        });
+    }
+};
+
+function isImageContent(content) {
+    return typeof content === 'string' && DATA_URL_REGEX.test(content);
+}
+
+/**
+ * @returns {Object|null} { mimeType, base64, byteLength } for an image data URL, otherwise null
+ */
+function parseImageContent(content) {
+    const match = typeof content === 'string' ? content.match(DATA_URL_REGEX) : null;
+    if (!match) {
+        return null;
+    }
+
+    const [, mimeType, base64] = match;
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return { mimeType, base64, byteLength: base64.length / 4 * 3 - padding };
+}
+
+/**
+ * Length of the data URL for an encoded image, without building it
+ */
+function dataUrlLength(mimeType, byteLength) {
+    return `data:${mimeType};base64,`.length + Math.ceil(byteLength / 3) * 4;
+}
+
+async function blobToDataUrl(blob) {
+    return `data:${blob.type};base64,${bytesToBase64(new Uint8Array(await blob.arrayBuffer()))}`;
+}
+
+function dataUrlToBlob(content) {
+    const image = parseImageContent(content);
+    if (!image) {
+        throw new Error('Content is not an image data URL');
+    }
+
+    return new Blob([base64ToBytes(image.base64)], { type: image.mimeType });
+}
+
+/**
+ * SHA-256 of a blob's bytes, used to notice when the clipboard image changes
+ */
+async function hashBlob(blob) {
+    return sha256Hex(await blob.arrayBuffer());
+}
+
+/**
+ * Re-encode an image at its own size, e.g. JPEG to PNG for browsers that only write PNG
+ */
+async function convertImage(blob, type, codec = browserImageCodec) {
+    const bitmap = await codec.decode(blob);
+    try {
+        return await codec.encode(bitmap, bitmap.width, bitmap.height, type);
+    } finally {
+        bitmap.close?.();
+    }
+}
+
+/**
+ * Turn an image into content that fits the server's limit
+ * Images that already fit are sent untouched. Others are scaled to maxDimension, then tried as
+ * PNG (for PNG sources) and as JPEG at falling quality, shrinking by scaleStep until one fits.
+ * @param {Blob} blob - Image from the clipboard or a paste
+ * @param {Object} options - maxLength, maxDimension, minDimension, qualities, scaleStep, codec
+ * @returns {Object} { content, mimeType, width, height, byteLength, resized, originalType, originalSize }
+ * @throws {ImageTooLargeError} When even the smallest attempt does not fit
+ */
+async function fitImageToLimit(blob, options = {}) {
+    const {
+        maxLength = MAX_CONTENT_LENGTH,
+        maxDimension = 1024,
+        minDimension = 16,
+        qualities = [0.8, 0.6, 0.4],
+        scaleStep = 0.75,
+        codec = browserImageCodec
+    } = options;
+
+    if (!blob.type.startsWith('image/')) {
+        throw new Error(`Unsupported image type: ${blob.type || 'unknown'}`);
+    }
+
+    const bitmap = await codec.decode(blob);
+    const result = (encoded, width, height, resized) => blobToDataUrl(encoded).then(content => ({
+        content,
+        mimeType: encoded.type,
+        width,
+        height,
+        byteLength: encoded.size,
+        resized,
+        originalType: blob.type,
+        originalSize: blob.size
+    }));
+
+    try {
+        if (SUPPORTED_IMAGE_TYPES.includes(blob.type) && dataUrlLength(blob.type, blob.size) <= maxLength) {
+            return await result(blob, bitmap.width, bitmap.height, false);
+        }
+
+        const types = blob.type === 'image/png' ? ['image/png', 'image/jpeg'] : ['image/jpeg'];
+        let scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+
+        while (Math.max(bitmap.width, bitmap.height) * scale >= minDimension) {
+            const width = Math.max(1, Math.round(bitmap.width * scale));
+            const height = Math.max(1, Math.round(bitmap.height * scale));
+
+            for (const type of types) {
+                for (const quality of type === 'image/jpeg' ? qualities : [undefined]) {
+                    const encoded = await codec.encode(bitmap, width, height, type, quality);
+                    if (SUPPORTED_IMAGE_TYPES.includes(encoded.type) && dataUrlLength(encoded.type, encoded.size) <= maxLength) {
+                        return await result(encoded, width, height, true);
+                    }
+                }
+            }
+
+            scale *= scaleStep;
+        }
+    } finally {
+        bitmap.close?.();
+    }
+
+    throw new ImageTooLargeError(`Image cannot be reduced below ${maxLength} characters`, blob.size);
+}
+
+/**
+ * Short description of image content for labels, e.g. "PNG image, 7.1 KB"
+ */
+function describeImageContent(content) {
+    const image = parseImageContent(content);
+    if (!image) {
+        return null;
+    }
+
+    const size = image.byteLength < 1024 ? `${image.byteLength} bytes` : `${(image.byteLength / 1024).toFixed(1)} KB`;
+    return `${image.mimeType.split('/')[1].toUpperCase()} image, ${size}`;
+}
+
+export {
+    SUPPORTED_IMAGE_TYPES,
+    ImageTooLargeError,
+    browserImageCodec,
+    isImageContent,
+    parseImageContent,
+    blobToDataUrl,
+    dataUrlToBlob,
+    hashBlob,
+    convertImage,
+    fitImageToLimit,
+    describeImageContent
+};
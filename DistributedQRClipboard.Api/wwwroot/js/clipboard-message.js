@@ -0,0 +1,178 @@
+/**
+ * Clipboard message envelope
+ * Every clipboard update travels with a header line in front of its content, inside the encryption when the
+ * session has a key: "clip:v1:<messageId>:<content hash>:<stamp>\n<content>". The stamp (see logical-clock.js)
+ * ends with the ID of the device the update came from. An update keeps its message ID when it is retried or
+ * resent, so receivers can tell duplicates and echoes from a deliberate second copy.
+ * Self-destructing clips add send options after the stamp: ":ttl=<ms>" expires the clip that long after it was
+ * stamped, ":burn" removes it from every other device once one device has received it (both: ":ttl=<ms>,burn").
+ * A clip meant for particular devices names each one with a "to=<device ID without dashes>" option; only those
+ * devices apply it. Older clients ignore the option and apply the clip like any other.
+ */
+
+import { generateUUID } from './utils.js';
+import { formatStamp, parseStamp, MAX_STAMP_LENGTH } from './logical-clock.js';
+
+const MESSAGE_REGEX = /^clip:v1:([0-9a-f-]{36}):([0-9a-f]{16}):([^\n:]+)(?::([a-z0-9=,]*))?\n/;
+
+const MAX_EXPIRES_IN = 9999999999; // ms; ten digits in the header
+
+// Most recipient devices one clip can name
+const MAX_TARGETS = 8;
+
+const DEVICE_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Longest header: prefix, message ID, hash, stamp, send options, separators and the line break
+const MAX_HEADER_LENGTH = 'clip:v1:'.length + 36 + 1 + 16 + 1 + MAX_STAMP_LENGTH + ':ttl=,burn'.length + 10 +
+    MAX_TARGETS * (',to='.length + 32) + 1;
+
+/**
+ * 64-bit hash of content (cyrb53 mixing), for recognising content rather than for security; keyed sessions
+ * are authenticated by their encryption. Synchronous, so hashing never reorders clipboard updates.
+ * @returns {string} 16 hex digits
+ */
+function hashContent(content) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < content.length; i++) {
+        const code = content.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * @param {string} content - Plaintext clipboard content
+ * @param {Object} stamp - Logical clock stamp of the update
+ * @param {Object} options - expiresIn: ms after the stamp when every device removes the clip;
+ *                           burnAfterRead: removed from every other device once one device receives it;
+ *                           targets: IDs of the only devices that apply it (at most MAX_TARGETS), everyone by default
+ * @returns {Object} { id, originDeviceId, contentHash, stamp, expiresIn, burnAfterRead, targets, content }
+ */
+function createMessage(content, stamp, options = {}) {
+    const expiresIn = options.expiresIn ? Math.min(Math.max(1, Math.round(options.expiresIn)), MAX_EXPIRES_IN) : null;
+    const targets = Array.from(new Set((options.targets || []).map(deviceId => String(deviceId).toLowerCase())));
+    if (targets.length > MAX_TARGETS) {
+        throw new Error(`A clip can be sent to at most ${MAX_TARGETS} devices`);
+    }
+    if (!targets.every(deviceId => DEVICE_ID_REGEX.test(deviceId))) {
+        throw new Error('Invalid target device ID');
+    }
+    return {
+        id: generateUUID(),
+        originDeviceId: stamp.deviceId,
+        contentHash: hashContent(content),
+        stamp,
+        expiresIn,
+        burnAfterRead: Boolean(options.burnAfterRead),
+        targets,
+        content
+    };
+}
+
+function encodeMessage(message) {
+    const options = [
+        message.expiresIn ? `ttl=${message.expiresIn}` : null,
+        message.burnAfterRead ? 'burn' : null,
+        ...(message.targets || []).map(deviceId => `to=${deviceId.replace(/-/g, '')}`)
+    ].filter(Boolean);
+    const suffix = options.length > 0 ? `:${options.join(',')}` : '';
+    return `clip:v1:${message.id}:${message.contentHash}:${formatStamp(message.stamp)}${suffix}\n${message.content}`;
+}
+
+/**
+ * Send options from the header; options this version does not know are ignored
+ */
+function parseOptions(text = '') {
+    const options = { expiresIn: null, burnAfterRead: false, targets: [] };
+    text.split(',').forEach(option => {
+        const ttl = option.match(/^ttl=(\d{1,10})$/);
+        const target = option.match(/^to=([0-9a-f]{8})([0-9a-f]{4})([0-9a-f]{4})([0-9a-f]{4})([0-9a-f]{12})$/);
+        if (ttl && Number(ttl[1]) > 0) {
+            options.expiresIn = Number(ttl[1]);
+        } else if (option === 'burn') {
+            options.burnAfterRead = true;
+        } else if (target && !options.targets.includes(target.slice(1).join('-'))) {
+            options.targets.push(target.slice(1).join('-'));
+        }
+    });
+    return options;
+}
+
+/**
+ * Whether a device should apply a message: messages that name no devices are for everyone
+ */
+function isAddressedTo(message, deviceId) {
+    return !message?.targets?.length || message.targets.includes(String(deviceId).toLowerCase());
+}
+
+/**
+ * When a clip expires, as a physical timestamp in ms, or null when it does not
+ */
+function messageExpiresAt(message) {
+    return message?.expiresIn ? message.stamp.wallTime + message.expiresIn : null;
+}
+
+/**
+ * Split received content into its envelope and content; content from clients without envelopes has a null message
+ * @returns {Object} { content, message }
+ */
+function parseMessage(raw) {
+    const match = typeof raw === 'string' ? raw.match(MESSAGE_REGEX) : null;
+    const stamp = match && parseStamp(match[3]);
+    if (!stamp) {
+        return { content: raw, message: null };
+    }
+
+    const [header, id, contentHash, , options] = match;
+    const content = raw.slice(header.length);
+    return {
+        content,
+        message: { id, originDeviceId: stamp.deviceId, contentHash, stamp, ...parseOptions(options), content }
+    };
+}
+
+/**
+ * Whether a received message's content still matches the hash it was sent with
+ */
+function verifyMessage(message) {
+    return hashContent(message.content) === message.contentHash;
+}
+
+/**
+ * Bounded memory of message IDs, forgetting the oldest first
+ */
+class SeenMessages {
+    constructor(limit = 500) {
+        this.limit = limit;
+        this.ids = new Set();
+    }
+
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    add(id) {
+        this.ids.delete(id);
+        this.ids.add(id);
+        if (this.ids.size > this.limit) {
+            this.ids.delete(this.ids.values().next().value);
+        }
+    }
+}
+
+export {
+    SeenMessages,
+    hashContent,
+    createMessage,
+    encodeMessage,
+    parseMessage,
+    verifyMessage,
+    messageExpiresAt,
+    isAddressedTo,
+    MAX_HEADER_LENGTH,
+    MAX_TARGETS
+};
@@ -0,0 +1,260 @@
+/**
+ * Local clipboard monitoring
+ * Browsers only let a page read the clipboard while it is visible and focused (and the user allowed it), so the
+ * clipboard is checked when that becomes true: on focus, when the tab becomes visible, and right after copy, cut
+ * and paste events in the page. Between those it is polled, quickly after a change and backing off while
+ * nothing changes. Nothing is read while the tab is hidden, the window is unfocused or access is denied.
+ * The Permissions API (where it knows 'clipboard-read') tells denied access apart from a window without focus.
+ */
+
+import { EventEmitter } from './utils.js';
+
+// What monitoring is actually doing, for the UI to show
+const MonitoringState = Object.freeze({
+    Stopped: 'stopped',         // Not monitoring
+    Active: 'active',           // Polling at the fastest rate after a recent change
+    Idle: 'idle',               // Polling, backed off because nothing changed lately
+    Paused: 'paused',           // Waiting until the tab is visible and focused again
+    Blocked: 'blocked',         // Clipboard access denied; waiting for the permission to change
+    Unsupported: 'unsupported'  // The browser cannot read the clipboard
+});
+
+const PauseReason = Object.freeze({
+    Hidden: 'hidden',
+    Unfocused: 'unfocused'
+});
+
+class ClipboardMonitor extends EventEmitter {
+    /**
+     * @param {Function} check - Reads the clipboard and acts on a change; resolves true when the content changed
+     *                           and rejects with a NotAllowedError when reading is not allowed
+     * @param {Object} options - supported: whether the browser can read the clipboard;
+     *                           document, window, permissions: browser objects, the globals by default;
+     *                           timers: injectable setTimeout/clearTimeout;
+     *                           minDelay, maxDelay (ms): polling interval after a change and when idle;
+     *                           backoff: factor the interval grows by after each check without a change
+     */
+    constructor(check, options = {}) {
+        super();
+        this.check = check;
+        this.supported = options.supported ?? true;
+        this.document = options.document || globalThis.document;
+        this.window = options.window || globalThis.window;
+        this.permissions = options.permissions === undefined ? globalThis.navigator?.permissions : options.permissions;
+        this.timers = options.timers || globalThis;
+        this.minDelay = options.minDelay ?? 1000;
+        this.maxDelay = options.maxDelay ?? 30000;
+        this.backoff = options.backoff ?? 2;
+
+        this.running = false;
+        this.delay = this.minDelay;
+        this.timer = null;
+        this.checking = null;
+        this.permission = 'unknown'; // 'granted', 'prompt', 'denied' or 'unknown' where the browser cannot tell
+        this.permissionStatus = null;
+        this.blocked = false;
+        this.state = { state: MonitoringState.Stopped, reason: null, delay: null, permission: this.permission };
+
+        this.listeners = {
+            visibilitychange: () => this.handleVisibilityChange(),
+            focus: () => this.trigger(),
+            blur: () => this.update(),
+            // The page's own copy has reached the clipboard once the event has been handled
+            copy: () => this.trigger(0),
+            cut: () => this.trigger(0),
+            paste: () => this.trigger(0)
+        };
+    }
+
+    async start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        if (!this.supported) {
+            this.update();
+            return;
+        }
+
+        this.document?.addEventListener?.('visibilitychange', this.listeners.visibilitychange);
+        ['copy', 'cut', 'paste'].forEach(type => this.document?.addEventListener?.(type, this.listeners[type]));
+        ['focus', 'blur'].forEach(type => this.window?.addEventListener?.(type, this.listeners[type]));
+
+        await this.watchPermission();
+        if (this.running) {
+            this.trigger();
+        }
+    }
+
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+        this.clearTimer();
+
+        this.document?.removeEventListener?.('visibilitychange', this.listeners.visibilitychange);
+        ['copy', 'cut', 'paste'].forEach(type => this.document?.removeEventListener?.(type, this.listeners[type]));
+        ['focus', 'blur'].forEach(type => this.window?.removeEventListener?.(type, this.listeners[type]));
+        if (this.permissionStatus) {
+            this.permissionStatus.onchange = null;
+            this.permissionStatus = null;
+        }
+        this.update();
+    }
+
+    /**
+     * Follow the clipboard-read permission where the Permissions API knows it (Firefox and Safari do not)
+     */
+    async watchPermission() {
+        try {
+            const status = await this.permissions.query({ name: 'clipboard-read' });
+            this.permissionStatus = status;
+            this.permission = status.state;
+            status.onchange = () => {
+                this.permission = status.state;
+                this.blocked = status.state === 'denied';
+                this.trigger();
+            };
+        } catch {
+            this.permission = 'unknown';
+        }
+        this.blocked = this.permission === 'denied';
+    }
+
+    /**
+     * Whether the page may read the clipboard right now
+     */
+    canRead() {
+        return this.pauseReason() === null && !this.blocked;
+    }
+
+    pauseReason() {
+        if (this.document?.visibilityState === 'hidden') {
+            return PauseReason.Hidden;
+        }
+        if (this.document?.hasFocus && !this.document.hasFocus()) {
+            return PauseReason.Unfocused;
+        }
+        return null;
+    }
+
+    handleVisibilityChange() {
+        if (this.document.visibilityState === 'hidden') {
+            this.clearTimer();
+            this.update();
+            return;
+        }
+        this.trigger();
+    }
+
+    /**
+     * Check soon at the fastest rate; something happened that may have changed the clipboard
+     * @param {number} delay - ms to wait first; by default the check runs right away
+     */
+    trigger(delay = null) {
+        if (!this.running || !this.supported) {
+            return;
+        }
+        // Focus and clipboard events come from the user, so a read refused earlier may work now
+        this.blocked = this.permission === 'denied';
+        this.delay = this.minDelay;
+        if (delay === null) {
+            this.runCheck();
+        } else {
+            this.schedule(delay);
+        }
+    }
+
+    schedule(delay) {
+        this.clearTimer();
+        if (this.running && this.canRead()) {
+            this.timer = this.timers.setTimeout(() => {
+                this.timer = null;
+                this.runCheck();
+            }, delay);
+        }
+        this.update();
+    }
+
+    clearTimer() {
+        if (this.timer !== null) {
+            this.timers.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Check the clipboard once, then schedule the next check: sooner after a change, later while idle
+     */
+    async runCheck() {
+        if (this.checking) {
+            return this.checking; // A check already in progress schedules the next one
+        }
+        if (!this.running || !this.canRead()) {
+            this.clearTimer();
+            this.update();
+            return false;
+        }
+
+        this.checking = (async () => {
+            let changed = false;
+            try {
+                changed = await this.check();
+                this.blocked = false;
+            } catch (error) {
+                if (error.name !== 'NotAllowedError') {
+                    console.warn('Error reading clipboard:', error);
+                } else if (this.pauseReason() === null) {
+                    // Visible and focused yet refused: access was denied
+                    this.blocked = true;
+                }
+            }
+            this.delay = changed ? this.minDelay : Math.min(this.delay * this.backoff, this.maxDelay);
+            return changed;
+        })();
+
+        try {
+            return await this.checking;
+        } finally {
+            this.checking = null;
+            this.schedule(this.delay);
+        }
+    }
+
+    /**
+     * Work out the monitoring state and emit 'stateChanged' when it differs from the last one
+     */
+    update() {
+        let next;
+        if (!this.supported) {
+            next = { state: MonitoringState.Unsupported, reason: null, delay: null };
+        } else if (!this.running) {
+            next = { state: MonitoringState.Stopped, reason: null, delay: null };
+        } else if (this.pauseReason()) {
+            next = { state: MonitoringState.Paused, reason: this.pauseReason(), delay: null };
+        } else if (this.blocked) {
+            next = { state: MonitoringState.Blocked, reason: 'denied', delay: null };
+        } else {
+            const idle = this.delay > this.minDelay;
+            next = { state: idle ? MonitoringState.Idle : MonitoringState.Active, reason: null, delay: this.delay };
+        }
+        next.permission = this.permission;
+
+        if (Object.keys(next).some(key => next[key] !== this.state[key])) {
+            this.state = next;
+            this.emit('stateChanged', next);
+        }
+    }
+
+    /**
+     * @returns {Object} { state, reason, delay, permission }: reason says why monitoring is paused or blocked,
+     *                   delay is the current polling interval in ms
+     */
+    getState() {
+        return this.state;
+    }
+}
+
+export { ClipboardMonitor, MonitoringState, PauseReason };
@@ -3,31 +3,151 @@
  * Manages local clipboard content, sync with server, and cross-device sharing
  */
 
-import { EventEmitter } from './utils.js';
+import { EventEmitter, Storage, generateUUID, utf8Length } from './utils.js';
+import { ClipboardOutbox, OutboxStatus } from './outbox.js';
+import {
+    SUPPORTED_IMAGE_TYPES,
+    browserImageCodec,
+    isImageContent,
+    blobToDataUrl,
+    dataUrlToBlob,
+    hashBlob,
+    convertImage,
+    fitImageToLimit
+} from './clipboard-image.js';
+import { isRichContent, parseRichContent, createRichContent, sanitizeHtml } from './rich-text.js';
+import { FileTransferManager, FILE_TRANSFER_EVENTS } from './file-transfer.js';
+import { SessionKeyring, SessionCipher, maxPlaintextLength } from './session-crypto.js';
+import { MAX_CONTENT_LENGTH } from './hub-protocol.js';
+import { HybridLogicalClock, compareStamps } from './logical-clock.js';
+import {
+    SeenMessages,
+    hashContent,
+    createMessage,
+    encodeMessage,
+    parseMessage,
+    verifyMessage,
+    messageExpiresAt,
+    isAddressedTo,
+    MAX_HEADER_LENGTH
+} from './clipboard-message.js';
+import { ClipboardHistory, HistoryDirection } from './clipboard-history.js';
+import { SensitiveContentDetector, SensitiveAction, strongestAction } from './sensitive-content.js';
+import { ClipboardMonitor } from './clipboard-monitor.js';
+import { ContentTransformPipeline, TransformStage } from './content-transforms.js';
+import { classifyContent } from './content-types.js';
+import { SyncPolicy, ReceiveMode, isSyncPolicy, sendsAutomatically, receiveMode } from './sync-policy.js';
+import { ChunkAssembler, encodeFrames, decodePayload, measurePayload, chunkMessageId } from './payload-codec.js';
+
+const MAX_CONFLICTS_PER_SESSION = 20;
+
+// Local clipboard contents kept for undoing remote overwrites, newest first
+const MAX_RESTORE_POINTS = 10;
+
+// Targeted sends whose delivery is tracked, oldest dropped first
+const MAX_DELIVERIES = 50;
+
+const DeliveryStatus = Object.freeze({
+    Pending: 'pending', // Queued or still being sent
+    Sent: 'sent',
+    Delivered: 'delivered'
+});
+
+// Content without a message envelope (older clients) counts as a duplicate when the same device sends it again this soon
+const LEGACY_DUPLICATE_WINDOW_MS = 2000;
+
+// Outbox items keep a message's envelope and store its content themselves
+function envelopeOf({ content, ...envelope }) {
+    return envelope;
+}
 
 class ClipboardManager extends EventEmitter {
-    constructor(apiClient, signalRClient) {
+    /**
+     * @param {ApiClient} apiClient - REST client
+     * @param {Object} transport - Clipboard transport (see transport.js)
+     * @param {Object} options - clipboard: object with readText/writeText (and read/write for images),
+     *                           defaults to navigator.clipboard; imageCodec: see clipboard-image.js;
+     *                           fileTransfer: FileTransferManager options; keyring: SessionKeyring;
+     *                           now: physical clock for update stamps, Date.now by default;
+     *                           maxClockDrift: how far ahead of it a received stamp may be (see logical-clock.js);
+     *                           history: ClipboardHistory for sent and received items;
+     *                           detector: SensitiveContentDetector; timers: injectable setTimeout/clearTimeout;
+     *                           monitor: ClipboardMonitor options (document, window, permissions, delays);
+     *                           transforms: ContentTransformPipeline
+     */
+    constructor(apiClient, transport, options = {}) {
         super();
         this.apiClient = apiClient;
-        this.signalRClient = signalRClient;
+        this.transport = transport;
+        this.clipboard = options.clipboard || navigator.clipboard;
+        this.imageCodec = options.imageCodec || browserImageCodec;
         this.currentContent = '';
         this.lastSyncTime = null;
         this.isMonitoring = false;
-        this.monitorInterval = null;
-        this.monitoringDelay = 1000; // Check every second
         this.lastLocalContent = '';
-        this.syncInProgress = false;
+        this.lastLocalImageHash = null; // Hash of the last image seen on the local clipboard
+        this.lastRichSource = null; // { text, html, content } of the last formatted text read, to skip re-sanitizing
+        this.syncingSessions = new Set();
+        this.sessionContents = new Map(); // sessionId -> { content, deviceName, timestamp, isFromOtherDevice, stamp, message }
+        this.conflicts = new Map(); // sessionId -> concurrent updates that lost, newest first
+        this.now = options.now || Date.now;
+        this.clock = new HybridLogicalClock(transport.getDeviceId(), this.now, options.maxClockDrift);
+        this.seenMessages = new SeenMessages(); // IDs of updates sent or received, to drop echoes, duplicates and retries
+        this.chunks = new ChunkAssembler(); // Parts of large updates still arriving
+        this.legacyReceived = new Map(); // sessionId -> { deviceId, contentHash, receivedAt } of the last update without an envelope
+        this.writeEpoch = 0; // Bumped by every write to the local clipboard, so reads taken across a write are discarded
+        this.writesInFlight = 0;
+        this.localRead = null; // Clipboard read of the poll in progress, shared with captureRestorePoint
+        this.autoSendSettings = Storage.get('autoSendSessions', {}); // sessionId -> boolean
+        const syncPolicy = Storage.get('syncPolicy', SyncPolicy.Automatic);
+        this.syncPolicy = isSyncPolicy(syncPolicy) ? syncPolicy : SyncPolicy.Automatic;
+        this.heldUpdates = new Map(); // sessionId -> received update waiting for the user (manual policy)
+        this.restorePoints = []; // { id, content, sessionId, deviceName, capturedAt } replaced by received updates, newest first
+        this.devicePolicies = new Map(); // sessionId -> Map of deviceId -> { deviceId, deviceName, syncPolicy }
+        this.deliveries = new Map(); // messageId -> { messageId, sessionId, content, createdAt, recipients } of a targeted send
+        this.deviceNames = new Map(); // deviceId -> name of every device that announced a policy, kept after it leaves
+        this.addressedElsewhere = new Set(); // Sessions whose latest update was for other devices only
+        this.outbox = new ClipboardOutbox();
+        this.outbox.on('changed', (items) => this.emit('outboxChanged', items));
+        // Sessions with a key are encrypted at the transport boundary, so everything else works on plaintext
+        this.keyring = options.keyring || new SessionKeyring();
+        this.cipher = new SessionCipher(this.keyring);
+        this.lockedSessions = new Set(); // Sessions whose content is encrypted with a key this device lacks
+        this.history = options.history || new ClipboardHistory();
+        this.history.on('changed', () => this.emit('historyChanged'));
+        this.detector = options.detector || new SensitiveContentDetector();
+        this.transforms = options.transforms || new ContentTransformPipeline();
+        this.localContents = new Map(); // messageId -> clipboard text of a self-destructing clip a transform changed
+        this.timers = options.timers || globalThis;
+        this.pendingSensitive = null; // { id, content, findings } held for confirmation
+        this.expiryTimers = new Map(); // messageId -> timer of a self-destructing clip on this device
+        this.clipDeadlines = new Map(); // messageId -> when a received self-destructing clip expires here
+        // Files go separately from the clipboard, in chunks
+        this.fileTransfers = new FileTransferManager(transport, { cipher: this.cipher, ...options.fileTransfer });
+        FILE_TRANSFER_EVENTS.forEach(eventName => {
+            this.fileTransfers.on(eventName, (transfer) => this.emit(eventName, transfer));
+        });
         
-        this.setupSignalRListeners();
+        this.setupTransportListeners();
         this.checkClipboardSupport();
+
+        this.monitor = new ClipboardMonitor(() => this.pollLocalClipboard(), {
+            supported: this.hasClipboardRead,
+            timers: this.timers,
+            ...options.monitor
+        });
+        this.monitor.on('stateChanged', (state) => this.emit('monitoringStateChanged', state));
     }
 
     /**
      * Check if Clipboard API is supported
      */
     checkClipboardSupport() {
-        this.hasClipboardRead = !!(navigator.clipboard && navigator.clipboard.readText);
-        this.hasClipboardWrite = !!(navigator.clipboard && navigator.clipboard.writeText);
+        this.hasClipboardRead = !!(this.clipboard && this.clipboard.readText);
+        this.hasClipboardWrite = !!(this.clipboard && this.clipboard.writeText);
+        // Images and formatted text both need the ClipboardItem API
+        this.hasItemRead = !!(this.clipboard && this.clipboard.read);
+        this.hasItemWrite = !!(this.clipboard && this.clipboard.write) && typeof ClipboardItem !== 'undefined';
         
         if (!this.hasClipboardRead || !this.hasClipboardWrite) {
             console.warn('Clipboard API not fully supported');
@@ -39,23 +159,51 @@ class ClipboardManager extends EventEmitter {
     }
 
     /**
-     * Setup SignalR event listeners
+     * Setup transport event listeners
      */
-    setupSignalRListeners() {
-        this.signalRClient.on('clipboardReceived', this.handleRemoteClipboardContent.bind(this));
-        this.signalRClient.on('connected', () => {
-            console.log('SignalR connected, clipboard sync enabled');
+    setupTransportListeners() {
+        this.transport.on('clipboardReceived', this.handleRemoteClipboardContent.bind(this));
+        this.transport.on('connected', () => {
+            console.log('Transport connected, clipboard sync enabled');
+        });
+        this.transport.on('resynchronized', this.handleResynchronized.bind(this));
+        this.transport.on('reconnected', () => {
+            this.flushOutbox();
+        });
+        this.transport.on('sessionJoined', (data) => {
+            this.flushOutbox(data.sessionId);
+            this.announceSyncPolicy(data.sessionId);
+        });
+        // A device that just joined has not heard the others' policies yet
+        this.transport.on('deviceJoined', (data) => {
+            this.announceSyncPolicy(data.sessionId);
+        });
+        this.transport.on('deviceLeft', (data) => {
+            if (this.devicePolicies.get(data.sessionId)?.delete(data.deviceId)) {
+                this.emit('devicePoliciesChanged', { sessionId: data.sessionId, devices: this.getDevicePolicies(data.sessionId) });
+            }
+        });
+        this.transport.on('deviceSyncPolicyChanged', this.handleDeviceSyncPolicy.bind(this));
+        this.transport.on('clipboardUpdateDelivered', this.handleDelivered.bind(this));
+        this.transport.on('sessionLeft', (data) => {
+            this.forgetSession(data.sessionId);
         });
-        this.signalRClient.on('disconnected', () => {
-            console.log('SignalR disconnected, clipboard sync disabled');
+        this.transport.on('sessionEnded', (data) => {
+            this.forgetSession(data.sessionId);
+            this.keyring.remove(data.sessionId);
+        });
+        this.transport.on('clipboardCleared', this.handleClipboardCleared.bind(this));
+        this.transport.on('disconnected', () => {
+            console.log('Transport disconnected, clipboard sync disabled');
         });
     }
 
     /**
      * Start monitoring local clipboard for changes
+     * The ClipboardMonitor only reads it while the page is visible and focused, and backs off while nothing changes
      */
     startMonitoring() {
-        if (this.isMonitoring || !this.hasClipboardRead) {
+        if (this.isMonitoring || !this.hasClipboardRead || !sendsAutomatically(this.syncPolicy)) {
             return;
         }
 
@@ -64,13 +212,7 @@ class ClipboardManager extends EventEmitter {
         
         console.log('Started clipboard monitoring');
         
-        // Initial read
-        this.checkLocalClipboard();
-        
-        // Set up interval monitoring
-        this.monitorInterval = setInterval(() => {
-            this.checkLocalClipboard();
-        }, this.monitoringDelay);
+        return this.monitor.start();
     }
 
     /**
@@ -82,11 +224,7 @@ class ClipboardManager extends EventEmitter {
         }
 
         this.isMonitoring = false;
-        
-        if (this.monitorInterval) {
-            clearInterval(this.monitorInterval);
-            this.monitorInterval = null;
-        }
+        this.monitor.stop();
         
         this.emit('monitoringStopped');
         console.log('Stopped clipboard monitoring');
@@ -94,188 +232,1560 @@ class ClipboardManager extends EventEmitter {
 
     /**
      * Check local clipboard for changes
+     * @returns {boolean} Whether the content changed
      */
     async checkLocalClipboard() {
-        if (!this.hasClipboardRead || this.syncInProgress) {
-            return;
-        }
-
         try {
-            const content = await navigator.clipboard.readText();
-            
-            // Check if content has changed
-            if (content !== this.lastLocalContent && content.trim() !== '') {
-                this.lastLocalContent = content;
-                this.handleLocalClipboardChange(content);
-            }
-            
+            return await this.pollLocalClipboard();
         } catch (error) {
-            // Ignore permission errors during monitoring (common when tab is not focused)
+            // Ignore permission errors (common when tab is not focused)
             if (error.name !== 'NotAllowedError') {
                 console.warn('Error reading clipboard:', error);
             }
+            return false;
+        }
+    }
+
+    /**
+     * Read the local clipboard and act on a change; errors, such as NotAllowedError when the page may not
+     * read the clipboard, are left to the caller
+     * @returns {boolean} Whether the content changed
+     */
+    async pollLocalClipboard() {
+        if (!this.hasClipboardRead || this.syncingSessions.size > 0 || this.writesInFlight > 0) {
+            return false;
+        }
+
+        const epoch = this.writeEpoch;
+        let local;
+        try {
+            this.localRead = this.readLocalContent();
+            local = await this.localRead;
+        } finally {
+            this.localRead = null;
+        }
+
+        // The clipboard was written while reading; what was read may be from before the write
+        if (epoch !== this.writeEpoch || this.writesInFlight > 0) {
+            return false;
+        }
+
+        if (local.image) {
+            const hash = await hashBlob(local.image);
+            if (hash === this.lastLocalImageHash) {
+                return false;
+            }
+            this.lastLocalImageHash = hash;
+            await this.handleLocalImage(local.image);
+            return true;
+        }
+
+        const content = this.toContent(local);
+        this.lastLocalImageHash = null;
+        
+        // Check if content has changed
+        if (content === this.lastLocalContent || content.trim() === '') {
+            return false;
+        }
+        this.lastLocalContent = content;
+        this.handleLocalClipboardChange(content);
+        return true;
+    }
+
+    /**
+     * Read the local clipboard, preferring an image, then formatted text, when the browser can read them
+     * through ClipboardItem; other browsers stay text-only
+     * @returns {Object} { image: Blob }, { text: string, html: string } or { text: string }
+     */
+    async readLocalContent() {
+        if (this.hasItemRead) {
+            try {
+                const items = await this.clipboard.read();
+                for (const item of items) {
+                    const imageType = SUPPORTED_IMAGE_TYPES.find(type => item.types.includes(type));
+                    if (imageType) {
+                        return { image: await item.getType(imageType) };
+                    }
+                }
+
+                const richItem = items.find(item => item.types.includes('text/html'));
+                if (richItem) {
+                    const html = await (await richItem.getType('text/html')).text();
+                    const text = richItem.types.includes('text/plain')
+                        ? await (await richItem.getType('text/plain')).text()
+                        : '';
+                    return { text, html };
+                }
+            } catch (error) {
+                if (error.name === 'NotAllowedError') {
+                    throw error;
+                }
+
+                // read() exists but cannot be used here (e.g. no ClipboardItem support); stay with text
+                console.warn('Clipboard item read unavailable, falling back to text:', error);
+                this.hasItemRead = false;
+            }
+        }
+
+        return { text: await this.clipboard.readText() };
+    }
+
+    /**
+     * Content string for text read from the local clipboard: plain, or rich when it has HTML
+     */
+    toContent(local) {
+        if (local.html === undefined) {
+            return local.text;
+        }
+
+        const source = this.lastRichSource;
+        if (source && source.text === local.text && source.html === local.html) {
+            return source.content;
+        }
+
+        const content = createRichContent(local.text, local.html, this.getContentLimit());
+        this.lastRichSource = { text: local.text, html: local.html, content };
+        return content;
+    }
+
+    /**
+     * Fit a local image to the content limit and share it like a text change
+     */
+    async handleLocalImage(blob) {
+        let image;
+        try {
+            image = await this.prepareImage(blob);
+        } catch (error) {
+            console.warn('Clipboard image cannot be shared:', error);
+            this.emit('imageRejected', { type: blob.type, size: blob.size, error });
+            return;
+        }
+
+        this.lastLocalContent = image.content;
+        this.emit('imagePrepared', image);
+        await this.handleLocalClipboardChange(image.content);
+    }
+
+    /**
+     * Downscale and re-encode an image until it fits the server's content limit
+     * @returns {Object} Result of fitImageToLimit, with the data URL as content
+     */
+    prepareImage(blob) {
+        return fitImageToLimit(blob, { codec: this.imageCodec, maxLength: this.getContentLimit() });
+    }
+
+    /**
+     * Content size in UTF-8 bytes that still fits the server's limit in one update once encrypted for any joined session;
+     * images and formatted text are fitted to this, longer text is compressed and chunked instead
+     */
+    getContentLimit() {
+        return this.getFrameLimit() - MAX_HEADER_LENGTH;
+    }
+
+    /**
+     * Longest frame, in UTF-8 bytes, the server accepts for a session, or for every joined session when omitted
+     */
+    getFrameLimit(sessionId = null) {
+        const sessionIds = sessionId ? [sessionId] : this.transport.getSessionIds();
+        const encrypted = sessionIds.some(id => this.cipher.isEncrypted(id));
+        return encrypted ? maxPlaintextLength(MAX_CONTENT_LENGTH) : MAX_CONTENT_LENGTH;
+    }
+
+    /**
+     * How content would travel to the joined sessions: its length, compressed length, number of chunks and
+     * the most that fits (see measurePayload)
+     */
+    measureContent(content) {
+        const message = createMessage(content, { wallTime: this.now(), counter: 0, deviceId: this.transport.getDeviceId() });
+        return measurePayload(encodeMessage(message), this.getFrameLimit());
+    }
+
+    /**
+     * Frames that carry a message to a session: the enveloped message, compressed and chunked when too long
+     * @throws {PayloadTooLargeError} When it does not fit even chunked
+     */
+    framesFor(message, sessionId) {
+        return encodeFrames(encodeMessage(message), message.id, this.getFrameLimit(sessionId));
+    }
+
+    /**
+     * Send a message's frames in order, each encrypted for sessions with a key
+     * @param {Array} frames - Frames already worked out by framesFor
+     */
+    async sendMessage(message, sessionId, frames = null) {
+        for (const frame of frames || await this.framesFor(message, sessionId)) {
+            await this.transport.sendClipboardContent(await this.cipher.encrypt(frame, sessionId), sessionId, message.targets);
+        }
+    }
+
+    /**
+     * Turn received frames back into messages
+     * @returns {string|null} The enveloped message, or null while parts of it are still to come
+     */
+    async readFrame(frame, assembler = this.chunks) {
+        const packed = assembler.accept(frame);
+        if (packed === null) {
+            return null;
+        }
+        try {
+            return await decodePayload(packed);
+        } catch (error) {
+            console.warn('Failed to decompress clipboard content:', error);
+            return packed; // Content from an older client that happens to look compressed
         }
     }
 
     /**
      * Handle local clipboard content change
+     * Content is scanned for secrets before auto-sync; depending on the rule it is blocked, held for confirmation,
+     * or sent as a clip that expires
      */
     async handleLocalClipboardChange(content) {
         console.log('Local clipboard changed');
         
+        const findings = this.detector.scan(content);
         this.currentContent = content;
         this.lastSyncTime = new Date();
         
         this.emit('localClipboardChanged', {
             content,
+            findings,
             timestamp: this.lastSyncTime
         });
 
-        // Sync to server if in a session
-        if (this.signalRClient.getCurrentSessionId()) {
-            await this.syncToRemote(content);
+        // A newer copy replaces content still waiting for confirmation
+        if (this.pendingSensitive) {
+            this.discardSensitiveContent(this.pendingSensitive.id);
+        }
+
+        const action = strongestAction(findings);
+        if (action === SensitiveAction.Block) {
+            this.emit('sensitiveContentBlocked', { content, findings });
+            return;
         }
+        if (action === SensitiveAction.Confirm && this.getAutoSendSessionIds().length > 0) {
+            this.pendingSensitive = { id: generateUUID(), content, findings };
+            this.emit('sensitiveContentDetected', this.pendingSensitive);
+            return;
+        }
+
+        await this.autoSync(content, findings);
     }
 
     /**
-     * Handle remote clipboard content received
+     * Sync to every joined session that receives local changes automatically
      */
-    async handleRemoteClipboardContent(data) {
-        const { content, deviceName, timestamp, isFromOtherDevice } = data;
-        
-        if (!isFromOtherDevice) {
-            return; // Ignore our own content
+    async autoSync(content, findings = []) {
+        const expires = findings.some(finding => finding.action === SensitiveAction.Expire);
+        const options = expires ? { expiresIn: this.detector.expireAfterMs } : {};
+        for (const sessionId of this.getAutoSendSessionIds()) {
+            await this.syncToRemote(content, sessionId, options);
         }
+    }
 
-        console.log(`Received clipboard content from ${deviceName}`);
-        
-        this.currentContent = content;
-        this.lastLocalContent = content; // Prevent triggering our own change detection
-        this.lastSyncTime = timestamp;
-        
-        this.emit('remoteClipboardReceived', {
-            content,
-            deviceName,
-            timestamp
-        });
+    /**
+     * Send content held for confirmation
+     * @param {string} id - ID from the 'sensitiveContentDetected' event
+     */
+    async confirmSensitiveContent(id) {
+        const pending = this.pendingSensitive;
+        if (!pending || pending.id !== id) {
+            return false;
+        }
 
-        // Write to local clipboard
-        await this.writeToLocalClipboard(content);
+        this.pendingSensitive = null;
+        this.emit('sensitiveContentResolved', { id, sent: true });
+        await this.autoSync(pending.content, pending.findings);
+        return true;
+    }
+
+    /**
+     * Drop content held for confirmation without sending it
+     */
+    discardSensitiveContent(id) {
+        if (!this.pendingSensitive || this.pendingSensitive.id !== id) {
+            return false;
+        }
+
+        this.pendingSensitive = null;
+        this.emit('sensitiveContentResolved', { id, sent: false });
+        return true;
+    }
+
+    getPendingSensitiveContent() {
+        return this.pendingSensitive;
     }
 
     /**
-     * Sync clipboard content to remote devices
+     * Remove a self-destructing clip from this device when it expires; the device it came from also clears it
+     * from the server. The server's missed-update history can still hold the clip, or earlier chunks of it, if a
+     * newer update replaced it first; only a session key keeps it unreadable there.
      */
-    async syncToRemote(content) {
-        if (this.syncInProgress || !this.signalRClient.isConnected()) {
+    scheduleClipExpiry(sessionId, message) {
+        const expiresAt = this.clipExpiresAt(message);
+        if (!expiresAt || this.expiryTimers.has(message.id)) {
             return;
         }
 
-        try {
-            this.syncInProgress = true;
-            this.emit('syncStarted', { content });
-            
-            await this.signalRClient.sendClipboardContent(content);
-            
-            this.emit('syncCompleted', { 
-                content, 
-                timestamp: new Date() 
-            });
-            
-        } catch (error) {
-            console.error('Failed to sync clipboard to remote:', error);
-            this.emit('syncFailed', { content, error });
-        } finally {
-            this.syncInProgress = false;
+        const timer = this.timers.setTimeout(() => {
+            this.expiryTimers.delete(message.id);
+            this.clipDeadlines.delete(message.id);
+            this.expireClip(sessionId, message);
+        }, Math.max(0, expiresAt - this.now()));
+        this.expiryTimers.set(message.id, timer);
+    }
+
+    async expireClip(sessionId, message) {
+        this.outbox.expireMessage(message.id);
+        const delivery = this.deliveries.get(message.id);
+        if (delivery) {
+            delivery.content = '';
+            this.emit('deliveryChanged', this.getDelivery(message.id));
         }
+
+        const current = this.sessionContents.get(sessionId);
+        if (current?.message?.id === message.id) {
+            this.sessionContents.set(sessionId, { content: '', deviceName: null, timestamp: new Date(), isFromOtherDevice: false });
+            if (message.originDeviceId === this.transport.getDeviceId() && this.transport.getSessionIds().includes(sessionId)) {
+                try {
+                    await this.transport.clearClipboardContent(sessionId);
+                } catch (error) {
+                    console.warn('Failed to clear expired clip from session:', error);
+                }
+            }
+        }
+
+        await this.purgeClip(message);
+        this.emit('clipExpired', { sessionId, messageId: message.id, content: message.content });
     }
 
     /**
-     * Manually read clipboard content
+     * Take a self-destructing clip off the local clipboard, unless something else was copied since, and out of history
      */
-    async readClipboard() {
-        if (!this.hasClipboardRead) {
-            throw new Error('Clipboard read not supported');
+    async purgeClip(message) {
+        this.heldUpdates.forEach((held, sessionId) => {
+            if (held.message?.id === message.id) {
+                this.dropHeldUpdate(sessionId);
+            }
+        });
+        const localContent = this.localContents.get(message.id) ?? message.content;
+        this.localContents.delete(message.id);
+        if (this.lastLocalContent === localContent) {
+            try {
+                await this.writeToLocalClipboard('');
+            } catch (error) {
+                console.warn('Failed to clear clip from clipboard:', error);
+            }
         }
+        await this.history.purgeMessage(message.id);
+    }
 
-        try {
-            const content = await navigator.clipboard.readText();
-            this.currentContent = content;
-            this.lastLocalContent = content;
-            
-            this.emit('clipboardRead', { content });
-            return content;
-            
-        } catch (error) {
-            console.error('Failed to read clipboard:', error);
-            
-            if (error.name === 'NotAllowedError') {
-                this.emit('permissionDenied', { operation: 'read' });
-            }
-            
-            throw error;
+    /**
+     * Run a stage of the session's content transforms, reporting any change with 'contentTransformed'
+     * @returns {string} The transformed content
+     */
+    transformContent(stage, content, sessionId) {
+        const { content: transformed, applied } = this.transforms.run(stage, content, sessionId);
+        if (applied.length > 0) {
+            this.emit('contentTransformed', { sessionId, stage, original: content, content: transformed, transforms: applied });
         }
+        return transformed;
     }
 
     /**
-     * Write content to local clipboard
+     * Remember what a self-destructing clip looks like on this clipboard when a transform changed it,
+     * so purgeClip still recognises it there
      */
-    async writeToLocalClipboard(content) {
-        if (!this.hasClipboardWrite) {
-            throw new Error('Clipboard write not supported');
+    trackLocalContent(message, localContent) {
+        if (localContent !== message.content && (message.expiresIn || message.burnAfterRead)) {
+            this.localContents.set(message.id, localContent);
+        }
+    }
+
+    /**
+     * When a self-destructing clip expires on this device
+     * This device's own clips count from their stamp. A received clip counts from when it first arrived here,
+     * since the sender's clock may run ahead of or behind this one.
+     * @returns {number|null} Time in ms, or null for a clip that does not expire
+     */
+    clipExpiresAt(message) {
+        if (!message?.expiresIn || message.originDeviceId === this.clock.deviceId) {
+            return messageExpiresAt(message);
         }
+        if (!this.clipDeadlines.has(message.id)) {
+            this.clipDeadlines.set(message.id, this.now() + message.expiresIn);
+        }
+        return this.clipDeadlines.get(message.id);
+    }
+
+    /**
+     * Whether a self-destructing clip has already expired, so it must not be applied or recorded
+     */
+    isClipExpired(message) {
+        const expiresAt = this.clipExpiresAt(message);
+        return expiresAt !== null && this.now() >= expiresAt;
+    }
 
+    /**
+     * The first device to receive a burn-after-read clip keeps it on its clipboard and clears it from the session;
+     * every other device removes it when that clear arrives (see handleClipboardCleared). The clear of a targeted
+     * clip goes to its sender and other targets only, as the others never saw the clip.
+     */
+    async burnClip(sessionId, message) {
+        const deviceId = this.transport.getDeviceId();
+        const recipients = message.targets.length > 0
+            ? [...message.targets, message.originDeviceId].filter(id => id !== deviceId.toLowerCase())
+            : [];
         try {
-            await navigator.clipboard.writeText(content);
-            
-            this.currentContent = content;
-            this.lastLocalContent = content; // Prevent triggering change detection
-            
-            this.emit('clipboardWritten', { content });
-            console.log('Content written to clipboard');
-            
+            await this.transport.clearClipboardContent(sessionId, recipients);
         } catch (error) {
-            console.error('Failed to write to clipboard:', error);
-            
-            if (error.name === 'NotAllowedError') {
-                this.emit('permissionDenied', { operation: 'write' });
-            }
-            
-            throw error;
+            console.warn('Failed to burn clip from session:', error);
         }
+        this.emit('clipBurned', { sessionId, messageId: message.id, content: message.content, readHere: true });
     }
 
     /**
-     * Manually set clipboard content (with sync)
+     * A session's clipboard was cleared; a clear from another device takes the cleared content off this device too
      */
-    async setClipboardContent(content) {
-        await this.writeToLocalClipboard(content);
-        
-        // Sync to remote if in session
-        if (this.signalRClient.getCurrentSessionId()) {
-            await this.syncToRemote(content);
+    async handleClipboardCleared({ sessionId, deviceId, deviceName, timestamp }) {
+        const previous = this.sessionContents.get(sessionId);
+        this.sessionContents.set(sessionId, { content: '', deviceName, timestamp, isFromOtherDevice: true });
+
+        // What was cleared then is an update for other devices, not what this device holds
+        if (this.addressedElsewhere.delete(sessionId) || !previous?.content || deviceId === this.transport.getDeviceId()) {
+            return;
+        }
+
+        if (previous.message?.burnAfterRead) {
+            await this.purgeClip(previous.message);
+            this.emit('clipBurned', { sessionId, messageId: previous.message.id, content: previous.content, readHere: false, deviceName });
+        } else if (previous.content === this.lastLocalContent) {
+            try {
+                await this.writeToLocalClipboard('');
+            } catch (error) {
+                console.warn('Failed to clear local clipboard:', error);
+            }
         }
     }
 
     /**
-     * Get current clipboard content
+     * Handle remote clipboard content received
      */
-    getCurrentContent() {
-        return this.currentContent;
+    async handleRemoteClipboardContent(data) {
+        if (!data.isFromOtherDevice) {
+            return; // Ignore our own content
+        }
+
+        const plaintext = await this.decryptReceived(data);
+        const payload = plaintext === null ? null : await this.readFrame(plaintext);
+        if (payload === null) {
+            return;
+        }
+
+        const received = { ...data, ...parseMessage(payload) };
+        if (this.acceptReceived(received)) {
+            this.recordReceived(received);
+            await this.applyRemoteContent(received);
+        }
     }
 
     /**
-     * Get last sync time
+     * Add a received item to the local history, including items that lose to a newer update
      */
-    getLastSyncTime() {
-        return this.lastSyncTime;
+    recordReceived({ sessionId, content, deviceId, deviceName, timestamp, message }) {
+        // Burn-after-read clips never go into history; expiring ones leave it when they expire
+        if (this.isClipExpired(message) || message?.burnAfterRead) {
+            return;
+        }
+        if (message?.expiresIn) {
+            this.scheduleClipExpiry(sessionId, message);
+        }
+        this.history.record({
+            ...this.historyContent(content),
+            direction: HistoryDirection.Received,
+            sessionId,
+            deviceId: message?.originDeviceId || deviceId,
+            deviceName,
+            timestamp,
+            messageId: message?.id
+        });
     }
 
     /**
-     * Check if monitoring is active
+     * Drop echoes of this device's own updates, updates already received (the hub may deliver one twice,
+     * and retried sends repeat it), content that does not match its hash, updates stamped too far ahead of this
+     * device's clock and updates sent to other devices only
+     * @returns {boolean} Whether the update is new
      */
-    isMonitoringActive() {
-        return this.isMonitoring;
+    acceptReceived({ sessionId, deviceId, content, message }) {
+        if (!message) {
+            const contentHash = hashContent(content);
+            const last = this.legacyReceived.get(sessionId);
+            this.legacyReceived.set(sessionId, { deviceId, contentHash, receivedAt: this.now() });
+            return !last || last.deviceId !== deviceId || last.contentHash !== contentHash ||
+                this.now() - last.receivedAt > LEGACY_DUPLICATE_WINDOW_MS;
+        }
+
+        if (message.originDeviceId === this.clock.deviceId || this.seenMessages.has(message.id)) {
+            return false;
+        }
+        if (!verifyMessage(message)) {
+            console.warn(`Dropped clipboard update ${message.id}: content does not match its hash`);
+            return false;
+        }
+        if (message.stamp && !this.clock.receive(message.stamp)) {
+            console.warn(`Dropped clipboard update ${message.id}: stamped too far ahead of this device's clock`);
+            return false;
+        }
+
+        this.seenMessages.add(message.id);
+        if (!isAddressedTo(message, this.clock.deviceId)) {
+            this.addressedElsewhere.add(sessionId);
+            return false;
+        }
+        return !this.isClipExpired(message);
+    }
+
+    /**
+     * Decrypt content received for a session
+     * Content that cannot be decrypted is recorded as such for the session and reported with 'decryptionFailed'
+     * @returns {string|null} Plaintext content, or null when it cannot be read
+     */
+    async decryptReceived(data) {
+        const { sessionId, deviceName, timestamp } = data;
+
+        try {
+            return await this.cipher.decrypt(data.content, sessionId);
+        } catch (error) {
+            if (error.name !== 'DecryptionError') {
+                throw error;
+            }
+
+            console.warn(`Cannot decrypt clipboard content in session ${sessionId}:`, error.message);
+            if (error.reason === 'missingKey') {
+                this.lockedSessions.add(sessionId);
+            }
+            this.sessionContents.set(sessionId, { content: '', deviceName, timestamp, isFromOtherDevice: true, undecryptable: true });
+            this.emit('decryptionFailed', { sessionId, deviceName, timestamp, reason: error.reason });
+            return null;
+        }
+    }
+
+    /**
+     * Put decrypted remote content on the local clipboard, unless the session already has a newer update
+     */
+    async applyRemoteContent(data) {
+        const { sessionId, deviceName, timestamp, isFromOtherDevice, message = null } = data;
+        // Receipt does not wait on the hub, and holds even when the update is held or loses to a newer one
+        if (message?.targets?.length > 0) {
+            this.acknowledgeDelivery(sessionId, message);
+        }
+        const content = this.transformContent(TransformStage.AfterReceive, data.content, sessionId);
+        if (message) {
+            this.trackLocalContent(message, content);
+        }
+        const stamp = message?.stamp || null;
+        const latest = this.latestUpdate(sessionId);
+
+        // The clock merged the stamp when the update was accepted
+        if (stamp && latest?.stamp) {
+            const order = compareStamps(stamp, latest.stamp);
+            if (order === 0) {
+                return; // The same update delivered again
+            }
+            if (order < 0) {
+                // A queued winner goes out when the outbox flushes
+                if (this.recordConflict(sessionId, { content, deviceName, timestamp, stamp }, latest) && !latest.queued) {
+                    await this.reassertLatest(sessionId);
+                }
+                return;
+            }
+        }
+
+        console.log(`Received clipboard content from ${deviceName} in session ${sessionId}`);
+        
+        const mode = receiveMode(this.syncPolicy);
+        this.sessionContents.set(sessionId, { content, deviceName, timestamp, isFromOtherDevice, stamp, message });
+        this.addressedElsewhere.delete(sessionId);
+        const restorePoint = mode === ReceiveMode.Write ? await this.captureRestorePoint(content, sessionId, deviceName) : null;
+        
+        this.emit('remoteClipboardReceived', {
+            sessionId,
+            content,
+            deviceName,
+            timestamp,
+            expiresAt: this.clipExpiresAt(message),
+            burnAfterRead: Boolean(message?.burnAfterRead),
+            contentTypes: this.classifyContent(content),
+            held: mode === ReceiveMode.Hold,
+            written: mode === ReceiveMode.Write,
+            restoreId: restorePoint?.id ?? null
+        });
+
+        if (message?.expiresIn) {
+            this.scheduleClipExpiry(sessionId, message);
+        }
+
+        if (mode === ReceiveMode.Hold) {
+            this.heldUpdates.set(sessionId, { sessionId, content, deviceName, timestamp, message });
+            this.emit('heldUpdatesChanged', this.getHeldUpdates());
+        } else if (mode === ReceiveMode.Write) {
+            await this.writeReceived(sessionId, content, timestamp, message);
+        }
+    }
+
+    /**
+     * Put a received update on the local clipboard; a burn-after-read clip is cleared from the session once read
+     */
+    async writeReceived(sessionId, content, timestamp, message) {
+        this.currentContent = content;
+        this.lastLocalContent = content; // Prevent triggering our own change detection (and relaying to other sessions)
+        this.lastSyncTime = timestamp;
+
+        // Write to local clipboard
+        await this.writeToLocalClipboard(content);
+
+        if (message?.burnAfterRead) {
+            await this.burnClip(sessionId, message);
+        }
+    }
+
+    /**
+     * Keep what is on the local clipboard before a received update replaces it
+     * The clipboard is read where the page may, since it can hold a copy the monitor has not seen yet;
+     * otherwise the last content this device knows of is kept. A poll already reading it is joined rather than
+     * raced, and its result discarded by the poll, as for any read that spans a write.
+     * @returns {Object|null} The restore point, or null when there is nothing to lose
+     */
+    async captureRestorePoint(incoming, sessionId, deviceName) {
+        let previous = this.lastLocalContent;
+        if (this.hasClipboardRead) {
+            this.writeEpoch++;
+            try {
+                const local = await (this.localRead || this.readLocalContent());
+                previous = local.image ? await blobToDataUrl(local.image) : this.toContent(local);
+            } catch (error) {
+                if (error.name !== 'NotAllowedError') {
+                    console.warn('Could not read the clipboard before overwriting it:', error);
+                }
+            }
+        }
+        if (!previous || previous === incoming) {
+            return null;
+        }
+
+        const restorePoint = { id: generateUUID(), content: previous, sessionId, deviceName, capturedAt: this.now() };
+        this.restorePoints = [restorePoint, ...this.restorePoints].slice(0, MAX_RESTORE_POINTS);
+        this.emit('restorePointsChanged', this.getRestorePoints());
+        return restorePoint;
+    }
+
+    /**
+     * Local clipboard contents that received updates replaced, newest first
+     * They are kept in memory only and never leave the device
+     * @returns {Array} { id, content, sessionId, deviceName, capturedAt }
+     */
+    getRestorePoints() {
+        return this.restorePoints.map(restorePoint => ({ ...restorePoint }));
+    }
+
+    /**
+     * Put back what was on the local clipboard before a received update; undoing an older overwrite also drops
+     * the newer restore points, which it rolls back too. Nothing is sent to the session.
+     * @param {string} id - Restore point ID; the newest one by default
+     * @returns {Object|null} The restore point written back, or null when there is none
+     */
+    async undoOverwrite(id = null) {
+        const index = id ? this.restorePoints.findIndex(restorePoint => restorePoint.id === id) : 0;
+        const restorePoint = this.restorePoints[index];
+        if (index === -1 || !restorePoint) {
+            return null;
+        }
+
+        this.restorePoints = this.restorePoints.slice(index + 1);
+        this.emit('restorePointsChanged', this.getRestorePoints());
+        await this.writeToLocalClipboard(restorePoint.content);
+        return { ...restorePoint };
+    }
+
+    /**
+     * Received updates waiting for the user under the manual policy, one per session
+     * @returns {Array} { sessionId, content, deviceName, timestamp, expiresAt }
+     */
+    getHeldUpdates() {
+        return Array.from(this.heldUpdates.values(), ({ message, ...held }) => ({ ...held, expiresAt: this.clipExpiresAt(message) }));
+    }
+
+    /**
+     * Write a held update to the local clipboard
+     * @returns {boolean} False when there is none for the session, or it expired meanwhile
+     */
+    async takeHeldUpdate(sessionId) {
+        const held = this.heldUpdates.get(sessionId);
+        if (!held) {
+            return false;
+        }
+
+        this.dropHeldUpdate(sessionId);
+        if (held.message && this.isClipExpired(held.message)) {
+            return false;
+        }
+        await this.captureRestorePoint(held.content, sessionId, held.deviceName);
+        await this.writeReceived(sessionId, held.content, held.timestamp, held.message);
+        return true;
+    }
+
+    dropHeldUpdate(sessionId) {
+        if (this.heldUpdates.delete(sessionId)) {
+            this.emit('heldUpdatesChanged', this.getHeldUpdates());
+        }
+    }
+
+    /**
+     * Change this device's sync policy, starting or stopping clipboard monitoring to match,
+     * and tell the other devices of every joined session
+     * @param {string} policy - SyncPolicy value
+     */
+    async setSyncPolicy(policy) {
+        if (!isSyncPolicy(policy)) {
+            throw new Error(`Unknown sync policy: ${policy}`);
+        }
+        if (policy === this.syncPolicy) {
+            return;
+        }
+
+        this.syncPolicy = policy;
+        Storage.set('syncPolicy', policy);
+
+        if (!sendsAutomatically(policy)) {
+            this.stopMonitoring();
+        } else if (this.transport.getSessionIds().length > 0) {
+            this.startMonitoring();
+        }
+        // Updates held for the user stay in the session view when nothing is held any more
+        if (receiveMode(policy) !== ReceiveMode.Hold) {
+            Array.from(this.heldUpdates.keys()).forEach(sessionId => this.dropHeldUpdate(sessionId));
+        }
+
+        this.emit('syncPolicyChanged', { syncPolicy: policy });
+        await Promise.all(this.transport.getSessionIds().map(sessionId => this.announceSyncPolicy(sessionId)));
+    }
+
+    getSyncPolicy() {
+        return this.syncPolicy;
+    }
+
+    async announceSyncPolicy(sessionId) {
+        try {
+            await this.transport.announceSyncPolicy(sessionId, this.syncPolicy);
+        } catch (error) {
+            console.warn('Failed to announce sync policy:', error);
+        }
+    }
+
+    handleDeviceSyncPolicy({ sessionId, deviceId, deviceName, syncPolicy }) {
+        if (!isSyncPolicy(syncPolicy)) {
+            return;
+        }
+        if (!this.devicePolicies.has(sessionId)) {
+            this.devicePolicies.set(sessionId, new Map());
+        }
+        this.devicePolicies.get(sessionId).set(deviceId, { deviceId, deviceName, syncPolicy });
+        this.deviceNames.set(deviceId, deviceName);
+        this.emit('devicePoliciesChanged', { sessionId, devices: this.getDevicePolicies(sessionId) });
+    }
+
+    /**
+     * Sync policies the other devices of a session announced
+     * @returns {Array} { deviceId, deviceName, syncPolicy }
+     */
+    getDevicePolicies(sessionId) {
+        return Array.from(this.devicePolicies.get(sessionId)?.values() || []);
+    }
+
+    /**
+     * Tell the sender of an update addressed to this device that it arrived
+     */
+    async acknowledgeDelivery(sessionId, message) {
+        try {
+            await this.transport.acknowledgeClipboardUpdate(sessionId, message.id);
+        } catch (error) {
+            console.warn('Failed to acknowledge clipboard update:', error);
+        }
+    }
+
+    /**
+     * Start tracking a targeted send per recipient; names come from the devices that announced a sync policy,
+     * so a recipient that is offline for now is still named
+     */
+    trackDelivery(sessionId, message) {
+        if (!message.targets?.length) {
+            return;
+        }
+
+        this.deliveries.set(message.id, {
+            messageId: message.id,
+            sessionId,
+            content: message.content,
+            createdAt: this.now(),
+            recipients: message.targets.map(deviceId => ({
+                deviceId,
+                deviceName: this.deviceNames.get(deviceId) || null,
+                status: DeliveryStatus.Pending,
+                deliveredAt: null
+            }))
+        });
+        if (this.deliveries.size > MAX_DELIVERIES) {
+            this.deliveries.delete(this.deliveries.keys().next().value);
+        }
+        this.emit('deliveryChanged', this.getDelivery(message.id));
+    }
+
+    markDeliverySent(messageId) {
+        const pending = this.deliveries.get(messageId)?.recipients.filter(recipient => recipient.status === DeliveryStatus.Pending);
+        if (pending?.length > 0) {
+            pending.forEach(recipient => { recipient.status = DeliveryStatus.Sent; });
+            this.emit('deliveryChanged', this.getDelivery(messageId));
+        }
+    }
+
+    dropDelivery(messageId) {
+        this.deliveries.delete(messageId);
+    }
+
+    handleDelivered({ deviceId, deviceName, messageId, timestamp }) {
+        const recipient = this.deliveries.get(messageId)?.recipients
+            .find(candidate => candidate.deviceId === String(deviceId).toLowerCase());
+        if (!recipient || recipient.status === DeliveryStatus.Delivered) {
+            return;
+        }
+
+        recipient.deviceName = deviceName || recipient.deviceName;
+        recipient.status = DeliveryStatus.Delivered;
+        recipient.deliveredAt = timestamp;
+        this.emit('clipboardDelivered', { sessionId: this.deliveries.get(messageId).sessionId, messageId, ...recipient });
+        this.emit('deliveryChanged', this.getDelivery(messageId));
+    }
+
+    /**
+     * Delivery of a targeted send
+     * @returns {Object|null} { messageId, sessionId, content, createdAt, recipients }: each recipient is
+     *                        { deviceId, deviceName, status, deliveredAt } with a DeliveryStatus
+     */
+    getDelivery(messageId) {
+        const delivery = this.deliveries.get(messageId);
+        return delivery ? { ...delivery, recipients: delivery.recipients.map(recipient => ({ ...recipient })) } : null;
+    }
+
+    /**
+     * Tracked targeted sends, newest first
+     * @param {string} sessionId - Only this session's; every session's when omitted
+     */
+    getDeliveries(sessionId = null) {
+        return Array.from(this.deliveries.keys())
+            .reverse()
+            .map(messageId => this.getDelivery(messageId))
+            .filter(delivery => !sessionId || delivery.sessionId === sessionId);
+    }
+
+    /**
+     * Decrypt a session's state after a reconnect, re-emit it as 'resynchronized', apply its current
+     * content if it changed while we were offline and keep missed updates that lost to ours as conflicts
+     */
+    async handleResynchronized(snapshot) {
+        const { sessionId } = snapshot;
+        // Chunks of one large update arrive as separate history entries; each whole update is listed once
+        const assembler = new ChunkAssembler();
+        const assembled = new Map(); // messageId -> payload of a chunked update
+        const decrypt = async (update) => {
+            const plaintext = await this.cipher.decrypt(update.content, sessionId).catch(() => null);
+            if (plaintext === null) {
+                return { ...update, content: '', stamp: null, undecryptable: true };
+            }
+            const payload = await this.readFrame(plaintext, assembler);
+            if (payload === null) {
+                return null;
+            }
+            const { content, message } = parseMessage(payload);
+            if (chunkMessageId(plaintext)) {
+                assembled.set(chunkMessageId(plaintext), payload);
+            }
+            // Updates other devices sent to someone else were never this device's to see
+            if (message && message.originDeviceId !== this.clock.deviceId && !isAddressedTo(message, this.clock.deviceId)) {
+                return null;
+            }
+            // A burn-after-read clip that is no longer current was read by another device
+            if (!message?.burnAfterRead) {
+                this.recordReceived({ ...update, sessionId, content, message });
+            }
+            return { ...update, content, stamp: message?.stamp || null, undecryptable: false };
+        };
+
+        const missedUpdates = (await Promise.all(snapshot.missedUpdates.map(decrypt))).filter(Boolean);
+        this.emit('resynchronized', { ...snapshot, missedUpdates });
+
+        const { content } = snapshot;
+        if (content?.isFromOtherDevice) {
+            try {
+                // The session's content is the last chunk of a chunked update; its other chunks are in the history
+                const plaintext = await this.decryptReceived({ ...content, sessionId });
+                const payload = plaintext === null ? null
+                    : assembled.get(chunkMessageId(plaintext)) ?? await this.readFrame(plaintext, assembler);
+                const received = payload === null ? null : { ...content, ...parseMessage(payload), sessionId };
+                if (received && (received.message || received.content !== this.sessionContents.get(sessionId)?.content) &&
+                    this.acceptReceived(received)) {
+                    this.recordReceived(received);
+                    await this.applyRemoteContent(received);
+                }
+            } catch (error) {
+                console.warn('Failed to apply resynchronized clipboard content:', error);
+            }
+        }
+
+        // This device never saw the missed updates, so any older than its own latest update were concurrent with it
+        const latest = this.latestUpdate(sessionId);
+        if (latest?.stamp && !latest.isFromOtherDevice) {
+            missedUpdates
+                .filter(update => update.stamp && compareStamps(update.stamp, latest.stamp) < 0)
+                .forEach(({ content, deviceName, timestamp, stamp }) =>
+                    this.recordConflict(sessionId, { content, deviceName, timestamp, stamp }, latest));
+        }
+    }
+
+    /**
+     * Sync clipboard content to a session's devices, queueing it in the outbox while offline
+     * @param {string} content - Content to send
+     * @param {string} sessionId - Joined session to send to
+     * @param {Object} options - Self-destruct options: expiresIn (ms), burnAfterRead; targets: recipient device IDs
+     *                           (see createMessage)
+     */
+    async syncToRemote(content, sessionId, options = {}) {
+        // Never send plaintext into a session the other devices encrypt
+        if (this.lockedSessions.has(sessionId)) {
+            this.emit('syncBlocked', { sessionId, content, reason: 'missingKey' });
+            return;
+        }
+
+        const copied = content;
+        content = this.transformContent(TransformStage.BeforeSend, content, sessionId);
+
+        // Stamped now, so an update queued offline still orders by when it was copied
+        const message = createMessage(content, this.clock.tick(), options);
+        this.trackLocalContent(message, copied);
+
+        // Compressed and chunked up front, so content too large to send is never queued
+        let frames = null;
+        if (utf8Length(encodeMessage(message)) > this.getFrameLimit(sessionId)) {
+            try {
+                frames = await this.framesFor(message, sessionId);
+            } catch (error) {
+                if (error.name !== 'PayloadTooLargeError') {
+                    throw error;
+                }
+                this.emit('syncBlocked', { sessionId, content, reason: 'tooLarge', error });
+                return;
+            }
+        }
+
+        this.seenMessages.add(message.id);
+        this.scheduleClipExpiry(sessionId, message);
+        this.trackDelivery(sessionId, message);
+        const isSyncing = this.syncingSessions.has(sessionId);
+
+        if (!this.transport.isConnected() || isSyncing || this.outbox.hasPending(sessionId)) {
+            const item = this.outbox.enqueue(sessionId, content, envelopeOf(message), this.detector.redact(content));
+            this.emit('syncQueued', { sessionId, content, item });
+
+            if (this.transport.isConnected() && !isSyncing) {
+                await this.flushOutbox(sessionId);
+            }
+            return;
+        }
+
+        try {
+            this.syncingSessions.add(sessionId);
+            this.emit('syncStarted', { sessionId, content });
+            
+            await this.sendMessage(message, sessionId, frames);
+            this.recordSent(sessionId, message);
+            
+            this.emit('syncCompleted', { 
+                sessionId,
+                content, 
+                timestamp: new Date() 
+            });
+            
+        } catch (error) {
+            console.error('Failed to sync clipboard to remote:', error);
+            this.emit('syncFailed', { sessionId, content, error });
+
+            // Keep the update if the connection dropped mid-send
+            if (!this.transport.isConnected()) {
+                const item = this.outbox.enqueue(sessionId, content, envelopeOf(message), this.detector.redact(content));
+                this.emit('syncQueued', { sessionId, content, item });
+            } else {
+                this.dropDelivery(message.id);
+            }
+        } finally {
+            this.syncingSessions.delete(sessionId);
+        }
+
+        // Anything queued while this send was in flight goes out next
+        if (this.outbox.hasPending(sessionId)) {
+            await this.flushOutbox(sessionId);
+        }
+    }
+
+    /**
+     * Send queued outbox items in order
+     * @param {string} sessionId - Session to flush; all joined sessions when omitted
+     */
+    async flushOutbox(sessionId = null) {
+        if (!sessionId) {
+            for (const joinedSessionId of this.transport.getSessionIds()) {
+                await this.flushOutbox(joinedSessionId);
+            }
+            return;
+        }
+
+        if (this.syncingSessions.has(sessionId) || !this.transport.isConnected() ||
+            !this.transport.getSessionIds().includes(sessionId)) {
+            return;
+        }
+
+        try {
+            this.syncingSessions.add(sessionId);
+
+            let item;
+            while ((item = this.outbox.getPending(sessionId)[0])) {
+                if (item.message && this.isClipExpired(item.message)) {
+                    this.outbox.setStatus(item.id, OutboxStatus.Expired);
+                    continue;
+                }
+
+                this.outbox.setStatus(item.id, OutboxStatus.Sending);
+                this.emit('syncStarted', { sessionId, content: item.content, item });
+
+                // A resend keeps the item's message ID, so devices that already got it drop the copy
+                const message = item.message
+                    ? { ...item.message, content: item.content }
+                    : createMessage(item.content, this.clock.tick());
+                try {
+                    await this.sendMessage(message, sessionId);
+                } catch (error) {
+                    console.error('Failed to flush outbox item:', error);
+                    this.outbox.setStatus(item.id, OutboxStatus.Queued);
+                    this.emit('syncFailed', { sessionId, content: item.content, item, error });
+                    return;
+                }
+
+                this.outbox.setStatus(item.id, OutboxStatus.Sent);
+                this.recordSent(sessionId, message);
+                this.emit('syncCompleted', { sessionId, content: item.content, item, timestamp: new Date() });
+            }
+        } finally {
+            this.syncingSessions.delete(sessionId);
+        }
+    }
+
+    /**
+     * Content as history keeps it: what mask and block rules find is masked, and the entry says so
+     */
+    historyContent(content) {
+        const redacted = this.detector.redact(content);
+        return { content: redacted, redacted: redacted !== content };
+    }
+
+    /**
+     * Remember what this device last put on a session's clipboard, unless a newer update already replaced it
+     */
+    recordSent(sessionId, message) {
+        const { content, stamp } = message;
+        this.markDeliverySent(message.id);
+        if (!message.burnAfterRead) {
+            this.history.record({
+                ...this.historyContent(content),
+                direction: HistoryDirection.Sent,
+                sessionId,
+                deviceId: message.originDeviceId,
+                messageId: message.id
+            });
+        }
+
+        const current = this.sessionContents.get(sessionId);
+        if (current?.stamp && compareStamps(stamp, current.stamp) < 0) {
+            this.recordConflict(sessionId, { content, deviceName: null, timestamp: new Date(), stamp }, current);
+            return;
+        }
+        this.sessionContents.set(sessionId, { content, deviceName: null, timestamp: new Date(), isFromOtherDevice: false, stamp, message });
+        this.addressedElsewhere.delete(sessionId);
+    }
+
+    /**
+     * The newest update this device knows for a session, counting its own updates still in the outbox
+     */
+    latestUpdate(sessionId) {
+        const current = this.sessionContents.get(sessionId);
+        const queued = this.outbox.getPending(sessionId).filter(item => item.message).at(-1);
+        if (!queued || (current?.stamp && compareStamps(queued.message.stamp, current.stamp) < 0)) {
+            return current;
+        }
+
+        return {
+            content: queued.content,
+            deviceName: null,
+            timestamp: new Date(queued.queuedAt),
+            isFromOtherDevice: false,
+            stamp: queued.message.stamp,
+            queued: true
+        };
+    }
+
+    /**
+     * Keep a concurrent update that lost to the session's latest one
+     * @returns {boolean} False when the update was already recorded
+     */
+    recordConflict(sessionId, loser, winner) {
+        const conflicts = this.conflicts.get(sessionId) || [];
+        if (conflicts.some(conflict => compareStamps(conflict.stamp, loser.stamp) === 0)) {
+            return false;
+        }
+
+        conflicts.unshift({ ...loser, supersededBy: winner.stamp });
+        this.conflicts.set(sessionId, conflicts.slice(0, MAX_CONFLICTS_PER_SESSION));
+
+        console.log(`Concurrent update from ${loser.deviceName} in session ${sessionId} lost to a newer one`);
+        this.emit('clipboardConflict', { sessionId, loser, winner });
+        return true;
+    }
+
+    /**
+     * Send this device's update again when an older one reached the server after it,
+     * so the server and devices joining later hold the winner too
+     */
+    async reassertLatest(sessionId) {
+        const current = this.sessionContents.get(sessionId);
+        if (!current || current.isFromOtherDevice || !current.message || !this.transport.isConnected()) {
+            return;
+        }
+
+        try {
+            await this.sendMessage(current.message, sessionId);
+        } catch (error) {
+            console.warn('Failed to resend the latest clipboard update:', error);
+        }
+    }
+
+    /**
+     * Concurrent updates that lost to a newer one, newest first
+     * @returns {Array} { content, deviceName, timestamp, stamp, supersededBy }
+     */
+    getConflicts(sessionId) {
+        return this.conflicts.get(sessionId) || [];
+    }
+
+    /**
+     * Drop state for a session this device is no longer in
+     */
+    forgetSession(sessionId) {
+        this.outbox.dropSession(sessionId);
+        this.sessionContents.delete(sessionId);
+        this.conflicts.delete(sessionId);
+        this.lockedSessions.delete(sessionId);
+        this.devicePolicies.delete(sessionId);
+        this.addressedElsewhere.delete(sessionId);
+        this.deliveries.forEach((delivery, messageId) => {
+            if (delivery.sessionId === sessionId) {
+                this.deliveries.delete(messageId);
+            }
+        });
+        this.dropHeldUpdate(sessionId);
+        this.transforms.forgetSession(sessionId);
+        if (sessionId in this.autoSendSettings) {
+            delete this.autoSendSettings[sessionId];
+            Storage.set('autoSendSessions', this.autoSendSettings);
+        }
+    }
+
+    /**
+     * Choose whether a session automatically receives local clipboard changes
+     * @param {string} sessionId - Joined session
+     * @param {boolean} enabled - Whether local changes are sent to it
+     */
+    setAutoSend(sessionId, enabled) {
+        this.autoSendSettings[sessionId] = enabled;
+        Storage.set('autoSendSessions', this.autoSendSettings);
+        this.emit('autoSendChanged', { sessionId, enabled });
+    }
+
+    /**
+     * Check whether a session automatically receives local clipboard changes (on by default)
+     */
+    isAutoSendEnabled(sessionId) {
+        return this.autoSendSettings[sessionId] ?? true;
+    }
+
+    /**
+     * Get the joined sessions that automatically receive local clipboard changes
+     */
+    getAutoSendSessionIds() {
+        if (!sendsAutomatically(this.syncPolicy)) {
+            return [];
+        }
+        return this.transport.getSessionIds().filter(sessionId => this.isAutoSendEnabled(sessionId));
+    }
+
+    /**
+     * Store the key for an encrypted session, e.g. from a join link
+     */
+    setSessionKey(sessionId, key) {
+        this.keyring.set(sessionId, key);
+        this.lockedSessions.delete(sessionId);
+        this.emit('sessionKeyChanged', { sessionId });
+    }
+
+    getSessionKey(sessionId) {
+        return this.keyring.get(sessionId);
+    }
+
+    /**
+     * @returns {string} 'encrypted' with a key, 'locked' when others encrypt and this device has no key, otherwise 'none'
+     */
+    getEncryptionState(sessionId) {
+        if (this.cipher.isEncrypted(sessionId)) {
+            return 'encrypted';
+        }
+        return this.lockedSessions.has(sessionId) ? 'locked' : 'none';
+    }
+
+    /**
+     * Get the last content seen on a session's clipboard
+     * @returns {Object|null} { content, deviceName, timestamp, isFromOtherDevice, undecryptable }
+     */
+    getSessionContent(sessionId) {
+        return this.sessionContents.get(sessionId) || null;
+    }
+
+    /**
+     * Get outbox items for display, newest first
+     */
+    getOutboxItems() {
+        return this.outbox.getItems();
+    }
+
+    /**
+     * Manually read clipboard content
+     */
+    async readClipboard() {
+        if (!this.hasClipboardRead) {
+            throw new Error('Clipboard read not supported');
+        }
+
+        try {
+            const local = await this.readLocalContent();
+            const content = local.image ? (await this.prepareImage(local.image)).content : this.toContent(local);
+            this.currentContent = content;
+            this.lastLocalContent = content;
+            
+            this.emit('clipboardRead', { content });
+            return content;
+            
+        } catch (error) {
+            console.error('Failed to read clipboard:', error);
+            
+            if (error.name === 'NotAllowedError') {
+                this.emit('permissionDenied', { operation: 'read' });
+            }
+            
+            throw error;
+        }
+    }
+
+    /**
+     * Write content to local clipboard
+     * Monitoring pauses while the write is in flight, so it cannot mistake the old content for a new copy
+     */
+    async writeToLocalClipboard(content) {
+        this.writeEpoch++;
+        this.writesInFlight++;
+        try {
+            if (isImageContent(content)) {
+                return await this.writeImageToLocalClipboard(content);
+            }
+            if (isRichContent(content)) {
+                return await this.writeRichToLocalClipboard(content);
+            }
+            return await this.writeTextToLocalClipboard(content);
+        } finally {
+            this.writesInFlight--;
+        }
+    }
+
+    /**
+     * Write plain text to the local clipboard
+     */
+    async writeTextToLocalClipboard(content) {
+        if (!this.hasClipboardWrite) {
+            throw new Error('Clipboard write not supported');
+        }
+
+        try {
+            await this.clipboard.writeText(content);
+            
+            this.currentContent = content;
+            this.lastLocalContent = content; // Prevent triggering change detection
+            
+            this.emit('clipboardWritten', { content });
+            console.log('Content written to clipboard');
+            
+        } catch (error) {
+            console.error('Failed to write to clipboard:', error);
+            
+            if (error.name === 'NotAllowedError') {
+                this.emit('permissionDenied', { operation: 'write' });
+            }
+            
+            throw error;
+        }
+    }
+
+    /**
+     * Write image content to the local clipboard with ClipboardItem
+     * Text-only browsers keep the image in the panel instead and get 'imageWriteUnsupported'
+     */
+    async writeImageToLocalClipboard(content) {
+        this.currentContent = content;
+
+        if (!this.hasItemWrite) {
+            // The local clipboard keeps its old text; remember it so monitoring does not send it over the image
+            this.lastLocalContent = await this.clipboard.readText().catch(() => this.lastLocalContent);
+            this.emit('imageWriteUnsupported', { content });
+            return;
+        }
+
+        this.lastLocalContent = content;
+
+        let blob = dataUrlToBlob(content);
+        try {
+            try {
+                await this.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+            } catch (error) {
+                // Most browsers only write PNG to the system clipboard
+                if (error.name === 'NotAllowedError' || blob.type === 'image/png') {
+                    throw error;
+                }
+                blob = await convertImage(blob, 'image/png', this.imageCodec);
+                await this.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+            }
+
+            // Remember the image as the clipboard now holds it (the system may re-encode it)
+            // so monitoring does not send it back
+            this.lastLocalImageHash = await this.readBackImageHash(blob);
+            this.emit('clipboardWritten', { content });
+            console.log('Image written to clipboard');
+
+        } catch (error) {
+            console.error('Failed to write image to clipboard:', error);
+
+            if (error.name === 'NotAllowedError') {
+                this.emit('permissionDenied', { operation: 'write' });
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Write formatted text to the local clipboard as text/html and text/plain
+     * Text-only browsers get the plain text; the panel still shows the rich preview
+     */
+    async writeRichToLocalClipboard(content) {
+        const { text, html } = parseRichContent(content);
+
+        if (!this.hasItemWrite) {
+            await this.writeTextToLocalClipboard(text);
+            this.currentContent = content;
+            return;
+        }
+
+        try {
+            // The sender sanitized it too, but a modified client need not have
+            await this.clipboard.write([new ClipboardItem({
+                'text/html': new Blob([sanitizeHtml(html)], { type: 'text/html' }),
+                'text/plain': new Blob([text], { type: 'text/plain' })
+            })]);
+
+            this.currentContent = content;
+            // Browsers may rewrite stored HTML (e.g. add a charset meta); remember what reading it
+            // back gives so monitoring does not send it again
+            this.lastLocalContent = await this.readLocalContent()
+                .then(local => local.image ? content : this.toContent(local))
+                .catch(() => content);
+
+            this.emit('clipboardWritten', { content });
+            console.log('Formatted text written to clipboard');
+
+        } catch (error) {
+            console.error('Failed to write formatted text to clipboard:', error);
+
+            if (error.name === 'NotAllowedError') {
+                this.emit('permissionDenied', { operation: 'write' });
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Hash of the image now on the clipboard, or of the written blob if it cannot be read back
+     */
+    async readBackImageHash(written) {
+        try {
+            const local = await this.readLocalContent();
+            return await hashBlob(local.image || written);
+        } catch {
+            return hashBlob(written);
+        }
+    }
+
+    /**
+     * Share an image (e.g. pasted into the clipboard panel) with one session
+     * @param {Blob} blob - PNG or JPEG image
+     * @param {string} sessionId - Joined session to send to
+     * @returns {Object} The prepared image (see prepareImage)
+     */
+    async sendImage(blob, sessionId) {
+        const image = await this.prepareImage(blob);
+        this.emit('imagePrepared', image);
+        await this.setClipboardContent(image.content, sessionId);
+        return image;
+    }
+
+    /**
+     * Send a file (e.g. dropped on the clipboard panel) to the other devices of a session
+     * @param {File} file - File to send
+     * @param {string} sessionId - Joined session to send to
+     * @returns {Object} The transfer (see FileTransferManager.describe)
+     */
+    sendFile(file, sessionId) {
+        return this.fileTransfers.sendFile(file, sessionId);
+    }
+
+    /**
+     * Cancel a file transfer on this device and the device on the other end
+     */
+    cancelFileTransfer(transferId) {
+        return this.fileTransfers.cancel(transferId);
+    }
+
+    /**
+     * File transfers of this page, newest first
+     */
+    getFileTransfers() {
+        return this.fileTransfers.getTransfers();
+    }
+
+    /**
+     * Forget completed, cancelled and failed file transfers
+     */
+    clearFinishedFileTransfers() {
+        this.fileTransfers.clearFinished();
+    }
+
+    /**
+     * Local history entries matching filters, newest first (see ClipboardHistory.search)
+     */
+    searchHistory(filters = {}) {
+        return this.history.search(filters);
+    }
+
+    /**
+     * Device names and sessions in the local history, for filter choices
+     */
+    getHistoryFacets() {
+        return this.history.getFacets();
+    }
+
+    pinHistoryEntry(entryId, pinned) {
+        return this.history.setPinned(entryId, pinned);
+    }
+
+    deleteHistoryEntry(entryId) {
+        return this.history.delete(entryId);
+    }
+
+    /**
+     * Delete all unpinned history entries
+     */
+    clearHistory() {
+        return this.history.clear();
+    }
+
+    /**
+     * Put a history entry back on the clipboard and send it to a session
+     * Masked entries cannot be sent: history only has the masked copy, not what was copied
+     */
+    async resendHistoryEntry(entryId, sessionId) {
+        const entry = this.history.get(entryId);
+        if (!entry) {
+            throw new Error('History entry not found');
+        }
+        if (entry.redacted) {
+            throw new Error('Only a masked copy of this item was kept, so it cannot be sent again');
+        }
+        await this.setClipboardContent(entry.content, sessionId);
+    }
+
+    /**
+     * Manually set clipboard content and send it to one session
+     * @param {string} content - Content to set
+     * @param {string} sessionId - Joined session to send to
+     * @param {Object} options - Self-destruct options: expiresIn (ms), burnAfterRead; targets: IDs of the only
+     *                           devices that should apply it (see getDevicePolicies), every device by default
+     */
+    async setClipboardContent(content, sessionId, options = {}) {
+        await this.writeToLocalClipboard(content);
+        
+        if (this.transport.getSessionIds().includes(sessionId)) {
+            await this.syncToRemote(content, sessionId, options);
+        }
+    }
+
+    /**
+     * What kind of content this is, for offering actions on it
+     * @returns {Array} { type, value, label } of each detected ContentType, most specific first
+     */
+    classifyContent(content) {
+        return classifyContent(content);
+    }
+
+    /**
+     * Get current clipboard content
+     */
+    getCurrentContent() {
+        return this.currentContent;
+    }
+
+    /**
+     * Get last sync time
+     */
+    getLastSyncTime() {
+        return this.lastSyncTime;
+    }
+
+    /**
+     * Check if monitoring is active
+     */
+    isMonitoringActive() {
+        return this.isMonitoring;
+    }
+
+    /**
+     * What monitoring is actually doing: whether it is polling, backed off, paused while the page is hidden or
+     * unfocused, or blocked (see ClipboardMonitor.getState)
+     */
+    getMonitoringState() {
+        return this.monitor.getState();
     }
 
     /**
@@ -285,7 +1795,12 @@ class ClipboardManager extends EventEmitter {
         return {
             read: this.hasClipboardRead,
             write: this.hasClipboardWrite,
-            full: this.hasClipboardRead && this.hasClipboardWrite
+            full: this.hasClipboardRead && this.hasClipboardWrite,
+            imageRead: this.hasItemRead,
+            imageWrite: this.hasItemWrite,
+            richRead: this.hasItemRead,
+            richWrite: this.hasItemWrite,
+            fileTransfer: this.transport.supportsFileTransfer()
         };
     }
 
@@ -311,8 +1826,10 @@ class ClipboardManager extends EventEmitter {
             currentContentLength: this.currentContent.length,
             lastSyncTime: this.lastSyncTime,
             isMonitoring: this.isMonitoring,
-            isConnected: this.signalRClient.isConnected(),
-            inSession: !!this.signalRClient.getCurrentSessionId()
+            monitoringState: this.monitor.getState().state,
+            isConnected: this.transport.isConnected(),
+            inSession: this.transport.getSessionIds().length > 0,
+            sessionCount: this.transport.getSessionIds().length
         };
     }
 
@@ -323,11 +1840,11 @@ class ClipboardManager extends EventEmitter {
         try {
             // Try to read and write to test permissions
             if (this.hasClipboardRead) {
-                await navigator.clipboard.readText();
+                await this.clipboard.readText();
             }
             
             if (this.hasClipboardWrite) {
-                await navigator.clipboard.writeText('');
+                await this.clipboard.writeText('');
             }
             
             this.emit('permissionsGranted');
@@ -345,6 +1862,9 @@ class ClipboardManager extends EventEmitter {
      */
     cleanup() {
         this.stopMonitoring();
+        this.expiryTimers.forEach(timer => this.timers.clearTimeout(timer));
+        this.expiryTimers.clear();
+        this.clipDeadlines.clear();
         this.removeAllListeners();
         this.currentContent = '';
         this.lastLocalContent = '';
@@ -353,4 +1873,4 @@ class ClipboardManager extends EventEmitter {
 }
 
 // Export for use in other modules
-export { ClipboardManager };
+export { ClipboardManager, DeliveryStatus };
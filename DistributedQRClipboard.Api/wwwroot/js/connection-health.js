@@ -0,0 +1,185 @@
+/**
+ * Connection health
+ * Tracks hub round-trip latency, jitter and delivery failures, and combines them with the
+ * connection state and the REST ConnectionTracker into one good/degraded/bad score
+ */
+
+import { EventEmitter } from './utils.js';
+
+const HealthLevel = Object.freeze({
+    Good: 'good',
+    Degraded: 'degraded',
+    Bad: 'bad'
+});
+
+const DEFAULT_THRESHOLDS = Object.freeze({
+    degradedRtt: 300,           // ms, average round trip
+    badRtt: 2000,
+    degradedJitter: 100,        // ms, mean variation between consecutive round trips
+    degradedFailureRate: 0.1,   // share of failed deliveries in the window
+    badFailureRate: 0.5
+});
+
+// Connection states in which the hub cannot deliver anything, with how they read to users
+const DOWN_STATES = Object.freeze({
+    Idle: 'not started',
+    Reconnecting: 'is reconnecting',
+    Backoff: 'is waiting to reconnect',
+    Failed: 'failed',
+    Stopped: 'stopped'
+});
+
+/**
+ * Rolling window of round-trip samples and delivery outcomes for one link
+ */
+class LinkStats {
+    /**
+     * @param {Object} options - windowSize: how many samples/deliveries to keep
+     */
+    constructor(options = {}) {
+        this.windowSize = options.windowSize ?? 20;
+        this.reset();
+    }
+
+    reset() {
+        this.rttSamples = [];
+        this.deliveries = [];
+        this.measuredAt = null;
+    }
+
+    recordRtt(rtt) {
+        this.rttSamples.push(rtt);
+        this.rttSamples = this.rttSamples.slice(-this.windowSize);
+        this.measuredAt = new Date();
+        this.recordDelivery(true);
+    }
+
+    recordDelivery(success) {
+        this.deliveries.push(success);
+        this.deliveries = this.deliveries.slice(-this.windowSize);
+    }
+
+    getSnapshot() {
+        const samples = this.rttSamples;
+        const rtt = samples.length ? samples.reduce((sum, sample) => sum + sample, 0) / samples.length : null;
+        const jitter = samples.length > 1
+            ? samples.slice(1).reduce((sum, sample, index) => sum + Math.abs(sample - samples[index]), 0) / (samples.length - 1)
+            : null;
+        const failedDeliveries = this.deliveries.filter(success => !success).length;
+
+        return {
+            rtt,
+            lastRtt: samples.length ? samples[samples.length - 1] : null,
+            jitter,
+            deliveryCount: this.deliveries.length,
+            failedDeliveries,
+            deliveryFailureRate: this.deliveries.length ? failedDeliveries / this.deliveries.length : 0,
+            measuredAt: this.measuredAt
+        };
+    }
+}
+
+/**
+ * Score connection health from its inputs
+ * @param {Object} inputs - { connectionState, transportType, link (LinkStats snapshot), httpStatus, httpFailureCount }
+ * @param {Object} thresholds - Overrides for DEFAULT_THRESHOLDS
+ * @returns {Object} { level, reasons[] }; reasons explain anything that is not good
+ */
+function assessHealth(inputs, thresholds = {}) {
+    const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    const { connectionState, transportType, link, httpStatus } = inputs;
+    const bad = [];
+    const degraded = [];
+
+    if (httpStatus === 'offline') {
+        bad.push('Browser is offline');
+    }
+
+    if (transportType === 'polling') {
+        degraded.push('Real-time connection unavailable, polling the server');
+    } else if (DOWN_STATES[connectionState]) {
+        bad.push(`Real-time connection ${DOWN_STATES[connectionState]}`);
+    } else if (connectionState === 'Connecting') {
+        degraded.push('Connecting');
+    }
+
+    if (link?.rtt !== null && link?.rtt !== undefined) {
+        if (link.rtt >= limits.badRtt) {
+            bad.push(`Very slow round trip (${Math.round(link.rtt)} ms)`);
+        } else if (link.rtt >= limits.degradedRtt) {
+            degraded.push(`Slow round trip (${Math.round(link.rtt)} ms)`);
+        }
+    }
+
+    if (link?.jitter !== null && link?.jitter !== undefined && link.jitter >= limits.degradedJitter) {
+        degraded.push(`Unsteady latency (jitter ${Math.round(link.jitter)} ms)`);
+    }
+
+    if (link?.deliveryCount) {
+        const rate = link.deliveryFailureRate;
+        const summary = `${link.failedDeliveries} of ${link.deliveryCount} recent messages failed`;
+        if (rate >= limits.badFailureRate) {
+            bad.push(summary);
+        } else if (rate >= limits.degradedFailureRate) {
+            degraded.push(summary);
+        }
+    }
+
+    if (httpStatus === 'unstable') {
+        degraded.push('Recent server requests are failing');
+    }
+
+    const level = bad.length ? HealthLevel.Bad : degraded.length ? HealthLevel.Degraded : HealthLevel.Good;
+    return { level, reasons: [...bad, ...degraded] };
+}
+
+/**
+ * Recomputes health whenever one of its inputs changes and emits 'healthChanged'
+ */
+class ConnectionHealthMonitor extends EventEmitter {
+    /**
+     * @param {SignalRClient} signalRClient - Source of link statistics
+     * @param {FailoverTransport} transport - Source of the active transport and its state
+     * @param {ConnectionTracker} connectionTracker - REST request health from api.js
+     * @param {Object} thresholds - Overrides for DEFAULT_THRESHOLDS
+     */
+    constructor(signalRClient, transport, connectionTracker, thresholds = {}) {
+        super();
+        this.signalRClient = signalRClient;
+        this.transport = transport;
+        this.connectionTracker = connectionTracker;
+        this.thresholds = thresholds;
+        this.health = null;
+
+        const update = () => this.update();
+        this.signalRClient.on('linkStatsUpdated', update);
+        this.transport.on('connectionStateChanged', update);
+        this.transport.on('transportChanged', update);
+        ['connection-lost', 'connection-restored', 'connection-issues'].forEach(event => {
+            window.addEventListener(`api:${event}`, update);
+        });
+    }
+
+    /**
+     * Recompute health and notify listeners
+     */
+    update() {
+        const inputs = {
+            connectionState: this.transport.getConnectionState(),
+            transportType: this.transport.getTransportType(),
+            link: this.signalRClient.getLinkStats(),
+            httpStatus: this.connectionTracker.status,
+            httpFailureCount: this.connectionTracker.failureCount
+        };
+
+        this.health = { ...inputs, ...assessHealth(inputs, this.thresholds), updatedAt: new Date() };
+        this.emit('healthChanged', this.health);
+        return this.health;
+    }
+
+    getHealth() {
+        return this.health || this.update();
+    }
+}
+
+export { ConnectionHealthMonitor, LinkStats, HealthLevel, assessHealth };
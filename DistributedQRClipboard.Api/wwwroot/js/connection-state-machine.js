@@ -0,0 +1,206 @@
+/**
+ * Connection State Machine
+ * Owns the connect/reconnect lifecycle with explicit states, validated transitions and a retry policy.
+ * It knows nothing about SignalR: it is given a connect function and (optionally) timer functions,
+ * which keeps it deterministic under fake timers.
+ */
+
+import { EventEmitter } from './utils.js';
+
+const ConnectionState = Object.freeze({
+    Idle: 'Idle',                 // Never started
+    Connecting: 'Connecting',     // First connection attempt in progress
+    Connected: 'Connected',
+    Reconnecting: 'Reconnecting', // Retry attempt in progress
+    Backoff: 'Backoff',           // Waiting before the next retry attempt
+    Failed: 'Failed',             // Retry policy gave up
+    Stopped: 'Stopped'            // Stopped on purpose
+});
+
+const { Idle, Connecting, Connected, Reconnecting, Backoff, Failed, Stopped } = ConnectionState;
+
+// Allowed transitions: from -> [to]
+const TRANSITIONS = Object.freeze({
+    [Idle]: [Connecting, Stopped],
+    [Connecting]: [Connected, Backoff, Failed, Stopped],
+    [Connected]: [Reconnecting, Stopped],
+    [Reconnecting]: [Connected, Backoff, Failed, Stopped],
+    [Backoff]: [Reconnecting, Stopped],
+    [Failed]: [Connecting, Stopped],
+    [Stopped]: [Connecting]
+});
+
+/**
+ * Create a retry policy with exponential backoff and jitter
+ * @param {Object} options - maxAttempts, baseDelay, maxDelay, factor, jitter (ms), random (for tests)
+ * @returns {Object} Policy whose nextDelay(retryCount, error) returns a delay in ms, or null to give up
+ */
+function createRetryPolicy(options = {}) {
+    const {
+        maxAttempts = 5,
+        baseDelay = 1000,
+        maxDelay = 30000,
+        factor = 2,
+        jitter = 1000,
+        random = Math.random
+    } = options;
+
+    return {
+        maxAttempts,
+        nextDelay(retryCount) {
+            if (retryCount >= maxAttempts) {
+                return null;
+            }
+
+            const delay = Math.min(baseDelay * Math.pow(factor, retryCount), maxDelay);
+            return delay + Math.floor(random() * jitter);
+        }
+    };
+}
+
+class ConnectionStateMachine extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.connect - Async function that opens the connection (rejects on failure)
+     * @param {Object} options.retryPolicy - Policy from createRetryPolicy (or any object with nextDelay)
+     * @param {Object} options.timers - { setTimeout, clearTimeout }, injectable for tests
+     */
+    constructor({ connect, retryPolicy = createRetryPolicy(), timers = globalThis } = {}) {
+        super();
+        this.connect = connect;
+        this.retryPolicy = retryPolicy;
+        this.timers = timers;
+
+        this.state = Idle;
+        this.retryCount = 0;
+        this.backoffTimer = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Move to a new state, rejecting transitions the table does not allow
+     */
+    transition(to, details = {}) {
+        const from = this.state;
+        if (!TRANSITIONS[from].includes(to)) {
+            throw new Error(`Invalid connection state transition: ${from} -> ${to}`);
+        }
+
+        this.state = to;
+        const transition = { from, to, retryCount: this.retryCount, ...details };
+        this.emit('transition', transition);
+        this.emit('stateChanged', to);
+        return transition;
+    }
+
+    /**
+     * Start connecting (from Idle, Stopped or Failed); no-op while already connected or retrying
+     * Resolves once the first attempt has finished, whatever its outcome
+     */
+    async start() {
+        if (![Idle, Stopped, Failed].includes(this.state)) {
+            return;
+        }
+
+        this.retryCount = 0;
+        this.transition(Connecting);
+        await this.attempt();
+    }
+
+    /**
+     * Stop and cancel any pending retry
+     */
+    stop() {
+        this.clearBackoffTimer();
+        if (this.state !== Stopped) {
+            this.transition(Stopped);
+        }
+    }
+
+    /**
+     * Report that an established connection dropped
+     */
+    async connectionLost(error = null) {
+        if (this.state !== Connected) {
+            return;
+        }
+
+        this.lastError = error;
+        this.retryCount = 0;
+        this.transition(Reconnecting, { error });
+        await this.attempt();
+    }
+
+    /**
+     * Skip the remaining backoff delay and retry immediately
+     */
+    async retryNow() {
+        if (this.state === Backoff) {
+            this.clearBackoffTimer();
+            this.transition(Reconnecting);
+            await this.attempt();
+        } else if ([Idle, Stopped, Failed].includes(this.state)) {
+            await this.start();
+        }
+    }
+
+    /**
+     * Run one connection attempt from Connecting or Reconnecting
+     */
+    async attempt() {
+        const attemptState = this.state;
+
+        try {
+            await this.connect();
+        } catch (error) {
+            // Ignore the outcome if we were stopped while the attempt was in flight
+            if (this.state === attemptState) {
+                this.scheduleRetry(error);
+            }
+            return;
+        }
+
+        if (this.state === attemptState) {
+            this.retryCount = 0;
+            this.lastError = null;
+            this.transition(Connected);
+        }
+    }
+
+    /**
+     * Enter Backoff with the policy's delay, or Failed if the policy gives up
+     */
+    scheduleRetry(error) {
+        this.lastError = error;
+        const delay = this.retryPolicy.nextDelay(this.retryCount, error);
+
+        if (delay === null || delay === undefined) {
+            this.transition(Failed, { error });
+            return;
+        }
+
+        this.retryCount++;
+        this.transition(Backoff, { error, delay });
+
+        this.backoffTimer = this.timers.setTimeout(() => {
+            this.backoffTimer = null;
+            if (this.state === Backoff) {
+                this.transition(Reconnecting);
+                this.attempt();
+            }
+        }, delay);
+    }
+
+    clearBackoffTimer() {
+        if (this.backoffTimer) {
+            this.timers.clearTimeout(this.backoffTimer);
+            this.backoffTimer = null;
+        }
+    }
+
+    getState() {
+        return this.state;
+    }
+}
+
+export { ConnectionStateMachine, ConnectionState, createRetryPolicy };
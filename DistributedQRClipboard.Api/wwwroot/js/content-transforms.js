@@ -0,0 +1,196 @@
+/**
+ * Content transforms
+ * An ordered pipeline of text transforms that runs at two stages: on content about to be sent to a session
+ * (beforeSend) and on content received from one before it is written to the clipboard (afterReceive).
+ * Transforms are pluggable: { id, label, stage, enabled, apply(text) -> text }; enabled is the default, which the
+ * user can override per session. Only plain text is transformed; images and formatted text pass through unchanged.
+ */
+
+import { Storage } from './utils.js';
+import { isImageContent } from './clipboard-image.js';
+import { isRichContent } from './rich-text.js';
+
+const TransformStage = Object.freeze({
+    BeforeSend: 'beforeSend',
+    AfterReceive: 'afterReceive'
+});
+
+const SETTINGS_STORAGE_KEY = 'contentTransforms';
+
+const URL_REGEX = /\bhttps?:\/\/[^\s<>"']+/gi;
+
+// Sentence punctuation that ends a URL in text rather than belonging to it
+const TRAILING_PUNCTUATION_REGEX = /[.,;:!?)\]]+$/;
+
+// Query parameters that only identify a campaign, click or subscriber
+const TRACKING_PARAMETER_REGEX = /^(?:utm_\w+|fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|oly_anon_id|oly_enc_id|vero_id)$/i;
+
+/**
+ * Remove tracking parameters from every http(s) link in text; links without any are left exactly as they were
+ */
+function stripTrackingParameters(text) {
+    return text.replace(URL_REGEX, (match) => {
+        const trailing = match.match(TRAILING_PUNCTUATION_REGEX)?.[0] || '';
+        const link = match.slice(0, match.length - trailing.length);
+
+        let url;
+        try {
+            url = new URL(link);
+        } catch {
+            return match;
+        }
+
+        const tracking = Array.from(url.searchParams.keys()).filter(name => TRACKING_PARAMETER_REGEX.test(name));
+        if (tracking.length === 0) {
+            return match;
+        }
+        tracking.forEach(name => url.searchParams.delete(name));
+        return url.toString() + trailing;
+    });
+}
+
+/**
+ * Unix line endings, no whitespace at the end of lines and no blank lines at the end
+ */
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n+$/, '');
+}
+
+/**
+ * Typographic quotes and apostrophes as plain ASCII ones, e.g. for pasting into a terminal
+ */
+function removeSmartQuotes(text) {
+    return text
+        .replace(/[‘’‚‛′]/g, '\'')
+        .replace(/[“”„‟″]/g, '"');
+}
+
+const DEFAULT_TRANSFORMS = [
+    {
+        id: 'strip-tracking',
+        label: 'Remove tracking parameters from links',
+        stage: TransformStage.BeforeSend,
+        enabled: true,
+        apply: stripTrackingParameters
+    },
+    {
+        id: 'normalize-whitespace',
+        label: 'Normalise line endings and trailing whitespace',
+        stage: TransformStage.BeforeSend,
+        enabled: true,
+        apply: normalizeWhitespace
+    },
+    {
+        id: 'remove-smart-quotes',
+        label: 'Replace smart quotes with plain quotes',
+        stage: TransformStage.AfterReceive,
+        enabled: false,
+        apply: removeSmartQuotes
+    }
+];
+
+/**
+ * Runs the transforms of a stage in order; which transforms are on in each session is kept in storage
+ */
+class ContentTransformPipeline {
+    /**
+     * @param {Object} options - transforms: replaces the built-in transforms
+     */
+    constructor(options = {}) {
+        this.transforms = [];
+        (options.transforms || DEFAULT_TRANSFORMS).forEach(transform => this.register(transform));
+        this.settings = Storage.get(SETTINGS_STORAGE_KEY, {}); // sessionId -> { transformId: boolean }
+    }
+
+    /**
+     * Add a transform at the end of its stage, replacing any transform with the same ID in place
+     */
+    register(transform) {
+        if (!Object.values(TransformStage).includes(transform.stage)) {
+            throw new Error(`Unknown transform stage: ${transform.stage}`);
+        }
+        if (typeof transform.apply !== 'function') {
+            throw new Error(`Transform ${transform.id} has no apply function`);
+        }
+
+        const registered = { enabled: true, ...transform };
+        const index = this.transforms.findIndex(existing => existing.id === transform.id);
+        if (index === -1) {
+            this.transforms.push(registered);
+        } else {
+            this.transforms[index] = registered;
+        }
+    }
+
+    unregister(transformId) {
+        this.transforms = this.transforms.filter(transform => transform.id !== transformId);
+    }
+
+    /**
+     * @returns {Array} { id, label, stage, enabled } of every transform, as set for the session
+     */
+    getTransforms(sessionId) {
+        return this.transforms.map(transform => ({
+            id: transform.id,
+            label: transform.label,
+            stage: transform.stage,
+            enabled: this.isEnabled(transform, sessionId)
+        }));
+    }
+
+    isEnabled(transform, sessionId) {
+        return this.settings[sessionId]?.[transform.id] ?? transform.enabled;
+    }
+
+    setEnabled(sessionId, transformId, enabled) {
+        this.settings[sessionId] = { ...this.settings[sessionId], [transformId]: Boolean(enabled) };
+        Storage.set(SETTINGS_STORAGE_KEY, this.settings);
+    }
+
+    forgetSession(sessionId) {
+        if (sessionId in this.settings) {
+            delete this.settings[sessionId];
+            Storage.set(SETTINGS_STORAGE_KEY, this.settings);
+        }
+    }
+
+    /**
+     * Run a stage's transforms that are on in a session; a transform that throws is skipped
+     * @returns {Object} { content, applied }: applied lists { id, label } of the transforms that changed it
+     */
+    run(stage, content, sessionId) {
+        const applied = [];
+        if (typeof content !== 'string' || !content || isImageContent(content) || isRichContent(content)) {
+            return { content, applied };
+        }
+
+        let text = content;
+        for (const transform of this.transforms) {
+            if (transform.stage !== stage || !this.isEnabled(transform, sessionId)) {
+                continue;
+            }
+            try {
+                const next = transform.apply(text);
+                if (typeof next === 'string' && next !== text) {
+                    text = next;
+                    applied.push({ id: transform.id, label: transform.label });
+                }
+            } catch (error) {
+                console.warn(`Content transform ${transform.id} failed:`, error);
+            }
+        }
+        return { content: text, applied };
+    }
+}
+
+export {
+    ContentTransformPipeline,
+    TransformStage,
+    DEFAULT_TRANSFORMS,
+    stripTrackingParameters,
+    normalizeWhitespace,
+    removeSmartQuotes
+};
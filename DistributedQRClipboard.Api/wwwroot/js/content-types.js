@@ -0,0 +1,164 @@
+/**
+ * Content type detection
+ * Classifies clipboard text so the UI can offer actions that fit it: open a link, write an email, call or text a
+ * number, copy a one-time code's digits, pretty-print JSON, show a colour, open an address in a map.
+ * Detection is heuristic and works on the plain text of the content; images are not classified.
+ */
+
+import { isImageContent } from './clipboard-image.js';
+import { contentToText } from './rich-text.js';
+
+const ContentType = Object.freeze({
+    Url: 'url',
+    Email: 'email',
+    Phone: 'phone',
+    Otp: 'otp',
+    Json: 'json',
+    Code: 'code',
+    Address: 'address',
+    Color: 'color'
+});
+
+// Longer text is prose or data, not something to act on
+const MAX_SHORT_LENGTH = 200;
+
+const URL_REGEX = /^(?:https?:\/\/|www\.)[^\s<>"']+$/i;
+const EMAIL_REGEX = /^(?:mailto:)?([^@\s<>"']+@[^@\s<>"']+\.[a-z]{2,})$/i;
+const PHONE_REGEX = /^(?:tel:)?\+?[\d\s()-]+$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const COLOR_REGEX = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const OTP_REGEX = /^\d{4,8}$|^\d{3}[ -]\d{3}$/;
+const OTP_KEYWORD_REGEX = /\b(?:code|otp|passcode|pin|verification|verify|one-time|2fa|login)\b/i;
+const OTP_IN_TEXT_REGEX = /(?<![\d-])(\d{4,8}|\d{3}[ -]\d{3})(?![\d-])/g;
+const STREET_REGEX = /\b\d{1,5}[a-z]?\s+(?:[A-Za-z.'-]+\s+){0,4}(?:street|st|avenue|ave|road|rd|lane|ln|boulevard|blvd|drive|dr|way|court|ct|place|pl|square|sq|terrace|crescent|highway|hwy)\b\.?/i;
+const POSTCODE_REGEX = /\b(?:\d{5}(?:-\d{4})?|[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})\b/;
+
+// Lines that read like source code rather than prose
+const CODE_LINE_REGEXES = [
+    /^\s*(?:import|export|from|package|using|#include)\b/,
+    /^\s*(?:function|def|class|interface|struct|enum|fn|func|public|private|protected|static|async)\b/,
+    /^\s*(?:const|let|var|val)\s+\w+\s*=/,
+    /^\s*(?:if|for|while|switch|catch)\s*\(|^\s*(?:return\b.*;|else\b|try\s*\{)/,
+    /[;{}]\s*$/,
+    /=>|\)\s*\{|\w+\([^)]*\)\s*;/
+];
+
+function digitsOf(text) {
+    return text.replace(/\D/g, '');
+}
+
+function parseJson(text) {
+    if (!/^[[{]/.test(text)) {
+        return null;
+    }
+    try {
+        const value = JSON.parse(text);
+        return value !== null && typeof value === 'object' ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether most non-blank lines of a multi-line text look like code
+ */
+function looksLikeCode(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    if (lines.length < 2) {
+        return CODE_LINE_REGEXES.slice(0, 3).some(pattern => pattern.test(text)) && /[;=(){}]/.test(text);
+    }
+    const codeLines = lines.filter(line => CODE_LINE_REGEXES.some(pattern => pattern.test(line))).length;
+    return codeLines / lines.length >= 0.5;
+}
+
+/**
+ * The one-time code in a short message such as "Your verification code is 482 913", or in a bare code
+ */
+function findOtp(text) {
+    if (OTP_REGEX.test(text)) {
+        return digitsOf(text);
+    }
+    if (text.length > MAX_SHORT_LENGTH || !OTP_KEYWORD_REGEX.test(text)) {
+        return null;
+    }
+    const codes = Array.from(text.matchAll(OTP_IN_TEXT_REGEX), match => match[1]);
+    return codes.length === 1 ? digitsOf(codes[0]) : null;
+}
+
+function findPhone(text) {
+    if (!PHONE_REGEX.test(text) || DATE_REGEX.test(text)) {
+        return null;
+    }
+    const digits = digitsOf(text);
+    if (digits.length < 7 || digits.length > 15) {
+        return null;
+    }
+    const number = text.replace(/^tel:/, '');
+    return number.trim().startsWith('+') ? `+${digits}` : digits;
+}
+
+function findAddress(text) {
+    if (text.length > MAX_SHORT_LENGTH || !STREET_REGEX.test(text)) {
+        return null;
+    }
+    // A street alone is too easily prose; it needs a second line, a comma or a postcode to be an address
+    return text.includes('\n') || text.includes(',') || POSTCODE_REGEX.test(text)
+        ? text.split('\n').map(line => line.trim()).filter(Boolean).join(', ')
+        : null;
+}
+
+/**
+ * Classify clipboard content
+ * @param {string} content - Clipboard content; formatted text is classified by its plain text
+ * @returns {Array} Detected types, most specific first: { type, value } where value is what actions use
+ *                  (the link, address, digits, formatted JSON or colour), plus label for display
+ */
+function classifyContent(content) {
+    if (typeof content !== 'string' || !content || isImageContent(content)) {
+        return [];
+    }
+
+    const text = contentToText(content).trim();
+    if (!text) {
+        return [];
+    }
+
+    const json = parseJson(text);
+    if (json) {
+        return [{ type: ContentType.Json, value: JSON.stringify(json, null, 2), label: 'JSON' }];
+    }
+
+    const detected = [];
+    const singleLine = !text.includes('\n');
+    if (singleLine && COLOR_REGEX.test(text)) {
+        detected.push({ type: ContentType.Color, value: text.toLowerCase(), label: 'Colour' });
+    }
+    if (singleLine && URL_REGEX.test(text)) {
+        detected.push({ type: ContentType.Url, value: /^www\./i.test(text) ? `https://${text}` : text, label: 'Link' });
+    }
+    const email = singleLine ? text.match(EMAIL_REGEX) : null;
+    if (email) {
+        detected.push({ type: ContentType.Email, value: email[1], label: 'Email address' });
+    }
+
+    const otp = findOtp(text);
+    if (otp) {
+        detected.push({ type: ContentType.Otp, value: otp, label: 'One-time code' });
+    }
+    // A bare code of digits is a code, not a phone number
+    const phone = singleLine && !OTP_REGEX.test(text) ? findPhone(text) : null;
+    if (phone) {
+        detected.push({ type: ContentType.Phone, value: phone, label: 'Phone number' });
+    }
+
+    const address = findAddress(text);
+    if (address) {
+        detected.push({ type: ContentType.Address, value: address, label: 'Address' });
+    }
+    if (detected.length === 0 && looksLikeCode(text)) {
+        detected.push({ type: ContentType.Code, value: text, label: 'Code' });
+    }
+    return detected;
+}
+
+export { ContentType, classifyContent };
@@ -0,0 +1,506 @@
+/**
+ * File transfer between the devices of a session
+ * Files are split into chunks that the hub relays to the session's other devices (RelayFileTransferAsync);
+ * nothing is stored on the server. Every chunk and the whole file carry a SHA-256 hash.
+ * Senders keep a queue of chunks still to send, so a dropped connection pauses a transfer and the
+ * reconnect resumes it; receivers ask for the chunks they are missing after reconnecting.
+ * In encrypted sessions the file name, type and chunk data are encrypted with the session key
+ * (see session-crypto.js); hashes are taken over the plaintext.
+ */
+
+import { EventEmitter, generateUUID, sha256Hex, bytesToBase64, base64ToBytes } from './utils.js';
+
+// 16 KB of file data is about 22 KB of base64, inside SignalR's default 32 KB message limit
+const FILE_CHUNK_SIZE = 16 * 1024;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_CHUNK_COUNT = 4096;
+
+// Outgoing: sending <-> paused -> sent -> completed (a receiver confirmed the hash)
+// Incoming: receiving -> completed. Either direction can end cancelled or failed
+const FileTransferStatus = Object.freeze({
+    Sending: 'sending',
+    Paused: 'paused',
+    Sent: 'sent',
+    Receiving: 'receiving',
+    Completed: 'completed',
+    Cancelled: 'cancelled',
+    Failed: 'failed'
+});
+
+// Events emitted with a transfer snapshot (see describe); ClipboardManager re-emits them
+const FILE_TRANSFER_EVENTS = [
+    'fileTransferStarted',
+    'fileTransferProgress',
+    'fileTransferPaused',
+    'fileTransferResumed',
+    'fileTransferCompleted',
+    'fileTransferCancelled',
+    'fileTransferFailed'
+];
+
+// Longest file name kept from an offer; longer names are cut, keeping the extension where possible
+const MAX_FILE_NAME_LENGTH = 255;
+
+/**
+ * A file name from another device that is safe to save under: no directories, no control characters,
+ * not empty or a dot name
+ */
+function sanitizeFileName(name) {
+    const base = String(name ?? '')
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .split(/[\\/]/)
+        .pop()
+        .trim();
+    if (!base || /^\.+$/.test(base)) {
+        return 'file';
+    }
+    if (base.length <= MAX_FILE_NAME_LENGTH) {
+        return base;
+    }
+    const extension = base.match(/\.[^.]{1,16}$/)?.[0] || '';
+    return base.slice(0, MAX_FILE_NAME_LENGTH - extension.length) + extension;
+}
+
+const FINISHED_STATUSES = [FileTransferStatus.Completed, FileTransferStatus.Cancelled, FileTransferStatus.Failed];
+
+class FileTransferManager extends EventEmitter {
+    /**
+     * @param {Object} transport - Clipboard transport with sendFileTransferMessage (see transport.js)
+     * @param {Object} options - chunkSize and maxFileSize in bytes; cipher: SessionCipher for encrypted sessions
+     */
+    constructor(transport, options = {}) {
+        super();
+        this.transport = transport;
+        this.chunkSize = options.chunkSize ?? FILE_CHUNK_SIZE;
+        this.maxFileSize = options.maxFileSize ?? MAX_FILE_SIZE;
+        this.cipher = options.cipher || null;
+        this.transfers = new Map(); // transferId -> transfer
+        this.processing = Promise.resolve(); // Incoming messages are handled one at a time, in order
+
+        this.transport.on('fileTransferMessage', (data) => {
+            this.processing = this.processing
+                .then(() => this.handleMessage(data))
+                .catch(error => console.error('Failed to handle file transfer message:', error));
+        });
+        this.transport.on('reconnected', () => this.resume());
+        this.transport.on('transportChanged', () => this.resume());
+        this.transport.on('sessionLeft', (data) => this.dropSession(data.sessionId));
+        this.transport.on('sessionEnded', (data) => this.dropSession(data.sessionId));
+    }
+
+    /**
+     * Send a file to the other devices of a session
+     * Resolves once every chunk reached the hub, or when the transfer pauses or is cancelled
+     * @param {File|Blob} file - File to send
+     * @param {string} sessionId - Joined session to send to
+     * @returns {Object} The transfer (see describe)
+     */
+    async sendFile(file, sessionId) {
+        if (file.size > this.maxFileSize) {
+            throw new Error(`File is larger than ${Math.round(this.maxFileSize / 1024 / 1024)} MB`);
+        }
+        if (!this.transport.getSessionIds().includes(sessionId)) {
+            throw new Error('Not in a session');
+        }
+
+        const chunkCount = Math.max(1, Math.ceil(file.size / this.chunkSize));
+        const transfer = {
+            id: generateUUID(),
+            sessionId,
+            direction: 'outgoing',
+            name: file.name || 'file',
+            type: file.type || 'application/octet-stream',
+            size: file.size,
+            chunkCount,
+            hash: await sha256Hex(await file.arrayBuffer()),
+            status: FileTransferStatus.Sending,
+            file,
+            queue: new Set(Array.from({ length: chunkCount }, (_, index) => index)),
+            sent: new Set(),
+            offerSent: false,
+            startedAt: new Date()
+        };
+
+        this.transfers.set(transfer.id, transfer);
+        this.emit('fileTransferStarted', this.describe(transfer));
+        await this.pump(transfer);
+        return this.describe(transfer);
+    }
+
+    /**
+     * Send the offer (once) and then every queued chunk, pausing when a send fails
+     */
+    pump(transfer) {
+        if (transfer.pumping) {
+            // Chunks queued after the running pass finished its loop need another pass
+            transfer.pumpAgain = true;
+            return transfer.pumping;
+        }
+
+        transfer.pumping = this.sendQueued(transfer).finally(() => {
+            transfer.pumping = null;
+            if (transfer.pumpAgain) {
+                transfer.pumpAgain = false;
+                if (transfer.status === FileTransferStatus.Sending) {
+                    this.pump(transfer);
+                }
+            }
+        });
+        return transfer.pumping;
+    }
+
+    async sendQueued(transfer) {
+        try {
+            if (!transfer.offerSent) {
+                await this.send(transfer, {
+                    kind: 'offer',
+                    fileName: await this.encrypt(transfer.name, transfer.sessionId),
+                    mimeType: await this.encrypt(transfer.type, transfer.sessionId),
+                    size: transfer.size,
+                    chunkSize: this.chunkSize,
+                    chunkCount: transfer.chunkCount,
+                    hash: transfer.hash
+                });
+                transfer.offerSent = true;
+            }
+
+            // Chunks a receiver asks for while this runs are added to the queue and picked up here
+            for (const index of transfer.queue) {
+                if (transfer.status !== FileTransferStatus.Sending) {
+                    return;
+                }
+
+                const start = index * this.chunkSize;
+                const bytes = new Uint8Array(await transfer.file.slice(start, start + this.chunkSize).arrayBuffer());
+                await this.send(transfer, {
+                    kind: 'chunk',
+                    index,
+                    data: bytesToBase64(await this.encryptBytes(bytes, transfer.sessionId)),
+                    chunkHash: await sha256Hex(bytes)
+                });
+
+                transfer.queue.delete(index);
+                transfer.sent.add(index);
+                this.emit('fileTransferProgress', this.describe(transfer));
+            }
+
+            if (transfer.status === FileTransferStatus.Sending) {
+                transfer.status = FileTransferStatus.Sent;
+                this.emit('fileTransferProgress', this.describe(transfer));
+            }
+        } catch (error) {
+            if (transfer.status === FileTransferStatus.Sending) {
+                console.warn('File transfer paused:', error);
+                transfer.status = FileTransferStatus.Paused;
+                this.emit('fileTransferPaused', { ...this.describe(transfer), error });
+            }
+        }
+    }
+
+    encrypt(text, sessionId) {
+        return this.cipher ? this.cipher.encrypt(text, sessionId) : text;
+    }
+
+    decrypt(text, sessionId) {
+        return this.cipher && text ? this.cipher.decrypt(text, sessionId) : text;
+    }
+
+    encryptBytes(bytes, sessionId) {
+        return this.cipher ? this.cipher.encryptBytes(bytes, sessionId) : bytes;
+    }
+
+    decryptBytes(bytes, sessionId) {
+        return this.cipher ? this.cipher.decryptBytes(bytes, sessionId) : bytes;
+    }
+
+    send(transfer, message) {
+        return this.transport.sendFileTransferMessage({ transferId: transfer.id, ...message }, transfer.sessionId);
+    }
+
+    /**
+     * Handle a message relayed from another device of a session
+     * @param {Object} data - { sessionId, deviceId, deviceName, message }
+     */
+    async handleMessage(data) {
+        const { sessionId, message } = data;
+        const transfer = this.transfers.get(message.transferId);
+
+        if (message.kind === 'offer') {
+            return this.handleOffer(data, transfer);
+        }
+        if (!transfer || transfer.sessionId !== sessionId || FINISHED_STATUSES.includes(transfer.status) && message.kind !== 'request') {
+            return;
+        }
+
+        switch (message.kind) {
+            case 'chunk':
+                return this.handleChunk(transfer, message);
+            case 'request':
+                return this.handleRequest(transfer, message);
+            case 'complete':
+                if (transfer.direction === 'outgoing') {
+                    transfer.status = FileTransferStatus.Completed;
+                    this.emit('fileTransferCompleted', { ...this.describe(transfer), deviceName: data.deviceName });
+                }
+                return;
+            case 'cancel':
+                return this.finish(transfer, FileTransferStatus.Cancelled, 'fileTransferCancelled', {
+                    reason: message.reason || 'cancelled',
+                    deviceName: data.deviceName
+                });
+        }
+    }
+
+    async handleOffer(data, existing) {
+        const { sessionId, deviceId, deviceName, message } = data;
+
+        // A repeated offer means the sender reconnected; ask for what we are still missing
+        if (existing) {
+            if (existing.direction === 'incoming' && existing.status === FileTransferStatus.Receiving) {
+                await this.requestMissing(existing);
+            }
+            return;
+        }
+
+        const { chunkCount, chunkSize, size } = message;
+        const valid = Number.isInteger(size) && size >= 0 && Number.isInteger(chunkSize) && chunkSize > 0 &&
+            Number.isInteger(chunkCount) && chunkCount > 0 && chunkCount <= MAX_CHUNK_COUNT &&
+            typeof message.hash === 'string';
+        let reason = !valid ? 'invalid' : size > this.maxFileSize ? 'tooLarge' : null;
+
+        let fileName = null;
+        let mimeType = null;
+        try {
+            fileName = await this.decrypt(message.fileName, sessionId);
+            mimeType = await this.decrypt(message.mimeType, sessionId);
+        } catch (error) {
+            reason ??= 'undecryptable';
+        }
+
+        if (reason) {
+            console.warn(`Rejected file offer (${reason}):`, message.transferId);
+            await this.transport.sendFileTransferMessage({ transferId: message.transferId, kind: 'cancel', reason }, sessionId)
+                .catch(() => {});
+            if (reason === 'undecryptable') {
+                this.emit('fileTransferFailed', { id: message.transferId, sessionId, direction: 'incoming', deviceName, reason });
+            }
+            return;
+        }
+
+        const transfer = {
+            id: message.transferId,
+            sessionId,
+            direction: 'incoming',
+            name: sanitizeFileName(fileName),
+            type: mimeType || 'application/octet-stream',
+            size,
+            chunkSize,
+            chunkCount,
+            hash: message.hash,
+            status: FileTransferStatus.Receiving,
+            deviceId,
+            deviceName,
+            chunks: new Array(chunkCount),
+            requested: new Set(), // Indices asked for again since the last reconnect
+            receivedCount: 0,
+            receivedBytes: 0,
+            startedAt: new Date()
+        };
+
+        this.transfers.set(transfer.id, transfer);
+        this.emit('fileTransferStarted', this.describe(transfer));
+    }
+
+    async handleChunk(transfer, message) {
+        const { index } = message;
+        if (transfer.direction !== 'incoming' || !Number.isInteger(index) || index < 0 || index >= transfer.chunkCount ||
+            transfer.chunks[index] || typeof message.data !== 'string') {
+            return;
+        }
+
+        let bytes = null;
+        try {
+            bytes = await this.decryptBytes(base64ToBytes(message.data), transfer.sessionId);
+        } catch {
+            // Treated like a hash mismatch below
+        }
+
+        // Chunks larger than offered could never add up to the announced file; drop them unread
+        if (bytes && (bytes.length > transfer.chunkSize || transfer.receivedBytes + bytes.length > transfer.size)) {
+            return;
+        }
+
+        if (!bytes || await sha256Hex(bytes) !== message.chunkHash) {
+            console.warn(`Chunk ${index} of ${transfer.name} failed its integrity check, asking again`);
+            await this.sendRequest(transfer, [index]);
+            return;
+        }
+
+        transfer.chunks[index] = bytes;
+        transfer.receivedCount++;
+        transfer.receivedBytes += bytes.length;
+        this.emit('fileTransferProgress', this.describe(transfer));
+
+        if (transfer.receivedCount === transfer.chunkCount) {
+            await this.assemble(transfer);
+        } else if (index === transfer.chunkCount - 1) {
+            // The last chunk arrived with gaps before it; chunks already asked for are on their way
+            await this.requestMissing(transfer, transfer.requested);
+        }
+    }
+
+    /**
+     * Join the chunks and check the file hash
+     */
+    async assemble(transfer) {
+        const blob = new Blob(transfer.chunks, { type: transfer.type });
+        const hash = await sha256Hex(await blob.arrayBuffer());
+        transfer.chunks = null;
+
+        if (hash !== transfer.hash) {
+            await this.send(transfer, { kind: 'cancel', reason: 'integrity' }).catch(() => {});
+            this.finish(transfer, FileTransferStatus.Failed, 'fileTransferFailed', {
+                error: new Error('File failed its integrity check')
+            });
+            return;
+        }
+
+        transfer.blob = blob;
+        transfer.status = FileTransferStatus.Completed;
+        this.emit('fileTransferCompleted', this.describe(transfer));
+        await this.send(transfer, { kind: 'complete' }).catch(error => console.warn('Failed to confirm file transfer:', error));
+    }
+
+    async handleRequest(transfer, message) {
+        if (transfer.direction !== 'outgoing' || !transfer.file || !Array.isArray(message.missing)) {
+            return;
+        }
+
+        message.missing
+            .filter(index => Number.isInteger(index) && index >= 0 && index < transfer.chunkCount)
+            .forEach(index => transfer.queue.add(index));
+
+        if (transfer.queue.size > 0 && transfer.status !== FileTransferStatus.Sending) {
+            transfer.status = FileTransferStatus.Sending;
+            this.emit('fileTransferResumed', this.describe(transfer));
+        }
+        this.pump(transfer);
+    }
+
+    requestMissing(transfer, skip = new Set()) {
+        const missing = [];
+        for (let index = 0; index < transfer.chunkCount; index++) {
+            if (!transfer.chunks[index] && !skip.has(index)) {
+                missing.push(index);
+            }
+        }
+        return missing.length > 0 ? this.sendRequest(transfer, missing) : Promise.resolve();
+    }
+
+    sendRequest(transfer, missing) {
+        missing.forEach(index => transfer.requested.add(index));
+        return this.send(transfer, { kind: 'request', missing })
+            .catch(error => console.warn('Failed to request missing chunks:', error));
+    }
+
+    /**
+     * Pick transfers up again after a reconnect: senders re-announce and continue, receivers ask for gaps
+     */
+    async resume() {
+        if (!this.transport.supportsFileTransfer()) {
+            return;
+        }
+
+        for (const transfer of this.transfers.values()) {
+            if (!this.transport.getSessionIds().includes(transfer.sessionId)) {
+                continue;
+            }
+
+            if (transfer.direction === 'incoming' && transfer.status === FileTransferStatus.Receiving) {
+                // Requests sent before the connection dropped may have been lost with it
+                transfer.requested.clear();
+                await this.requestMissing(transfer);
+            } else if (transfer.status === FileTransferStatus.Paused) {
+                transfer.status = FileTransferStatus.Sending;
+                transfer.offerSent = false;
+                this.emit('fileTransferResumed', this.describe(transfer));
+                this.pump(transfer);
+            }
+        }
+    }
+
+    /**
+     * Cancel a transfer on this device and tell the other side
+     */
+    async cancel(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer || FINISHED_STATUSES.includes(transfer.status)) {
+            return;
+        }
+
+        this.finish(transfer, FileTransferStatus.Cancelled, 'fileTransferCancelled', { reason: 'cancelled' });
+        await this.send(transfer, { kind: 'cancel', reason: 'cancelled' })
+            .catch(error => console.warn('Failed to send file transfer cancel:', error));
+    }
+
+    /**
+     * End a transfer and release its data
+     */
+    finish(transfer, status, event, details = {}) {
+        transfer.status = status;
+        transfer.file = null;
+        transfer.chunks = null;
+        transfer.queue?.clear();
+        this.emit(event, { ...this.describe(transfer), ...details });
+    }
+
+    dropSession(sessionId) {
+        this.transfers.forEach(transfer => {
+            if (transfer.sessionId === sessionId && !FINISHED_STATUSES.includes(transfer.status)) {
+                this.finish(transfer, FileTransferStatus.Cancelled, 'fileTransferCancelled', { reason: 'sessionLeft' });
+            }
+        });
+    }
+
+    /**
+     * Public snapshot of a transfer
+     * @returns {Object} { id, sessionId, direction, name, type, size, status, progress (0-1), deviceName, blob }
+     */
+    describe(transfer) {
+        const done = transfer.direction === 'outgoing' ? transfer.sent.size : transfer.receivedCount;
+        const finished = transfer.status === FileTransferStatus.Completed || transfer.status === FileTransferStatus.Sent;
+        return {
+            id: transfer.id,
+            sessionId: transfer.sessionId,
+            direction: transfer.direction,
+            name: transfer.name,
+            type: transfer.type,
+            size: transfer.size,
+            status: transfer.status,
+            progress: finished ? 1 : done / transfer.chunkCount,
+            deviceName: transfer.deviceName || null,
+            blob: transfer.blob || null,
+            startedAt: transfer.startedAt
+        };
+    }
+
+    /**
+     * Transfers for display, newest first
+     */
+    getTransfers() {
+        return Array.from(this.transfers.values(), transfer => this.describe(transfer)).reverse();
+    }
+
+    /**
+     * Forget finished transfers (received files stay available through their blobs until then)
+     */
+    clearFinished() {
+        this.transfers.forEach((transfer, id) => {
+            if (FINISHED_STATUSES.includes(transfer.status)) {
+                this.transfers.delete(id);
+            }
+        });
+    }
+}
+
+export { FileTransferManager, FileTransferStatus, FILE_TRANSFER_EVENTS, FILE_CHUNK_SIZE, MAX_FILE_SIZE, sanitizeFileName };
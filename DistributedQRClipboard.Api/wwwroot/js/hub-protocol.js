@@ -0,0 +1,392 @@
+/**
+ * Hub protocol for ClipboardHub
+ * Declares every hub method and server event with its payload shape, mirroring
+ * the C# contract (Hubs/ClipboardHub.cs and Core/Models), and validates traffic against it
+ */
+
+// Enum values are serialized as numbers by the default SignalR JSON protocol
+const DeviceLeaveReason = Object.freeze(['Disconnect', 'Timeout', 'SessionExpired', 'ConnectionError', 'ServerShutdown']);
+const SessionEndReason = Object.freeze(['Expired', 'AllDevicesLeft', 'ExplicitClose', 'ServerShutdown', 'ResourceLimitExceeded']);
+
+// ClipboardException.ErrorCode values the hub returns in results
+const HubErrorCode = Object.freeze({ SessionNotFound: 'SESSION_NOT_FOUND' });
+
+// Longest ClipboardContent.content the server accepts (ClipboardOptions.MaxContentLength, characters)
+const MAX_CONTENT_LENGTH = 10240;
+
+/**
+ * Payload shapes. Field types ending in '?' are nullable; extra fields sent by
+ * the server (e.g. computed properties such as isActive) are allowed.
+ */
+const PayloadShapes = Object.freeze({
+    SessionInfo: {
+        sessionId: 'guid',
+        createdAt: 'datetime',
+        expiresAt: 'datetime',
+        deviceCount: 'number',
+        lastActivity: 'datetime'
+    },
+    DeviceInfo: {
+        deviceId: 'guid',
+        deviceName: 'string?',
+        joinedAt: 'datetime',
+        lastSeen: 'datetime'
+    },
+    // content is plain text, an image as a data:image/png|jpeg;base64 URL (see clipboard-image.js)
+    // or formatted text with its plain text (see rich-text.js)
+    ClipboardContent: {
+        content: 'string',
+        createdAt: 'datetime',
+        deviceId: 'guid',
+        contentHash: 'string'
+    },
+
+    // Hub method results
+    JoinSessionResult: {
+        success: 'boolean',
+        message: 'string',
+        sessionInfo: 'SessionInfo?',
+        devices: 'DeviceInfo[]?',
+        errorCode: 'string?'
+    },
+    LeaveSessionResult: {
+        success: 'boolean',
+        message: 'string'
+    },
+    ClipboardUpdateResult: {
+        success: 'boolean',
+        message: 'string',
+        clipboardContent: 'ClipboardContent?'
+    },
+    ClipboardClearResult: {
+        success: 'boolean',
+        message: 'string'
+    },
+    ClipboardContentResult: {
+        success: 'boolean',
+        message: 'string?',
+        clipboardContent: 'ClipboardContent?'
+    },
+    PingResult: {
+        serverTime: 'datetime'
+    },
+    // kind is offer, chunk, request, complete or cancel; the other fields belong to one kind each
+    FileTransferMessage: {
+        kind: 'string',
+        transferId: 'guid',
+        fileName: 'string?',
+        mimeType: 'string?',
+        size: 'number?',
+        chunkSize: 'number?',
+        chunkCount: 'number?',
+        hash: 'string?',
+        index: 'number?',
+        data: 'string?',
+        chunkHash: 'string?',
+        missing: 'number[]?',
+        reason: 'string?'
+    },
+    FileTransferRelayResult: {
+        success: 'boolean',
+        message: 'string'
+    },
+    SyncPolicyResult: {
+        success: 'boolean',
+        message: 'string'
+    },
+    DeliveryAcknowledgementResult: {
+        success: 'boolean',
+        message: 'string'
+    },
+
+    // Server events
+    ClipboardUpdatedEvent: {
+        eventId: 'guid',
+        timestamp: 'datetime',
+        sessionId: 'guid',
+        correlationId: 'string',
+        content: 'ClipboardContent',
+        updatedByDeviceId: 'guid',
+        previousContentHash: 'string?'
+    },
+    ClipboardClearedEvent: {
+        sessionId: 'guid',
+        clearedBy: 'DeviceInfo',
+        timestamp: 'datetime'
+    },
+    DeviceJoinedEvent: {
+        eventId: 'guid',
+        timestamp: 'datetime',
+        sessionId: 'guid',
+        correlationId: 'string',
+        device: 'DeviceInfo',
+        totalDeviceCount: 'number'
+    },
+    DeviceLeftEvent: {
+        eventId: 'guid',
+        timestamp: 'datetime',
+        sessionId: 'guid',
+        correlationId: 'string',
+        deviceId: 'guid',
+        deviceName: 'string?',
+        totalDeviceCount: 'number',
+        reason: 'DeviceLeaveReason'
+    },
+    DeviceCountUpdatedEvent: {
+        sessionId: 'guid',
+        deviceCount: 'number'
+    },
+    FileTransferMessageEvent: {
+        sessionId: 'guid',
+        deviceId: 'guid',
+        deviceName: 'string?',
+        message: 'FileTransferMessage',
+        timestamp: 'datetime'
+    },
+    DeviceSyncPolicyChangedEvent: {
+        sessionId: 'guid',
+        deviceId: 'guid',
+        deviceName: 'string?',
+        syncPolicy: 'string',
+        timestamp: 'datetime'
+    },
+    ClipboardUpdateDeliveredEvent: {
+        sessionId: 'guid',
+        deviceId: 'guid',
+        deviceName: 'string?',
+        messageId: 'guid',
+        timestamp: 'datetime'
+    },
+    SessionEndedEvent: {
+        eventId: 'guid',
+        timestamp: 'datetime',
+        sessionId: 'guid',
+        correlationId: 'string',
+        reason: 'SessionEndReason',
+        finalDeviceCount: 'number'
+    }
+});
+
+/**
+ * Hub methods exposed by ClipboardHub
+ */
+const HubMethods = Object.freeze({
+    JoinSession: {
+        name: 'JoinSessionAsync',
+        args: { sessionId: 'guid', deviceId: 'guid', deviceName: 'string?' },
+        result: 'JoinSessionResult'
+    },
+    LeaveSession: {
+        name: 'LeaveSessionAsync',
+        args: { sessionId: 'guid', deviceId: 'guid' },
+        result: 'LeaveSessionResult'
+    },
+    BroadcastClipboardUpdate: {
+        name: 'BroadcastClipboardUpdateAsync',
+        args: { sessionId: 'guid', content: 'string', deviceId: 'guid', targetDeviceIds: 'guid[]' },
+        result: 'ClipboardUpdateResult'
+    },
+    BroadcastClipboardClear: {
+        name: 'BroadcastClipboardClearAsync',
+        args: { sessionId: 'guid', deviceId: 'guid', targetDeviceIds: 'guid[]' },
+        result: 'ClipboardClearResult'
+    },
+    GetClipboardContent: {
+        name: 'GetClipboardContentAsync',
+        args: { sessionId: 'guid', deviceId: 'guid' },
+        result: 'ClipboardContentResult'
+    },
+    Ping: {
+        name: 'PingAsync',
+        args: {},
+        result: 'PingResult'
+    },
+    RelayFileTransfer: {
+        name: 'RelayFileTransferAsync',
+        args: { sessionId: 'guid', deviceId: 'guid', message: 'FileTransferMessage' },
+        result: 'FileTransferRelayResult'
+    },
+    AnnounceSyncPolicy: {
+        name: 'AnnounceSyncPolicyAsync',
+        args: { sessionId: 'guid', deviceId: 'guid', syncPolicy: 'string' },
+        result: 'SyncPolicyResult'
+    },
+    AcknowledgeClipboardUpdate: {
+        name: 'AcknowledgeClipboardUpdateAsync',
+        args: { sessionId: 'guid', deviceId: 'guid', messageId: 'guid' },
+        result: 'DeliveryAcknowledgementResult'
+    }
+});
+
+/**
+ * Events sent by ClipboardHub to clients
+ */
+const HubEvents = Object.freeze({
+    ClipboardUpdated: { name: 'ClipboardUpdated', payload: 'ClipboardUpdatedEvent' },
+    ClipboardCleared: { name: 'ClipboardCleared', payload: 'ClipboardClearedEvent' },
+    DeviceJoined: { name: 'DeviceJoined', payload: 'DeviceJoinedEvent' },
+    DeviceLeft: { name: 'DeviceLeft', payload: 'DeviceLeftEvent' },
+    DeviceCountUpdated: { name: 'DeviceCountUpdated', payload: 'DeviceCountUpdatedEvent' },
+    FileTransferMessage: { name: 'FileTransferMessage', payload: 'FileTransferMessageEvent' },
+    DeviceSyncPolicyChanged: { name: 'DeviceSyncPolicyChanged', payload: 'DeviceSyncPolicyChangedEvent' },
+    ClipboardUpdateDelivered: { name: 'ClipboardUpdateDelivered', payload: 'ClipboardUpdateDeliveredEvent' },
+    // Core/Models SessionEndedEvent; the client also synthesizes it when a rejoin finds the session expired
+    SessionEnded: { name: 'SessionEnded', payload: 'SessionEndedEvent' }
+});
+
+const ENUMS = { DeviceLeaveReason, SessionEndReason };
+const GUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Raised when a hub call or server event does not match the declared contract
+ */
+class HubContractError extends Error {
+    constructor(message, member, path, received) {
+        super(message);
+        this.name = 'HubContractError';
+        this.member = member;
+        this.path = path;
+        this.received = received;
+    }
+}
+
+/**
+ * Check a single value against a type name, returning a list of problems
+ */
+function checkType(type, value, path) {
+    const nullable = type.endsWith('?');
+    const baseType = nullable ? type.slice(0, -1) : type;
+
+    if (value === null || value === undefined) {
+        return nullable ? [] : [`${path}: expected ${baseType}, received ${value}`];
+    }
+
+    if (baseType.endsWith('[]')) {
+        const itemType = baseType.slice(0, -2);
+        return Array.isArray(value)
+            ? value.flatMap((item, index) => checkType(itemType, item, `${path}[${index}]`))
+            : [`${path}: expected ${baseType}, received ${typeof value}`];
+    }
+
+    switch (baseType) {
+        case 'string':
+        case 'number':
+        case 'boolean':
+            return typeof value === baseType ? [] : [`${path}: expected ${baseType}, received ${typeof value}`];
+        case 'guid':
+            return typeof value === 'string' && GUID_REGEX.test(value) ? [] : [`${path}: expected guid, received ${JSON.stringify(value)}`];
+        case 'datetime':
+            return typeof value === 'string' && !isNaN(Date.parse(value)) ? [] : [`${path}: expected datetime, received ${JSON.stringify(value)}`];
+    }
+
+    if (ENUMS[baseType]) {
+        const values = ENUMS[baseType];
+        const valid = (Number.isInteger(value) && value >= 0 && value < values.length) || values.includes(value);
+        return valid ? [] : [`${path}: expected ${baseType}, received ${JSON.stringify(value)}`];
+    }
+
+    const shape = PayloadShapes[baseType];
+    if (!shape) {
+        return [`${path}: unknown contract type ${baseType}`];
+    }
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path}: expected ${baseType} object, received ${typeof value}`];
+    }
+
+    return Object.entries(shape).flatMap(([field, fieldType]) =>
+        checkType(fieldType, value[field], `${path}.${field}`)
+    );
+}
+
+/**
+ * Validate a payload against a named shape
+ * @param {string} type - Shape or type name (e.g. 'JoinSessionResult')
+ * @param {*} value - Payload to validate
+ * @param {string} member - Hub method or event name, used in error messages
+ * @throws {HubContractError} When the payload does not match
+ */
+function validatePayload(type, value, member = type) {
+    const problems = checkType(type, value, member);
+    if (problems.length > 0) {
+        throw new HubContractError(`Hub contract mismatch: ${problems.join('; ')}`, member, problems, value);
+    }
+    return value;
+}
+
+/**
+ * Resolve an enum value (number or name) to its name
+ */
+function enumName(enumType, value) {
+    const values = ENUMS[enumType];
+    return Number.isInteger(value) ? values[value] : value;
+}
+
+/**
+ * Typed wrapper around a HubConnection that only speaks the declared contract
+ */
+class HubProtocol {
+    /**
+     * @param {Object} connection - SignalR HubConnection
+     * @param {Function} onContractError - Called with a HubContractError for invalid server events
+     */
+    constructor(connection, onContractError = () => {}) {
+        this.connection = connection;
+        this.onContractError = onContractError;
+    }
+
+    /**
+     * Invoke a hub method, validating arguments and result
+     * @param {Object} method - Entry from HubMethods
+     * @param {...*} args - Arguments in declared order
+     */
+    async invoke(method, ...args) {
+        const argNames = Object.keys(method.args);
+        if (args.length > argNames.length) {
+            throw new HubContractError(
+                `Hub contract mismatch: ${method.name} takes ${argNames.length} arguments, received ${args.length}`,
+                method.name, [], args);
+        }
+
+        const problems = argNames.flatMap((argName, index) =>
+            checkType(method.args[argName], args[index], `${method.name}(${argName})`)
+        );
+        if (problems.length > 0) {
+            throw new HubContractError(`Hub contract mismatch: ${problems.join('; ')}`, method.name, problems, args);
+        }
+
+        const result = await this.connection.invoke(method.name, ...args);
+        return validatePayload(method.result, result, method.name);
+    }
+
+    /**
+     * Subscribe to a server event; handlers only receive payloads matching the contract
+     * @param {Object} event - Entry from HubEvents
+     * @param {Function} handler - Receives the validated payload
+     */
+    on(event, handler) {
+        this.connection.on(event.name, (payload) => {
+            try {
+                validatePayload(event.payload, payload, event.name);
+            } catch (error) {
+                this.onContractError(error);
+                return;
+            }
+            handler(payload);
+        });
+    }
+}
+
+export {
+    HubProtocol,
+    HubContractError,
+    HubMethods,
+    HubEvents,
+    PayloadShapes,
+    DeviceLeaveReason,
+    SessionEndReason,
+    HubErrorCode,
+    MAX_CONTENT_LENGTH,
+    validatePayload,
+    enumName
+};
@@ -0,0 +1,108 @@
+/**
+ * Hybrid logical clock for ordering clipboard updates
+ * Each update carries a stamp { wallTime, counter, deviceId }. Stamps follow wall time while device clocks
+ * agree and never go backwards after a remote stamp has been seen, so every device orders any two updates
+ * the same way; equal times are broken by device ID. Stamps travel in the message envelope
+ * (see clipboard-message.js) as "<wallTime>.<counter>.<deviceId>".
+ * A remote stamp too far ahead of this device's clock is rejected rather than merged: one device with a clock
+ * set far in the future would otherwise drag every clock with it and win every later conflict.
+ */
+
+const STAMP_REGEX = /^(\d{1,16})\.(\d{1,9})\.([0-9a-fA-F-]{36})$/;
+
+// Longest formatted stamp
+const MAX_STAMP_LENGTH = 16 + 1 + 9 + 1 + 36;
+
+// How far ahead of the local physical clock a remote stamp may be, by default
+const MAX_CLOCK_DRIFT_MS = 60 * 60 * 1000;
+
+class HybridLogicalClock {
+    /**
+     * @param {string} deviceId - Breaks ties between updates stamped at the same time
+     * @param {Function} now - Physical clock in milliseconds
+     * @param {number} maxDrift - How far ahead of the physical clock a remote stamp may be, in milliseconds
+     */
+    constructor(deviceId, now = Date.now, maxDrift = MAX_CLOCK_DRIFT_MS) {
+        this.deviceId = deviceId.toLowerCase();
+        this.now = now;
+        this.maxDrift = maxDrift;
+        this.wallTime = 0;
+        this.counter = 0;
+    }
+
+    /**
+     * Stamp a local update
+     */
+    tick() {
+        const physical = this.now();
+        if (physical > this.wallTime) {
+            this.wallTime = physical;
+            this.counter = 0;
+        } else {
+            this.counter++;
+        }
+        return this.stamp();
+    }
+
+    /**
+     * Merge a remote stamp so later local updates order after it
+     * @returns {boolean} Whether the stamp was merged; false when it is more than maxDrift ahead of the physical clock
+     */
+    receive(remote) {
+        const physical = this.now();
+        if (remote.wallTime - physical > this.maxDrift) {
+            return false;
+        }
+
+        const wallTime = Math.max(this.wallTime, remote.wallTime, physical);
+
+        if (wallTime === this.wallTime && wallTime === remote.wallTime) {
+            this.counter = Math.max(this.counter, remote.counter) + 1;
+        } else if (wallTime === this.wallTime) {
+            this.counter++;
+        } else if (wallTime === remote.wallTime) {
+            this.counter = remote.counter + 1;
+        } else {
+            this.counter = 0;
+        }
+        this.wallTime = wallTime;
+        return true;
+    }
+
+    stamp() {
+        return { wallTime: this.wallTime, counter: this.counter, deviceId: this.deviceId };
+    }
+}
+
+/**
+ * Total order of stamps
+ * @returns {number} Negative when a is older than b, positive when newer, 0 for the same update
+ */
+function compareStamps(a, b) {
+    if (a.wallTime !== b.wallTime) {
+        return a.wallTime - b.wallTime;
+    }
+    if (a.counter !== b.counter) {
+        return a.counter - b.counter;
+    }
+    return a.deviceId < b.deviceId ? -1 : a.deviceId > b.deviceId ? 1 : 0;
+}
+
+function formatStamp(stamp) {
+    return `${stamp.wallTime}.${stamp.counter}.${stamp.deviceId}`;
+}
+
+/**
+ * @returns {Object|null} The stamp, or null when the text is not a formatted stamp
+ */
+function parseStamp(text) {
+    const match = typeof text === 'string' ? text.match(STAMP_REGEX) : null;
+    if (!match) {
+        return null;
+    }
+
+    const [, wallTime, counter, deviceId] = match;
+    return { wallTime: Number(wallTime), counter: Number(counter), deviceId: deviceId.toLowerCase() };
+}
+
+export { HybridLogicalClock, compareStamps, formatStamp, parseStamp, MAX_STAMP_LENGTH };
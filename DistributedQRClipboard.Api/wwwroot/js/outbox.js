@@ -0,0 +1,174 @@
+/**
+ * Clipboard Outbox for updates made while the connection is down
+ * Persists queued sends in localStorage so they survive reloads and network blips. Content that must not be
+ * kept in full (see SensitiveContentDetector.redact) is stored masked, and is lost if the page reloads before it is sent.
+ */
+
+import { EventEmitter, Storage, generateUUID } from './utils.js';
+
+const STORAGE_KEY = 'clipboardOutbox';
+
+// Item lifecycle: queued -> sending -> sent, or queued -> superseded/dropped/expired
+const OutboxStatus = Object.freeze({
+    Queued: 'queued',
+    Sending: 'sending',
+    Sent: 'sent',
+    Superseded: 'superseded',
+    Dropped: 'dropped',
+    Expired: 'expired' // A self-destructing clip that expired before it could be sent
+});
+
+class ClipboardOutbox extends EventEmitter {
+    /**
+     * @param {Object} options - maxSettledItems: how many sent/superseded/dropped items to keep for display
+     */
+    constructor(options = {}) {
+        super();
+        this.maxSettledItems = options.maxSettledItems ?? 20;
+        this.items = Storage.get(STORAGE_KEY, []);
+
+        // An item that was mid-send when the page unloaded never got its result; one stored masked cannot be sent
+        this.items.forEach(item => {
+            const isPending = item.status === OutboxStatus.Queued || item.status === OutboxStatus.Sending;
+            if (isPending && item.redacted) {
+                item.status = OutboxStatus.Dropped;
+                item.settledAt = Date.now();
+            } else if (item.status === OutboxStatus.Sending) {
+                item.status = OutboxStatus.Queued;
+            }
+        });
+    }
+
+    /**
+     * Queue content for a session; a queued item with the same content is superseded by it, while different
+     * content copied meanwhile stays queued and is sent in order
+     * @param {Object} message - { id, contentHash, stamp } of the update, kept so a resend is recognised
+     *                           as the same update (see clipboard-message.js)
+     * @param {string} storedContent - What to keep in localStorage in place of the content, if not the content itself
+     * @returns {Object} The queued item
+     */
+    enqueue(sessionId, content, message = null, storedContent = content) {
+        const now = Date.now();
+
+        this.items.forEach(item => {
+            const isPending = item.status === OutboxStatus.Queued && item.sessionId === sessionId;
+            if (isPending && item.content === content) {
+                item.status = OutboxStatus.Superseded;
+                item.settledAt = now;
+            }
+        });
+
+        const item = {
+            id: generateUUID(),
+            sessionId,
+            content,
+            message,
+            queuedAt: now,
+            status: OutboxStatus.Queued
+        };
+        if (storedContent !== content) {
+            item.storedContent = storedContent;
+        }
+
+        this.items.push(item);
+        this.save();
+        return item;
+    }
+
+    /**
+     * Get queued items for a session, oldest first
+     */
+    getPending(sessionId) {
+        return this.items.filter(item => item.sessionId === sessionId && item.status === OutboxStatus.Queued);
+    }
+
+    /**
+     * Check whether anything is waiting to be sent for a session
+     */
+    hasPending(sessionId) {
+        return this.getPending(sessionId).length > 0;
+    }
+
+    /**
+     * Update the status of an item
+     */
+    setStatus(id, status) {
+        const item = this.items.find(entry => entry.id === id);
+        if (!item) {
+            return;
+        }
+
+        item.status = status;
+        if (status !== OutboxStatus.Queued && status !== OutboxStatus.Sending) {
+            item.settledAt = Date.now();
+        }
+        this.save();
+    }
+
+    /**
+     * Forget the content of a self-destructing clip that expired: every item that carries it loses its content,
+     * whatever its status, and one still queued is never sent
+     */
+    expireMessage(messageId) {
+        const items = this.items.filter(item => item.message?.id === messageId);
+        if (items.length === 0) {
+            return;
+        }
+
+        const now = Date.now();
+        items.forEach(item => {
+            item.content = '';
+            delete item.storedContent;
+            if (item.status === OutboxStatus.Queued) {
+                item.status = OutboxStatus.Expired;
+                item.settledAt = now;
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Drop queued items for a session that can no longer receive them
+     */
+    dropSession(sessionId) {
+        const now = Date.now();
+        this.items.forEach(item => {
+            if (item.sessionId === sessionId && item.status === OutboxStatus.Queued) {
+                item.status = OutboxStatus.Dropped;
+                item.settledAt = now;
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Get all items for display, newest first
+     */
+    getItems() {
+        return [...this.items].reverse();
+    }
+
+    /**
+     * Persist items, trimming old settled entries
+     */
+    save() {
+        const pending = this.items.filter(item => !item.settledAt);
+        const settled = this.items.filter(item => item.settledAt).slice(-this.maxSettledItems);
+        const keep = new Set([...pending, ...settled]);
+        this.items = this.items.filter(item => keep.has(item));
+
+        Storage.set(STORAGE_KEY, this.items.map(({ storedContent, ...item }) =>
+            storedContent === undefined ? item : { ...item, content: storedContent, redacted: true }));
+        this.emit('changed', this.getItems());
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.items = [];
+        this.save();
+    }
+}
+
+export { ClipboardOutbox, OutboxStatus };
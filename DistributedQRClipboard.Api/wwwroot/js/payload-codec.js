@@ -0,0 +1,223 @@
+/**
+ * Payload compression and chunking
+ * The server accepts at most MAX_CONTENT_LENGTH characters of content per update (see hub-protocol.js). A payload
+ * (an enveloped message, see clipboard-message.js) that does not fit is gzip-compressed with CompressionStream;
+ * one that still does not fit is split into ordered chunk frames that receivers put back together:
+ *   "z:v1:<base64 gzip>"                                  a compressed payload
+ *   "chunk:v1:<messageId>:<index>:<count>:<part>"         one part of a (compressed) payload
+ * Frames are measured in UTF-8 bytes: encryption grows the bytes, and the server's character count (UTF-16 code
+ * units) is never more than them. Chunks are cut between characters, never inside one.
+ * Frames are encrypted one by one in sessions with a key. The server only keeps the last frame as the session's
+ * content, so a chunked clip reaches devices that are connected or that catch up from the missed-update history
+ * after a reconnect; a device that only polls the session's content never sees the whole clip.
+ */
+
+import { bytesToBase64, base64ToBytes, utf8Length } from './utils.js';
+
+const COMPRESSED_PREFIX = 'z:v1:';
+
+const CHUNK_REGEX = /^chunk:v1:([0-9a-f-]{36}):(\d{1,2}):(\d{1,2}):/;
+
+// Parts of one clip; well inside the server's per-session history, so a reconnecting device still finds them all
+const MAX_CHUNKS = 8;
+
+// Longest chunk header: prefix, message ID, two-digit index and count, separators
+const CHUNK_HEADER_LENGTH = 'chunk:v1:'.length + 36 + 1 + 2 + 1 + 2 + 1;
+
+// Incomplete clips kept per assembler before the oldest is dropped
+const MAX_PENDING_CLIPS = 16;
+
+class PayloadTooLargeError extends Error {
+    constructor(length, capacity) {
+        super(`Clipboard content too large: ${length} bytes after compression, at most ${capacity} fit`);
+        this.name = 'PayloadTooLargeError';
+        this.length = length;
+        this.capacity = capacity;
+    }
+}
+
+function canCompress() {
+    return typeof CompressionStream !== 'undefined';
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function compressText(text) {
+    const bytes = await pipeBytes(new TextEncoder().encode(text), new CompressionStream('gzip'));
+    return COMPRESSED_PREFIX + bytesToBase64(bytes);
+}
+
+async function decompressText(text) {
+    const bytes = await pipeBytes(base64ToBytes(text.slice(COMPRESSED_PREFIX.length)), new DecompressionStream('gzip'));
+    return new TextDecoder().decode(bytes);
+}
+
+function isCompressed(text) {
+    return typeof text === 'string' && text.startsWith(COMPRESSED_PREFIX);
+}
+
+/**
+ * Bytes of payload that fit in the largest chunked clip
+ */
+function chunkedCapacity(frameLimit) {
+    return (frameLimit - CHUNK_HEADER_LENGTH) * MAX_CHUNKS;
+}
+
+/**
+ * Compress a payload that does not fit one frame; compressing is skipped where it would not help
+ * @returns {string} The compressed payload, or the payload itself
+ */
+async function pack(payload, frameLimit) {
+    const length = utf8Length(payload);
+    if (length <= frameLimit || !canCompress()) {
+        return payload;
+    }
+    const compressed = await compressText(payload);
+    return compressed.length < length ? compressed : payload;
+}
+
+function utf8CharLength(codePoint) {
+    return codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+}
+
+/**
+ * Split text into parts of at most maxBytes UTF-8 bytes each, between characters
+ */
+function splitUtf8(text, maxBytes) {
+    const parts = [];
+    let start = 0;
+    let index = 0;
+    let bytes = 0;
+    for (const char of text) {
+        const size = utf8CharLength(char.codePointAt(0));
+        if (bytes + size > maxBytes) {
+            parts.push(text.slice(start, index));
+            start = index;
+            bytes = 0;
+        }
+        bytes += size;
+        index += char.length;
+    }
+    parts.push(text.slice(start));
+    return parts;
+}
+
+/**
+ * How a payload would travel, for showing the effective limit before sending
+ * @returns {Object} { length, packedLength, compressed, frames, capacity, fits }; lengths are in bytes
+ */
+async function measurePayload(payload, frameLimit) {
+    const packed = await pack(payload, frameLimit);
+    const packedLength = utf8Length(packed);
+    const frames = packedLength <= frameLimit ? 1 : splitUtf8(packed, frameLimit - CHUNK_HEADER_LENGTH).length;
+    return {
+        length: utf8Length(payload),
+        packedLength,
+        compressed: packed !== payload,
+        frames,
+        capacity: chunkedCapacity(frameLimit),
+        fits: frames <= MAX_CHUNKS
+    };
+}
+
+/**
+ * Frames that carry a payload, in the order they must be sent
+ * @param {string} payload - Enveloped message
+ * @param {string} messageId - Message ID, which names the chunks of one clip
+ * @param {number} frameLimit - Longest frame the transport accepts, in UTF-8 bytes
+ * @throws {PayloadTooLargeError} When it needs more than MAX_CHUNKS frames
+ */
+async function encodeFrames(payload, messageId, frameLimit) {
+    const packed = await pack(payload, frameLimit);
+    const packedLength = utf8Length(packed);
+    if (packedLength <= frameLimit) {
+        return [packed];
+    }
+
+    const parts = splitUtf8(packed, frameLimit - CHUNK_HEADER_LENGTH);
+    if (parts.length > MAX_CHUNKS) {
+        throw new PayloadTooLargeError(packedLength, chunkedCapacity(frameLimit));
+    }
+
+    return parts.map((part, index) => `chunk:v1:${messageId}:${index}:${parts.length}:${part}`);
+}
+
+/**
+ * Message ID of a chunk frame, or null for any other frame
+ */
+function chunkMessageId(frame) {
+    const match = typeof frame === 'string' ? frame.match(CHUNK_REGEX) : null;
+    return match ? match[1] : null;
+}
+
+/**
+ * Undo compression; a payload that was never compressed comes back as it is
+ */
+async function decodePayload(packed) {
+    return isCompressed(packed) ? decompressText(packed) : packed;
+}
+
+/**
+ * Collects chunk frames until a clip is complete
+ * Parts may arrive in any order and more than once; parts of a clip already put together are ignored.
+ */
+class ChunkAssembler {
+    constructor(maxPending = MAX_PENDING_CLIPS) {
+        this.maxPending = maxPending;
+        this.pending = new Map(); // messageId -> { count, parts }
+        this.completed = new Set();
+    }
+
+    /**
+     * @param {string} frame - A received frame, after decryption
+     * @returns {string|null} The packed payload once every part is in; frames that are not chunks come back as they are
+     */
+    accept(frame) {
+        const match = typeof frame === 'string' ? frame.match(CHUNK_REGEX) : null;
+        if (!match) {
+            return frame;
+        }
+
+        const [header, messageId] = match;
+        const index = Number(match[2]);
+        const count = Number(match[3]);
+        if (count < 1 || count > MAX_CHUNKS || index >= count || this.completed.has(messageId)) {
+            return null;
+        }
+
+        let clip = this.pending.get(messageId);
+        if (!clip || clip.count !== count) {
+            clip = { count, parts: new Map() };
+            this.pending.set(messageId, clip);
+            if (this.pending.size > this.maxPending) {
+                this.pending.delete(this.pending.keys().next().value);
+            }
+        }
+        clip.parts.set(index, frame.slice(header.length));
+        if (clip.parts.size < count) {
+            return null;
+        }
+
+        this.pending.delete(messageId);
+        this.completed.add(messageId);
+        if (this.completed.size > this.maxPending * 4) {
+            this.completed.delete(this.completed.values().next().value);
+        }
+        return Array.from({ length: count }, (_, i) => clip.parts.get(i)).join('');
+    }
+}
+
+export {
+    ChunkAssembler,
+    PayloadTooLargeError,
+    encodeFrames,
+    decodePayload,
+    measurePayload,
+    chunkMessageId,
+    isCompressed,
+    canCompress,
+    MAX_CHUNKS
+};
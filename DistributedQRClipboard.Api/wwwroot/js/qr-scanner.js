@@ -4,6 +4,7 @@
  */
 
 import { EventEmitter } from './utils.js';
+import { readKeyFromUrl } from './session-crypto.js';
 
 class QRScanner extends EventEmitter {
     constructor() {
@@ -178,6 +179,7 @@ class QRScanner extends EventEmitter {
         if (sessionId) {
             this.emit('qrCodeDetected', {
                 sessionId,
+                key: readKeyFromUrl(decodedText.trim()), // Encrypted sessions carry their key in the link fragment
                 rawText: decodedText,
                 result: decodedResult,
                 timestamp: new Date()
@@ -0,0 +1,396 @@
+/**
+ * Rich text clipboard content
+ * Formatted text travels as one content string holding both the text/plain and the text/html
+ * representation, in the same data URL style as images. HTML is sanitized against an allowlist
+ * by the sender and again before display: it is parsed into a plain node tree here (never by the
+ * browser's HTML parser), and rendering builds DOM nodes one by one from that tree, so no string
+ * of markup from another device ever reaches innerHTML.
+ */
+
+import { MAX_CONTENT_LENGTH } from './hub-protocol.js';
+import { utf8Length } from './utils.js';
+
+const RICH_CONTENT_PREFIX = 'data:application/x-clipboard-rich+json,';
+
+// Elements kept as they are (with the attributes listed for them)
+// span is left out: without styles it carries nothing and is unwrapped like unknown elements
+const ALLOWED_ELEMENTS = Object.freeze({
+    a: ['href', 'title'],
+    b: [], strong: [], i: [], em: [], u: [], s: [], del: [], ins: [], mark: [], small: [], sub: [], sup: [],
+    code: [], kbd: [], samp: [], pre: [], blockquote: [], q: [],
+    p: [], br: [], hr: [], div: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    ul: [], ol: ['start'], li: [], dl: [], dt: [], dd: [],
+    table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+    th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan']
+});
+
+// Elements removed together with everything inside them; any other element is unwrapped
+const DROPPED_ELEMENTS = new Set([
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'noembed', 'noframes', 'svg', 'math', 'head', 'title', 'meta', 'link', 'base',
+    'form', 'input', 'button', 'select', 'option', 'textarea', 'img', 'picture', 'video', 'audio',
+    'source', 'track', 'canvas', 'xmp', 'plaintext'
+]);
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Elements whose content is raw text up to the matching end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'plaintext']);
+
+// An open element of the key's type is closed when one of these starts inside it
+const IMPLIED_END = Object.freeze({
+    p: new Set(['p', 'div', 'ul', 'ol', 'table', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']),
+    li: new Set(['li']),
+    dt: new Set(['dt', 'dd']),
+    dd: new Set(['dt', 'dd']),
+    td: new Set(['td', 'th', 'tr']),
+    th: new Set(['td', 'th', 'tr']),
+    tr: new Set(['tr'])
+});
+
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table', 'caption', 'tr', 'hr'
+]);
+
+const SAFE_URL_REGEX = /^(?:https?:|mailto:)/i;
+const MAX_DEPTH = 64;
+
+// Sticky patterns for the parser; set lastIndex before each exec
+const END_TAG_PATTERN = /<\/([a-zA-Z][^\s/>]*)[^>]*>?/y;
+const TAG_NAME_PATTERN = /[^\s/>]+/y;
+const ATTRIBUTE_NAME_PATTERN = /[^\s/>][^\s/>=]*/y;
+const EQUALS_PATTERN = /\s*=\s*/y;
+const UNQUOTED_VALUE_PATTERN = /[^\s>]*/y;
+
+const NAMED_ENTITIES = Object.freeze({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' });
+
+function decodeEntities(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]{1,6}|#\d{1,7}|[a-zA-Z]+);/g, (entity, name) => {
+        if (name[0] !== '#') {
+            return Object.hasOwn(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : entity;
+        }
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    });
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return escapeText(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse HTML into a tree of { type: 'element', tag, attributes: Map, children } and
+ * { type: 'text', text } nodes. Tolerant of the fragments browsers put on the clipboard;
+ * it only needs to find text and tags, as everything is filtered by sanitizeNodes afterwards.
+ */
+function parseHtml(html) {
+    const root = { type: 'element', tag: '#root', attributes: new Map(), children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    let i = 0;
+
+    const appendText = (text) => {
+        if (text) {
+            current().children.push({ type: 'text', text: decodeEntities(text) });
+        }
+    };
+
+    while (i < html.length) {
+        const lt = html.indexOf('<', i);
+        if (lt === -1) {
+            appendText(html.slice(i));
+            break;
+        }
+        appendText(html.slice(i, lt));
+        i = lt;
+
+        // Comments, doctypes and processing instructions carry nothing we keep
+        if (html.startsWith('<!--', i)) {
+            const end = html.indexOf('-->', i + 4);
+            i = end === -1 ? html.length : end + 3;
+            continue;
+        }
+        if (html[i + 1] === '!' || html[i + 1] === '?') {
+            const end = html.indexOf('>', i);
+            i = end === -1 ? html.length : end + 1;
+            continue;
+        }
+
+        END_TAG_PATTERN.lastIndex = i;
+        const endTag = END_TAG_PATTERN.exec(html);
+        if (endTag) {
+            const tag = endTag[1].toLowerCase();
+            const index = stack.findLastIndex(node => node.tag === tag);
+            if (index > 0) {
+                stack.length = index;
+            }
+            i += endTag[0].length;
+            continue;
+        }
+
+        if (!/[a-zA-Z]/.test(html[i + 1] || '')) {
+            appendText('<');
+            i++;
+            continue;
+        }
+
+        const start = parseStartTag(html, i);
+        i = start.end;
+
+        while (IMPLIED_END[current().tag]?.has(start.tag)) {
+            stack.pop();
+        }
+
+        const element = { type: 'element', tag: start.tag, attributes: start.attributes, children: [] };
+        current().children.push(element);
+
+        if (RAW_TEXT_ELEMENTS.has(start.tag)) {
+            const closePattern = new RegExp(`</${start.tag}`, 'gi');
+            closePattern.lastIndex = i;
+            const end = closePattern.exec(html)?.index ?? html.length;
+            element.children.push({ type: 'text', text: html.slice(i, end) });
+            i = end;
+        } else if (!start.selfClosing && !VOID_ELEMENTS.has(start.tag) && stack.length < MAX_DEPTH) {
+            stack.push(element);
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Read a start tag beginning at html[index] === '<'
+ * @returns {Object} { tag, attributes, selfClosing, end } where end is the index after '>'
+ */
+function parseStartTag(html, index) {
+    TAG_NAME_PATTERN.lastIndex = index + 1;
+    const tagName = TAG_NAME_PATTERN.exec(html)[0];
+    const tag = tagName.toLowerCase();
+    const attributes = new Map();
+    let selfClosing = false;
+    let i = index + 1 + tagName.length;
+
+    while (i < html.length) {
+        while (/[\s/]/.test(html[i] || '')) {
+            selfClosing = html[i] === '/';
+            i++;
+        }
+        if (i >= html.length) {
+            break;
+        }
+        if (html[i] === '>') {
+            i++;
+            break;
+        }
+        selfClosing = false;
+
+        ATTRIBUTE_NAME_PATTERN.lastIndex = i;
+        const name = ATTRIBUTE_NAME_PATTERN.exec(html)[0];
+        i += name.length;
+        let value = '';
+
+        EQUALS_PATTERN.lastIndex = i;
+        const equals = EQUALS_PATTERN.exec(html);
+        if (equals) {
+            i += equals[0].length;
+            const quote = html[i];
+            if (quote === '"' || quote === "'") {
+                const close = html.indexOf(quote, i + 1);
+                const end = close === -1 ? html.length : close;
+                value = html.slice(i + 1, end);
+                i = end + 1;
+            } else {
+                UNQUOTED_VALUE_PATTERN.lastIndex = i;
+                value = UNQUOTED_VALUE_PATTERN.exec(html)[0];
+                i += value.length;
+            }
+        }
+
+        const key = name.toLowerCase();
+        if (!attributes.has(key)) {
+            attributes.set(key, decodeEntities(value));
+        }
+    }
+
+    return { tag, attributes, selfClosing, end: Math.min(i, html.length) };
+}
+
+function sanitizeAttributes(tag, attributes) {
+    const safe = new Map();
+    for (const name of ALLOWED_ELEMENTS[tag]) {
+        if (!attributes.has(name)) {
+            continue;
+        }
+        const value = attributes.get(name);
+
+        if (name === 'href') {
+            // Browsers drop tabs and newlines anywhere in a URL ("java\nscript:") and trim the ends
+            const url = value.replace(/[\t\n\r]/g, '').replace(/^[\u0000- ]+|[\u0000- ]+$/g, '');
+            if (SAFE_URL_REGEX.test(url)) {
+                safe.set('href', url);
+            }
+        } else if (name === 'title') {
+            safe.set('title', value);
+        } else if (/^\d{1,4}$/.test(value.trim())) {
+            safe.set(name, value.trim());
+        }
+    }
+
+    if (tag === 'a' && safe.has('href')) {
+        safe.set('rel', 'noopener noreferrer');
+        safe.set('target', '_blank');
+    }
+    return safe;
+}
+
+/**
+ * Keep allowed elements and attributes, unwrap unknown elements and remove dropped ones
+ * @returns {Array} Sanitized nodes
+ */
+function sanitizeNodes(nodes) {
+    return nodes.flatMap(node => {
+        if (node.type === 'text') {
+            return [node];
+        }
+        if (DROPPED_ELEMENTS.has(node.tag)) {
+            return [];
+        }
+
+        const children = sanitizeNodes(node.children);
+        if (!Object.hasOwn(ALLOWED_ELEMENTS, node.tag)) {
+            return children;
+        }
+        return [{ type: 'element', tag: node.tag, attributes: sanitizeAttributes(node.tag, node.attributes), children }];
+    });
+}
+
+function serializeNodes(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return escapeText(node.text);
+        }
+        const attributes = Array.from(node.attributes, ([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+        return VOID_ELEMENTS.has(node.tag)
+            ? `<${node.tag}${attributes}>`
+            : `<${node.tag}${attributes}>${serializeNodes(node.children)}</${node.tag}>`;
+    }).join('');
+}
+
+function hasMarkup(nodes) {
+    return nodes.some(node => node.type === 'element');
+}
+
+/**
+ * Sanitize HTML to the allowlist; the result is stable when sanitized again
+ */
+function sanitizeHtml(html) {
+    return serializeNodes(sanitizeNodes(parseHtml(html).children));
+}
+
+/**
+ * Build the sanitized HTML as DOM nodes without handing any markup to the browser's parser
+ * @param {string} html - Untrusted HTML
+ * @param {Document} doc - Document to create nodes in
+ * @returns {DocumentFragment}
+ */
+function renderSanitizedHtml(html, doc = document) {
+    const append = (parent, nodes) => {
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                parent.appendChild(doc.createTextNode(node.text));
+                continue;
+            }
+            const element = doc.createElement(node.tag);
+            node.attributes.forEach((value, name) => element.setAttribute(name, value));
+            append(element, node.children);
+            parent.appendChild(element);
+        }
+        return parent;
+    };
+
+    return append(doc.createDocumentFragment(), sanitizeNodes(parseHtml(html).children));
+}
+
+/**
+ * Plain text for HTML that came without a text/plain representation
+ */
+function htmlToText(html) {
+    const collect = (nodes) => nodes.map(node => {
+        if (node.type === 'text') {
+            return node.text.replace(/\s+/g, ' ');
+        }
+        if (node.tag === 'br') {
+            return '\n';
+        }
+        const text = node.tag === 'pre' ? collectRaw(node.children) : collect(node.children);
+        const separator = node.tag === 'td' || node.tag === 'th' ? '\t' : '';
+        return BLOCK_ELEMENTS.has(node.tag) ? `\n${text}\n` : text + separator;
+    }).join('');
+    const collectRaw = (nodes) => nodes.map(node => node.type === 'text' ? node.text : collectRaw(node.children)).join('');
+
+    return collect(sanitizeNodes(parseHtml(html).children))
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function isRichContent(content) {
+    return parseRichContent(content) !== null;
+}
+
+/**
+ * @returns {Object|null} { text, html } for rich content, otherwise null
+ */
+function parseRichContent(content) {
+    if (typeof content !== 'string' || !content.startsWith(RICH_CONTENT_PREFIX)) {
+        return null;
+    }
+
+    try {
+        const { text, html } = JSON.parse(content.slice(RICH_CONTENT_PREFIX.length));
+        return typeof text === 'string' && typeof html === 'string' ? { text, html } : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Combine the two representations of copied text into one content string
+ * Falls back to the plain text when the HTML adds no formatting or the result would not fit
+ * @param {string} text - text/plain representation ('' to derive it from the HTML)
+ * @param {string} html - text/html representation, sanitized here
+ * @param {number} maxLength - Content limit, in UTF-8 bytes
+ */
+function createRichContent(text, html, maxLength = MAX_CONTENT_LENGTH) {
+    const nodes = sanitizeNodes(parseHtml(html).children);
+    const plain = text || htmlToText(html);
+    if (!hasMarkup(nodes)) {
+        return plain;
+    }
+
+    const content = RICH_CONTENT_PREFIX + JSON.stringify({ text: plain, html: serializeNodes(nodes) });
+    return utf8Length(content) <= maxLength ? content : plain;
+}
+
+/**
+ * The text/plain representation of any content, for previews and text-only clipboards
+ */
+function contentToText(content) {
+    return parseRichContent(content)?.text ?? content;
+}
+
+export {
+    isRichContent,
+    parseRichContent,
+    createRichContent,
+    contentToText,
+    sanitizeHtml,
+    renderSanitizedHtml,
+    htmlToText
+};
@@ -0,0 +1,221 @@
+/**
+ * Sensitive content detection
+ * Local clipboard changes are scanned before auto-sync. Each rule finds spans of text that look like a secret;
+ * what happens to content it finds is the rule's action, which the user can change per rule.
+ * Rules are pluggable: { id, label, action, find(text) -> Array of [start, end] }.
+ */
+
+import { Storage } from './utils.js';
+import { isImageContent } from './clipboard-image.js';
+import { contentToText } from './rich-text.js';
+
+const SensitiveAction = Object.freeze({
+    Block: 'block',       // Never sent automatically
+    Confirm: 'confirm',   // Held until the user sends or discards it
+    Expire: 'expire',     // Sent, then cleared from the clipboard and the session after a while
+    Mask: 'mask'          // Sent, but never shown in full in the activity log
+});
+
+// Strongest first: when several rules match, the first of these actions among them decides
+const ACTION_PRECEDENCE = [SensitiveAction.Block, SensitiveAction.Confirm, SensitiveAction.Expire, SensitiveAction.Mask];
+
+// What rules with these actions find is never shown or kept on this device in full
+const MASKED_ACTIONS = [SensitiveAction.Block, SensitiveAction.Mask];
+
+const ACTIONS_STORAGE_KEY = 'sensitiveRuleActions';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_REGEX = /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i;
+
+/**
+ * Spans of every match of a global pattern that passes accept
+ */
+function patternMatches(pattern, text, accept = () => true) {
+    return Array.from(text.matchAll(pattern))
+        .filter(match => accept(match[0]))
+        .map(match => [match.index, match.index + match[0].length]);
+}
+
+/**
+ * Luhn checksum, as used by payment card numbers
+ */
+function isLuhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function shannonEntropy(text) {
+    const counts = new Map();
+    for (const char of text) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    counts.forEach(count => {
+        const p = count / text.length;
+        entropy -= p * Math.log2(p);
+    });
+    return entropy;
+}
+
+/**
+ * Whether a token looks generated (a password or key) rather than written: long, several character classes,
+ * high entropy, and not a URL, path, UUID or email address
+ */
+function looksRandom(token) {
+    if (token.includes('://') || token.startsWith('/') || token.includes('\\') || UUID_REGEX.test(token) || EMAIL_REGEX.test(token)) {
+        return false;
+    }
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(token)).length;
+    return classes >= 3 && shannonEntropy(token) >= 3.5;
+}
+
+const DEFAULT_RULES = [
+    {
+        id: 'private-key',
+        label: 'Private key',
+        action: SensitiveAction.Block,
+        find: text => patternMatches(/-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY( BLOCK)?-----[\s\S]*?(?:-----END \1PRIVATE KEY\2-----|$)/g, text)
+    },
+    {
+        id: 'aws-key',
+        label: 'AWS access key',
+        action: SensitiveAction.Block,
+        find: text => patternMatches(/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b|aws_secret_access_key\s*[=:]\s*\S{40}/gi, text)
+    },
+    {
+        id: 'jwt',
+        label: 'JSON Web Token',
+        action: SensitiveAction.Confirm,
+        find: text => patternMatches(/\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, text)
+    },
+    {
+        id: 'card-number',
+        label: 'Card number',
+        action: SensitiveAction.Confirm,
+        find: text => patternMatches(/\b\d(?:[ -]?\d){12,18}\b/g, text, match => isLuhnValid(match.replace(/\D/g, '')))
+    },
+    {
+        id: 'high-entropy',
+        label: 'Password or secret',
+        action: SensitiveAction.Confirm,
+        find: text => patternMatches(/\S{16,}/g, text, looksRandom)
+    }
+];
+
+/**
+ * Strongest action among findings, or null when there are none
+ */
+function strongestAction(findings) {
+    return ACTION_PRECEDENCE.find(action => findings.some(finding => finding.action === action)) || null;
+}
+
+/**
+ * Runs the rules over clipboard content; the actions the user chose are kept in storage by rule ID
+ */
+class SensitiveContentDetector {
+    /**
+     * @param {Object} options - rules: replaces the built-in rules;
+     *                           expireAfterMs: how long content found by an 'expire' rule stays shared
+     */
+    constructor(options = {}) {
+        this.rules = [...(options.rules || DEFAULT_RULES)];
+        this.actions = Storage.get(ACTIONS_STORAGE_KEY, {}); // ruleId -> action chosen by the user
+        this.expireAfterMs = options.expireAfterMs ?? 60000;
+    }
+
+    /**
+     * Add a rule, replacing any rule with the same ID
+     */
+    addRule(rule) {
+        this.removeRule(rule.id);
+        this.rules.push(rule);
+    }
+
+    removeRule(ruleId) {
+        this.rules = this.rules.filter(rule => rule.id !== ruleId);
+    }
+
+    /**
+     * @returns {Array} { id, label, action } of every rule, with the user's chosen actions
+     */
+    getRules() {
+        return this.rules.map(rule => ({ id: rule.id, label: rule.label, action: this.getAction(rule) }));
+    }
+
+    getAction(rule) {
+        return this.actions[rule.id] || rule.action;
+    }
+
+    setAction(ruleId, action) {
+        if (!Object.values(SensitiveAction).includes(action)) {
+            throw new Error(`Unknown sensitive content action: ${action}`);
+        }
+        this.actions[ruleId] = action;
+        Storage.set(ACTIONS_STORAGE_KEY, this.actions);
+    }
+
+    /**
+     * @param {string} content - Clipboard content; images are not scanned, formatted text is scanned as plain text
+     * @returns {Array} { ruleId, label, action, matches } for each rule that found something
+     */
+    scan(content) {
+        if (!content || isImageContent(content)) {
+            return [];
+        }
+        return this.scanText(contentToText(content));
+    }
+
+    scanText(text) {
+        return this.rules
+            .map(rule => ({ ruleId: rule.id, label: rule.label, action: this.getAction(rule), matches: rule.find(text) }))
+            .filter(finding => finding.matches.length > 0);
+    }
+
+    /**
+     * Text for display with everything a mask or block rule found replaced by bullets, keeping the last 4 characters
+     * of longer matches so the user can still tell items apart
+     */
+    mask(text) {
+        const spans = this.scanText(text)
+            .filter(finding => MASKED_ACTIONS.includes(finding.action))
+            .flatMap(finding => finding.matches)
+            .sort((a, b) => a[0] - b[0]);
+
+        let masked = '';
+        let position = 0;
+        for (const [start, end] of spans) {
+            if (end <= position) {
+                continue;
+            }
+            const from = Math.max(start, position);
+            const hidden = text.slice(from, end);
+            masked += text.slice(position, from) + (hidden.length > 12 ? `••••${hidden.slice(-4)}` : '••••');
+            position = end;
+        }
+        return masked + text.slice(position);
+    }
+
+    /**
+     * Content as this device may keep it in history or storage: unchanged unless a mask or block rule found
+     * something in it, otherwise its text with that masked
+     */
+    redact(content) {
+        const masks = this.scan(content).some(finding => MASKED_ACTIONS.includes(finding.action));
+        return masks ? this.mask(contentToText(content)) : content;
+    }
+}
+
+export { SensitiveContentDetector, SensitiveAction, DEFAULT_RULES, strongestAction, isLuhnValid };
@@ -0,0 +1,243 @@
+/**
+ * End-to-end encryption of session payloads
+ * The device that creates a session generates a random AES-GCM key for it. The key is shared only in the
+ * #fragment of the join URL and QR code, which browsers never send to the server, so the hub and the REST
+ * API relay and store ciphertext. Encrypted clipboard content is still a string in the existing content
+ * field: "e2e:v1:<base64 IV>:<base64 ciphertext>". The session ID is bound in as additional data, so
+ * content cannot be replayed into another session.
+ */
+
+import { Storage, bytesToBase64, base64ToBytes } from './utils.js';
+import { MAX_CONTENT_LENGTH } from './hub-protocol.js';
+
+const ENCRYPTED_PREFIX = 'e2e:v1:';
+const ENCRYPTED_REGEX = /^e2e:v1:([A-Za-z0-9+/]{16}):([A-Za-z0-9+/]+={0,2})$/;
+const SESSION_KEY_REGEX = /^[A-Za-z0-9_-]{43}$/; // 32 bytes, base64url without padding
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_FRAGMENT_PARAM = 'key';
+
+/**
+ * Raised when session content cannot be turned back into plaintext
+ * reason is 'missingKey' (this device has no key), 'unencrypted' (plaintext in an encrypted session)
+ * or 'invalid' (wrong key or tampered ciphertext)
+ */
+class DecryptionError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.name = 'DecryptionError';
+        this.reason = reason;
+    }
+}
+
+function toBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+/**
+ * @returns {string} A new random session key, base64url encoded for URL fragments
+ */
+function generateSessionKey() {
+    return toBase64Url(crypto.getRandomValues(new Uint8Array(KEY_BYTES)));
+}
+
+function isValidSessionKey(key) {
+    return typeof key === 'string' && SESSION_KEY_REGEX.test(key);
+}
+
+const importedKeys = new Map(); // key string -> Promise<CryptoKey>
+
+function importSessionKey(key) {
+    if (!importedKeys.has(key)) {
+        importedKeys.set(key, crypto.subtle.importKey('raw', fromBase64Url(key), 'AES-GCM', false, ['encrypt', 'decrypt']));
+    }
+    return importedKeys.get(key);
+}
+
+function gcmParams(iv, sessionId) {
+    return { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(sessionId) };
+}
+
+/**
+ * Encrypt binary data for a session
+ * @returns {Uint8Array} IV followed by the ciphertext and tag
+ */
+async function encryptBytes(bytes, key, sessionId) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt(gcmParams(iv, sessionId), await importSessionKey(key), bytes);
+
+    const sealed = new Uint8Array(IV_BYTES + ciphertext.byteLength);
+    sealed.set(iv);
+    sealed.set(new Uint8Array(ciphertext), IV_BYTES);
+    return sealed;
+}
+
+/**
+ * @throws {DecryptionError} When the key does not match or the data was altered
+ */
+async function decryptBytes(sealed, key, sessionId) {
+    if (!key) {
+        throw new DecryptionError('No key for this session', 'missingKey');
+    }
+
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            gcmParams(sealed.subarray(0, IV_BYTES), sessionId),
+            await importSessionKey(key),
+            sealed.subarray(IV_BYTES)
+        );
+        return new Uint8Array(plaintext);
+    } catch {
+        throw new DecryptionError('Data could not be decrypted with this session key', 'invalid');
+    }
+}
+
+function isEncryptedContent(content) {
+    return typeof content === 'string' && ENCRYPTED_REGEX.test(content);
+}
+
+/**
+ * Encrypt clipboard content for a session
+ * @returns {string} "e2e:v1:" content string
+ */
+async function encryptContent(content, key, sessionId) {
+    const sealed = await encryptBytes(new TextEncoder().encode(content), key, sessionId);
+    return `${ENCRYPTED_PREFIX}${bytesToBase64(sealed.subarray(0, IV_BYTES))}:${bytesToBase64(sealed.subarray(IV_BYTES))}`;
+}
+
+/**
+ * @throws {DecryptionError} For plaintext, a missing key, a wrong key or altered content
+ */
+async function decryptContent(content, key, sessionId) {
+    const match = typeof content === 'string' ? content.match(ENCRYPTED_REGEX) : null;
+    if (!match) {
+        throw new DecryptionError('Content is not encrypted', 'unencrypted');
+    }
+
+    const [, iv, ciphertext] = match;
+    const sealed = new Uint8Array([...base64ToBytes(iv), ...base64ToBytes(ciphertext)]);
+    return new TextDecoder().decode(await decryptBytes(sealed, key, sessionId));
+}
+
+/**
+ * Largest plaintext, in UTF-8 bytes, whose encrypted form fits a content limit
+ */
+function maxPlaintextLength(limit = MAX_CONTENT_LENGTH) {
+    const overhead = ENCRYPTED_PREFIX.length + Math.ceil(IV_BYTES / 3) * 4 + 1;
+    return Math.floor((limit - overhead) / 4) * 3 - TAG_BYTES;
+}
+
+/**
+ * Join URL for a session, with the key in the fragment when the session is encrypted
+ */
+function buildJoinUrl(origin, sessionId, key = null) {
+    return `${origin}?session=${sessionId}${key ? `#${KEY_FRAGMENT_PARAM}=${key}` : ''}`;
+}
+
+/**
+ * @returns {string|null} The session key in a join URL's fragment, if it has a valid one
+ */
+function readKeyFromUrl(url) {
+    try {
+        const key = new URLSearchParams(new URL(url).hash.slice(1)).get(KEY_FRAGMENT_PARAM);
+        return isValidSessionKey(key) ? key : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Session keys known to this device, kept in localStorage so a reload can still read its sessions
+ */
+class SessionKeyring {
+    constructor(storageKey = 'sessionKeys') {
+        this.storageKey = storageKey;
+        this.keys = Storage.get(storageKey, {}); // sessionId -> key
+    }
+
+    get(sessionId) {
+        return this.keys[sessionId] || null;
+    }
+
+    has(sessionId) {
+        return !!this.keys[sessionId];
+    }
+
+    set(sessionId, key) {
+        if (!isValidSessionKey(key)) {
+            throw new Error('Invalid session key');
+        }
+        this.keys[sessionId] = key;
+        Storage.set(this.storageKey, this.keys);
+    }
+
+    remove(sessionId) {
+        if (sessionId in this.keys) {
+            delete this.keys[sessionId];
+            Storage.set(this.storageKey, this.keys);
+        }
+    }
+}
+
+/**
+ * Encrypts and decrypts payloads with the keyring's key for each session
+ * Sessions without a key are not encrypted, so their payloads pass through unchanged
+ */
+class SessionCipher {
+    constructor(keyring) {
+        this.keyring = keyring;
+    }
+
+    isEncrypted(sessionId) {
+        return this.keyring.has(sessionId);
+    }
+
+    async encrypt(content, sessionId) {
+        const key = this.keyring.get(sessionId);
+        return key ? encryptContent(content, key, sessionId) : content;
+    }
+
+    /**
+     * @throws {DecryptionError} For encrypted content without a key, and for plaintext in an encrypted session
+     */
+    async decrypt(content, sessionId) {
+        const key = this.keyring.get(sessionId);
+        if (isEncryptedContent(content)) {
+            return decryptContent(content, key, sessionId);
+        }
+        if (key && content) {
+            throw new DecryptionError('Unencrypted content in an encrypted session', 'unencrypted');
+        }
+        return content;
+    }
+
+    async encryptBytes(bytes, sessionId) {
+        const key = this.keyring.get(sessionId);
+        return key ? encryptBytes(bytes, key, sessionId) : bytes;
+    }
+
+    async decryptBytes(bytes, sessionId) {
+        const key = this.keyring.get(sessionId);
+        return key ? decryptBytes(bytes, key, sessionId) : bytes;
+    }
+}
+
+export {
+    DecryptionError,
+    SessionKeyring,
+    SessionCipher,
+    generateSessionKey,
+    isValidSessionKey,
+    isEncryptedContent,
+    encryptContent,
+    decryptContent,
+    maxPlaintextLength,
+    buildJoinUrl,
+    readKeyFromUrl
+};
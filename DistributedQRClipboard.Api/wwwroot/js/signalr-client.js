@@ -3,22 +3,68 @@
  * Handles connection management, event dispatching, and error recovery
  */
 
-import { EventEmitter } from './utils.js';
+import { EventEmitter, Storage, generateUUID } from './utils.js';
+import { HubProtocol, HubMethods, HubEvents, HubErrorCode, enumName } from './hub-protocol.js';
+import { ConnectionStateMachine, ConnectionState, createRetryPolicy } from './connection-state-machine.js';
+import { LinkStats } from './connection-health.js';
+
+/**
+ * Raised when the hub refuses a join; errorCode is a HubErrorCode when the failure has one
+ */
+class JoinSessionError extends Error {
+    constructor(message, errorCode = null) {
+        super(message);
+        this.name = 'JoinSessionError';
+        this.errorCode = errorCode;
+    }
+}
 
 class SignalRClient extends EventEmitter {
-    constructor() {
+    /**
+     * @param {ApiClient} apiClient - Optional REST client, used for history/stats when resynchronizing
+     * @param {Object} options - retryPolicy: options for createRetryPolicy; timers: injectable setTimeout/clearTimeout;
+     *                           latencyProbeInterval/latencyProbeTimeout (ms) for round-trip measurement
+     */
+    constructor(apiClient = null, options = {}) {
         super();
+        this.apiClient = apiClient;
         this.connection = null;
-        this.connectionState = 'Disconnected';
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 1000; // Start with 1 second
-        this.isManualDisconnect = false;
-        this.sessionId = null;
+        this.sessions = new Map(); // sessionId -> { deviceName, sessionInfo, devices: Set of deviceIds }
+        this.joiningSessions = new Set(); // Sessions whose JoinSession call has not returned yet
+        this.deviceId = this.loadDeviceId();
+        this.knownDevices = new Map(); // deviceId -> deviceName, shared across sessions
+        this.disconnectedAt = null;
+        this.historyLimit = 50; // The server keeps 50 history entries
+        this.timers = options.timers || globalThis;
+        this.linkStats = new LinkStats();
+        this.latencyProbeInterval = options.latencyProbeInterval ?? 15000;
+        this.latencyProbeTimeout = options.latencyProbeTimeout ?? 5000;
+        this.latencyProbeTimer = null;
+
+        // Single owner of the connect/retry lifecycle; SignalR's own automatic reconnect is not used
+        this.stateMachine = new ConnectionStateMachine({
+            connect: () => this.connection.start(),
+            retryPolicy: createRetryPolicy(options.retryPolicy),
+            timers: options.timers
+        });
+        this.connectionState = this.stateMachine.getState();
+        this.stateMachine.on('transition', (transition) => this.handleTransition(transition));
         
         this.setupConnection();
     }
 
+    /**
+     * Load the persistent device ID (the hub requires a GUID per device)
+     */
+    loadDeviceId() {
+        let deviceId = Storage.get('deviceId');
+        if (!deviceId) {
+            deviceId = generateUUID();
+            Storage.set('deviceId', deviceId);
+        }
+        return deviceId;
+    }
+
     /**
      * Initialize SignalR connection
      */
@@ -59,18 +105,14 @@ class SignalRClient extends EventEmitter {
                     withCredentials: false,
                     transport: signalR.HttpTransportType.WebSockets | signalR.HttpTransportType.LongPolling
                 })
-                .withAutomaticReconnect({
-                    nextRetryDelayInMilliseconds: (retryContext) => {
-                        // Exponential backoff with jitter
-                        const delay = Math.min(1000 * Math.pow(2, retryContext.previousRetryCount), 30000);
-                        const jitter = Math.random() * 1000;
-                        return delay + jitter;
-                    }
-                })
                 .configureLogging(signalR.LogLevel.Information)
                 .build();
 
             console.log('SignalR connection created successfully');
+            this.protocol = new HubProtocol(this.connection, (error) => {
+                console.error('Hub contract mismatch:', error);
+                this.emit('error', { type: 'contract', error });
+            });
             this.setupEventHandlers();
             this.setupHubMethods();
         } catch (error) {
@@ -83,178 +125,417 @@ class SignalRClient extends EventEmitter {
      * Setup connection event handlers
      */
     setupEventHandlers() {
-        // Connection state changes
-        this.connection.onclose(async (error) => {
-            this.connectionState = 'Disconnected';
-            this.emit('connectionStateChanged', this.connectionState);
-            
+        // Reconnecting is driven by the state machine, which ignores closes after a deliberate stop
+        this.connection.onclose((error) => {
             if (error) {
                 console.error('SignalR connection closed with error:', error);
                 this.emit('error', { type: 'connection', error });
             }
 
-            // Auto-reconnect if not manually disconnected
-            if (!this.isManualDisconnect) {
-                await this.attemptReconnect();
-            }
+            this.stateMachine.connectionLost(error);
         });
+    }
 
-        this.connection.onreconnecting((error) => {
-            this.connectionState = 'Reconnecting';
-            this.emit('connectionStateChanged', this.connectionState);
-            
-            if (error) {
-                console.warn('SignalR reconnecting due to error:', error);
-            }
-        });
+    /**
+     * React to a connection state transition
+     * @param {Object} transition - { from, to, retryCount, error?, delay? } from the state machine
+     */
+    handleTransition(transition) {
+        const { from, to, error, delay } = transition;
+        this.connectionState = to;
+        console.log(`SignalR connection state: ${from} -> ${to}${delay ? ` (retry in ${delay}ms)` : ''}`);
+        this.emit('stateTransition', transition);
+        this.emit('connectionStateChanged', to);
+
+        if (to === ConnectionState.Connected) {
+            this.linkStats.reset();
+            this.emit('linkStatsUpdated', this.getLinkStats());
+            this.scheduleLatencyProbe();
+        } else {
+            this.stopLatencyProbe();
+        }
 
-        this.connection.onreconnected((connectionId) => {
-            this.connectionState = 'Connected';
-            this.reconnectAttempts = 0;
-            this.reconnectDelay = 1000;
-            this.emit('connectionStateChanged', this.connectionState);
-            this.emit('reconnected', connectionId);
-            
-            console.log('SignalR reconnected with ID:', connectionId);
-            
-            // Rejoin session if we have one
-            if (this.sessionId) {
-                this.joinSession(this.sessionId);
+        switch (to) {
+            case ConnectionState.Connected:
+                // A new connection is not in the sessions' groups until it rejoins
+                if (from === ConnectionState.Reconnecting || this.sessions.size > 0) {
+                    this.handleReconnected();
+                } else {
+                    this.emit('connected');
+                }
+                break;
+
+            case ConnectionState.Reconnecting:
+            case ConnectionState.Backoff:
+                this.disconnectedAt = this.disconnectedAt || new Date();
+                if (from === ConnectionState.Connecting) {
+                    console.error('Failed to start SignalR connection:', error);
+                    this.emit('error', { type: 'start', error });
+                }
+                break;
+
+            case ConnectionState.Failed:
+                this.disconnectedAt = this.disconnectedAt || new Date();
+                console.error('SignalR retry policy exhausted:', error);
+                this.emit('maxReconnectAttemptsReached', { error });
+                break;
+        }
+    }
+
+    /**
+     * Rejoin and resynchronize every joined session after the connection came back
+     */
+    async handleReconnected() {
+        console.log('SignalR reconnected with ID:', this.connection.connectionId);
+
+        // A session that expired while we were away has ended
+        for (const [sessionId, session] of Array.from(this.sessions)) {
+            try {
+                await this.joinSession(sessionId, session.deviceName);
+                await this.resynchronize(sessionId);
+            } catch (error) {
+                if (error.errorCode === HubErrorCode.SessionNotFound) {
+                    this.endSession(sessionId, 'Expired');
+                }
             }
-        });
+        }
+        this.disconnectedAt = null;
+
+        // Emitted after the rejoin so listeners can use the sessions straight away
+        this.emit('reconnected', this.connection.connectionId);
     }
 
     /**
      * Setup hub method handlers
+     * Every event is tagged with its sessionId; events for sessions we have not joined are ignored
      */
     setupHubMethods() {
         // Handle clipboard content received from other devices
-        this.connection.on('ClipboardContentReceived', (content, deviceName, timestamp) => {
+        this.protocol.on(HubEvents.ClipboardUpdated, (event) => {
+            if (!this.sessions.has(event.sessionId)) {
+                return;
+            }
+
+            const deviceName = this.getDeviceName(event.updatedByDeviceId);
             console.log('Received clipboard content from:', deviceName);
             this.emit('clipboardReceived', {
-                content,
+                sessionId: event.sessionId,
+                content: event.content.content,
+                deviceId: event.updatedByDeviceId,
                 deviceName,
-                timestamp: new Date(timestamp),
-                isFromOtherDevice: true
+                timestamp: new Date(event.timestamp),
+                isFromOtherDevice: event.updatedByDeviceId !== this.deviceId
+            });
+        });
+
+        // Handle clipboard cleared by another device
+        this.protocol.on(HubEvents.ClipboardCleared, (event) => {
+            if (!this.sessions.has(event.sessionId)) {
+                return;
+            }
+
+            console.log('Clipboard cleared by:', event.clearedBy.deviceName);
+            this.emit('clipboardCleared', {
+                sessionId: event.sessionId,
+                deviceId: event.clearedBy.deviceId,
+                deviceName: this.getDeviceName(event.clearedBy.deviceId, event.clearedBy.deviceName),
+                timestamp: new Date(event.timestamp)
             });
         });
 
-        // Handle device joined notifications
-        this.connection.on('DeviceJoined', (deviceName) => {
+        // Handle device joined notifications (the hub also sends our own join back to us)
+        this.protocol.on(HubEvents.DeviceJoined, (event) => {
+            const session = this.sessions.get(event.sessionId);
+            if (!session) {
+                return;
+            }
+
+            const { deviceId } = event.device;
+            const deviceName = this.getDeviceName(deviceId, event.device.deviceName);
+            this.knownDevices.set(deviceId, deviceName);
+
+            if (deviceId === this.deviceId) {
+                return;
+            }
+
+            session.devices.add(deviceId);
             console.log('Device joined session:', deviceName);
-            this.emit('deviceJoined', { deviceName });
+            this.emit('deviceJoined', {
+                sessionId: event.sessionId,
+                deviceId,
+                deviceName,
+                totalDeviceCount: event.totalDeviceCount
+            });
         });
 
         // Handle device left notifications
-        this.connection.on('DeviceLeft', (deviceName) => {
+        this.protocol.on(HubEvents.DeviceLeft, (event) => {
+            const session = this.sessions.get(event.sessionId);
+            if (!session) {
+                return;
+            }
+
+            const deviceName = this.getDeviceName(event.deviceId, event.deviceName);
+            session.devices.delete(event.deviceId);
             console.log('Device left session:', deviceName);
-            this.emit('deviceLeft', { deviceName });
+            this.emit('deviceLeft', {
+                sessionId: event.sessionId,
+                deviceId: event.deviceId,
+                deviceName,
+                totalDeviceCount: event.totalDeviceCount,
+                reason: enumName('DeviceLeaveReason', event.reason)
+            });
         });
 
-        // Handle session info updates
-        this.connection.on('SessionInfoUpdated', (sessionInfo) => {
-            console.log('Session info updated:', sessionInfo);
-            this.emit('sessionInfoUpdated', sessionInfo);
+        // Handle authoritative device count updates
+        this.protocol.on(HubEvents.DeviceCountUpdated, (event) => {
+            if (!this.sessions.has(event.sessionId)) {
+                return;
+            }
+
+            this.emit('deviceCountUpdated', { sessionId: event.sessionId, deviceCount: event.deviceCount });
+        });
+
+        // Handle file transfer messages relayed from other devices (see file-transfer.js)
+        this.protocol.on(HubEvents.FileTransferMessage, (event) => {
+            if (!this.sessions.has(event.sessionId)) {
+                return;
+            }
+
+            this.emit('fileTransferMessage', {
+                sessionId: event.sessionId,
+                deviceId: event.deviceId,
+                deviceName: this.getDeviceName(event.deviceId, event.deviceName),
+                message: event.message,
+                timestamp: new Date(event.timestamp)
+            });
         });
 
-        // Handle errors from hub
-        this.connection.on('Error', (message) => {
-            console.error('Hub error:', message);
-            this.emit('error', { type: 'hub', message });
+        // Handle another device announcing its sync policy (see sync-policy.js); the others answer a join
+        // with their policies, which may arrive before the join call itself returns
+        this.protocol.on(HubEvents.DeviceSyncPolicyChanged, (event) => {
+            if (!this.sessions.has(event.sessionId) && !this.joiningSessions.has(event.sessionId)) {
+                return;
+            }
+
+            this.emit('deviceSyncPolicyChanged', {
+                sessionId: event.sessionId,
+                deviceId: event.deviceId,
+                deviceName: this.getDeviceName(event.deviceId, event.deviceName),
+                syncPolicy: event.syncPolicy,
+                timestamp: new Date(event.timestamp)
+            });
+        });
+
+        // Handle a device confirming it received a clipboard update addressed to it
+        this.protocol.on(HubEvents.ClipboardUpdateDelivered, (event) => {
+            if (!this.sessions.has(event.sessionId)) {
+                return;
+            }
+
+            this.emit('clipboardUpdateDelivered', {
+                sessionId: event.sessionId,
+                deviceId: event.deviceId,
+                deviceName: this.getDeviceName(event.deviceId, event.deviceName),
+                messageId: event.messageId,
+                timestamp: new Date(event.timestamp)
+            });
+        });
+
+        // Handle a session being expired or closed on the server
+        this.protocol.on(HubEvents.SessionEnded, (event) => {
+            if (!this.sessions.has(event.sessionId)) {
+                return;
+            }
+
+            this.endSession(event.sessionId, enumName('SessionEndReason', event.reason), {
+                finalDeviceCount: event.finalDeviceCount,
+                timestamp: new Date(event.timestamp)
+            });
         });
     }
 
+    /**
+     * Drop a session after the server ended it and notify listeners
+     * @param {string} sessionId - Session that ended
+     * @param {string} reason - SessionEndReason name
+     * @param {Object} details - Optional finalDeviceCount and timestamp
+     */
+    endSession(sessionId, reason, details = {}) {
+        const devices = this.getSessionDevices(sessionId);
+
+        this.sessions.delete(sessionId);
+
+        console.log(`Session ${sessionId} ended: ${reason}`);
+        this.emit('sessionEnded', {
+            sessionId,
+            reason,
+            devices,
+            finalDeviceCount: details.finalDeviceCount ?? devices.length + 1,
+            timestamp: details.timestamp || new Date()
+        });
+    }
+
+    /**
+     * Resolve a display name for a device
+     */
+    getDeviceName(deviceId, deviceName = null) {
+        return deviceName || this.knownDevices.get(deviceId) || `Device ${deviceId.slice(0, 8)}`;
+    }
+
+    /**
+     * Get the other devices in a joined session with their display names
+     */
+    getSessionDevices(sessionId) {
+        return Array.from(this.sessions.get(sessionId)?.devices || [])
+            .map(deviceId => ({ deviceId, deviceName: this.getDeviceName(deviceId) }));
+    }
+
     /**
      * Start the SignalR connection
+     * Resolves after the first attempt; failures continue through the retry policy
      */
     async start() {
         if (!this.connection) {
             console.error('SignalR connection not initialized. Cannot start.');
-            this.connectionState = 'Disconnected';
-            this.emit('connectionStateChanged', this.connectionState);
-            return;
-        }
-
-        if (this.connection.state === signalR.HubConnectionState.Connected) {
-            console.log('SignalR already connected');
-            this.connectionState = 'Connected';
-            this.emit('connectionStateChanged', this.connectionState);
             return;
         }
 
-        try {
-            console.log('Starting SignalR connection...');
-            this.connectionState = 'Connecting';
-            this.emit('connectionStateChanged', this.connectionState);
-            
-            await this.connection.start();
-            
-            this.connectionState = 'Connected';
-            this.reconnectAttempts = 0;
-            this.reconnectDelay = 1000;
-            this.emit('connectionStateChanged', this.connectionState);
-            this.emit('connected');
-            
-            console.log('SignalR connected successfully');
-        } catch (error) {
-            this.connectionState = 'Disconnected';
-            this.emit('connectionStateChanged', this.connectionState);
-            console.error('Failed to start SignalR connection:', error);
-            this.emit('error', { type: 'start', error });
-            
-            // Attempt reconnect after delay
-            setTimeout(() => this.attemptReconnect(), this.reconnectDelay);
-        }
+        console.log('Starting SignalR connection...');
+        await this.stateMachine.start();
     }
 
     /**
-     * Stop the SignalR connection
+     * Stop the SignalR connection and cancel any pending retry
      */
     async stop() {
-        if (this.connection.state === signalR.HubConnectionState.Disconnected) {
+        this.stateMachine.stop();
+
+        if (!this.connection || this.connection.state === signalR.HubConnectionState.Disconnected) {
             return;
         }
 
         try {
-            this.isManualDisconnect = true;
             await this.connection.stop();
-            this.connectionState = 'Disconnected';
-            this.emit('connectionStateChanged', this.connectionState);
             console.log('SignalR connection stopped');
         } catch (error) {
             console.error('Error stopping SignalR connection:', error);
             this.emit('error', { type: 'stop', error });
-        } finally {
-            this.isManualDisconnect = false;
         }
     }
 
     /**
-     * Attempt to reconnect with exponential backoff
+     * Measure the hub round trip with a ping that reads no session state
+     * @returns {number|null} Round-trip time in ms, or null when not measured or failed
      */
-    async attemptReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.error('Max reconnect attempts reached');
-            this.emit('maxReconnectAttemptsReached');
-            return;
+    async measureLatency() {
+        if (!this.isConnected()) {
+            return null;
         }
 
-        this.reconnectAttempts++;
-        console.log(`Reconnect attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${this.reconnectDelay}ms`);
-        
-        setTimeout(async () => {
-            try {
-                await this.start();
-            } catch (error) {
-                // Exponential backoff
-                this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
-                await this.attemptReconnect();
+        const startedAt = performance.now();
+        let timeoutId;
+        const timeout = new Promise((_, reject) => {
+            timeoutId = this.timers.setTimeout(() => reject(new Error('Latency probe timed out')), this.latencyProbeTimeout);
+        });
+
+        try {
+            await Promise.race([
+                this.protocol.invoke(HubMethods.Ping),
+                timeout
+            ]);
+            const rtt = performance.now() - startedAt;
+            this.linkStats.recordRtt(rtt);
+            return rtt;
+        } catch (error) {
+            console.warn('Latency probe failed:', error);
+            this.linkStats.recordDelivery(false);
+            return null;
+        } finally {
+            this.timers.clearTimeout(timeoutId);
+            this.emit('linkStatsUpdated', this.getLinkStats());
+        }
+    }
+
+    scheduleLatencyProbe() {
+        this.stopLatencyProbe();
+        this.latencyProbeTimer = this.timers.setTimeout(async () => {
+            await this.measureLatency();
+            if (this.latencyProbeTimer) {
+                this.scheduleLatencyProbe();
             }
-        }, this.reconnectDelay);
+        }, this.latencyProbeInterval);
+    }
+
+    stopLatencyProbe() {
+        if (this.latencyProbeTimer) {
+            this.timers.clearTimeout(this.latencyProbeTimer);
+            this.latencyProbeTimer = null;
+        }
+    }
+
+    /**
+     * Get round-trip, jitter and delivery statistics for the hub connection
+     */
+    getLinkStats() {
+        return this.linkStats.getSnapshot();
+    }
+
+    /**
+     * Fetch a session's state missed during an outage and emit it as 'resynchronized'
+     * Uses the hub for the current content and the REST API for history and statistics
+     * @param {string} sessionId - Joined session to resynchronize
+     */
+    async resynchronize(sessionId) {
+        const since = this.disconnectedAt;
+
+        const [contentResult, historyResult, statsResult] = await Promise.allSettled([
+            this.getClipboardContent(sessionId),
+            this.apiClient ? this.apiClient.getClipboardHistory(sessionId, this.historyLimit, this.deviceId) : null,
+            this.apiClient ? this.apiClient.getClipboardStats(sessionId) : null
+        ]);
+
+        [contentResult, historyResult, statsResult]
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.warn('Resynchronization request failed:', result.reason));
+
+        const history = historyResult.value?.history || [];
+        const missedUpdates = history
+            .map(entry => entry.content)
+            .filter(content => content.deviceId !== this.deviceId && (!since || new Date(content.createdAt) > since))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(content => ({
+                content: content.content,
+                deviceId: content.deviceId,
+                deviceName: this.getDeviceName(content.deviceId),
+                timestamp: new Date(content.createdAt)
+            }));
+
+        const content = contentResult.value || null;
+
+        const snapshot = {
+            sessionId,
+            disconnectedAt: since,
+            reconnectedAt: new Date(),
+            content: content && {
+                content: content.content,
+                deviceId: content.deviceId,
+                deviceName: this.getDeviceName(content.deviceId),
+                timestamp: new Date(content.createdAt),
+                isFromOtherDevice: content.deviceId !== this.deviceId
+            },
+            missedUpdates,
+            devices: this.getSessionDevices(sessionId),
+            stats: statsResult.value || null
+        };
+
+        console.log(`Resynchronized session ${sessionId}: ${missedUpdates.length} missed update(s)`);
+        this.emit('resynchronized', snapshot);
+        return snapshot;
     }
 
     /**
-     * Join a clipboard session
+     * Join a clipboard session; several sessions can be joined on the same connection
      * @param {string} sessionId - Session ID to join
      * @param {string} deviceName - Name of this device
      */
@@ -264,62 +545,195 @@ class SignalRClient extends EventEmitter {
         }
 
         try {
-            this.sessionId = sessionId;
-            await this.connection.invoke('JoinSession', sessionId, deviceName);
+            this.joiningSessions.add(sessionId);
+            const result = await this.protocol.invoke(HubMethods.JoinSession, sessionId, this.deviceId, deviceName);
+            if (!result.success) {
+                throw new JoinSessionError(result.message, result.errorCode);
+            }
+
+            const session = this.sessions.get(sessionId) || { devices: new Set() };
+            session.deviceName = deviceName;
+            session.sessionInfo = result.sessionInfo || null;
+            // The server lists everyone in the session, so a rejoin also learns who left or joined meanwhile
+            if (result.devices) {
+                const others = result.devices.filter(device => device.deviceId !== this.deviceId);
+                others.forEach(device => this.knownDevices.set(device.deviceId, this.getDeviceName(device.deviceId, device.deviceName)));
+                session.devices = new Set(others.map(device => device.deviceId));
+            }
+            this.sessions.set(sessionId, session);
+
             console.log('Joined session:', sessionId);
-            this.emit('sessionJoined', { sessionId, deviceName });
+            this.emit('sessionJoined', { sessionId, deviceName, sessionInfo: result.sessionInfo, devices: this.getSessionDevices(sessionId) });
         } catch (error) {
             console.error('Failed to join session:', error);
-            this.emit('error', { type: 'joinSession', error });
+            this.emit('error', { type: 'joinSession', sessionId, error });
             throw error;
+        } finally {
+            this.joiningSessions.delete(sessionId);
         }
     }
 
     /**
-     * Leave the current session
+     * Leave a joined session
+     * @param {string} sessionId - Session ID to leave
      */
-    async leaveSession() {
-        if (this.connection.state !== signalR.HubConnectionState.Connected || !this.sessionId) {
+    async leaveSession(sessionId) {
+        if (this.connection.state !== signalR.HubConnectionState.Connected || !this.sessions.has(sessionId)) {
             return;
         }
 
         try {
-            await this.connection.invoke('LeaveSession');
-            const previousSessionId = this.sessionId;
-            this.sessionId = null;
-            console.log('Left session:', previousSessionId);
-            this.emit('sessionLeft', { sessionId: previousSessionId });
+            const result = await this.protocol.invoke(HubMethods.LeaveSession, sessionId, this.deviceId);
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            this.sessions.delete(sessionId);
+            console.log('Left session:', sessionId);
+            this.emit('sessionLeft', { sessionId });
         } catch (error) {
             console.error('Failed to leave session:', error);
-            this.emit('error', { type: 'leaveSession', error });
+            this.emit('error', { type: 'leaveSession', sessionId, error });
             throw error;
         }
     }
 
     /**
-     * Send clipboard content to other devices in session
-     * @param {string} content - Clipboard content to send
+     * Check that a hub call can be made for a session
      */
-    async sendClipboardContent(content) {
+    assertInSession(sessionId) {
         if (this.connection.state !== signalR.HubConnectionState.Connected) {
             throw new Error('Not connected to SignalR hub');
         }
 
-        if (!this.sessionId) {
+        if (!this.sessions.has(sessionId)) {
             throw new Error('Not in a session');
         }
+    }
+
+    /**
+     * Send clipboard content to other devices in a session
+     * @param {string} content - Clipboard content to send
+     * @param {string} sessionId - Joined session to send to
+     * @param {Array} targetDeviceIds - IDs of the only devices the hub sends it to, everyone else when empty
+     */
+    async sendClipboardContent(content, sessionId, targetDeviceIds = []) {
+        this.assertInSession(sessionId);
 
+        let delivered = false;
         try {
-            await this.connection.invoke('SendClipboardContent', content);
-            console.log('Sent clipboard content to session');
-            this.emit('clipboardSent', { content });
+            const result = await this.protocol.invoke(HubMethods.BroadcastClipboardUpdate, sessionId, content, this.deviceId, targetDeviceIds);
+            delivered = true;
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            console.log('Sent clipboard content to session', sessionId);
+            this.emit('clipboardSent', { sessionId, content, clipboardContent: result.clipboardContent });
+            return result;
         } catch (error) {
             console.error('Failed to send clipboard content:', error);
-            this.emit('error', { type: 'sendClipboard', error });
+            this.emit('error', { type: 'sendClipboard', sessionId, error });
             throw error;
+        } finally {
+            // A rejection by the server still reached it; only lost invocations count as delivery failures
+            this.linkStats.recordDelivery(delivered);
+            this.emit('linkStatsUpdated', this.getLinkStats());
         }
     }
 
+    /**
+     * Relay a file transfer message to the other devices of a session
+     * @param {Object} message - FileTransferMessage
+     * @param {string} sessionId - Joined session to send to
+     */
+    async sendFileTransferMessage(message, sessionId) {
+        this.assertInSession(sessionId);
+
+        let delivered = false;
+        try {
+            const result = await this.protocol.invoke(HubMethods.RelayFileTransfer, sessionId, this.deviceId, message);
+            delivered = true;
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            return result;
+        } finally {
+            this.linkStats.recordDelivery(delivered);
+            this.emit('linkStatsUpdated', this.getLinkStats());
+        }
+    }
+
+    /**
+     * Tell the other devices of a session which sync policy this device follows
+     * @param {string} sessionId - Joined session to tell
+     * @param {string} syncPolicy - SyncPolicy value
+     */
+    async announceSyncPolicy(sessionId, syncPolicy) {
+        this.assertInSession(sessionId);
+
+        const result = await this.protocol.invoke(HubMethods.AnnounceSyncPolicy, sessionId, this.deviceId, syncPolicy);
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        return result;
+    }
+
+    /**
+     * Tell the sender of a clipboard update addressed to this device that it arrived
+     * @param {string} sessionId - Joined session the update came through
+     * @param {string} messageId - ID of the update's message envelope
+     */
+    async acknowledgeClipboardUpdate(sessionId, messageId) {
+        this.assertInSession(sessionId);
+
+        const result = await this.protocol.invoke(HubMethods.AcknowledgeClipboardUpdate, sessionId, this.deviceId, messageId);
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        return result;
+    }
+
+    /**
+     * Clear a session's clipboard on all its devices
+     * @param {string} sessionId - Joined session to clear
+     * @param {Array} targetDeviceIds - IDs of the only devices the hub tells, everyone else when empty
+     */
+    async clearClipboardContent(sessionId, targetDeviceIds = []) {
+        this.assertInSession(sessionId);
+
+        try {
+            const result = await this.protocol.invoke(HubMethods.BroadcastClipboardClear, sessionId, this.deviceId, targetDeviceIds);
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            console.log('Cleared session clipboard', sessionId);
+            this.emit('clipboardClearSent', { sessionId });
+            return result;
+        } catch (error) {
+            console.error('Failed to clear clipboard content:', error);
+            this.emit('error', { type: 'clearClipboard', sessionId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a session's current clipboard content from the hub
+     * @param {string} sessionId - Joined session to read
+     * @returns {Object|null} ClipboardContent, or null when the clipboard is empty
+     */
+    async getClipboardContent(sessionId) {
+        this.assertInSession(sessionId);
+
+        const result = await this.protocol.invoke(HubMethods.GetClipboardContent, sessionId, this.deviceId);
+        if (!result.success) {
+            throw new Error(result.message || 'Failed to get clipboard content');
+        }
+
+        return result.clipboardContent || null;
+    }
+
     /**
      * Get current connection state
      */
@@ -331,26 +745,36 @@ class SignalRClient extends EventEmitter {
      * Check if connected
      */
     isConnected() {
-        return this.connection && this.connection.state === signalR.HubConnectionState.Connected;
+        return this.connectionState === ConnectionState.Connected;
+    }
+
+    /**
+     * Get this device's ID
+     */
+    getDeviceId() {
+        return this.deviceId;
     }
 
     /**
-     * Get current session ID
+     * Get the IDs of all joined sessions, in join order
      */
-    getCurrentSessionId() {
-        return this.sessionId;
+    getSessionIds() {
+        return Array.from(this.sessions.keys());
     }
 
     /**
-     * Force a manual reconnect
+     * Force a manual reconnect; while backing off this just skips the wait
      */
     async reconnect() {
-        this.reconnectAttempts = 0;
-        this.reconnectDelay = 1000;
+        if (this.connectionState === ConnectionState.Backoff) {
+            await this.stateMachine.retryNow();
+            return;
+        }
+
         await this.stop();
         await this.start();
     }
 }
 
 // Export for use in other modules
-export { SignalRClient };
+export { SignalRClient, JoinSessionError };
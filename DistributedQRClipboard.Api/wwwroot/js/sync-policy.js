@@ -0,0 +1,51 @@
+/**
+ * Per-device sync policies
+ * A device's policy decides what it does in each direction, for every session it joins:
+ *   automatic     copies are sent and received updates are written to the clipboard
+ *   send-only     copies are sent; received updates are kept in the session view but never written
+ *   receive-only  the clipboard is not watched, so nothing is sent unless the user sends it; received updates are written
+ *   manual        nothing is sent unless the user sends it; received updates wait until the user takes them
+ * The policy is stored on the device and announced to the other devices of each session (see the
+ * AnnounceSyncPolicy hub method) so their device lists can show it.
+ */
+
+const SyncPolicy = Object.freeze({
+    Automatic: 'automatic',
+    SendOnly: 'send-only',
+    ReceiveOnly: 'receive-only',
+    Manual: 'manual'
+});
+
+// What happens to received updates
+const ReceiveMode = Object.freeze({
+    Write: 'write',     // Written to the local clipboard
+    Hold: 'hold',       // Kept until the user takes them
+    Ignore: 'ignore'    // Never written
+});
+
+const POLICY_RULES = Object.freeze({
+    [SyncPolicy.Automatic]: { sendsAutomatically: true, receive: ReceiveMode.Write },
+    [SyncPolicy.SendOnly]: { sendsAutomatically: true, receive: ReceiveMode.Ignore },
+    [SyncPolicy.ReceiveOnly]: { sendsAutomatically: false, receive: ReceiveMode.Write },
+    [SyncPolicy.Manual]: { sendsAutomatically: false, receive: ReceiveMode.Hold }
+});
+
+function isSyncPolicy(value) {
+    return Object.values(SyncPolicy).includes(value);
+}
+
+/**
+ * Whether local clipboard changes are watched and sent without the user asking
+ */
+function sendsAutomatically(policy) {
+    return POLICY_RULES[policy].sendsAutomatically;
+}
+
+/**
+ * What happens to received updates, a ReceiveMode value
+ */
+function receiveMode(policy) {
+    return POLICY_RULES[policy].receive;
+}
+
+export { SyncPolicy, ReceiveMode, isSyncPolicy, sendsAutomatically, receiveMode };
@@ -0,0 +1,524 @@
+/**
+ * Clipboard transports
+ * ClipboardManager talks to a transport instead of the SignalR client directly, so clipboard sync
+ * keeps working over plain REST polling on networks where /clipboardhub is blocked.
+ * A transport can be joined to several sessions at once; session-scoped calls take a sessionId
+ * and session-scoped events carry one. File transfer (see file-transfer.js), sync policy announcements
+ * (see sync-policy.js) and delivery receipts for targeted clips need the hub, so only the SignalR transport
+ * supports them. Only the hub can send a targeted clip to its targets alone; over polling every device reads it
+ * and the others skip it.
+ */
+
+import { EventEmitter } from './utils.js';
+import { ApiError } from './api.js';
+
+// Events every transport may emit; FailoverTransport forwards these from the active transport
+const TRANSPORT_EVENTS = [
+    'connected',
+    'reconnected',
+    'resynchronized',
+    'connectionStateChanged',
+    'sessionJoined',
+    'sessionLeft',
+    'sessionEnded',
+    'clipboardReceived',
+    'clipboardCleared',
+    'clipboardSent',
+    'deviceJoined',
+    'deviceLeft',
+    'deviceCountUpdated',
+    'fileTransferMessage',
+    'deviceSyncPolicyChanged',
+    'clipboardUpdateDelivered',
+    'error'
+];
+
+/**
+ * Transport backed by the SignalR hub
+ * Emits 'unavailable' when the hub cannot be reached and 'available' once it is back
+ */
+class SignalRTransport extends EventEmitter {
+    constructor(signalRClient) {
+        super();
+        this.type = 'signalr';
+        this.client = signalRClient;
+
+        TRANSPORT_EVENTS.forEach(event => {
+            this.client.on(event, (...args) => this.emit(event, ...args));
+        });
+
+        this.client.on('error', (error) => {
+            if (error.type === 'start') {
+                this.emit('unavailable', error);
+            }
+        });
+        this.client.on('maxReconnectAttemptsReached', () => this.emit('unavailable'));
+        this.client.on('connected', () => this.emit('available', { sessionRestored: false }));
+        // SignalRClient rejoins its session itself before emitting 'reconnected'
+        this.client.on('reconnected', () => this.emit('available', { sessionRestored: true }));
+    }
+
+    start() {
+        return this.client.start();
+    }
+
+    stop() {
+        return this.client.stop();
+    }
+
+    joinSession(sessionId, deviceName) {
+        return this.client.joinSession(sessionId, deviceName);
+    }
+
+    leaveSession(sessionId) {
+        return this.client.leaveSession(sessionId);
+    }
+
+    sendClipboardContent(content, sessionId, targetDeviceIds = []) {
+        return this.client.sendClipboardContent(content, sessionId, targetDeviceIds);
+    }
+
+    clearClipboardContent(sessionId, targetDeviceIds = []) {
+        return this.client.clearClipboardContent(sessionId, targetDeviceIds);
+    }
+
+    sendFileTransferMessage(message, sessionId) {
+        return this.client.sendFileTransferMessage(message, sessionId);
+    }
+
+    announceSyncPolicy(sessionId, syncPolicy) {
+        return this.client.announceSyncPolicy(sessionId, syncPolicy);
+    }
+
+    acknowledgeClipboardUpdate(sessionId, messageId) {
+        return this.client.acknowledgeClipboardUpdate(sessionId, messageId);
+    }
+
+    supportsFileTransfer() {
+        return true;
+    }
+
+    isConnected() {
+        return this.client.isConnected();
+    }
+
+    getConnectionState() {
+        return this.client.getConnectionState();
+    }
+
+    getSessionIds() {
+        return this.client.getSessionIds();
+    }
+
+    getDeviceId() {
+        return this.client.getDeviceId();
+    }
+}
+
+/**
+ * Transport that polls the REST clipboard endpoint through ApiClient
+ * Uses conditional requests keyed on the content hash and an adaptive interval:
+ * it speeds up after activity, slows down while idle and backs off on errors
+ */
+class PollingTransport extends EventEmitter {
+    /**
+     * @param {ApiClient} apiClient - REST client
+     * @param {string} deviceId - This device's ID
+     * @param {Object} options - minInterval, maxInterval (ms) and backoffFactor
+     */
+    constructor(apiClient, deviceId, options = {}) {
+        super();
+        this.type = 'polling';
+        this.apiClient = apiClient;
+        this.deviceId = deviceId;
+        this.minInterval = options.minInterval ?? 1000;
+        this.maxInterval = options.maxInterval ?? 15000;
+        this.backoffFactor = options.backoffFactor ?? 1.5;
+
+        this.isRunning = false;
+        this.sessions = new Map(); // sessionId -> { deviceName, lastContentHash }
+        this.interval = this.minInterval;
+        this.pollTimer = null;
+    }
+
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.emit('connectionStateChanged', 'Polling');
+        this.emit('connected');
+        this.schedulePoll(0);
+    }
+
+    async stop() {
+        this.isRunning = false;
+        this.clearPollTimer();
+        this.emit('connectionStateChanged', 'Stopped');
+    }
+
+    async joinSession(sessionId, deviceName = null) {
+        const response = await this.apiClient.joinSession(sessionId, deviceName, this.deviceId);
+        if (!response?.success) {
+            throw new Error(response?.errorMessage || 'Failed to join session');
+        }
+
+        this.sessions.set(sessionId, { deviceName, lastContentHash: null });
+        this.interval = this.minInterval;
+        this.emit('sessionJoined', { sessionId, deviceName, sessionInfo: response.sessionInfo });
+        this.schedulePoll(0);
+    }
+
+    async leaveSession(sessionId) {
+        if (!this.sessions.has(sessionId)) {
+            return;
+        }
+
+        this.sessions.delete(sessionId);
+
+        try {
+            await this.apiClient.leaveSession(sessionId, this.deviceId);
+        } finally {
+            this.emit('sessionLeft', { sessionId });
+        }
+    }
+
+    async sendClipboardContent(content, sessionId) {
+        if (!this.isRunning) {
+            throw new Error('Polling transport is not running');
+        }
+
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error('Not in a session');
+        }
+
+        const result = await this.apiClient.copyToClipboard(sessionId, content, this.deviceId);
+        session.lastContentHash = result?.clipboardContent?.contentHash ?? session.lastContentHash;
+        this.emit('clipboardSent', { sessionId, content, clipboardContent: result?.clipboardContent });
+
+        // Activity here usually means activity elsewhere soon
+        this.interval = this.minInterval;
+        this.schedulePoll(this.interval);
+        return result;
+    }
+
+    async clearClipboardContent(sessionId) {
+        if (!this.sessions.has(sessionId)) {
+            throw new Error('Not in a session');
+        }
+        return this.apiClient.clearClipboard(sessionId, this.deviceId);
+    }
+
+    /**
+     * Fetch every joined session's clipboard and emit the ones that changed since the last poll
+     */
+    async poll() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        let changed = false;
+        let failed = false;
+
+        for (const sessionId of Array.from(this.sessions.keys())) {
+            try {
+                changed = await this.pollSession(sessionId) || changed;
+            } catch (error) {
+                console.warn('Clipboard poll failed:', error);
+                failed = true;
+            }
+        }
+
+        if (failed) {
+            this.interval = this.maxInterval;
+        } else if (changed) {
+            this.interval = this.minInterval;
+        } else {
+            this.interval = Math.min(this.interval * this.backoffFactor, this.maxInterval);
+        }
+
+        this.schedulePoll(this.interval);
+    }
+
+    /**
+     * Poll one session
+     * @returns {boolean} Whether its content changed
+     */
+    async pollSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+
+        try {
+            const response = await this.apiClient.getClipboardContent(sessionId, {
+                deviceId: this.deviceId,
+                etag: session.lastContentHash,
+                retries: 1
+            });
+            const content = response?.clipboardContent;
+
+            // Ignore results for a session left while the request was in flight
+            if (!content || content.contentHash === session.lastContentHash || this.sessions.get(sessionId) !== session) {
+                return false;
+            }
+
+            session.lastContentHash = content.contentHash;
+            this.emit('clipboardReceived', {
+                sessionId,
+                content: content.content,
+                deviceId: content.deviceId,
+                deviceName: `Device ${content.deviceId.slice(0, 8)}`,
+                timestamp: new Date(content.createdAt),
+                isFromOtherDevice: content.deviceId !== this.deviceId
+            });
+            return true;
+        } catch (error) {
+            if (error instanceof ApiError && error.status === 404 && this.sessions.get(sessionId) === session) {
+                this.sessions.delete(sessionId);
+                this.emit('sessionEnded', { sessionId, reason: 'Expired', devices: [], timestamp: new Date() });
+                return false;
+            }
+
+            throw error;
+        }
+    }
+
+    schedulePoll(delay) {
+        this.clearPollTimer();
+        if (this.isRunning && this.sessions.size > 0) {
+            this.pollTimer = setTimeout(() => this.poll(), delay);
+        }
+    }
+
+    clearPollTimer() {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    async sendFileTransferMessage() {
+        throw new Error('File transfer needs a live connection to the hub');
+    }
+
+    // Other devices only learn sync policies through the hub; they are announced again after a switch back
+    async announceSyncPolicy() {
+        return null;
+    }
+
+    // Receipts only travel through the hub; a targeted clip received by polling stays "sent" for its sender
+    async acknowledgeClipboardUpdate() {
+        return null;
+    }
+
+    supportsFileTransfer() {
+        return false;
+    }
+
+    isConnected() {
+        return this.isRunning;
+    }
+
+    getConnectionState() {
+        return this.isRunning ? 'Polling' : 'Stopped';
+    }
+
+    getSessionIds() {
+        return Array.from(this.sessions.keys());
+    }
+
+    getDeviceId() {
+        return this.deviceId;
+    }
+}
+
+/**
+ * Transport that uses the primary (SignalR) transport when it is available and
+ * switches to the fallback (polling) transport when it is not, carrying the session across
+ */
+class FailoverTransport extends EventEmitter {
+    /**
+     * @param {SignalRTransport} primary - Preferred transport
+     * @param {PollingTransport} fallback - Transport used while the primary is unavailable
+     * @param {Object} options - probeInterval: how often (ms) to retry the primary while on the fallback
+     */
+    constructor(primary, fallback, options = {}) {
+        super();
+        this.primary = primary;
+        this.fallback = fallback;
+        this.active = primary;
+        this.probeInterval = options.probeInterval ?? 60000;
+        this.probeTimer = null;
+        this.sessions = new Map(); // sessionId -> deviceName, carried across transport switches
+        this.switching = null;
+
+        [primary, fallback].forEach(transport => {
+            TRANSPORT_EVENTS.forEach(event => {
+                transport.on(event, (...args) => {
+                    if (transport === this.active) {
+                        this.emit(event, ...args);
+                    }
+                });
+            });
+        });
+
+        this.primary.on('unavailable', () => this.useFallback());
+        this.primary.on('available', (info) => this.usePrimary(info));
+
+        this.on('sessionJoined', (data) => this.sessions.set(data.sessionId, data.deviceName));
+        this.on('sessionLeft', (data) => this.sessions.delete(data.sessionId));
+        this.on('sessionEnded', (data) => this.sessions.delete(data.sessionId));
+    }
+
+    async start() {
+        await this.primary.start();
+
+        if (!this.primary.isConnected()) {
+            await this.useFallback();
+        }
+    }
+
+    async stop() {
+        this.stopProbing();
+        await Promise.allSettled([this.primary.stop(), this.fallback.stop()]);
+    }
+
+    /**
+     * Switch to the fallback transport
+     */
+    async useFallback() {
+        if (this.active === this.fallback) {
+            return;
+        }
+
+        await this.switchTo(this.fallback, {}, async () => {
+            await this.fallback.start();
+            this.startProbing();
+        });
+    }
+
+    /**
+     * Switch back to the primary transport
+     * @param {Object} info - sessionRestored: the primary already rejoined its sessions itself
+     */
+    async usePrimary(info = {}) {
+        if (this.active === this.primary) {
+            return;
+        }
+
+        await this.switchTo(this.primary, info, async () => {
+            this.stopProbing();
+            await Promise.all(this.fallback.getSessionIds().map(sessionId =>
+                this.fallback.leaveSession(sessionId).catch(error => console.warn('Failed to leave polling session:', error))
+            ));
+            await this.fallback.stop();
+        });
+    }
+
+    /**
+     * Activate a transport and rejoin the joined sessions on it
+     */
+    async switchTo(transport, info, prepare) {
+        // Serialize switches so a flapping hub cannot interleave them
+        const previous = this.switching || Promise.resolve();
+        this.switching = previous.then(async () => {
+            if (this.active === transport) {
+                return;
+            }
+
+            console.log(`Switching clipboard transport to ${transport.type}`);
+            const sessions = Array.from(this.sessions);
+            this.active = transport;
+            await prepare();
+
+            this.emit('transportChanged', { type: transport.type });
+            this.emit('connectionStateChanged', transport.getConnectionState());
+
+            const restored = info.sessionRestored ? transport.getSessionIds() : [];
+            for (const [sessionId, deviceName] of sessions) {
+                if (restored.includes(sessionId)) {
+                    continue;
+                }
+
+                try {
+                    await transport.joinSession(sessionId, deviceName);
+                } catch (error) {
+                    console.error('Failed to rejoin session after switching transport:', error);
+                    this.emit('error', { type: 'joinSession', sessionId, error });
+                }
+            }
+        });
+
+        return this.switching;
+    }
+
+    startProbing() {
+        this.stopProbing();
+        this.probeTimer = setInterval(() => {
+            if (!this.primary.isConnected()) {
+                this.primary.start();
+            }
+        }, this.probeInterval);
+    }
+
+    stopProbing() {
+        if (this.probeTimer) {
+            clearInterval(this.probeTimer);
+            this.probeTimer = null;
+        }
+    }
+
+    joinSession(sessionId, deviceName) {
+        return this.active.joinSession(sessionId, deviceName);
+    }
+
+    leaveSession(sessionId) {
+        return this.active.leaveSession(sessionId);
+    }
+
+    sendClipboardContent(content, sessionId, targetDeviceIds = []) {
+        return this.active.sendClipboardContent(content, sessionId, targetDeviceIds);
+    }
+
+    clearClipboardContent(sessionId, targetDeviceIds = []) {
+        return this.active.clearClipboardContent(sessionId, targetDeviceIds);
+    }
+
+    sendFileTransferMessage(message, sessionId) {
+        return this.active.sendFileTransferMessage(message, sessionId);
+    }
+
+    announceSyncPolicy(sessionId, syncPolicy) {
+        return this.active.announceSyncPolicy(sessionId, syncPolicy);
+    }
+
+    acknowledgeClipboardUpdate(sessionId, messageId) {
+        return this.active.acknowledgeClipboardUpdate(sessionId, messageId);
+    }
+
+    supportsFileTransfer() {
+        return this.active.supportsFileTransfer();
+    }
+
+    isConnected() {
+        return this.active.isConnected();
+    }
+
+    getConnectionState() {
+        return this.active.getConnectionState();
+    }
+
+    getSessionIds() {
+        return this.active.getSessionIds();
+    }
+
+    getDeviceId() {
+        return this.active.getDeviceId();
+    }
+
+    getTransportType() {
+        return this.active.type;
+    }
+}
+
+export { SignalRTransport, PollingTransport, FailoverTransport, TRANSPORT_EVENTS };
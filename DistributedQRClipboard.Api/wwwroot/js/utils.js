@@ -135,11 +135,40 @@ export function generateUUID() {
   });
 }
 
-// HTML escaping for security
+// SHA-256 of binary data as lowercase hex (Web Crypto)
+export async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Base64 encoding of binary data, in slices to stay under the argument limit of fromCharCode
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// HTML escaping for security; quotes too, so the result is safe inside quoted attributes
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 export function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Size of text as UTF-8 bytes: what encryption and compression work on, and never less than its UTF-16 length
+export function utf8Length(text) {
+  return new TextEncoder().encode(text).length;
 }
 
 // Debounce function for performance
@@ -200,6 +229,17 @@ export function formatContentLength(length) {
   }
 }
 
+// Format a file size in bytes
+export function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} bytes`;
+  } else if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  } else {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+}
+
 // Validate session ID format
 export function isValidSessionId(sessionId) {
   if (!sessionId || typeof sessionId !== 'string') return false;
@@ -48,12 +48,13 @@ public interface IClipboardManager
     /// </summary>
     /// <param name="sessionId">The session ID</param>
     /// <param name="deviceId">The device ID requesting the clear operation</param>
+    /// <param name="targetDeviceIds">IDs of the only devices the cleared content was for; the whole session when null or empty</param>
     /// <param name="cancellationToken">Cancellation token</param>
     /// <returns>True if cleared successfully</returns>
     /// <exception cref="SessionNotFoundException">Thrown when the session doesn't exist</exception>
     /// <exception cref="InvalidSessionException">Thrown when the session is invalid or expired</exception>
     /// <exception cref="DeviceOperationException">Thrown when device is not authorized</exception>
-    Task<bool> ClearClipboardAsync(Guid sessionId, Guid deviceId, CancellationToken cancellationToken = default);
+    Task<bool> ClearClipboardAsync(Guid sessionId, Guid deviceId, IReadOnlyList<Guid>? targetDeviceIds = null, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Validates clipboard content without storing it.
@@ -97,4 +98,12 @@ public interface IClipboardNotificationService
     /// <param name="cancellationToken">Cancellation token</param>
     /// <returns>Number of devices notified</returns>
     Task<int> NotifyClipboardClearedAsync(Guid sessionId, Guid excludeDeviceId, DeviceInfo clearedBy, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Notifies all devices in a session that the session has expired or been closed.
+    /// </summary>
+    /// <param name="sessionEvent">The session ended event</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Number of devices notified</returns>
+    Task<int> NotifySessionEndedAsync(SessionEndedEvent sessionEvent, CancellationToken cancellationToken = default);
 }
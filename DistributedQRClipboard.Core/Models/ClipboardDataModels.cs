@@ -11,18 +11,39 @@ namespace DistributedQRClipboard.Core.Models;
 /// <param name="Statistics">Clipboard usage statistics</param>
 /// <param name="CreatedAt">When this data was created</param>
 /// <param name="LastUpdatedBy">Device that last updated the data</param>
+/// <param name="CurrentTargetDeviceIds">IDs of the only devices the current content was sent to; the whole session when null or empty</param>
 public sealed record ClipboardData(
     Guid SessionId,
     ClipboardContent? CurrentContent,
     IList<ClipboardHistoryEntry> History,
     ClipboardStatistics Statistics,
     DateTime CreatedAt,
-    DeviceInfo? LastUpdatedBy)
+    DeviceInfo? LastUpdatedBy,
+    IReadOnlyList<Guid>? CurrentTargetDeviceIds = null)
 {
+    /// <summary>
+    /// Gets the current content if the device may read it. Content sent to other devices only reads as none.
+    /// </summary>
+    public ClipboardContent? GetContentFor(Guid deviceId)
+    {
+        if (CurrentContent is not { } content)
+        {
+            return null;
+        }
+
+        var isVisible = CurrentTargetDeviceIds is not { Count: > 0 }
+            || content.DeviceId == deviceId
+            || CurrentTargetDeviceIds.Contains(deviceId);
+        return isVisible ? content : null;
+    }
+
     /// <summary>
     /// Creates a new ClipboardData with updated content.
     /// </summary>
-    public ClipboardData WithNewContent(ClipboardContent content, DeviceInfo updatedBy)
+    /// <param name="content">The new content</param>
+    /// <param name="updatedBy">The device that sent it</param>
+    /// <param name="targetDeviceIds">IDs of the only devices it is for; the whole session when null or empty</param>
+    public ClipboardData WithNewContent(ClipboardContent content, DeviceInfo updatedBy, IReadOnlyList<Guid>? targetDeviceIds = null)
     {
         var now = DateTime.UtcNow;
         
@@ -33,7 +54,8 @@ public sealed record ClipboardData(
             var historyEntry = new ClipboardHistoryEntry(
                 Guid.NewGuid(),
                 CurrentContent.Value,
-                0); // Will be reindexed
+                0, // Will be reindexed
+                CurrentTargetDeviceIds);
             newHistory.Insert(0, historyEntry);
         }
 
@@ -56,6 +78,7 @@ public sealed record ClipboardData(
         return this with
         {
             CurrentContent = content,
+            CurrentTargetDeviceIds = targetDeviceIds,
             History = indexedHistory,
             Statistics = newStats,
             LastUpdatedBy = updatedBy
@@ -72,6 +95,7 @@ public sealed record ClipboardData(
         return this with
         {
             CurrentContent = null,
+            CurrentTargetDeviceIds = null,
             LastUpdatedBy = clearedBy
         };
     }
@@ -68,6 +68,7 @@ public readonly record struct ClipboardContent(
 /// <param name="Content">The text content to copy</param>
 /// <param name="SessionId">The session ID where content should be copied</param>
 /// <param name="DeviceId">The device ID making the request</param>
+/// <param name="TargetDeviceIds">IDs of the only devices the update is for; the whole session when null or empty</param>
 public readonly record struct CopyToClipboardRequest(
     [Required(ErrorMessage = "Content is required")]
     [StringLength(10240, ErrorMessage = "Content cannot exceed 10KB")]
@@ -75,7 +76,8 @@ public readonly record struct CopyToClipboardRequest(
     [Required(ErrorMessage = "SessionId is required")]
     Guid SessionId,
     [Required(ErrorMessage = "DeviceId is required")]
-    Guid DeviceId)
+    Guid DeviceId,
+    IReadOnlyList<Guid>? TargetDeviceIds = null)
 {
     /// <summary>
     /// Validates the request data.
@@ -131,11 +133,19 @@ public readonly record struct GetClipboardResponse(
 /// <param name="Id">Unique identifier for the history entry</param>
 /// <param name="Content">The clipboard content</param>
 /// <param name="Index">Position in history (0 = most recent)</param>
+/// <param name="TargetDeviceIds">IDs of the only devices the entry was sent to; the whole session when null or empty</param>
 public readonly record struct ClipboardHistoryEntry(
     Guid Id,
     ClipboardContent Content,
-    int Index)
+    int Index,
+    IReadOnlyList<Guid>? TargetDeviceIds = null)
 {
+    /// <summary>
+    /// Whether a device may read the entry: its sender, its targets, or anyone when it has none.
+    /// </summary>
+    public bool IsVisibleTo(Guid deviceId) =>
+        TargetDeviceIds is not { Count: > 0 } || Content.DeviceId == deviceId || TargetDeviceIds.Contains(deviceId);
+
     /// <summary>
     /// Indicates whether this is the current (most recent) entry.
     /// </summary>
@@ -68,7 +68,7 @@ public sealed class ClipboardManager(
 
                 // Update clipboard data
                 var clipboardData = await GetOrCreateClipboardDataAsync(request.SessionId, cancellationToken);
-                var updatedData = clipboardData.WithNewContent(content, device);
+                var updatedData = clipboardData.WithNewContent(content, device, request.TargetDeviceIds);
                 
                 // Store in cache
                 var cacheOptions = new MemoryCacheEntryOptions
@@ -82,34 +82,37 @@ public sealed class ClipboardManager(
                 // Update device activity
                 await sessionManager.UpdateDeviceActivityAsync(request.SessionId, request.DeviceId, cancellationToken);
 
-                // Send real-time notifications
-                _ = Task.Run(async () =>
+                // Send real-time notifications; the hub sends updates meant for chosen devices to those devices itself
+                if (request.TargetDeviceIds is not { Count: > 0 })
                 {
-                    try
+                    _ = Task.Run(async () =>
                     {
-                        var clipboardEvent = new ClipboardUpdatedEvent(
-                            Guid.NewGuid(),
-                            DateTime.UtcNow,
-                            request.SessionId,
-                            Guid.NewGuid().ToString(),
-                            content,
-                            request.DeviceId,
-                            null);
-
-                        var notifiedCount = await notificationService.NotifyClipboardUpdatedAsync(
-                            request.SessionId, 
-                            request.DeviceId, 
-                            clipboardEvent, 
-                            CancellationToken.None);
+                        try
+                        {
+                            var clipboardEvent = new ClipboardUpdatedEvent(
+                                Guid.NewGuid(),
+                                DateTime.UtcNow,
+                                request.SessionId,
+                                Guid.NewGuid().ToString(),
+                                content,
+                                request.DeviceId,
+                                null);
+
+                            var notifiedCount = await notificationService.NotifyClipboardUpdatedAsync(
+                                request.SessionId, 
+                                request.DeviceId, 
+                                clipboardEvent, 
+                                CancellationToken.None);
                         
-                        logger.LogInformation("Notified {Count} devices about clipboard update in session {SessionId}", 
-                            notifiedCount, request.SessionId);
-                    }
-                    catch (Exception ex)
-                    {
-                        logger.LogError(ex, "Failed to send clipboard update notifications for session {SessionId}", request.SessionId);
-                    }
-                }, CancellationToken.None);
+                            logger.LogInformation("Notified {Count} devices about clipboard update in session {SessionId}", 
+                                notifiedCount, request.SessionId);
+                        }
+                        catch (Exception ex)
+                        {
+                            logger.LogError(ex, "Failed to send clipboard update notifications for session {SessionId}", request.SessionId);
+                        }
+                    }, CancellationToken.None);
+                }
 
                 logger.LogInformation("Successfully copied content to clipboard for session {SessionId}. Content length: {Length}", 
                     request.SessionId, content.Content.Length);
@@ -159,12 +162,14 @@ public sealed class ClipboardManager(
             // Update device activity
             await sessionManager.UpdateDeviceActivityAsync(request.SessionId, request.DeviceId, cancellationToken);
 
-            var response = clipboardData.CurrentContent != null
-                ? new GetClipboardResponse(clipboardData.CurrentContent, true)
+            // Content sent to chosen devices is kept from everyone else
+            var currentContent = clipboardData.GetContentFor(request.DeviceId);
+            var response = currentContent != null
+                ? new GetClipboardResponse(currentContent, true)
                 : new GetClipboardResponse(null, true, "No content available");
 
             logger.LogDebug("Retrieved clipboard content for session {SessionId}. Has content: {HasContent}", 
-                request.SessionId, clipboardData.CurrentContent != null);
+                request.SessionId, currentContent != null);
 
             return response;
         }
@@ -210,8 +215,9 @@ public sealed class ClipboardManager(
         // Update device activity
         await sessionManager.UpdateDeviceActivityAsync(sessionId, deviceId, cancellationToken);
 
-        // Return most recent entries
+        // Return most recent entries the device may read
         var history = clipboardData.History
+            .Where(h => h.IsVisibleTo(deviceId))
             .OrderByDescending(h => h.Content.CreatedAt)
             .Take(limit)
             .ToList()
@@ -223,7 +229,7 @@ public sealed class ClipboardManager(
     }
 
     /// <inheritdoc />
-    public async Task<bool> ClearClipboardAsync(Guid sessionId, Guid deviceId, CancellationToken cancellationToken = default)
+    public async Task<bool> ClearClipboardAsync(Guid sessionId, Guid deviceId, IReadOnlyList<Guid>? targetDeviceIds = null, CancellationToken cancellationToken = default)
     {
         logger.LogInformation("Clear clipboard request for session {SessionId} from device {DeviceId}", sessionId, deviceId);
 
@@ -262,25 +268,28 @@ public sealed class ClipboardManager(
                 // Update device activity
                 await sessionManager.UpdateDeviceActivityAsync(sessionId, deviceId, cancellationToken);
 
-                // Send real-time notifications
-                _ = Task.Run(async () =>
+                // Send real-time notifications; the hub sends clears of content meant for chosen devices to those devices itself
+                if (targetDeviceIds is not { Count: > 0 })
                 {
-                    try
+                    _ = Task.Run(async () =>
                     {
-                        var notifiedCount = await notificationService.NotifyClipboardClearedAsync(
-                            sessionId, 
-                            deviceId, 
-                            device, 
-                            CancellationToken.None);
+                        try
+                        {
+                            var notifiedCount = await notificationService.NotifyClipboardClearedAsync(
+                                sessionId, 
+                                deviceId, 
+                                device, 
+                                CancellationToken.None);
                         
-                        logger.LogInformation("Notified {Count} devices about clipboard clear in session {SessionId}", 
-                            notifiedCount, sessionId);
-                    }
-                    catch (Exception ex)
-                    {
-                        logger.LogError(ex, "Failed to send clipboard clear notifications for session {SessionId}", sessionId);
-                    }
-                }, CancellationToken.None);
+                            logger.LogInformation("Notified {Count} devices about clipboard clear in session {SessionId}", 
+                                notifiedCount, sessionId);
+                        }
+                        catch (Exception ex)
+                        {
+                            logger.LogError(ex, "Failed to send clipboard clear notifications for session {SessionId}", sessionId);
+                        }
+                    }, CancellationToken.None);
+                }
 
                 logger.LogInformation("Successfully cleared clipboard for session {SessionId}", sessionId);
                 return true;
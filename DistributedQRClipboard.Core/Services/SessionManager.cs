@@ -49,9 +49,11 @@ public sealed class SessionManagerOptions
 /// <summary>
 /// Manages sessions in the distributed QR clipboard system with cryptographically secure session IDs.
 /// Implements secure session creation, validation, device tracking, and automatic cleanup.
+/// Devices still in a session that expires or is closed are told with a SessionEnded notification.
 /// </summary>
 public sealed class SessionManager(
     IMemoryCache cache,
+    IClipboardNotificationService notificationService,
     IOptions<SessionManagerOptions> options,
     ILogger<SessionManager> logger) : ISessionManager
 {
@@ -121,6 +123,9 @@ public sealed class SessionManager(
 
             cache.Set(GetSessionCacheKey(sessionId), sessionData, cacheOptions);
 
+            // Track the session so cleanup notices when the cache expires it
+            _sessionLocks.TryAdd(sessionId, new object());
+
             // Update statistics
             UpdateSessionCreationStats();
 
@@ -430,12 +435,18 @@ public sealed class SessionManager(
     {
         logger.LogInformation("Closing session {SessionId}, Reason: {Reason}", sessionId, reason);
 
-        await Task.Run(() =>
+        var deviceCount = await Task.Run(() =>
         {
+            var count = cache.TryGetValue(GetSessionCacheKey(sessionId), out SessionData sessionData)
+                ? sessionData.ConnectedDevices.Count
+                : 0;
             cache.Remove(GetSessionCacheKey(sessionId));
             _sessionLocks.TryRemove(sessionId, out _);
+            return count;
         }, cancellationToken);
 
+        await NotifySessionEndedAsync(sessionId, reason, deviceCount, cancellationToken);
+
         logger.LogInformation("Session {SessionId} closed successfully", sessionId);
     }
 
@@ -447,7 +458,7 @@ public sealed class SessionManager(
         var expiredSessions = 0;
         var inactiveDevices = 0;
 
-        await Task.Run(() =>
+        var expiredSessionIds = await Task.Run(() =>
         {
             // Note: In a real implementation, you might need a more sophisticated way to track all sessions
             // since IMemoryCache doesn't provide enumeration. For this implementation, we rely on
@@ -474,8 +485,15 @@ public sealed class SessionManager(
             // Reset hourly statistics if needed
             ResetHourlyStatsIfNeeded();
 
+            return keysToRemove;
         }, cancellationToken);
 
+        // The cache has already dropped these sessions' devices, so no final count is known
+        foreach (var sessionId in expiredSessionIds)
+        {
+            await NotifySessionEndedAsync(sessionId, SessionEndReason.Expired, 0, cancellationToken);
+        }
+
         if (expiredSessions > 0 || inactiveDevices > 0)
         {
             logger.LogInformation("Cleanup completed: {ExpiredSessions} expired sessions, {InactiveDevices} inactive devices", 
@@ -548,6 +566,22 @@ public sealed class SessionManager(
         }, cancellationToken);
     }
 
+    /// <summary>
+    /// Tells the devices still in a session that it has ended; a failed notification does not undo the close.
+    /// </summary>
+    private async Task NotifySessionEndedAsync(Guid sessionId, SessionEndReason reason, int deviceCount, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var sessionEvent = SessionEndedEvent.Create(sessionId, reason, deviceCount);
+            await notificationService.NotifySessionEndedAsync(sessionEvent, cancellationToken);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            logger.LogWarning(ex, "Failed to notify devices that session {SessionId} ended", sessionId);
+        }
+    }
+
     /// <summary>
     /// Gets the cache key for a session.
     /// </summary>
@@ -36,4 +36,17 @@ public sealed class StubClipboardNotificationService(
         // Return simulated device count
         return 1;
     }
+
+    /// <inheritdoc />
+    public async Task<int> NotifySessionEndedAsync(SessionEndedEvent sessionEvent, CancellationToken cancellationToken = default)
+    {
+        logger.LogInformation("Session ended notification for session {SessionId}, Reason: {Reason}", 
+            sessionEvent.SessionId, sessionEvent.Reason);
+
+        // Simulate async operation
+        await Task.Delay(1, cancellationToken);
+        
+        // Return simulated device count
+        return 1;
+    }
 }
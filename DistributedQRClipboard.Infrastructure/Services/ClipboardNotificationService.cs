@@ -9,12 +9,14 @@ namespace DistributedQRClipboard.Infrastructure.Services;
 /// SignalR-based implementation of clipboard notification service for real-time notifications.
 /// This implementation uses IHubContext to send notifications through SignalR groups.
 /// </summary>
-public sealed class ClipboardNotificationService(
-    IHubContext<Hub> hubContext,
-    ILogger<ClipboardNotificationService> logger) : IClipboardNotificationService
+/// <typeparam name="THub">The hub whose session groups receive the notifications</typeparam>
+public sealed class ClipboardNotificationService<THub>(
+    IHubContext<THub> hubContext,
+    ILogger<ClipboardNotificationService<THub>> logger) : IClipboardNotificationService
+    where THub : Hub
 {
-    private readonly IHubContext<Hub> _hubContext = hubContext;
-    private readonly ILogger<ClipboardNotificationService> _logger = logger;
+    private readonly IHubContext<THub> _hubContext = hubContext;
+    private readonly ILogger<ClipboardNotificationService<THub>> _logger = logger;
 
     /// <inheritdoc />
     public async Task<int> NotifyClipboardUpdatedAsync(Guid sessionId, Guid excludeDeviceId, ClipboardUpdatedEvent clipboardEvent, CancellationToken cancellationToken = default)
@@ -78,6 +80,31 @@ public sealed class ClipboardNotificationService(
         }
     }
 
+    /// <inheritdoc />
+    public async Task<int> NotifySessionEndedAsync(SessionEndedEvent sessionEvent, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            _logger.LogInformation("Sending session ended notification for session {SessionId}, Reason: {Reason}", 
+                sessionEvent.SessionId, sessionEvent.Reason);
+
+            var groupName = GetSessionGroupName(sessionEvent.SessionId);
+
+            // Send notification to all devices still in the session group
+            await _hubContext.Clients.Group(groupName)
+                .SendAsync("SessionEnded", sessionEvent, cancellationToken);
+
+            _logger.LogDebug("Successfully sent session ended notification for session {SessionId}", sessionEvent.SessionId);
+
+            return sessionEvent.FinalDeviceCount;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to send session ended notification for session {SessionId}", sessionEvent.SessionId);
+            throw;
+        }
+    }
+
     /// <summary>
     /// Gets the SignalR group name for a session.
     /// </summary>
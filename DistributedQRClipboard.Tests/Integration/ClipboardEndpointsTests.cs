@@ -0,0 +1,79 @@
+using Microsoft.AspNetCore.Mvc.Testing;
+using System.Net;
+using System.Net.Http.Json;
+using System.Text.Json;
+using Xunit;
+
+namespace DistributedQRClipboard.Tests.Integration;
+
+/// <summary>
+/// Integration tests for the clipboard REST endpoints used by the polling fallback.
+/// </summary>
+public class ClipboardEndpointsTests : IClassFixture<WebApplicationFactory<Program>>
+{
+    private readonly HttpClient _client;
+
+    public ClipboardEndpointsTests(WebApplicationFactory<Program> factory)
+    {
+        _client = factory.CreateClient();
+    }
+
+    [Fact]
+    public async Task GetClipboard_WithCurrentETag_ShouldReturnNotModified()
+    {
+        // Arrange
+        var (sessionId, deviceId) = await CreateSessionWithDeviceAsync();
+        var copyResponse = await _client.PostAsJsonAsync($"/api/sessions/{sessionId}/clipboard",
+            new { content = "meeting at 3", sessionId, deviceId });
+        Assert.True(copyResponse.IsSuccessStatusCode);
+
+        var firstResponse = await _client.GetAsync($"/api/sessions/{sessionId}/clipboard?deviceId={deviceId}");
+        var etag = firstResponse.Headers.ETag;
+
+        // Act
+        var request = new HttpRequestMessage(HttpMethod.Get, $"/api/sessions/{sessionId}/clipboard?deviceId={deviceId}");
+        request.Headers.IfNoneMatch.Add(etag!);
+        var response = await _client.SendAsync(request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, firstResponse.StatusCode);
+        Assert.NotNull(etag);
+        Assert.Equal(HttpStatusCode.NotModified, response.StatusCode);
+        Assert.Empty(await response.Content.ReadAsStringAsync());
+    }
+
+    [Fact]
+    public async Task GetClipboard_WithOutdatedETag_ShouldReturnContent()
+    {
+        // Arrange
+        var (sessionId, deviceId) = await CreateSessionWithDeviceAsync();
+        await _client.PostAsJsonAsync($"/api/sessions/{sessionId}/clipboard", new { content = "first", sessionId, deviceId });
+        var firstResponse = await _client.GetAsync($"/api/sessions/{sessionId}/clipboard?deviceId={deviceId}");
+        await _client.PostAsJsonAsync($"/api/sessions/{sessionId}/clipboard", new { content = "second", sessionId, deviceId });
+
+        // Act
+        var request = new HttpRequestMessage(HttpMethod.Get, $"/api/sessions/{sessionId}/clipboard?deviceId={deviceId}");
+        request.Headers.IfNoneMatch.Add(firstResponse.Headers.ETag!);
+        var response = await _client.SendAsync(request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.NotEqual(firstResponse.Headers.ETag, response.Headers.ETag);
+        var data = await response.Content.ReadFromJsonAsync<JsonElement>();
+        Assert.Equal("second", data.GetProperty("clipboardContent").GetProperty("content").GetString());
+    }
+
+    private async Task<(string SessionId, Guid DeviceId)> CreateSessionWithDeviceAsync()
+    {
+        var createResponse = await _client.PostAsJsonAsync("/api/sessions", new { deviceName = "TestDevice" });
+        var createData = await createResponse.Content.ReadFromJsonAsync<JsonElement>();
+        var sessionId = createData.GetProperty("sessionInfo").GetProperty("sessionId").GetString()!;
+
+        var deviceId = Guid.NewGuid();
+        var joinResponse = await _client.PostAsJsonAsync($"/api/sessions/{sessionId}/join",
+            new { sessionId, deviceId, deviceName = "Poller" });
+        Assert.True(joinResponse.IsSuccessStatusCode);
+
+        return (sessionId, deviceId);
+    }
+}
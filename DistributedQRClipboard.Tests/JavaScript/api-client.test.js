@@ -0,0 +1,99 @@
+import './fakes/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeClipboardServer } from './fakes/fake-server.js';
+import { ApiClient, ApiError, ConnectionTracker } from '../../DistributedQRClipboard.Api/wwwroot/js/api.js';
+
+const DEVICE_A = '11111111-1111-4111-8111-111111111111';
+const DEVICE_B = '22222222-2222-4222-8222-222222222222';
+
+let server;
+let api;
+
+beforeEach(() => {
+    server = new FakeClipboardServer().install();
+    api = new ApiClient();
+});
+
+test('creating and joining a session from two devices', async () => {
+    const created = await api.createSession();
+    const { sessionId } = created.sessionInfo;
+
+    const joined = await api.joinSession(sessionId, 'Laptop', DEVICE_A);
+    await api.joinSession(sessionId, 'Phone', DEVICE_B);
+    const session = await api.getSession(sessionId);
+
+    assert.equal(created.success, true);
+    assert.equal(joined.success, true);
+    assert.equal(session.deviceCount, 2);
+    assert.ok(created.qrCodeUrl.includes(sessionId));
+});
+
+test('content copied by one device is read, listed and counted for the session', async () => {
+    const { sessionId } = server.createSession();
+    await api.joinSession(sessionId, 'Laptop', DEVICE_A);
+    await api.joinSession(sessionId, 'Phone', DEVICE_B);
+
+    const copied = await api.copyToClipboard(sessionId, 'first', DEVICE_A);
+    await api.copyToClipboard(sessionId, 'second', DEVICE_B);
+
+    const current = await api.getClipboardContent(sessionId, { deviceId: DEVICE_A });
+    const history = await api.getClipboardHistory(sessionId, 10, DEVICE_A);
+    const stats = await api.getClipboardStats(sessionId);
+
+    assert.equal(copied.clipboardContent.deviceId, DEVICE_A);
+    assert.equal(current.clipboardContent.content, 'second');
+    assert.deepEqual(history.history.map(entry => entry.content.content), ['second', 'first']);
+    assert.equal(stats.totalCopyOperations, 2);
+});
+
+test('leaving and clearing update the session', async () => {
+    const { sessionId } = server.createSession();
+    await api.joinSession(sessionId, 'Laptop', DEVICE_A);
+    await api.copyToClipboard(sessionId, 'temporary', DEVICE_A);
+
+    await api.clearClipboard(sessionId, DEVICE_A);
+    await api.leaveSession(sessionId, DEVICE_A);
+
+    assert.equal(server.getContent(sessionId), null);
+    assert.equal(server.getSession(sessionId).devices.size, 0);
+    assert.deepEqual(server.requests.slice(-2).map(request => request.method), ['DELETE', 'DELETE']);
+});
+
+test('a missing session surfaces as a 404 ApiError', async () => {
+    const error = await api.getClipboardContent('3f2504e0-4f89-11d3-9a0c-0305e82c3301', { retries: 1 })
+        .catch(caught => caught);
+
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.status, 404);
+    assert.equal(error.isClientError, true);
+});
+
+test('an unreachable server surfaces as a network error', async () => {
+    server.goOffline();
+
+    const error = await api.getClipboardContent('3f2504e0-4f89-11d3-9a0c-0305e82c3301', { retries: 1 })
+        .catch(caught => caught);
+
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.isNetworkError, true);
+});
+
+test('the connection tracker counts failed requests until one succeeds', async () => {
+    const tracker = new ConnectionTracker();
+    tracker.track(api);
+    const issues = [];
+    window.addEventListener('api:connection-issues', (event) => issues.push(event.detail));
+    const { sessionId } = server.createSession();
+
+    server.goOffline();
+    for (let i = 0; i < 3; i++) {
+        await api.getClipboardContent(sessionId, { retries: 1 }).catch(() => {});
+    }
+    assert.equal(tracker.status, 'unstable');
+    assert.deepEqual(issues.at(-1), { status: 'unstable', failureCount: 3 });
+
+    server.goOnline();
+    await api.getClipboardContent(sessionId, { retries: 1 });
+    assert.equal(tracker.status, 'online');
+});
@@ -0,0 +1,98 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { useSessionDevices, server, joinedDevice } from './fakes/session-devices.js';
+import {
+    ClipboardHistory,
+    MemoryHistoryStore,
+    HistoryDirection
+} from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard-history.js';
+import { parseMessage } from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard-message.js';
+
+const SESSION_A = '00000000-0000-4000-8000-0000000000a1';
+const SESSION_B = '00000000-0000-4000-8000-0000000000b2';
+
+useSessionDevices();
+
+function received(item) {
+    return { direction: HistoryDirection.Received, sessionId: SESSION_A, deviceName: 'Phone', ...item };
+}
+
+test('items sent and received are recorded once each, with device, session and direction', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedDevice(sessionId, 'Laptop');
+    const phone = await joinedDevice(sessionId, 'Phone');
+
+    await laptop.copy('meeting notes');
+    await settle();
+    await phone.copy('boarding pass');
+    await settle();
+
+    const laptopHistory = laptop.clipboardManager.searchHistory();
+    assert.deepEqual(laptopHistory.map(entry => [entry.text, entry.direction, entry.deviceName]), [
+        ['boarding pass', 'received', 'Phone'],
+        ['meeting notes', 'sent', null]
+    ]);
+    assert.ok(laptopHistory.every(entry => entry.sessionId === sessionId && entry.type === 'text'));
+    assert.equal(laptopHistory[0].deviceId, phone.deviceId);
+    assert.deepEqual(phone.clipboardManager.searchHistory({ direction: 'received' }).map(entry => entry.text), ['meeting notes']);
+});
+
+test('search matches every word of the query and combines with the filters', async () => {
+    const history = new ClipboardHistory({ store: new MemoryHistoryStore() });
+    await history.record(received({ content: 'Flight LH 402 to Berlin', timestamp: 1000 }));
+    await history.record(received({ content: 'Berlin hotel address', timestamp: 2000, sessionId: SESSION_B }));
+    await history.record(received({ content: 'flight receipt', timestamp: 3000, deviceName: 'Tablet' }));
+    await history.record({ content: 'berlin flight notes', direction: HistoryDirection.Sent, sessionId: SESSION_A, timestamp: 4000 });
+
+    const texts = filters => history.search(filters).map(entry => entry.text);
+    assert.deepEqual(texts({ query: 'berlin FLIGHT' }), ['berlin flight notes', 'Flight LH 402 to Berlin']);
+    assert.deepEqual(texts({ query: 'tablet' }), ['flight receipt']);
+    assert.deepEqual(texts({ deviceName: 'Phone' }), ['Berlin hotel address', 'Flight LH 402 to Berlin']);
+    assert.deepEqual(texts({ query: 'berlin', sessionId: SESSION_B }), ['Berlin hotel address']);
+    assert.deepEqual(texts({ from: 2000, to: 3000 }), ['flight receipt', 'Berlin hotel address']);
+    assert.deepEqual(history.getFacets(), { devices: ['Phone', 'Tablet'], sessions: [SESSION_A, SESSION_B] });
+});
+
+test('pins, deletions and clearing are kept in the store and pinned items outlive clearing and pruning', async () => {
+    const store = new MemoryHistoryStore();
+    const history = new ClipboardHistory({ store, maxEntries: 2 });
+    const favourite = await history.record(received({ content: 'wifi password hint', timestamp: 1000 }));
+    const scratch = await history.record(received({ content: 'scratch', timestamp: 2000 }));
+    await history.setPinned(favourite.id, true);
+    await history.delete(scratch.id);
+    await history.record(received({ content: 'first', timestamp: 3000 }));
+    await history.record(received({ content: 'second', timestamp: 4000 }));
+
+    assert.deepEqual(history.search().map(entry => entry.text), ['second', 'wifi password hint']);
+
+    const reloaded = new ClipboardHistory({ store });
+    await reloaded.load();
+    assert.deepEqual(reloaded.search().map(entry => entry.text), ['second', 'wifi password hint']);
+    await reloaded.clear();
+    assert.deepEqual(reloaded.search().map(entry => [entry.text, entry.pinned]), [['wifi password hint', true]]);
+    assert.deepEqual((await store.getAll()).map(entry => entry.text), ['wifi password hint']);
+});
+
+test('a history entry can be sent again to the current session', async () => {
+    const store = new MemoryHistoryStore();
+    const { sessionId } = server.createSession();
+    const laptop = await joinedDevice(sessionId, 'Laptop', { history: new ClipboardHistory({ store }) });
+    const phone = await joinedDevice(sessionId, 'Phone');
+
+    await phone.copy('tracking number 1Z999');
+    await settle();
+    await laptop.copy('something else');
+    await settle();
+
+    const [entry] = laptop.clipboardManager.searchHistory({ query: 'tracking' });
+    await laptop.clipboardManager.resendHistoryEntry(entry.id, sessionId);
+    await settle();
+
+    assert.equal(parseMessage(server.getContent(sessionId)).content, 'tracking number 1Z999');
+    assert.equal(phone.clipboard.text, 'tracking number 1Z999');
+    assert.deepEqual(laptop.clipboardManager.searchHistory({ direction: 'sent' }).map(entry => entry.text),
+        ['tracking number 1Z999', 'something else']);
+    await assert.rejects(laptop.clipboardManager.resendHistoryEntry('missing', sessionId), /not found/);
+});
@@ -0,0 +1,105 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { FakeClipboard, FakeItemClipboard } from './fakes/fake-clipboard.js';
+import { FakeImageCodec } from './fakes/fake-image-codec.js';
+import { useSessionDevices, server, joinedDevice, broadcasts, storedContent } from './fakes/session-devices.js';
+import {
+    ImageTooLargeError,
+    fitImageToLimit,
+    isImageContent,
+    dataUrlToBlob,
+    describeImageContent
+} from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard-image.js';
+import { MAX_CONTENT_LENGTH } from '../../DistributedQRClipboard.Api/wwwroot/js/hub-protocol.js';
+
+useSessionDevices();
+
+// Devices whose clipboard and codec handle images unless a test gives them others
+async function joinedImageDevice(sessionId, name, options = {}) {
+    return joinedDevice(sessionId, name, { clipboard: new FakeItemClipboard(), imageCodec: new FakeImageCodec(), ...options });
+}
+
+test('an image that already fits is sent untouched', async () => {
+    const codec = new FakeImageCodec();
+    const blob = FakeImageCodec.image(40, 30, 'image/png');
+
+    const image = await fitImageToLimit(blob, { codec });
+
+    assert.equal(image.resized, false);
+    assert.deepEqual([image.width, image.height, image.mimeType], [40, 30, 'image/png']);
+    assert.deepEqual(codec.encodings, []);
+    assert.equal(await dataUrlToBlob(image.content).text(), await blob.text());
+    assert.equal(describeImageContent(image.content), 'PNG image, 1.2 KB');
+});
+
+test('a large image is downscaled and re-encoded until it fits', async () => {
+    const codec = new FakeImageCodec();
+    const blob = FakeImageCodec.image(2000, 1500, 'image/png');
+
+    const image = await fitImageToLimit(blob, { codec });
+
+    assert.equal(image.resized, true);
+    assert.ok(image.content.length <= MAX_CONTENT_LENGTH);
+    assert.ok(isImageContent(image.content));
+    assert.equal(image.mimeType, 'image/jpeg');
+    assert.ok(Math.abs(image.width / image.height - 4 / 3) < 0.02);
+    assert.ok(codec.encodings.every(encoding => Math.max(encoding.width, encoding.height) <= 1024));
+});
+
+test('an image that cannot be made small enough is rejected', async () => {
+    const codec = new FakeImageCodec({ pngBytesPerPixel: 1000, jpegBytesPerPixel: 1000 });
+    const blob = FakeImageCodec.image(200, 200, 'image/png');
+
+    await assert.rejects(fitImageToLimit(blob, { codec }), ImageTooLargeError);
+});
+
+test('an image copied on one device lands on the clipboard of the other', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedImageDevice(sessionId, 'Laptop');
+    const phone = await joinedImageDevice(sessionId, 'Phone');
+    const blob = FakeImageCodec.image(64, 48, 'image/png');
+
+    await laptop.copyImage(blob);
+    await settle();
+
+    assert.ok(isImageContent(storedContent(sessionId)));
+    assert.equal(phone.clipboard.image.type, 'image/png');
+    assert.equal(await phone.clipboard.image.text(), await blob.text());
+    assert.equal(phone.clipboardManager.getSessionContent(sessionId).content, storedContent(sessionId));
+});
+
+test('an image written to the clipboard is not sent back even if the system re-encodes it', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedImageDevice(sessionId, 'Laptop');
+    const reencode = async blob => new Blob([await blob.text(), ' re-encoded'], { type: 'image/png' });
+    const phone = await joinedImageDevice(sessionId, 'Phone', { clipboard: new FakeItemClipboard({ reencode }) });
+
+    await laptop.copyImage(FakeImageCodec.image(64, 48, 'image/png'));
+    await settle();
+    await phone.clipboardManager.checkLocalClipboard();
+    await laptop.clipboardManager.checkLocalClipboard();
+    await settle();
+
+    assert.equal(broadcasts().length, 1);
+});
+
+test('a text-only browser keeps the received image in the panel and its own clipboard text', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedImageDevice(sessionId, 'Laptop');
+    const phone = await joinedImageDevice(sessionId, 'Phone', { clipboard: new FakeClipboard('grocery list') });
+    const unsupported = phone.record(phone.clipboardManager, 'imageWriteUnsupported');
+
+    assert.equal(phone.clipboardManager.getSupport().imageWrite, false);
+    await laptop.copyImage(FakeImageCodec.image(64, 48, 'image/jpeg'));
+    await settle();
+    await phone.clipboardManager.checkLocalClipboard();
+    await settle();
+
+    assert.ok(unsupported.length > 0);
+    assert.ok(isImageContent(unsupported[0].content));
+    assert.equal(phone.clipboard.text, 'grocery list');
+    assert.equal(phone.clipboardManager.getCurrentContent(), storedContent(sessionId));
+    assert.equal(broadcasts().length, 1);
+});
@@ -0,0 +1,319 @@
+
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { useSessionDevices, server, timers, joinDevices, joinedDevices, broadcasts, storedContent } from './fakes/session-devices.js';
+import { SignalRTransport, PollingTransport, FailoverTransport } from '../../DistributedQRClipboard.Api/wwwroot/js/transport.js';
+import { parseMessage } from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard-message.js';
+
+useSessionDevices();
+
+// Devices whose update stamps follow the fake timers, so self-destructing clips expire on timers.advance
+async function devicesOnFakeTime(sessionId, ...names) {
+    return joinDevices(sessionId, names, { now: () => timers.now });
+}
+
+// Polls quickly, so tests wait for it in real time
+function pollingFallback(signalRClient, apiClient) {
+    return new FailoverTransport(
+        new SignalRTransport(signalRClient),
+        new PollingTransport(apiClient, signalRClient.getDeviceId(), { minInterval: 10, maxInterval: 20 })
+    );
+}
+
+test('text copied on one device lands on the clipboards of the others', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone, tablet] = await joinedDevices(sessionId, 'Laptop', 'Phone', 'Tablet');
+
+    await tablet.copy('shared secret recipe');
+    await settle();
+
+    assert.equal(laptop.clipboard.text, 'shared secret recipe');
+    assert.equal(phone.clipboard.text, 'shared secret recipe');
+    // Names are learned from DeviceJoined, so devices that joined earlier know the tablet's
+    assert.equal(phone.clipboardManager.getSessionContent(sessionId).deviceName, 'Tablet');
+    assert.deepEqual(tablet.clipboard.writes, []);
+});
+
+test('a received update is not echoed back by the receiving device', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+
+    await laptop.copy('ping');
+    await settle();
+    await phone.clipboardManager.checkLocalClipboard();
+    await settle();
+
+    const updates = broadcasts();
+    assert.deepEqual(updates.map(call => parseMessage(call.args[1]).content), ['ping']);
+});
+
+test('auto-send can be turned off per session', async () => {
+    const work = server.createSession();
+    const home = server.createSession();
+    const [laptop] = await joinedDevices(work.sessionId, 'Laptop');
+    const [colleague] = await joinedDevices(work.sessionId, 'Colleague');
+    const [partner] = await joinedDevices(home.sessionId, 'Partner');
+    laptop.activate();
+    await laptop.join(home.sessionId);
+
+    laptop.clipboardManager.setAutoSend(work.sessionId, false);
+    await laptop.copy('dinner at eight');
+    await settle();
+
+    assert.equal(partner.clipboard.text, 'dinner at eight');
+    assert.equal(colleague.clipboard.text, '');
+    assert.equal(server.getContent(work.sessionId), null);
+});
+
+test('updates made while disconnected are queued and sent once reconnected', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+    const queued = laptop.record(laptop.clipboardManager, 'syncQueued');
+
+    server.dropConnection(laptop.connection);
+    server.blockHub();
+    await settle();
+    await laptop.copy('written on the train');
+
+    assert.equal(queued.length, 1);
+    assert.equal(server.getContent(sessionId), null);
+
+    server.unblockHub();
+    await timers.advance(1000);
+    await settle();
+
+    assert.equal(storedContent(sessionId), 'written on the train');
+    assert.equal(phone.clipboard.text, 'written on the train');
+    assert.deepEqual(laptop.clipboardManager.getOutboxItems().map(item => item.status), ['sent']);
+});
+
+test('content changed by another device during an outage is applied after reconnecting', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+
+    // Only the laptop loses its connection; the phone stays connected
+    server.hubAvailable = false;
+    server.dropConnection(laptop.connection, new Error('Network changed'));
+    await settle();
+    await phone.copy('changed meanwhile');
+    await settle();
+    assert.equal(laptop.clipboard.text, '');
+
+    server.unblockHub();
+    await timers.advance(1000);
+    await settle();
+
+    assert.equal(laptop.clipboard.text, 'changed meanwhile');
+});
+
+test('a denied clipboard read during monitoring is ignored, a manual read reports it', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop] = await joinedDevices(sessionId, 'Laptop');
+    const denied = laptop.record(laptop.clipboardManager, 'permissionDenied');
+
+    laptop.clipboard.setPermission('denied');
+    await laptop.copy('not readable');
+    assert.deepEqual(denied, []);
+
+    await assert.rejects(laptop.clipboardManager.readClipboard(), { name: 'NotAllowedError' });
+    assert.deepEqual(denied, [{ operation: 'read' }]);
+    assert.equal(server.getContent(sessionId), null);
+});
+
+test('clipboard sync falls back to REST polling when the hub is blocked', async () => {
+    server.blockHub();
+    const { sessionId } = server.createSession();
+
+    const [laptop, phone] = await joinDevices(sessionId, ['Laptop', 'Phone'], { createTransport: pollingFallback });
+    assert.equal(laptop.transport.getTransportType(), 'polling');
+
+    await laptop.copy('over plain HTTP');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await settle();
+
+    assert.equal(phone.clipboard.text, 'over plain HTTP');
+    assert.ok(server.requests.some(request => request.method === 'POST' && request.path.endsWith('/clipboard')));
+});
+
+test('polls while the clipboard is unchanged are answered 304 without the content', async () => {
+    server.blockHub();
+    const { sessionId } = server.createSession();
+
+    const [laptop, phone] = await joinDevices(sessionId, ['Laptop', 'Phone'], { createTransport: pollingFallback });
+    const received = phone.record(phone.clipboardManager, 'remoteClipboardReceived');
+
+    const start = server.requests.length;
+    await laptop.copy('over plain HTTP');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await settle();
+
+    const polls = device => server.requests.slice(start)
+        .filter(request => request.method === 'GET' && request.path.endsWith(`/clipboard?deviceId=${device.deviceId}`))
+        .map(request => request.status);
+    assert.deepEqual(received.map(update => update.content), ['over plain HTTP']);
+    assert.ok(polls(phone).length > 1);
+    assert.deepEqual(polls(phone).filter(status => status !== 304), [200]);
+    assert.deepEqual(polls(laptop).filter(status => status !== 304), []);
+});
+
+test('an expiring clip sent over the polling fallback is cleared from the session when it expires', async () => {
+    server.blockHub();
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinDevices(sessionId, ['Laptop', 'Phone'],
+        { createTransport: pollingFallback, now: () => timers.now });
+
+    await laptop.clipboardManager.setClipboardContent('otp 482913', sessionId, { expiresIn: 30000 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await settle();
+    assert.equal(phone.clipboard.text, 'otp 482913');
+
+    await timers.advance(30000);
+    await settle();
+
+    assert.equal(server.getContent(sessionId), null);
+    assert.ok(server.requests.some(request => request.method === 'DELETE' && request.status === 200 &&
+        request.path.endsWith(`/clipboard?deviceId=${laptop.deviceId}`)));
+});
+
+test('an expiring clip is removed from every clipboard, the session and history when it expires', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesOnFakeTime(sessionId, 'Laptop', 'Phone');
+    const received = phone.record(phone.clipboardManager, 'remoteClipboardReceived');
+
+    await laptop.clipboardManager.setClipboardContent('otp 482913', sessionId, { expiresIn: 30000 });
+    await settle();
+    await timers.advance(29000);
+
+    assert.equal(phone.clipboard.text, 'otp 482913');
+    assert.equal(received[0].expiresAt, timers.now - 29000 + 30000);
+    assert.equal(phone.clipboardManager.searchHistory({ query: 'otp' }).length, 1);
+
+    await timers.advance(1000);
+
+    for (const device of [laptop, phone]) {
+        assert.equal(device.clipboard.text, '');
+        assert.equal(device.clipboardManager.getSessionContent(sessionId).content, '');
+        assert.deepEqual(device.clipboardManager.searchHistory({ query: 'otp' }), []);
+    }
+    assert.equal(server.getContent(sessionId), null);
+});
+
+test('an expiring clip lasts as long on a device whose clock is ahead or behind the sender', async () => {
+    const { sessionId } = server.createSession();
+    const skews = { Laptop: 0, Phone: 10 * 60000, Tablet: -10 * 60000 };
+    const [laptop, phone, tablet] = await joinDevices(sessionId, Object.keys(skews), name => ({ now: () => timers.now + skews[name] }));
+
+    await laptop.clipboardManager.setClipboardContent('otp 482913', sessionId, { expiresIn: 30000 });
+    await settle();
+    await timers.advance(29000);
+
+    for (const device of [phone, tablet]) {
+        assert.equal(device.clipboard.text, 'otp 482913');
+        assert.equal(device.clipboardManager.searchHistory({ query: 'otp' }).length, 1);
+    }
+
+    await timers.advance(1000);
+
+    for (const device of [laptop, phone, tablet]) {
+        assert.equal(device.clipboard.text, '');
+        assert.deepEqual(device.clipboardManager.searchHistory({ query: 'otp' }), []);
+    }
+});
+
+test('a burn-after-read clip stays only with the first device that receives it', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone, tablet] = await joinedDevices(sessionId, 'Laptop', 'Phone', 'Tablet');
+    const burned = laptop.record(laptop.clipboardManager, 'clipBurned');
+
+    await laptop.clipboardManager.setClipboardContent('api token 7f3a', sessionId, { burnAfterRead: true });
+    await settle();
+
+    const readers = [phone, tablet].filter(device => device.clipboard.text === 'api token 7f3a');
+    assert.equal(readers.length, 1);
+    assert.equal(laptop.clipboard.text, '');
+    assert.equal(server.getContent(sessionId), null);
+    assert.deepEqual(burned.map(event => event.readHere), [false]);
+    for (const device of [laptop, phone, tablet]) {
+        assert.deepEqual(device.clipboardManager.searchHistory({ query: 'token' }), []);
+    }
+});
+
+test('an expiring clip queued offline is not sent once it has expired', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesOnFakeTime(sessionId, 'Laptop', 'Phone');
+
+    server.dropConnection(laptop.connection);
+    server.blockHub();
+    await settle();
+    await laptop.clipboardManager.setClipboardContent('door code 1234', sessionId, { expiresIn: 500 });
+    await timers.advance(500);
+
+    server.unblockHub();
+    await timers.advance(5000);
+    await settle();
+
+    assert.ok(laptop.transport.isConnected());
+    assert.equal(phone.clipboard.text, '');
+    assert.equal(server.getContent(sessionId), null);
+    assert.deepEqual(laptop.clipboardManager.getOutboxItems().map(item => item.status), ['expired']);
+});
+
+test('an expired clip leaves no content behind in the outbox or history', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesOnFakeTime(sessionId, 'Laptop', 'Phone');
+
+    server.dropConnection(laptop.connection);
+    server.blockHub();
+    await settle();
+    await laptop.clipboardManager.setClipboardContent('door code 1234', sessionId, { expiresIn: 30000 });
+    server.unblockHub();
+    await timers.advance(5000);
+    await settle();
+
+    assert.equal(phone.clipboard.text, 'door code 1234');
+    assert.deepEqual(laptop.clipboardManager.getOutboxItems().map(item => [item.status, item.content]), [['sent', 'door code 1234']]);
+    assert.ok(localStorage.getItem('clipboardOutbox').includes('door code'));
+
+    await timers.advance(25000);
+
+    assert.deepEqual(laptop.clipboardManager.getOutboxItems().map(item => [item.status, item.content]), [['sent', '']]);
+    assert.ok(!localStorage.getItem('clipboardOutbox').includes('door code'));
+
+    // The phone received the clip when the laptop reconnected, and counts its lifetime from then
+    await timers.advance(5000);
+    for (const device of [laptop, phone]) {
+        assert.deepEqual(device.clipboardManager.searchHistory({ query: 'door' }), []);
+    }
+});
+
+test('remote overwrites of the local clipboard can be undone, several at a time', async () => {
+    const { sessionId } = server.createSession();
+    const [phone, laptop, tablet] = await joinedDevices(sessionId, 'Phone', 'Laptop', 'Tablet');
+    const received = phone.record(phone.clipboardManager, 'remoteClipboardReceived');
+
+    // Copied on the phone but not yet noticed by its monitor
+    phone.clipboard.copy('half-written reply');
+    await laptop.copy('build passed');
+    await settle();
+    await tablet.copy('lunch at noon');
+    await settle();
+
+    assert.equal(phone.clipboard.text, 'lunch at noon');
+    assert.deepEqual(phone.clipboardManager.getRestorePoints().map(point => [point.content, point.deviceName]),
+        [['build passed', 'Tablet'], ['half-written reply', 'Laptop']]);
+    assert.deepEqual(received.map(data => data.restoreId), phone.clipboardManager.getRestorePoints().map(point => point.id).reverse());
+
+    const restored = await phone.clipboardManager.undoOverwrite(received[0].restoreId);
+    assert.equal(restored.content, 'half-written reply');
+    assert.equal(phone.clipboard.text, 'half-written reply');
+    assert.deepEqual(phone.clipboardManager.getRestorePoints(), []);
+    assert.equal(await phone.clipboardManager.undoOverwrite(), null);
+
+    // Undoing is local: nothing goes back to the session
+    await phone.clipboardManager.checkLocalClipboard();
+    await settle();
+    assert.equal(laptop.clipboard.text, 'lunch at noon');
+    assert.equal(storedContent(sessionId), 'lunch at noon');
+});
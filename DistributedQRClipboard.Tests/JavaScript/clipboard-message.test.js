@@ -0,0 +1,168 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { useSessionDevices, server, timers, joinDevices, joinedDevices, broadcasts } from './fakes/session-devices.js';
+import {
+    SeenMessages,
+    createMessage,
+    encodeMessage,
+    parseMessage,
+    verifyMessage,
+    messageExpiresAt,
+    isAddressedTo
+} from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard-message.js';
+
+const LAPTOP_ID = '00000000-0000-4000-8000-00000000000b';
+
+useSessionDevices();
+
+test('the envelope carries ID, origin and hash, and content from older clients parses without one', () => {
+    const stamp = { wallTime: 1000, counter: 0, deviceId: LAPTOP_ID };
+    const message = createMessage('line one\nclip:v1:not a header', stamp);
+    const { content, message: parsed } = parseMessage(encodeMessage(message));
+
+    assert.equal(content, 'line one\nclip:v1:not a header');
+    assert.deepEqual(parsed, message);
+    assert.equal(parsed.originDeviceId, LAPTOP_ID);
+    assert.ok(verifyMessage(parsed));
+    assert.ok(!verifyMessage({ ...parsed, content: 'line one' }));
+    assert.notEqual(createMessage(content, stamp).id, message.id);
+    assert.deepEqual(parseMessage('plain text'), { content: 'plain text', message: null });
+});
+
+test('self-destruct options travel in the header', () => {
+    const stamp = { wallTime: 1000, counter: 0, deviceId: LAPTOP_ID };
+    const both = createMessage('otp 1234', stamp, { expiresIn: 30000, burnAfterRead: true });
+    const burn = createMessage('otp 1234', stamp, { burnAfterRead: true });
+
+    assert.deepEqual(parseMessage(encodeMessage(both)).message, both);
+    assert.deepEqual(parseMessage(encodeMessage(burn)).message, burn);
+    assert.equal(messageExpiresAt(both), 31000);
+    assert.equal(messageExpiresAt(burn), null);
+    assert.ok(encodeMessage(both).startsWith(`clip:v1:${both.id}:${both.contentHash}:1000.0.${LAPTOP_ID}:ttl=30000,burn\n`));
+});
+
+test('recipient devices travel in the header and older headers are for everyone', () => {
+    const stamp = { wallTime: 1000, counter: 0, deviceId: LAPTOP_ID };
+    const phoneId = '00000000-0000-4000-8000-0000000000AC';
+    const targeted = createMessage('for the phone', stamp, { targets: [phoneId, phoneId], burnAfterRead: true });
+
+    assert.deepEqual(targeted.targets, [phoneId.toLowerCase()]);
+    assert.ok(encodeMessage(targeted).includes(':burn,to=000000000000400080000000000000ac\n'));
+    assert.deepEqual(parseMessage(encodeMessage(targeted)).message, targeted);
+    assert.ok(isAddressedTo(targeted, phoneId));
+    assert.ok(!isAddressedTo(targeted, LAPTOP_ID));
+    assert.ok(isAddressedTo(createMessage('for everyone', stamp), LAPTOP_ID));
+
+    const tooMany = Array.from({ length: 9 }, (_, i) => `00000000-0000-4000-8000-00000000000${i}`);
+    assert.throws(() => createMessage('crowded', stamp, { targets: tooMany }), /at most 8 devices/);
+    assert.throws(() => createMessage('typo', stamp, { targets: ['phone'] }), /Invalid target device ID/);
+});
+
+test('only the most recent message IDs are remembered', () => {
+    const seen = new SeenMessages(2);
+
+    seen.add('a');
+    seen.add('b');
+    seen.add('a');
+    seen.add('c');
+
+    assert.ok(seen.has('a'));
+    assert.ok(seen.has('c'));
+    assert.ok(!seen.has('b'));
+});
+
+test('an update delivered twice is applied once, the same text sent again on purpose is applied again', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+    const received = phone.record(phone.clipboardManager, 'remoteClipboardReceived');
+
+    await laptop.clipboardManager.setClipboardContent('standup at ten', sessionId);
+    await settle();
+    await laptop.clipboardManager.setClipboardContent('standup at ten', sessionId);
+    await settle();
+
+    assert.equal(broadcasts().length, 2);
+    assert.deepEqual(received.map(update => update.content), ['standup at ten', 'standup at ten']);
+    assert.deepEqual(phone.clipboard.writes, ['standup at ten', 'standup at ten']);
+});
+
+test('content from an older client repeated soon after is applied once, by the time on the device clock', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinDevices(sessionId, ['Laptop', 'Phone'], { now: () => timers.now });
+    const received = phone.record(phone.clipboardManager, 'remoteClipboardReceived');
+    // Older clients send the text alone, without the message envelope
+    const copyFromOlderClient = async () => {
+        server.copyToClipboard(sessionId, 'plain text', laptop.deviceId);
+        await settle();
+    };
+
+    await copyFromOlderClient();
+    await timers.advance(1000);
+    await copyFromOlderClient();
+    await timers.advance(2500);
+    await copyFromOlderClient();
+
+    assert.deepEqual(received.map(update => update.content), ['plain text', 'plain text']);
+});
+
+test('a send retried after its result was lost is not applied twice', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+    const received = phone.record(phone.clipboardManager, 'remoteClipboardReceived');
+
+    // The update reaches the hub, then the laptop's connection drops before the result comes back
+    const broadcast = server.hubMethods.BroadcastClipboardUpdateAsync;
+    server.hubMethods = {
+        ...server.hubMethods,
+        async BroadcastClipboardUpdateAsync(connection, ...args) {
+            const result = await broadcast.call(this, connection, ...args);
+            if (broadcasts().length === 1) {
+                this.hubAvailable = false;
+                this.dropConnection(connection);
+            }
+            return result;
+        }
+    };
+
+    await laptop.copy('invoice #42');
+    await settle();
+    server.unblockHub();
+    await timers.advance(1000);
+
+    const sent = broadcasts().map(call => parseMessage(call.args[1]).message.id);
+    assert.equal(sent.length, 2);
+    assert.equal(sent[0], sent[1]);
+    assert.deepEqual(received.map(update => update.content), ['invoice #42']);
+    assert.deepEqual(laptop.clipboardManager.getOutboxItems().map(item => item.status), ['sent']);
+});
+
+test('a monitor read that spans a remote write is not sent back', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+    phone.clipboard.copy('old notes');
+    await phone.clipboardManager.checkLocalClipboard();
+    await settle();
+
+    // Hold the phone's next clipboard read until the laptop's update has been written
+    const readText = phone.clipboard.readText.bind(phone.clipboard);
+    let release;
+    phone.clipboard.readText = async () => {
+        const text = await readText();
+        await new Promise(resolve => { release = resolve; });
+        return text;
+    };
+    phone.clipboard.copy('fresh notes');
+    const tick = phone.clipboardManager.checkLocalClipboard();
+    await settle();
+
+    await laptop.copy('from the laptop');
+    await settle();
+    release();
+    await tick;
+    await settle();
+
+    assert.equal(phone.clipboard.text, 'from the laptop');
+    assert.deepEqual(broadcasts().map(call => parseMessage(call.args[1]).content), ['old notes', 'from the laptop']);
+});
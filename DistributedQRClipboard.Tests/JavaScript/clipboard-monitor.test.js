@@ -0,0 +1,182 @@
+import './fakes/browser.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeClipboardServer } from './fakes/fake-server.js';
+import { FakeTimers, settle } from './fakes/fake-timers.js';
+import { FakeDevice } from './fakes/device.js';
+import { ClipboardMonitor, MonitoringState } from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard-monitor.js';
+
+let timers;
+let page;
+let monitors;
+
+/**
+ * The document and window of a tab, which the test shows, hides, focuses and blurs
+ */
+class FakePage {
+    constructor() {
+        this.document = new EventTarget();
+        this.window = new EventTarget();
+        this.document.visibilityState = 'visible';
+        this.focused = true;
+        this.document.hasFocus = () => this.focused;
+    }
+
+    hide() {
+        this.document.visibilityState = 'hidden';
+        this.focused = false;
+        this.window.dispatchEvent(new Event('blur'));
+        this.document.dispatchEvent(new Event('visibilitychange'));
+    }
+
+    show() {
+        this.document.visibilityState = 'visible';
+        this.focused = true;
+        this.document.dispatchEvent(new Event('visibilitychange'));
+        this.window.dispatchEvent(new Event('focus'));
+    }
+}
+
+/**
+ * Permissions API answering for clipboard-read; the test changes the state as the user would in site settings
+ */
+function fakePermissions(state) {
+    const status = { state, onchange: null };
+    return {
+        status,
+        query: async ({ name }) => {
+            assert.equal(name, 'clipboard-read');
+            return status;
+        },
+        set(next) {
+            status.state = next;
+            status.onchange?.();
+        }
+    };
+}
+
+function notAllowed() {
+    return Object.assign(new Error('Document is not focused'), { name: 'NotAllowedError' });
+}
+
+beforeEach(() => {
+    timers = new FakeTimers();
+    page = new FakePage();
+    monitors = [];
+});
+
+afterEach(() => {
+    monitors.forEach(monitor => monitor.stop());
+});
+
+/**
+ * A monitor whose check records the time of every read and answers with the next result (false by default)
+ */
+function startedMonitor(options = {}) {
+    const reads = [];
+    const results = [];
+    const monitor = new ClipboardMonitor(async () => {
+        reads.push(timers.now);
+        const result = results.shift() ?? false;
+        if (result instanceof Error) {
+            throw result;
+        }
+        return result;
+    }, { document: page.document, window: page.window, permissions: null, timers, ...options });
+    monitors.push(monitor);
+    return { monitor, reads, results, started: monitor.start() };
+}
+
+test('polling backs off while nothing changes and speeds up again after a change', async () => {
+    const { monitor, reads, results, started } = startedMonitor({ maxDelay: 8000 });
+    await started;
+    await settle();
+
+    await timers.advance(30000);
+    assert.deepEqual(reads, [0, 2000, 6000, 14000, 22000, 30000]);
+    assert.deepEqual(monitor.getState(), { state: MonitoringState.Idle, reason: null, delay: 8000, permission: 'unknown' });
+
+    results.push(true);
+    await timers.advance(8000);
+    assert.equal(monitor.getState().state, MonitoringState.Active);
+    await timers.advance(1000);
+    assert.deepEqual(reads.slice(-2), [38000, 39000]);
+});
+
+test('nothing is read while the tab is hidden, and focus or a copy in the page checks right away', async () => {
+    const { monitor, reads, started } = startedMonitor();
+    const states = [];
+    monitor.on('stateChanged', state => states.push(state.state));
+    await started;
+    await settle();
+
+    page.hide();
+    await timers.advance(60000);
+    assert.deepEqual(reads, [0]);
+    assert.deepEqual(monitor.getState(), { state: MonitoringState.Paused, reason: 'hidden', delay: null, permission: 'unknown' });
+    assert.equal(timers.pendingCount, 0);
+
+    page.show();
+    await settle();
+    assert.deepEqual(reads, [0, 60000]);
+
+    await timers.advance(500);
+    page.document.dispatchEvent(new Event('copy'));
+    await timers.advance(0);
+    assert.deepEqual(reads, [0, 60000, 60500]);
+    assert.ok(states.includes(MonitoringState.Paused) && states.at(-1) === MonitoringState.Idle);
+});
+
+test('denied clipboard access is reported as blocked and monitoring resumes when it is allowed', async () => {
+    const permissions = fakePermissions('denied');
+    const { monitor, reads, started } = startedMonitor({ permissions });
+    await started;
+    await timers.advance(10000);
+
+    assert.deepEqual(reads, []);
+    assert.deepEqual(monitor.getState(), { state: MonitoringState.Blocked, reason: 'denied', delay: null, permission: 'denied' });
+
+    permissions.set('granted');
+    await settle();
+    assert.deepEqual(reads, [10000]);
+    assert.equal(monitor.getState().permission, 'granted');
+});
+
+test('a refused read in a focused tab blocks polling until the user focuses the window again', async () => {
+    const { monitor, reads, results, started } = startedMonitor();
+    results.push(notAllowed());
+    await started;
+    await timers.advance(10000);
+
+    assert.deepEqual(reads, [0]);
+    assert.equal(monitor.getState().state, MonitoringState.Blocked);
+
+    page.window.dispatchEvent(new Event('focus'));
+    await settle();
+    assert.deepEqual(reads, [0, 10000]);
+    assert.equal(monitor.getState().state, MonitoringState.Idle);
+});
+
+test('a monitored device sends what the user copies without being asked to check', async () => {
+    const server = new FakeClipboardServer();
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = ['Laptop', 'Phone'].map(name =>
+        new FakeDevice(server, name, { timers, monitor: { document: page.document, window: page.window, permissions: null } }));
+    for (const device of [laptop, phone]) {
+        await device.connect();
+        await device.join(sessionId);
+    }
+    laptop.activate();
+    await laptop.clipboardManager.startMonitoring();
+    await settle();
+
+    laptop.clipboard.copy('picked up by the monitor');
+    await timers.advance(2000);
+
+    assert.equal(phone.clipboard.text, 'picked up by the monitor');
+    assert.equal(laptop.clipboardManager.getMonitoringState().state, MonitoringState.Active);
+
+    for (const device of [laptop, phone]) {
+        await device.dispose();
+    }
+});
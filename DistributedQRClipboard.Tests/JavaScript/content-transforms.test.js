@@ -0,0 +1,89 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { useSessionDevices, server, timers, joinDevices, sentContents } from './fakes/session-devices.js';
+import {
+    ContentTransformPipeline,
+    TransformStage,
+    stripTrackingParameters,
+    normalizeWhitespace,
+    removeSmartQuotes
+} from '../../DistributedQRClipboard.Api/wwwroot/js/content-transforms.js';
+
+useSessionDevices();
+
+// Devices on fake time, each with its own FakeDevice options by name
+async function devicesOnFakeTime(sessionId, names, options = {}) {
+    return joinDevices(sessionId, names, name => ({ now: () => timers.now, ...options[name] }));
+}
+
+test('the built-in transforms strip tracking parameters, tidy whitespace and straighten quotes', () => {
+    assert.equal(stripTrackingParameters('see https://example.com/post?id=7&utm_source=mail&fbclid=abc#comments.'),
+        'see https://example.com/post?id=7#comments.');
+    assert.equal(stripTrackingParameters('(https://example.com/a?gclid=1) and https://example.com/b?q=1'),
+        '(https://example.com/a) and https://example.com/b?q=1');
+    assert.equal(stripTrackingParameters('no links here'), 'no links here');
+
+    assert.equal(normalizeWhitespace('one  \r\ntwo\t\rthree\n\n\n'), 'one\ntwo\nthree');
+    assert.equal(removeSmartQuotes('“Don’t,” she said'), '"Don\'t," she said');
+});
+
+test('the pipeline runs a stage in order, per session, and skips transforms that fail', () => {
+    const pipeline = new ContentTransformPipeline();
+    pipeline.register({ id: 'shout', label: 'Shout', stage: TransformStage.BeforeSend, apply: text => text.toUpperCase() });
+    pipeline.register({ id: 'broken', label: 'Broken', stage: TransformStage.BeforeSend, apply: () => { throw new Error('bug'); } });
+
+    const sent = pipeline.run(TransformStage.BeforeSend, 'go to https://example.com/?utm_medium=x  ', 'work');
+    assert.equal(sent.content, 'GO TO HTTPS://EXAMPLE.COM/');
+    assert.deepEqual(sent.applied.map(transform => transform.id), ['strip-tracking', 'normalize-whitespace', 'shout']);
+
+    pipeline.setEnabled('work', 'shout', false);
+    assert.equal(pipeline.run(TransformStage.BeforeSend, 'quiet', 'work').content, 'quiet');
+    assert.equal(pipeline.run(TransformStage.BeforeSend, 'loud', 'home').content, 'LOUD');
+    assert.equal(pipeline.getTransforms('work').find(transform => transform.id === 'shout').enabled, false);
+
+    assert.equal(pipeline.run(TransformStage.AfterReceive, '‘quoted’', 'work').content, '‘quoted’');
+    pipeline.setEnabled('work', 'remove-smart-quotes', true);
+    assert.equal(pipeline.run(TransformStage.AfterReceive, '‘quoted’', 'work').content, '\'quoted\'');
+
+    assert.throws(() => pipeline.register({ id: 'x', stage: 'later', apply: text => text }), /Unknown transform stage/);
+});
+
+test('copies are transformed before they are sent and the change is reported', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesOnFakeTime(sessionId, ['Laptop', 'Phone']);
+    const transformed = laptop.record(laptop.clipboardManager, 'contentTransformed');
+
+    await laptop.copy('https://shop.example.com/item/42?utm_campaign=autumn&ref=home');
+    await settle();
+
+    assert.deepEqual(sentContents(), ['https://shop.example.com/item/42?ref=home']);
+    assert.equal(phone.clipboard.text, 'https://shop.example.com/item/42?ref=home');
+    assert.equal(laptop.clipboard.text, 'https://shop.example.com/item/42?utm_campaign=autumn&ref=home');
+    assert.deepEqual(transformed.map(event => [event.sessionId, event.stage, event.transforms.map(transform => transform.id)]),
+        [[sessionId, TransformStage.BeforeSend, ['strip-tracking']]]);
+
+    laptop.activate().clipboardManager.transforms.setEnabled(sessionId, 'strip-tracking', false);
+    await laptop.copy('https://shop.example.com/item/43?utm_campaign=autumn');
+    await settle();
+    assert.equal(phone.clipboard.text, 'https://shop.example.com/item/43?utm_campaign=autumn');
+});
+
+test('received content is transformed before it is written, and an expiring clip is still cleared', async () => {
+    const { sessionId } = server.createSession();
+    const transforms = new ContentTransformPipeline();
+    const [laptop, phone] = await devicesOnFakeTime(sessionId, ['Laptop', 'Phone'], { Phone: { transforms } });
+    transforms.register({ id: 'upper', label: 'Upper case', stage: TransformStage.AfterReceive, apply: text => text.toUpperCase() });
+
+    await laptop.clipboardManager.setClipboardContent('door code 1234  ', sessionId, { expiresIn: 30000 });
+    await settle();
+
+    assert.deepEqual(sentContents(), ['door code 1234']);
+    assert.equal(phone.clipboard.text, 'DOOR CODE 1234');
+    assert.equal(phone.clipboardManager.getSessionContent(sessionId).content, 'DOOR CODE 1234');
+
+    await timers.advance(30000);
+    assert.equal(laptop.clipboard.text, '');
+    assert.equal(phone.clipboard.text, '');
+});
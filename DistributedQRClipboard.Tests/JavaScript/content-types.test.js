@@ -0,0 +1,68 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { useSessionDevices, server, joinedDevices } from './fakes/session-devices.js';
+import { ContentType, classifyContent } from '../../DistributedQRClipboard.Api/wwwroot/js/content-types.js';
+import { createRichContent } from '../../DistributedQRClipboard.Api/wwwroot/js/rich-text.js';
+import { escapeHtml } from '../../DistributedQRClipboard.Api/wwwroot/js/utils.js';
+
+useSessionDevices();
+
+function detected(content) {
+    return classifyContent(content).map(({ type, value }) => [type, value]);
+}
+
+test('links, addresses, numbers and codes are recognised with the value their actions need', () => {
+    assert.deepEqual(detected('https://example.com/docs?page=2'), [[ContentType.Url, 'https://example.com/docs?page=2']]);
+    assert.deepEqual(detected('www.example.com'), [[ContentType.Url, 'https://www.example.com']]);
+    assert.deepEqual(detected('mailto:ana@example.org'), [[ContentType.Email, 'ana@example.org']]);
+    assert.deepEqual(detected('+44 20 7946 0958'), [[ContentType.Phone, '+442079460958']]);
+    assert.deepEqual(detected('Your verification code is 482 913. It expires in 10 minutes.'), [[ContentType.Otp, '482913']]);
+    assert.deepEqual(detected('739201'), [[ContentType.Otp, '739201']]);
+    assert.deepEqual(detected('#1E90FF'), [[ContentType.Color, '#1e90ff']]);
+    assert.deepEqual(detected('221B Baker Street\nLondon NW1 6XE'), [[ContentType.Address, '221B Baker Street, London NW1 6XE']]);
+    assert.deepEqual(detected('{"id":7,"tags":["a"]}'), [[ContentType.Json, '{\n  "id": 7,\n  "tags": [\n    "a"\n  ]\n}']]);
+    assert.deepEqual(detected(createRichContent('https://example.com', '<a href="https://example.com">example</a>')),
+        [[ContentType.Url, 'https://example.com']]);
+});
+
+test('code is told apart from prose, and ordinary text gets no type', () => {
+    const snippet = 'function add(a, b) {\n    return a + b;\n}';
+    assert.deepEqual(classifyContent(snippet).map(result => result.type), [ContentType.Code]);
+    assert.deepEqual(classifyContent('const total = items.length;').map(result => result.type), [ContentType.Code]);
+
+    for (const text of [
+        'Meet at the usual place for lunch',
+        'for example, we could try again tomorrow',
+        '2026-10-19',
+        'We met 3 times in 2024 and 4 times in 2025',
+        '[not json',
+        ''
+    ]) {
+        assert.deepEqual(classifyContent(text), [], text);
+    }
+});
+
+test('values from quote-bearing JSON cannot break out of an HTML attribute', () => {
+    const [json] = classifyContent('{"\\" onmouseover=alert(1) x=\\"":1}');
+    assert.equal(json.type, ContentType.Json);
+    assert.ok(json.value.includes('\\" onmouseover=alert(1) x=\\"'));
+
+    const escaped = escapeHtml(json.value);
+    assert.doesNotMatch(escaped, /["'<>]/);
+    assert.equal(escaped, '{\n  &quot;\\&quot; onmouseover=alert(1) x=\\&quot;&quot;: 1\n}');
+    assert.equal(escapeHtml('it\'s <b>&'), 'it&#39;s &lt;b&gt;&amp;');
+});
+
+test('received clips carry their detected content types', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+    const received = phone.record(phone.clipboardManager, 'remoteClipboardReceived');
+
+    await laptop.copy('Login code: 5521');
+    await settle();
+
+    assert.deepEqual(received.map(data => data.contentTypes.map(({ type, value }) => [type, value])),
+        [[[ContentType.Otp, '5521']]]);
+});
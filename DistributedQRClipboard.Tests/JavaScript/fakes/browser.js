@@ -0,0 +1,103 @@
+/**
+ * Minimal browser globals for running the wwwroot modules under Node
+ * Import this before any wwwroot module: utils.js and api.js read window, document,
+ * navigator and localStorage at import time.
+ */
+
+/**
+ * In-memory localStorage; each simulated device gets its own
+ */
+class FakeStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Make a storage the current localStorage (Storage in utils.js resolves it on every call)
+ */
+function useStorage(storage) {
+    globalThis.localStorage = storage;
+    return storage;
+}
+
+/**
+ * ClipboardItem as the async clipboard API builds it: a map of MIME type to Blob
+ */
+class FakeClipboardItem {
+    constructor(items) {
+        this.items = items;
+        this.types = Object.keys(items);
+    }
+
+    async getType(type) {
+        if (!(type in this.items)) {
+            throw new DOMException(`No ${type} in clipboard item`, 'NotFoundError');
+        }
+        return this.items[type];
+    }
+}
+
+function installBrowserGlobals() {
+    const window = new EventTarget();
+    Object.assign(window, {
+        location: { origin: 'http://localhost', href: 'http://localhost/' },
+        isSecureContext: true,
+        matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} })
+    });
+
+    const document = new EventTarget();
+    Object.assign(document, {
+        visibilityState: 'visible',
+        documentElement: { setAttribute() {}, getAttribute: () => null },
+        body: { style: {}, appendChild() {}, removeChild() {} },
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        hasFocus: () => true
+    });
+
+    globalThis.window = window;
+    globalThis.document = document;
+    useStorage(new FakeStorage());
+
+    // Node 20 has no navigator global; later versions define a read-only one
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { onLine: true, userAgent: 'node', clipboard: undefined },
+        configurable: true,
+        writable: true
+    });
+
+    globalThis.ClipboardItem = FakeClipboardItem;
+
+    // The client logs every step; keep test output readable unless DEBUG is set
+    if (!process.env.DEBUG) {
+        ['log', 'info', 'debug', 'warn', 'error'].forEach(level => {
+            console[level] = () => {};
+        });
+    }
+}
+
+installBrowserGlobals();
+
+export { FakeStorage, useStorage };
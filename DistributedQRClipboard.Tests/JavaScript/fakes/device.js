@@ -0,0 +1,127 @@
+/**
+ * A simulated device: its own storage, clipboard and client stack, connected to a FakeClipboardServer
+ */
+
+import { FakeStorage, useStorage } from './browser.js';
+import { FakeClipboard } from './fake-clipboard.js';
+import { ApiClient } from '../../../DistributedQRClipboard.Api/wwwroot/js/api.js';
+import { SignalRClient } from '../../../DistributedQRClipboard.Api/wwwroot/js/signalr-client.js';
+import { SignalRTransport } from '../../../DistributedQRClipboard.Api/wwwroot/js/transport.js';
+import { ClipboardManager } from '../../../DistributedQRClipboard.Api/wwwroot/js/clipboard.js';
+
+class FakeDevice {
+    /**
+     * @param {FakeClipboardServer} server - Server the device talks to (installed as the signalR/fetch globals)
+     * @param {string} name - Device name sent when joining sessions
+     * @param {Object} options - timers: FakeTimers for the connection lifecycle; signalR: extra SignalRClient options;
+     *                           createTransport(signalRClient, apiClient): transport for ClipboardManager;
+     *                           clipboard: clipboard fake (text-only FakeClipboard by default); imageCodec;
+     *                           fileTransfer: FileTransferManager options; now: physical clock for update stamps;
+     *                           history: ClipboardHistory; detector: SensitiveContentDetector;
+     *                           transforms: ContentTransformPipeline;
+     *                           monitor: ClipboardMonitor options;
+     *                           storage: FakeStorage to start from, e.g. another device's to simulate a reload
+     */
+    constructor(server, name, options = {}) {
+        this.server = server.install();
+        this.name = name;
+        this.storage = options.storage || new FakeStorage();
+        this.clipboard = options.clipboard || new FakeClipboard();
+        this.events = [];
+
+        this.activate();
+        this.apiClient = new ApiClient();
+        this.signalRClient = new SignalRClient(this.apiClient, {
+            timers: options.timers,
+            retryPolicy: { jitter: 0 },
+            ...options.signalR
+        });
+        this.transport = options.createTransport
+            ? options.createTransport(this.signalRClient, this.apiClient)
+            : new SignalRTransport(this.signalRClient);
+        this.clipboardManager = new ClipboardManager(this.apiClient, this.transport, {
+            clipboard: this.clipboard,
+            imageCodec: options.imageCodec,
+            fileTransfer: options.fileTransfer,
+            now: options.now,
+            history: options.history,
+            detector: options.detector,
+            transforms: options.transforms,
+            timers: options.timers,
+            monitor: options.monitor
+        });
+    }
+
+    /**
+     * Make this device's storage the current localStorage, as if its tab were running
+     */
+    activate() {
+        useStorage(this.storage);
+        return this;
+    }
+
+    get deviceId() {
+        return this.signalRClient.getDeviceId();
+    }
+
+    get connection() {
+        return this.signalRClient.connection;
+    }
+
+    /**
+     * Record every occurrence of an event on an emitter for later assertions
+     * @returns {Array} Payloads received so far (live)
+     */
+    record(emitter, eventName) {
+        const received = [];
+        emitter.on(eventName, (payload) => received.push(payload));
+        return received;
+    }
+
+    async connect() {
+        this.activate();
+        await this.transport.start();
+        return this;
+    }
+
+    async join(sessionId) {
+        this.activate();
+        await this.transport.joinSession(sessionId, this.name);
+        return this;
+    }
+
+    /**
+     * Simulate the user copying text and the monitor noticing it
+     */
+    async copy(text) {
+        this.activate();
+        this.clipboard.copy(text);
+        await this.clipboardManager.checkLocalClipboard();
+    }
+
+    /**
+     * Simulate the user copying formatted text and the monitor noticing it
+     */
+    async copyRich(text, html) {
+        this.activate();
+        this.clipboard.copyRich(text, html);
+        await this.clipboardManager.checkLocalClipboard();
+    }
+
+    /**
+     * Simulate the user copying an image and the monitor noticing it
+     */
+    async copyImage(blob) {
+        this.activate();
+        this.clipboard.copyImage(blob);
+        await this.clipboardManager.checkLocalClipboard();
+    }
+
+    async dispose() {
+        this.activate();
+        this.clipboardManager.stopMonitoring();
+        await this.transport.stop();
+    }
+}
+
+export { FakeDevice };
@@ -0,0 +1,123 @@
+/**
+ * In-memory stand-in for navigator.clipboard
+ * Records every write and can deny permission the way browsers do for unfocused tabs.
+ * FakeClipboard is text-only; FakeItemClipboard adds read()/write() with ClipboardItem
+ * for images and formatted text.
+ */
+
+class FakeClipboard {
+    constructor(text = '') {
+        this.text = text;
+        this.writes = [];
+        this.readCount = 0;
+        this.permission = 'granted';
+    }
+
+    async readText() {
+        this.assertAllowed('read');
+        this.readCount++;
+        return this.text;
+    }
+
+    async writeText(text) {
+        this.assertAllowed('write');
+        this.text = text;
+        this.writes.push(text);
+    }
+
+    /**
+     * Simulate the user copying something on this device
+     */
+    copy(text) {
+        this.text = text;
+    }
+
+    /**
+     * @param {string} permission - 'granted' or 'denied'
+     */
+    setPermission(permission) {
+        this.permission = permission;
+    }
+
+    assertAllowed(operation) {
+        if (this.permission === 'denied') {
+            const error = new Error(`Clipboard ${operation} denied`);
+            error.name = 'NotAllowedError';
+            throw error;
+        }
+    }
+}
+
+class FakeItemClipboard extends FakeClipboard {
+    /**
+     * @param {Object} options - reencode(blob): how the system stores written images, e.g. converted to PNG;
+     *                           rewriteHtml(html): how it stores written HTML, e.g. with a charset meta
+     */
+    constructor(options = {}) {
+        super();
+        this.image = null;
+        this.html = null;
+        this.reencode = options.reencode || (blob => blob);
+        this.rewriteHtml = options.rewriteHtml || (html => html);
+    }
+
+    async read() {
+        this.assertAllowed('read');
+        this.readCount++;
+        if (this.image) {
+            return [new ClipboardItem({ [this.image.type]: this.image })];
+        }
+
+        const items = { 'text/plain': new Blob([this.text], { type: 'text/plain' }) };
+        if (this.html !== null) {
+            items['text/html'] = new Blob([this.html], { type: 'text/html' });
+        }
+        return [new ClipboardItem(items)];
+    }
+
+    async write(items) {
+        this.assertAllowed('write');
+        const [item] = items;
+        const imageType = item.types.find(type => type.startsWith('image/'));
+        if (imageType) {
+            this.copyImage(await this.reencode(await item.getType(imageType)));
+            this.writes.push(this.image);
+            return;
+        }
+
+        const text = item.types.includes('text/plain') ? await (await item.getType('text/plain')).text() : '';
+        const html = item.types.includes('text/html') ? this.rewriteHtml(await (await item.getType('text/html')).text()) : null;
+        this.copyRich(text, html);
+        this.writes.push(html === null ? text : { text, html });
+    }
+
+    async writeText(text) {
+        await super.writeText(text);
+        this.image = null;
+        this.html = null;
+    }
+
+    copy(text) {
+        this.copyRich(text, null);
+    }
+
+    /**
+     * Simulate the user copying formatted text on this device
+     */
+    copyRich(text, html) {
+        super.copy(text);
+        this.image = null;
+        this.html = html;
+    }
+
+    /**
+     * Simulate the user copying an image on this device
+     */
+    copyImage(blob) {
+        super.copy('');
+        this.image = blob;
+        this.html = null;
+    }
+}
+
+export { FakeClipboard, FakeItemClipboard };
@@ -0,0 +1,94 @@
+/**
+ * Fake of the html5-qrcode library used by QRScanner
+ * Tests choose the cameras and start errors, then feed decoded text to the running scanner.
+ */
+
+const Html5QrcodeSupportedFormats = Object.freeze({ QR_CODE: 0 });
+
+class FakeHtml5Qrcode {
+    static cameras = [{ id: 'front', label: 'Front Camera' }, { id: 'back', label: 'Back Camera' }];
+    static cameraError = null;
+    static startError = null;
+    static instances = [];
+
+    static async getCameras() {
+        if (FakeHtml5Qrcode.cameraError) {
+            throw FakeHtml5Qrcode.cameraError;
+        }
+        return FakeHtml5Qrcode.cameras.map(camera => ({ ...camera }));
+    }
+
+    /**
+     * Restore the default cameras and forget previous instances
+     */
+    static reset() {
+        FakeHtml5Qrcode.cameras = [{ id: 'front', label: 'Front Camera' }, { id: 'back', label: 'Back Camera' }];
+        FakeHtml5Qrcode.cameraError = null;
+        FakeHtml5Qrcode.startError = null;
+        FakeHtml5Qrcode.instances = [];
+    }
+
+    constructor(elementId) {
+        this.elementId = elementId;
+        this.isRunning = false;
+        this.cameraId = null;
+        this.config = null;
+        this.onSuccess = null;
+        this.onFailure = null;
+        this.constraints = [];
+        this.cleared = false;
+        FakeHtml5Qrcode.instances.push(this);
+    }
+
+    async start(cameraId, config, onSuccess, onFailure) {
+        if (FakeHtml5Qrcode.startError) {
+            throw FakeHtml5Qrcode.startError;
+        }
+
+        Object.assign(this, { cameraId, config, onSuccess, onFailure, isRunning: true });
+    }
+
+    async stop() {
+        if (!this.isRunning) {
+            throw new Error('Cannot stop, scanner is not running or paused.');
+        }
+        this.isRunning = false;
+    }
+
+    async clear() {
+        this.cleared = true;
+    }
+
+    async getRunningTrackCapabilities() {
+        return { zoom: { min: 1, max: 4, step: 0.1 } };
+    }
+
+    async applyVideoConstraints(constraints) {
+        this.constraints.push(constraints);
+    }
+
+    /**
+     * Simulate the camera decoding a QR code
+     */
+    scan(decodedText) {
+        if (!this.isRunning) {
+            throw new Error('Scanner is not running');
+        }
+        this.onSuccess(decodedText, { decodedText, result: { format: { formatName: 'QR_CODE' } } });
+    }
+
+    /**
+     * Simulate a frame without a QR code
+     */
+    miss(message = 'No QR code found') {
+        this.onFailure(message);
+    }
+}
+
+function installHtml5Qrcode() {
+    FakeHtml5Qrcode.reset();
+    globalThis.Html5Qrcode = FakeHtml5Qrcode;
+    globalThis.Html5QrcodeSupportedFormats = Html5QrcodeSupportedFormats;
+}
+
+export { FakeHtml5Qrcode, installHtml5Qrcode };
@@ -0,0 +1,40 @@
+/**
+ * Image codec for clipboard-image.js without a canvas
+ * A fake image is a Blob whose text starts with "<width>x<height>;" followed by filler, so tests
+ * control how large each encoding is: PNG takes pngBytesPerPixel, JPEG scales with quality.
+ */
+
+class FakeImageCodec {
+    /**
+     * @param {Object} options - pngBytesPerPixel, jpegBytesPerPixel (at quality 1)
+     */
+    constructor(options = {}) {
+        this.pngBytesPerPixel = options.pngBytesPerPixel ?? 1;
+        this.jpegBytesPerPixel = options.jpegBytesPerPixel ?? 0.5;
+        this.encodings = [];
+    }
+
+    /**
+     * Build a fake image blob of a given size and type
+     */
+    static image(width, height, type = 'image/png', byteLength = width * height) {
+        const header = `${width}x${height};`;
+        return new Blob([header, '.'.repeat(Math.max(0, byteLength - header.length))], { type });
+    }
+
+    async decode(blob) {
+        const match = (await blob.text()).match(/^(\d+)x(\d+);/);
+        if (!match) {
+            throw new Error('Not a fake image');
+        }
+        return { width: Number(match[1]), height: Number(match[2]), close() {} };
+    }
+
+    async encode(bitmap, width, height, type, quality = 1) {
+        this.encodings.push({ width, height, type, quality });
+        const bytesPerPixel = type === 'image/jpeg' ? this.jpegBytesPerPixel * quality : this.pngBytesPerPixel;
+        return FakeImageCodec.image(width, height, type, Math.ceil(width * height * bytesPerPixel));
+    }
+}
+
+export { FakeImageCodec };
@@ -0,0 +1,775 @@
+/**
+ * In-memory Distributed QR Clipboard server
+ * Serves both the SignalR hub (through a fake `signalR` global) and the REST API (through a
+ * fake `fetch`) from one shared session store, so several simulated devices can talk to each
+ * other over either transport. Behaviour mirrors Hubs/ClipboardHub.cs and the Core services,
+ * including their quirks:
+ * - A clipboard update reaches the other devices twice when sent through the hub: once from
+ *   ClipboardManager's notification service (whole group) and once from the hub (group except caller)
+ * - On join, the current content is sent back to the joining connection attributed to the joining device
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+
+const HubConnectionState = Object.freeze({
+    Disconnected: 'Disconnected',
+    Connecting: 'Connecting',
+    Connected: 'Connected',
+    Disconnecting: 'Disconnecting',
+    Reconnecting: 'Reconnecting'
+});
+
+// Enum values as serialized by the server (Core/Models)
+const DeviceLeaveReason = Object.freeze({ Disconnect: 0, Timeout: 1, SessionExpired: 2, ConnectionError: 3, ServerShutdown: 4 });
+const SessionEndReason = Object.freeze({ Expired: 0, AllDevicesLeft: 1, ExplicitClose: 2, ServerShutdown: 3, ResourceLimitExceeded: 4 });
+
+const GUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Payloads cross the wire as JSON
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+const timestamp = () => new Date().toISOString();
+
+/**
+ * Client end of a hub connection, as returned by HubConnectionBuilder.build()
+ */
+class FakeHubConnection {
+    constructor(server, url, options) {
+        this.server = server;
+        this.url = url;
+        this.options = options;
+        this.state = HubConnectionState.Disconnected;
+        this.connectionId = null;
+        this.handlers = new Map(); // event name -> [handler]
+        this.closeCallbacks = [];
+        this.items = { deviceId: null, deviceName: null, sessionIds: new Set() }; // Context.Items on the server
+    }
+
+    on(eventName, handler) {
+        const handlers = this.handlers.get(eventName) || [];
+        handlers.push(handler);
+        this.handlers.set(eventName, handlers);
+    }
+
+    off(eventName, handler) {
+        const handlers = this.handlers.get(eventName) || [];
+        this.handlers.set(eventName, handler ? handlers.filter(h => h !== handler) : []);
+    }
+
+    onclose(callback) {
+        this.closeCallbacks.push(callback);
+    }
+
+    async start() {
+        if (this.state !== HubConnectionState.Disconnected) {
+            throw new Error("Cannot start a HubConnection that is not in the 'Disconnected' state.");
+        }
+
+        this.state = HubConnectionState.Connecting;
+        await null;
+
+        if (!this.server.hubAvailable) {
+            this.state = HubConnectionState.Disconnected;
+            throw new Error('Failed to complete negotiation with the server: Error: Service Unavailable');
+        }
+
+        this.connectionId = randomUUID();
+        this.state = HubConnectionState.Connected;
+        this.server.connections.add(this);
+    }
+
+    async stop() {
+        if (this.state === HubConnectionState.Disconnected) {
+            return;
+        }
+
+        this.state = HubConnectionState.Disconnecting;
+        this.server.disconnect(this);
+        this.close(undefined);
+    }
+
+    async invoke(methodName, ...args) {
+        if (this.state !== HubConnectionState.Connected) {
+            throw new Error("Cannot send data if the connection is not in the 'Connected' State.");
+        }
+
+        const result = await this.server.invoke(this, methodName, clone(args));
+        if (this.state !== HubConnectionState.Connected) {
+            throw new Error('Invocation canceled due to the underlying connection being closed.');
+        }
+        return clone(result);
+    }
+
+    /**
+     * Deliver a server event; runs after the current task like a real socket message
+     */
+    receive(eventName, payload) {
+        const message = clone(payload);
+        Promise.resolve().then(() => {
+            if (this.state !== HubConnectionState.Connected) {
+                return;
+            }
+            (this.handlers.get(eventName) || []).forEach(handler => handler(message));
+        });
+    }
+
+    close(error) {
+        this.state = HubConnectionState.Disconnected;
+        this.connectionId = null;
+        this.items.sessionIds.clear();
+        this.closeCallbacks.forEach(callback => callback(error));
+    }
+}
+
+class FakeHubConnectionBuilder {
+    constructor(server) {
+        this.server = server;
+        this.url = null;
+        this.options = {};
+    }
+
+    withUrl(url, options = {}) {
+        this.url = url;
+        this.options = options;
+        return this;
+    }
+
+    configureLogging() {
+        return this;
+    }
+
+    withAutomaticReconnect() {
+        return this;
+    }
+
+    build() {
+        const connection = new FakeHubConnection(this.server, this.url, this.options);
+        this.server.builtConnections.push(connection);
+        return connection;
+    }
+}
+
+class FakeClipboardServer {
+    /**
+     * @param {Object} options - maxContentLength (characters), historyLimit, sessionLifetimeMs
+     */
+    constructor(options = {}) {
+        this.maxContentLength = options.maxContentLength ?? 10240;
+        this.historyLimit = options.historyLimit ?? 50;
+        this.sessionLifetimeMs = options.sessionLifetimeMs ?? 24 * 60 * 60 * 1000;
+
+        this.sessions = new Map(); // sessionId -> session state
+        this.connections = new Set(); // open hub connections
+        this.builtConnections = [];
+        this.hubAvailable = true;
+        this.restAvailable = true;
+        this.invocations = []; // { connection, method, args }
+        this.requests = []; // { method, path, status }
+        this.invocationFailures = new Map(); // method -> [error]
+
+        const server = this;
+        this.signalR = {
+            HubConnectionBuilder: class extends FakeHubConnectionBuilder {
+                constructor() {
+                    super(server);
+                }
+            },
+            HubConnectionState,
+            HttpTransportType: Object.freeze({ None: 0, WebSockets: 1, ServerSentEvents: 2, LongPolling: 4 }),
+            LogLevel: Object.freeze({ Trace: 0, Debug: 1, Information: 2, Warning: 3, Error: 4, Critical: 5, None: 6 })
+        };
+        this.fetch = this.fetch.bind(this);
+    }
+
+    /**
+     * Point the `signalR` and `fetch` globals at this server
+     */
+    install() {
+        globalThis.signalR = this.signalR;
+        globalThis.fetch = this.fetch;
+        return this;
+    }
+
+    // ---- Test controls ----
+
+    /**
+     * Create a session as POST /api/sessions would
+     * @returns {Object} SessionInfo
+     */
+    createSession() {
+        const now = new Date();
+        const session = {
+            sessionId: randomUUID(),
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.sessionLifetimeMs).toISOString(),
+            lastActivity: now.toISOString(),
+            devices: new Map(), // deviceId -> DeviceInfo
+            content: null,
+            history: [], // ClipboardContent, newest first
+            targets: new WeakMap() // ClipboardContent -> IDs of the only devices it was sent to
+        };
+        this.sessions.set(session.sessionId, session);
+        return this.getSessionInfo(session);
+    }
+
+    /**
+     * End a session and tell its devices with SessionEnded
+     */
+    expireSession(sessionId, reason = 'Expired') {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return;
+        }
+
+        const group = this.group(sessionId);
+        this.sessions.delete(sessionId);
+        group.forEach(connection => {
+            connection.items.sessionIds.delete(sessionId);
+            connection.receive('SessionEnded', {
+                eventId: randomUUID(),
+                timestamp: timestamp(),
+                sessionId,
+                correlationId: randomUUID(),
+                reason: SessionEndReason[reason],
+                finalDeviceCount: session.devices.size
+            });
+        });
+    }
+
+    /**
+     * Drop a connection from the server side (network blip, server restart)
+     */
+    dropConnection(connection, error = new Error('WebSocket closed with status code: 1006 (no reason given).')) {
+        if (connection.state === HubConnectionState.Disconnected) {
+            return;
+        }
+
+        this.disconnect(connection);
+        connection.close(error);
+    }
+
+    /**
+     * Refuse hub connections and drop open ones; REST keeps working (e.g. a proxy blocking WebSockets)
+     */
+    blockHub() {
+        this.hubAvailable = false;
+        Array.from(this.connections).forEach(connection => this.dropConnection(connection));
+    }
+
+    unblockHub() {
+        this.hubAvailable = true;
+    }
+
+    /**
+     * Take the whole server off the network
+     */
+    goOffline() {
+        this.restAvailable = false;
+        this.blockHub();
+    }
+
+    goOnline() {
+        this.restAvailable = true;
+        this.unblockHub();
+    }
+
+    /**
+     * Make the next invocation of a hub method fail in transit
+     */
+    failNextInvocation(methodName, error = new Error('Invocation failed: connection reset')) {
+        const failures = this.invocationFailures.get(methodName) || [];
+        failures.push(error);
+        this.invocationFailures.set(methodName, failures);
+    }
+
+    getSession(sessionId) {
+        return this.sessions.get(sessionId) || null;
+    }
+
+    getContent(sessionId) {
+        return this.sessions.get(sessionId)?.content?.content ?? null;
+    }
+
+    // ---- Hub ----
+
+    async invoke(connection, methodName, args) {
+        this.invocations.push({ connection, method: methodName, args });
+        await null;
+
+        const failures = this.invocationFailures.get(methodName);
+        if (failures?.length) {
+            throw failures.shift();
+        }
+
+        const method = this.hubMethods[methodName];
+        if (!method) {
+            throw new Error(`Failed to invoke '${methodName}' due to an error on the server. HubException: Method does not exist.`);
+        }
+        return method.call(this, connection, ...args);
+    }
+
+    hubMethods = {
+        JoinSessionAsync(connection, sessionId, deviceId, deviceName) {
+            if (!GUID_REGEX.test(sessionId)) {
+                return { success: false, message: 'Invalid session ID format' };
+            }
+            if (!GUID_REGEX.test(deviceId)) {
+                return { success: false, message: 'Invalid device ID format' };
+            }
+
+            const session = this.sessions.get(sessionId);
+            if (!session) {
+                return { success: false, message: 'Session not found or expired', errorCode: 'SESSION_NOT_FOUND' };
+            }
+
+            const device = this.addDevice(session, deviceId, deviceName);
+            connection.items.sessionIds.add(sessionId);
+            connection.items.deviceId = deviceId;
+            connection.items.deviceName = deviceName;
+
+            const content = this.contentFor(session, deviceId);
+            if (content) {
+                connection.receive('ClipboardUpdated', this.clipboardUpdatedEvent(sessionId, content, deviceId));
+            }
+
+            this.sendToGroup(sessionId, 'DeviceJoined', {
+                eventId: randomUUID(),
+                timestamp: timestamp(),
+                sessionId,
+                correlationId: randomUUID(),
+                device,
+                totalDeviceCount: session.devices.size
+            });
+            this.sendToGroup(sessionId, 'DeviceCountUpdated', { sessionId, deviceCount: session.devices.size });
+
+            return {
+                success: true,
+                message: 'Successfully joined session',
+                sessionInfo: this.getSessionInfo(session),
+                devices: Array.from(session.devices.values())
+            };
+        },
+
+        LeaveSessionAsync(connection, sessionId, deviceId) {
+            if (!GUID_REGEX.test(sessionId)) {
+                return { success: false, message: 'Invalid session ID format' };
+            }
+
+            const session = this.sessions.get(sessionId);
+            if (!session) {
+                return { success: false, message: 'An error occurred while leaving the session' };
+            }
+
+            connection.items.sessionIds.delete(sessionId);
+            this.removeDevice(session, deviceId, connection.items.deviceName);
+            return { success: true, message: 'Successfully left session' };
+        },
+
+        BroadcastClipboardUpdateAsync(connection, sessionId, content, deviceId, targetDeviceIds = []) {
+            const result = this.copyToClipboard(sessionId, content, deviceId, targetDeviceIds);
+            if (!result.success) {
+                return { success: false, message: result.errorMessage };
+            }
+
+            const event = this.clipboardUpdatedEvent(sessionId, result.clipboardContent, deviceId);
+            if (targetDeviceIds.length > 0) {
+                this.sendToDevices(sessionId, targetDeviceIds, 'ClipboardUpdated', event);
+            } else {
+                this.sendToGroup(sessionId, 'ClipboardUpdated', event, connection);
+            }
+            return { success: true, message: 'Clipboard updated successfully', clipboardContent: result.clipboardContent };
+        },
+
+        BroadcastClipboardClearAsync(connection, sessionId, deviceId, targetDeviceIds = []) {
+            const session = this.sessions.get(sessionId);
+            const device = session?.devices.get(deviceId);
+            if (!device) {
+                return { success: false, message: 'Failed to clear clipboard' };
+            }
+
+            this.clearClipboard(session, device, connection, targetDeviceIds);
+            return { success: true, message: 'Clipboard cleared successfully' };
+        },
+
+        GetClipboardContentAsync(connection, sessionId, deviceId) {
+            const session = this.sessions.get(sessionId);
+            if (!session) {
+                return { success: false, message: 'Session not found or expired' };
+            }
+            if (!session.devices.has(deviceId)) {
+                return { success: false, message: 'Device is not part of this session' };
+            }
+
+            return { success: true, message: null, clipboardContent: this.contentFor(session, deviceId) };
+        },
+
+        PingAsync() {
+            return { serverTime: timestamp() };
+        },
+
+        RelayFileTransferAsync(connection, sessionId, deviceId, message) {
+            if (!this.isDeviceInSession(connection, sessionId, deviceId)) {
+                return { success: false, message: 'Not joined to this session' };
+            }
+
+            this.sendToGroup(sessionId, 'FileTransferMessage', {
+                sessionId,
+                deviceId,
+                deviceName: connection.items.deviceName,
+                message,
+                timestamp: timestamp()
+            }, connection);
+            return { success: true, message: 'File transfer message relayed' };
+        },
+
+        AnnounceSyncPolicyAsync(connection, sessionId, deviceId, syncPolicy) {
+            if (!this.isDeviceInSession(connection, sessionId, deviceId)) {
+                return { success: false, message: 'Not joined to this session' };
+            }
+
+            this.sendToGroup(sessionId, 'DeviceSyncPolicyChanged', {
+                sessionId,
+                deviceId,
+                deviceName: connection.items.deviceName,
+                syncPolicy,
+                timestamp: timestamp()
+            }, connection);
+            return { success: true, message: 'Sync policy announced' };
+        },
+
+        AcknowledgeClipboardUpdateAsync(connection, sessionId, deviceId, messageId) {
+            if (!this.isDeviceInSession(connection, sessionId, deviceId)) {
+                return { success: false, message: 'Not joined to this session' };
+            }
+
+            this.sendToGroup(sessionId, 'ClipboardUpdateDelivered', {
+                sessionId,
+                deviceId,
+                deviceName: connection.items.deviceName,
+                messageId,
+                timestamp: timestamp()
+            }, connection);
+            return { success: true, message: 'Delivery acknowledged' };
+        }
+    };
+
+    /**
+     * OnDisconnectedAsync: leave every session the connection had joined
+     */
+    disconnect(connection) {
+        this.connections.delete(connection);
+        const { deviceId, deviceName, sessionIds } = connection.items;
+
+        Array.from(sessionIds).forEach(sessionId => {
+            const session = this.sessions.get(sessionId);
+            sessionIds.delete(sessionId);
+            if (session) {
+                this.removeDevice(session, deviceId, deviceName);
+            }
+        });
+    }
+
+    /**
+     * EnsureDeviceInSessionAsync: the connection joined the session as this device and the session still lists it
+     */
+    isDeviceInSession(connection, sessionId, deviceId) {
+        return connection.items.sessionIds.has(sessionId)
+            && connection.items.deviceId === deviceId
+            && Boolean(this.sessions.get(sessionId)?.devices.has(deviceId));
+    }
+
+    group(sessionId) {
+        return Array.from(this.connections).filter(connection => connection.items.sessionIds.has(sessionId));
+    }
+
+    sendToGroup(sessionId, eventName, payload, exceptConnection = null) {
+        this.group(sessionId)
+            .filter(connection => connection !== exceptConnection)
+            .forEach(connection => connection.receive(eventName, payload));
+    }
+
+    // Clients.Groups of the devices' own groups in a session
+    sendToDevices(sessionId, deviceIds, eventName, payload) {
+        this.group(sessionId)
+            .filter(connection => deviceIds.includes(connection.items.deviceId))
+            .forEach(connection => connection.receive(eventName, payload));
+    }
+
+    /**
+     * ClipboardHistoryEntry.IsVisibleTo: content sent to chosen devices is read only by them and its sender
+     */
+    isVisibleTo(session, content, deviceId) {
+        const targets = session.targets.get(content) || [];
+        return targets.length === 0 || content.deviceId === deviceId || targets.includes(deviceId);
+    }
+
+    /**
+     * ClipboardData.GetContentFor: the current content, or none when it was sent to other devices only
+     */
+    contentFor(session, deviceId) {
+        return session.content && this.isVisibleTo(session, session.content, deviceId) ? session.content : null;
+    }
+
+    clipboardUpdatedEvent(sessionId, content, deviceId, previousContentHash = null) {
+        return {
+            eventId: randomUUID(),
+            timestamp: timestamp(),
+            sessionId,
+            correlationId: randomUUID(),
+            content,
+            updatedByDeviceId: deviceId,
+            previousContentHash
+        };
+    }
+
+    // ---- Core services shared by hub and REST ----
+
+    getSessionInfo(session) {
+        return {
+            sessionId: session.sessionId,
+            createdAt: session.createdAt,
+            expiresAt: session.expiresAt,
+            deviceCount: session.devices.size,
+            lastActivity: session.lastActivity,
+            isActive: true
+        };
+    }
+
+    addDevice(session, deviceId, deviceName) {
+        const now = timestamp();
+        const device = { deviceId, deviceName: deviceName ?? null, joinedAt: session.devices.get(deviceId)?.joinedAt || now, lastSeen: now };
+        session.devices.set(deviceId, device);
+        session.lastActivity = now;
+        return device;
+    }
+
+    removeDevice(session, deviceId, deviceName = null) {
+        if (!session.devices.delete(deviceId)) {
+            return;
+        }
+
+        const { sessionId } = session;
+        this.sendToGroup(sessionId, 'DeviceLeft', {
+            eventId: randomUUID(),
+            timestamp: timestamp(),
+            sessionId,
+            correlationId: randomUUID(),
+            deviceId,
+            deviceName,
+            totalDeviceCount: session.devices.size,
+            reason: DeviceLeaveReason.Disconnect
+        });
+        this.sendToGroup(sessionId, 'DeviceCountUpdated', { sessionId, deviceCount: session.devices.size });
+    }
+
+    /**
+     * ClipboardManager.CopyToClipboardAsync, including its notification to the whole group unless the update
+     * is for chosen devices
+     * @returns {Object} CopyToClipboardResponse
+     */
+    copyToClipboard(sessionId, content, deviceId, targetDeviceIds = []) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return { success: false, errorMessage: 'Session not found or expired', status: 404 };
+        }
+        if (!session.devices.has(deviceId)) {
+            return { success: false, errorMessage: 'Device not found in session', status: 400 };
+        }
+        if (typeof content !== 'string' || content.length === 0) {
+            return { success: false, errorMessage: 'Content cannot be empty', status: 400 };
+        }
+        if (content.length > this.maxContentLength) {
+            return {
+                success: false,
+                errorMessage: `Content length (${content.length} characters) exceeds maximum allowed (${this.maxContentLength} characters)`,
+                status: 400
+            };
+        }
+
+        const previousContentHash = session.content?.contentHash ?? null;
+        const clipboardContent = {
+            content,
+            createdAt: timestamp(),
+            deviceId,
+            contentHash: createHash('sha256').update(content, 'utf8').digest('base64')
+        };
+
+        session.content = clipboardContent;
+        session.targets.set(clipboardContent, targetDeviceIds);
+        session.history.unshift(clipboardContent);
+        session.history = session.history.slice(0, this.historyLimit);
+        session.lastActivity = clipboardContent.createdAt;
+        session.devices.get(deviceId).lastSeen = clipboardContent.createdAt;
+
+        if (targetDeviceIds.length === 0) {
+            this.sendToGroup(sessionId, 'ClipboardUpdated', this.clipboardUpdatedEvent(sessionId, clipboardContent, deviceId, previousContentHash));
+        }
+        return { success: true, clipboardContent };
+    }
+
+    clearClipboard(session, clearedBy, exceptConnection = null, targetDeviceIds = []) {
+        session.content = null;
+        session.lastActivity = timestamp();
+
+        const payload = { sessionId: session.sessionId, clearedBy, timestamp: timestamp() };
+        if (targetDeviceIds.length > 0) {
+            this.sendToDevices(session.sessionId, targetDeviceIds, 'ClipboardCleared', payload);
+            return;
+        }
+        this.sendToGroup(session.sessionId, 'ClipboardCleared', payload);
+        if (exceptConnection) {
+            this.sendToGroup(session.sessionId, 'ClipboardCleared', payload, exceptConnection);
+        }
+    }
+
+    getStatistics(session) {
+        const counts = new Map();
+        session.history.forEach(entry => counts.set(entry.deviceId, (counts.get(entry.deviceId) || 0) + 1));
+        const [mostActiveId] = Array.from(counts).sort((a, b) => b[1] - a[1])[0] || [];
+        const totalContentSize = session.history.reduce((sum, entry) => sum + Buffer.byteLength(entry.content), 0);
+
+        return {
+            sessionId: session.sessionId,
+            totalCopyOperations: session.history.length,
+            totalContentSize,
+            lastUpdatedAt: session.content?.createdAt ?? null,
+            lastUpdatedBy: session.content ? session.devices.get(session.content.deviceId) ?? null : null,
+            mostActiveDevice: mostActiveId ? session.devices.get(mostActiveId) ?? null : null,
+            averageContentSize: session.history.length ? totalContentSize / session.history.length : 0
+        };
+    }
+
+    // ---- REST ----
+
+    /**
+     * fetch() replacement routing /api/sessions requests to the session store
+     */
+    async fetch(input, init = {}) {
+        const url = new URL(String(input), 'http://localhost');
+        const method = (init.method || 'GET').toUpperCase();
+        const request = { method, path: url.pathname + url.search, status: null };
+        this.requests.push(request);
+        await null;
+
+        if (!this.restAvailable) {
+            throw new TypeError('Failed to fetch');
+        }
+
+        const response = this.route(url, method, init);
+        request.status = response.status;
+        return response;
+    }
+
+    route(url, method, init) {
+        const body = init.body ? JSON.parse(init.body) : null;
+        const match = url.pathname.match(/^\/api\/sessions(?:\/([^/]+))?(\/.*)?$/);
+        if (!match) {
+            return this.problem(404, 'Not Found', `No route for ${url.pathname}`);
+        }
+
+        const [, sessionId, rest = ''] = match;
+        if (!sessionId) {
+            return method === 'POST' ? this.createSessionResponse() : this.problem(405, 'Method Not Allowed');
+        }
+
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return this.problem(404, 'Session Not Found', `Session with ID ${sessionId} was not found or has expired.`);
+        }
+
+        const route = `${method} ${rest.replace(/\/$/, '')}`;
+        const deviceId = url.searchParams.get('deviceId');
+
+        switch (route) {
+            case 'GET ':
+                return this.json(200, this.getSessionInfo(session));
+
+            case 'GET /qr-code':
+                return this.json(200, Buffer.from(`QR:${sessionId}`).toString('base64'));
+
+            case 'POST /join': {
+                const joiningId = body?.deviceId || randomUUID();
+                this.addDevice(session, joiningId, body?.deviceName);
+                return this.json(200, { sessionInfo: this.getSessionInfo(session), success: true, errorMessage: null });
+            }
+
+            case 'DELETE /leave':
+                if (deviceId) {
+                    this.removeDevice(session, deviceId, session.devices.get(deviceId)?.deviceName);
+                }
+                return this.json(200, { message: 'Successfully left the session', success: true });
+
+            case 'POST /clipboard': {
+                const result = this.copyToClipboard(sessionId, body?.content, body?.deviceId);
+                if (!result.success) {
+                    return this.problem(result.status, 'Copy Failed', result.errorMessage);
+                }
+                return this.json(200, { clipboardContent: result.clipboardContent, success: true, errorMessage: null });
+            }
+
+            case 'GET /clipboard': {
+                // The content hash is the ETag, as in ClipboardEndpoints.GetClipboardAsync
+                const content = this.contentFor(session, deviceId);
+                if (!content) {
+                    return this.json(200, { clipboardContent: null, success: true, errorMessage: 'No content available' });
+                }
+                const etag = `"${content.contentHash}"`;
+                if (new Headers(init.headers).get('If-None-Match') === etag) {
+                    return new Response(null, { status: 304, headers: { etag } });
+                }
+                return this.json(200, { clipboardContent: content, success: true, errorMessage: null }, { etag });
+            }
+
+            case 'DELETE /clipboard': {
+                // ClipboardManager refuses clears from devices outside the session
+                const clearedBy = session.devices.get(deviceId);
+                if (!clearedBy) {
+                    return this.problem(400, 'Clear Failed', 'Failed to clear clipboard content.');
+                }
+                this.clearClipboard(session, clearedBy);
+                return this.json(200, { message: 'Clipboard cleared successfully', success: true });
+            }
+
+            case 'GET /clipboard/history': {
+                const limit = Math.max(1, Math.min(Number(url.searchParams.get('limit') || 10), 100));
+                const history = session.history
+                    .filter(content => this.isVisibleTo(session, content, deviceId))
+                    .slice(0, limit)
+                    .map((content, index) => ({ id: randomUUID(), content, index }));
+                return this.json(200, { history, success: true, errorMessage: null });
+            }
+
+            case 'GET /clipboard/stats':
+                return this.json(200, this.getStatistics(session));
+
+            default:
+                return this.problem(404, 'Not Found', `No route for ${method} ${url.pathname}`);
+        }
+    }
+
+    createSessionResponse() {
+        const sessionInfo = this.createSession();
+        return this.json(201, {
+            sessionInfo,
+            qrCodeUrl: `http://localhost/?session=${sessionInfo.sessionId}`,
+            qrCodeBase64: Buffer.from(`QR:${sessionInfo.sessionId}`).toString('base64'),
+            success: true,
+            errorMessage: null
+        });
+    }
+
+    json(status, value, headers = {}) {
+        return new Response(JSON.stringify(value), {
+            status,
+            headers: { 'content-type': 'application/json; charset=utf-8', ...headers }
+        });
+    }
+
+    problem(status, title, detail = null) {
+        return new Response(JSON.stringify({ type: null, title, status, detail }), {
+            status,
+            headers: { 'content-type': 'application/problem+json' }
+        });
+    }
+}
+
+export { FakeClipboardServer, FakeHubConnection, HubConnectionState };
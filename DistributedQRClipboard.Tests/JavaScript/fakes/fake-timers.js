@@ -0,0 +1,75 @@
+/**
+ * Manually advanced timers, passed to modules that accept a { setTimeout, clearTimeout } option
+ */
+
+/**
+ * Let pending promise chains and already queued callbacks run
+ */
+async function settle(rounds = 10) {
+    for (let i = 0; i < rounds; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+class FakeTimers {
+    constructor() {
+        this.now = 0;
+        this.nextId = 1;
+        this.timers = new Map(); // id -> { callback, dueAt }
+    }
+
+    setTimeout(callback, delay = 0) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback, dueAt: this.now + Math.max(0, delay) });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Move time forward, running due timers in order and settling after each
+     */
+    async advance(ms) {
+        const target = this.now + ms;
+
+        let next;
+        while ((next = this.nextDue(target))) {
+            const [id, timer] = next;
+            this.timers.delete(id);
+            this.now = timer.dueAt;
+            timer.callback();
+            await settle();
+        }
+
+        this.now = target;
+        await settle();
+    }
+
+    /**
+     * Run timers until none are left or the limit is reached
+     */
+    async runAll(limit = 100) {
+        for (let i = 0; i < limit && this.timers.size > 0; i++) {
+            const [, timer] = this.nextDue(Infinity);
+            await this.advance(timer.dueAt - this.now);
+        }
+    }
+
+    nextDue(until) {
+        let earliest = null;
+        for (const entry of this.timers) {
+            if (entry[1].dueAt <= until && (!earliest || entry[1].dueAt < earliest[1].dueAt)) {
+                earliest = entry;
+            }
+        }
+        return earliest;
+    }
+
+    get pendingCount() {
+        return this.timers.size;
+    }
+}
+
+export { FakeTimers, settle };
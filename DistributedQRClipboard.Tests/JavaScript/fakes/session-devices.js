@@ -0,0 +1,90 @@
+/**
+ * Devices joined to sessions on one FakeClipboardServer, shared by the tests that simulate several devices
+ * useSessionDevices() gives every test of the calling file a fresh server, timers and device list, and disposes
+ * the devices afterwards. server, timers and devices are live bindings: importers always see the current test's.
+ */
+
+import { beforeEach, afterEach } from 'node:test';
+import { FakeClipboardServer } from './fake-server.js';
+import { FakeTimers, settle } from './fake-timers.js';
+import { FakeDevice } from './device.js';
+import { parseMessage } from '../../../DistributedQRClipboard.Api/wwwroot/js/clipboard-message.js';
+
+let server;
+let timers;
+let devices = [];
+
+function useSessionDevices() {
+    beforeEach(() => {
+        server = new FakeClipboardServer();
+        timers = new FakeTimers();
+        devices = [];
+    });
+
+    afterEach(async () => {
+        for (const device of devices) {
+            await device.dispose();
+        }
+    });
+}
+
+/**
+ * Connect new devices and join them to a session
+ * @param {Object|Function} options - FakeDevice options for every device, or name => options; the shared timers
+ *                                    are used unless given, and a setup(device) option runs before it connects
+ * @returns {Array} The new devices, in order
+ */
+async function joinDevices(sessionId, names, options = {}) {
+    for (const name of names) {
+        const { setup, ...deviceOptions } = typeof options === 'function' ? options(name) : options;
+        const device = new FakeDevice(server, name, { timers, ...deviceOptions });
+        devices.push(device);
+        setup?.(device);
+        await device.connect();
+        await device.join(sessionId);
+    }
+    await settle();
+    return devices.slice(-names.length);
+}
+
+async function joinedDevices(sessionId, ...names) {
+    return joinDevices(sessionId, names);
+}
+
+async function joinedDevice(sessionId, name, options = {}) {
+    const [device] = await joinDevices(sessionId, [name], options);
+    return device;
+}
+
+// For work that finishes off the microtask queue (compression, Web Crypto), where settle() is not enough
+function nextEvent(emitter, eventName) {
+    return new Promise(resolve => emitter.on(eventName, resolve));
+}
+
+function broadcasts() {
+    return server.invocations.filter(call => call.method === 'BroadcastClipboardUpdateAsync');
+}
+
+// Content of every update sent, without the message envelope clients put in front
+function sentContents() {
+    return broadcasts().map(call => parseMessage(call.args[1]).content);
+}
+
+// Content as the hub stores it, without the message envelope
+function storedContent(sessionId) {
+    return parseMessage(server.getContent(sessionId)).content;
+}
+
+export {
+    server,
+    timers,
+    devices,
+    useSessionDevices,
+    joinDevices,
+    joinedDevices,
+    joinedDevice,
+    nextEvent,
+    broadcasts,
+    sentContents,
+    storedContent
+};
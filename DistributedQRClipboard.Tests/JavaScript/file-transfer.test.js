@@ -0,0 +1,184 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useSessionDevices, server, timers, joinDevices, joinedDevice, nextEvent } from './fakes/session-devices.js';
+import { SignalRTransport, PollingTransport, FailoverTransport } from '../../DistributedQRClipboard.Api/wwwroot/js/transport.js';
+import { sha256Hex } from '../../DistributedQRClipboard.Api/wwwroot/js/utils.js';
+import { sanitizeFileName } from '../../DistributedQRClipboard.Api/wwwroot/js/file-transfer.js';
+
+const CHUNK_SIZE = 1024;
+
+useSessionDevices();
+
+async function devicesWithSmallChunks(sessionId, ...names) {
+    return joinDevices(sessionId, names, { fileTransfer: { chunkSize: CHUNK_SIZE } });
+}
+
+function testFile(size, name = 'notes.bin') {
+    const bytes = Uint8Array.from({ length: size }, (_, i) => (i * 31 + 7) % 256);
+    return new File([bytes], name, { type: 'application/octet-stream' });
+}
+
+function relayed(kind) {
+    return server.invocations.filter(call => call.method === 'RelayFileTransferAsync' && call.args[2].kind === kind);
+}
+
+test('a file sent from the laptop arrives intact on the phone', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesWithSmallChunks(sessionId, 'Laptop', 'Phone');
+    const progress = phone.record(phone.clipboardManager, 'fileTransferProgress');
+    const received = nextEvent(phone.clipboardManager, 'fileTransferCompleted');
+    const confirmed = nextEvent(laptop.clipboardManager, 'fileTransferCompleted');
+    const file = testFile(5000);
+
+    await laptop.clipboardManager.sendFile(file, sessionId);
+    const transfer = await received;
+
+    assert.equal(transfer.name, 'notes.bin');
+    assert.equal(transfer.deviceName, 'Laptop');
+    assert.equal(await sha256Hex(await transfer.blob.arrayBuffer()), await sha256Hex(await file.arrayBuffer()));
+    assert.deepEqual(progress.map(event => event.progress), [0.2, 0.4, 0.6, 0.8, 1]);
+    assert.equal((await confirmed).deviceName, 'Phone');
+    assert.equal(relayed('chunk').length, 5);
+});
+
+test('file names from the sender lose their directories and control characters', async () => {
+    assert.equal(sanitizeFileName('../../etc/passwd'), 'passwd');
+    assert.equal(sanitizeFileName('C:\\Users\\ana\\report.pdf'), 'report.pdf');
+    assert.equal(sanitizeFileName('bad\u0000name\n.txt'), 'badname.txt');
+    assert.equal(sanitizeFileName('..'), 'file');
+    assert.equal(sanitizeFileName(''), 'file');
+    assert.equal(sanitizeFileName(`${'a'.repeat(300)}.tar.gz`).length, 255);
+    assert.ok(sanitizeFileName(`${'a'.repeat(300)}.tar.gz`).endsWith('.gz'));
+
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesWithSmallChunks(sessionId, 'Laptop', 'Phone');
+    const received = nextEvent(phone.clipboardManager, 'fileTransferCompleted');
+
+    await laptop.clipboardManager.sendFile(testFile(100, 'x/"><img src=x onerror=alert(1)>.txt'), sessionId);
+
+    assert.equal((await received).name, '"><img src=x onerror=alert(1)>.txt');
+});
+
+test('cancelling on the receiver stops the sender', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesWithSmallChunks(sessionId, 'Laptop', 'Phone');
+    const stopped = nextEvent(laptop.clipboardManager, 'fileTransferCancelled');
+    phone.clipboardManager.on('fileTransferStarted', (transfer) => phone.clipboardManager.cancelFileTransfer(transfer.id));
+
+    await laptop.clipboardManager.sendFile(testFile(20 * CHUNK_SIZE), sessionId);
+    const transfer = await stopped;
+
+    assert.equal(transfer.reason, 'cancelled');
+    assert.equal(transfer.deviceName, 'Phone');
+    assert.ok(relayed('chunk').length < 20);
+    assert.deepEqual(phone.clipboardManager.getFileTransfers().map(item => item.status), ['cancelled']);
+});
+
+test('a transfer paused by a dropped connection resumes after reconnecting', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesWithSmallChunks(sessionId, 'Laptop', 'Phone');
+    const paused = laptop.record(laptop.clipboardManager, 'fileTransferPaused');
+    const resumed = laptop.record(laptop.clipboardManager, 'fileTransferResumed');
+    const received = nextEvent(phone.clipboardManager, 'fileTransferCompleted');
+    const file = testFile(8 * CHUNK_SIZE);
+
+    laptop.clipboardManager.on('fileTransferProgress', (transfer) => {
+        if (transfer.progress === 0.5 && paused.length === 0) {
+            server.hubAvailable = false;
+            server.dropConnection(laptop.connection);
+        }
+    });
+
+    const sent = await laptop.clipboardManager.sendFile(file, sessionId);
+    assert.equal(sent.status, 'paused');
+    assert.equal(paused.length, 1);
+
+    server.unblockHub();
+    await timers.advance(1000);
+    const transfer = await received;
+
+    assert.equal(resumed.length, 1);
+    assert.equal(await sha256Hex(await transfer.blob.arrayBuffer()), await sha256Hex(await file.arrayBuffer()));
+});
+
+test('a receiver that lost its connection asks for the chunks it missed', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesWithSmallChunks(sessionId, 'Laptop', 'Phone');
+    const received = nextEvent(phone.clipboardManager, 'fileTransferCompleted');
+
+    phone.clipboardManager.on('fileTransferProgress', (transfer) => {
+        if (transfer.progress === 0.25) {
+            server.hubAvailable = false;
+            server.dropConnection(phone.connection);
+        }
+    });
+
+    const sent = await laptop.clipboardManager.sendFile(testFile(4 * CHUNK_SIZE), sessionId);
+    assert.equal(sent.status, 'sent');
+
+    server.unblockHub();
+    await timers.advance(1000);
+    const transfer = await received;
+
+    assert.equal(transfer.size, 4 * CHUNK_SIZE);
+    assert.deepEqual(relayed('request').map(call => call.args[2].missing), [[1, 2, 3]]);
+});
+
+test('a chunk that fails its hash check is requested again', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await devicesWithSmallChunks(sessionId, 'Laptop', 'Phone');
+    const received = nextEvent(phone.clipboardManager, 'fileTransferCompleted');
+    const file = testFile(3 * CHUNK_SIZE);
+
+    // Flip one byte of the first copy of chunk 1 on its way through the hub
+    const relay = server.hubMethods.RelayFileTransferAsync;
+    let corrupted = false;
+    server.hubMethods = {
+        ...server.hubMethods,
+        RelayFileTransferAsync(connection, id, deviceId, message) {
+            if (message.kind === 'chunk' && message.index === 1 && !corrupted) {
+                corrupted = true;
+                message = { ...message, data: (message.data[0] === 'A' ? 'B' : 'A') + message.data.slice(1) };
+            }
+            return relay.call(this, connection, id, deviceId, message);
+        }
+    };
+
+    await laptop.clipboardManager.sendFile(file, sessionId);
+    const transfer = await received;
+
+    assert.deepEqual(relayed('request').map(call => call.args[2].missing), [[1]]);
+    assert.equal(await sha256Hex(await transfer.blob.arrayBuffer()), await sha256Hex(await file.arrayBuffer()));
+});
+
+test('offers above the receiver size limit are refused', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop] = await devicesWithSmallChunks(sessionId, 'Laptop');
+    const phone = await joinedDevice(sessionId, 'Phone', { fileTransfer: { chunkSize: CHUNK_SIZE, maxFileSize: 2 * CHUNK_SIZE } });
+    const refused = nextEvent(laptop.clipboardManager, 'fileTransferCancelled');
+
+    await laptop.clipboardManager.sendFile(testFile(4 * CHUNK_SIZE), sessionId);
+
+    assert.equal((await refused).reason, 'tooLarge');
+    assert.deepEqual(phone.clipboardManager.getFileTransfers(), []);
+    await assert.rejects(phone.clipboardManager.sendFile(testFile(3 * CHUNK_SIZE), sessionId), /larger than/);
+});
+
+test('transfers pause while the client is on the polling fallback', async () => {
+    server.blockHub();
+    const { sessionId } = server.createSession();
+    const laptop = await joinedDevice(sessionId, 'Laptop', {
+        createTransport: (signalRClient, apiClient) => new FailoverTransport(
+            new SignalRTransport(signalRClient),
+            new PollingTransport(apiClient, signalRClient.getDeviceId(), { minInterval: 10, maxInterval: 20 })
+        )
+    });
+
+    const sent = await laptop.clipboardManager.sendFile(testFile(100), sessionId);
+
+    assert.equal(laptop.transport.getTransportType(), 'polling');
+    assert.equal(laptop.clipboardManager.getSupport().fileTransfer, false);
+    assert.equal(sent.status, 'paused');
+    assert.deepEqual(relayed('offer'), []);
+});
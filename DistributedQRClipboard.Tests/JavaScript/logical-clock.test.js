@@ -0,0 +1,128 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { useSessionDevices, server, timers, joinedDevice } from './fakes/session-devices.js';
+import {
+    HybridLogicalClock,
+    compareStamps,
+    formatStamp,
+    parseStamp
+} from '../../DistributedQRClipboard.Api/wwwroot/js/logical-clock.js';
+import { parseMessage } from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard-message.js';
+
+const PHONE_ID = '00000000-0000-4000-8000-00000000000a';
+const LAPTOP_ID = '00000000-0000-4000-8000-00000000000b';
+
+useSessionDevices();
+
+function goOffline(...offline) {
+    server.hubAvailable = false;
+    offline.forEach(device => server.dropConnection(device.connection));
+    return settle();
+}
+
+async function reconnect() {
+    server.unblockHub();
+    await timers.advance(1000);
+    await settle();
+}
+
+test('stamps order by time, then counter, then device ID', () => {
+    const stamp = (wallTime, counter, deviceId) => ({ wallTime, counter, deviceId });
+
+    assert.ok(compareStamps(stamp(1000, 5, LAPTOP_ID), stamp(2000, 0, PHONE_ID)) < 0);
+    assert.ok(compareStamps(stamp(1000, 1, PHONE_ID), stamp(1000, 0, LAPTOP_ID)) > 0);
+    assert.ok(compareStamps(stamp(1000, 0, PHONE_ID), stamp(1000, 0, LAPTOP_ID)) < 0);
+    assert.equal(compareStamps(stamp(1000, 0, PHONE_ID), stamp(1000, 0, PHONE_ID)), 0);
+});
+
+test('the clock never goes backwards and moves past stamps it receives', () => {
+    let physical = 5000;
+    const clock = new HybridLogicalClock(PHONE_ID.toUpperCase(), () => physical);
+
+    const first = clock.tick();
+    physical = 4000; // The system clock was set back
+    const second = clock.tick();
+    clock.receive({ wallTime: 9000, counter: 3, deviceId: LAPTOP_ID });
+    const third = clock.tick();
+
+    assert.deepEqual(first, { wallTime: 5000, counter: 0, deviceId: PHONE_ID });
+    assert.ok(compareStamps(second, first) > 0);
+    assert.ok(compareStamps(third, { wallTime: 9000, counter: 3, deviceId: LAPTOP_ID }) > 0);
+});
+
+test('a stamp too far ahead of the physical clock is rejected and leaves the clock where it was', () => {
+    const clock = new HybridLogicalClock(PHONE_ID, () => 5000, 60000);
+
+    assert.equal(clock.receive({ wallTime: 65000, counter: 0, deviceId: LAPTOP_ID }), true);
+    assert.equal(clock.receive({ wallTime: 65001, counter: 0, deviceId: LAPTOP_ID }), false);
+    assert.deepEqual(clock.tick(), { wallTime: 65000, counter: 2, deviceId: PHONE_ID });
+});
+
+test('updates from a device whose clock is far ahead are dropped instead of winning every later conflict', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedDevice(sessionId, 'Laptop', { now: () => timers.now + 2 * 24 * 60 * 60 * 1000 });
+    const phone = await joinedDevice(sessionId, 'Phone', { now: () => timers.now });
+    const tablet = await joinedDevice(sessionId, 'Tablet', { now: () => timers.now });
+    const received = phone.record(phone.clipboardManager, 'remoteClipboardReceived');
+
+    await laptop.copy('from the future');
+    await settle();
+    await timers.advance(1000);
+    await tablet.copy('from the present');
+    await settle();
+
+    assert.deepEqual(received.map(update => update.content), ['from the present']);
+    assert.equal(phone.clipboard.text, 'from the present');
+    assert.deepEqual(phone.clipboardManager.getConflicts(sessionId), []);
+});
+
+test('stamps round-trip through their text form', () => {
+    const stamp = { wallTime: 1792430788963, counter: 2, deviceId: LAPTOP_ID };
+
+    assert.deepEqual(parseStamp(formatStamp(stamp)), stamp);
+    assert.deepEqual(parseStamp(formatStamp({ ...stamp, deviceId: LAPTOP_ID.toUpperCase() })), stamp);
+    assert.equal(parseStamp('1000.0.not-a-device'), null);
+    assert.equal(parseStamp(null), null);
+});
+
+test('devices that copied at the same time while offline converge on the same item', async () => {
+    const { sessionId } = server.createSession();
+    const phone = await joinedDevice(sessionId, 'Phone', { now: () => 1000 });
+    const laptop = await joinedDevice(sessionId, 'Laptop', { now: () => 2000 });
+
+    await goOffline(phone, laptop);
+    await phone.copy('from the phone');
+    await laptop.copy('from the laptop');
+    await reconnect();
+
+    assert.equal(phone.clipboard.text, 'from the laptop');
+    assert.equal(laptop.clipboard.text, 'from the laptop');
+    assert.equal(parseMessage(server.getContent(sessionId)).content, 'from the laptop');
+    assert.equal(phone.clipboardManager.getSessionContent(sessionId).content, 'from the laptop');
+    assert.deepEqual(laptop.clipboardManager.getConflicts(sessionId).map(conflict => conflict.content), ['from the phone']);
+});
+
+test('an older update sent after a newer one is kept as a conflict instead of overwriting it', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedDevice(sessionId, 'Laptop', { now: () => 5000 });
+    const phone = await joinedDevice(sessionId, 'Phone', { now: () => 1000 });
+    const tablet = await joinedDevice(sessionId, 'Tablet', { now: () => 3000 });
+    const conflicts = tablet.record(tablet.clipboardManager, 'clipboardConflict');
+
+    await goOffline(phone);
+    await phone.copy('edited on the train');
+    await laptop.copy('edited at the desk');
+    await settle();
+    await reconnect();
+
+    for (const device of [laptop, phone, tablet]) {
+        assert.equal(device.clipboard.text, 'edited at the desk');
+    }
+    assert.equal(parseMessage(server.getContent(sessionId)).content, 'edited at the desk');
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].loser.content, 'edited on the train');
+    assert.equal(conflicts[0].winner.content, 'edited at the desk');
+    assert.deepEqual(laptop.clipboardManager.getConflicts(sessionId).map(conflict => conflict.content), ['edited on the train']);
+});
@@ -0,0 +1,124 @@
+import { FakeStorage, useStorage } from './fakes/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClipboardOutbox, OutboxStatus } from '../../DistributedQRClipboard.Api/wwwroot/js/outbox.js';
+
+const WORK = '8c1d2a57-3f0e-4b8a-9a6d-0c5e1f2b3a41';
+const HOME = '1f0e9d8c-7b6a-4d5c-8e4f-3a2b1c0d9e8f';
+
+let storage;
+
+beforeEach(() => {
+    storage = useStorage(new FakeStorage());
+});
+
+function statuses(outbox) {
+    return outbox.getItems().map(item => [item.content, item.status]).reverse();
+}
+
+test('different content copied offline stays queued and goes out in order', () => {
+    const outbox = new ClipboardOutbox();
+
+    outbox.enqueue(WORK, 'first draft');
+    outbox.enqueue(WORK, 'second draft');
+    outbox.enqueue(HOME, 'shopping list');
+
+    assert.deepEqual(outbox.getPending(WORK).map(item => item.content), ['first draft', 'second draft']);
+    assert.ok(outbox.hasPending(HOME));
+});
+
+test('copying the same content again supersedes the queued copy', () => {
+    const outbox = new ClipboardOutbox();
+
+    outbox.enqueue(WORK, 'meeting at 3');
+    outbox.enqueue(WORK, 'room 4B');
+    outbox.enqueue(WORK, 'meeting at 3');
+    outbox.enqueue(HOME, 'meeting at 3');
+
+    assert.deepEqual(statuses(outbox), [
+        ['meeting at 3', OutboxStatus.Superseded],
+        ['room 4B', OutboxStatus.Queued],
+        ['meeting at 3', OutboxStatus.Queued],
+        ['meeting at 3', OutboxStatus.Queued]
+    ]);
+    assert.deepEqual(outbox.getPending(WORK).map(item => item.content), ['room 4B', 'meeting at 3']);
+});
+
+test('queued items survive a reload, and one cut off mid-send is queued again', () => {
+    const outbox = new ClipboardOutbox();
+    const sending = outbox.enqueue(WORK, 'halfway');
+    outbox.enqueue(WORK, 'not yet');
+    outbox.setStatus(sending.id, OutboxStatus.Sending);
+
+    const reloaded = new ClipboardOutbox();
+
+    assert.deepEqual(reloaded.getPending(WORK).map(item => [item.content, item.status]),
+        [['halfway', OutboxStatus.Queued], ['not yet', OutboxStatus.Queued]]);
+});
+
+test('settled items are trimmed to the display limit while queued ones are kept', () => {
+    const outbox = new ClipboardOutbox({ maxSettledItems: 2 });
+    const queued = outbox.enqueue(HOME, 'still waiting');
+    for (const content of ['one', 'two', 'three']) {
+        outbox.setStatus(outbox.enqueue(WORK, content).id, OutboxStatus.Sent);
+    }
+
+    assert.deepEqual(statuses(outbox), [
+        ['still waiting', OutboxStatus.Queued],
+        ['two', OutboxStatus.Sent],
+        ['three', OutboxStatus.Sent]
+    ]);
+    assert.equal(outbox.getPending(HOME)[0].id, queued.id);
+});
+
+test('leaving a session drops what was queued for it', () => {
+    const outbox = new ClipboardOutbox();
+    outbox.enqueue(WORK, 'for work');
+    outbox.enqueue(HOME, 'for home');
+
+    outbox.dropSession(WORK);
+
+    assert.deepEqual(statuses(outbox), [['for work', OutboxStatus.Dropped], ['for home', OutboxStatus.Queued]]);
+});
+
+test('an expired clip loses its content in every item that carries it', () => {
+    const outbox = new ClipboardOutbox();
+    const message = { id: '5d4c3b2a-1908-4f7e-8d6c-5b4a39281706', contentHash: 'abc', stamp: null };
+    const sent = outbox.enqueue(WORK, 'otp 482913', message);
+    outbox.setStatus(sent.id, OutboxStatus.Sent);
+    outbox.enqueue(HOME, 'otp 482913', message);
+    outbox.enqueue(HOME, 'unrelated');
+
+    outbox.expireMessage(message.id);
+
+    assert.deepEqual(statuses(outbox), [
+        ['', OutboxStatus.Sent],
+        ['', OutboxStatus.Expired],
+        ['unrelated', OutboxStatus.Queued]
+    ]);
+    assert.ok(!storage.getItem('clipboardOutbox').includes('otp'));
+});
+
+test('content stored masked never reaches storage in full, and is dropped if the page reloads before it is sent', () => {
+    const outbox = new ClipboardOutbox();
+    outbox.enqueue(WORK, 'wifi xK9#mP2$vL7qR4!w', null, 'wifi ••••R4!w');
+    outbox.enqueue(WORK, 'lunch at noon');
+
+    assert.deepEqual(outbox.getPending(WORK).map(item => item.content), ['wifi xK9#mP2$vL7qR4!w', 'lunch at noon']);
+    assert.ok(!storage.getItem('clipboardOutbox').includes('xK9'));
+
+    const reloaded = new ClipboardOutbox();
+    assert.deepEqual(statuses(reloaded), [['wifi ••••R4!w', OutboxStatus.Dropped], ['lunch at noon', OutboxStatus.Queued]]);
+});
+
+test('changes are reported with every item, newest first', () => {
+    const outbox = new ClipboardOutbox();
+    const changes = [];
+    outbox.on('changed', items => changes.push(items.map(item => item.content)));
+
+    outbox.enqueue(WORK, 'a');
+    outbox.enqueue(WORK, 'b');
+    outbox.clear();
+
+    assert.deepEqual(changes, [['a'], ['b', 'a'], []]);
+});
@@ -0,0 +1,172 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { useSessionDevices, server, timers, joinDevices, joinedDevices, nextEvent, broadcasts } from './fakes/session-devices.js';
+import {
+    ChunkAssembler,
+    encodeFrames,
+    decodePayload,
+    measurePayload,
+    MAX_CHUNKS
+} from '../../DistributedQRClipboard.Api/wwwroot/js/payload-codec.js';
+import { parseMessage } from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard-message.js';
+import { MAX_CONTENT_LENGTH } from '../../DistributedQRClipboard.Api/wwwroot/js/hub-protocol.js';
+import { generateSessionKey } from '../../DistributedQRClipboard.Api/wwwroot/js/session-crypto.js';
+
+const MESSAGE_ID = '6f1d2c3b-4a59-4e87-9d6c-5b4a39281706';
+
+useSessionDevices();
+
+// Log lines repeat themselves, so a log compresses to a fraction of its length
+function logExcerpt(lines) {
+    return Array.from({ length: lines }, (_, i) =>
+        `2026-10-19 10:${String(i % 60).padStart(2, '0')} INFO orders request ${i} handled in ${i % 97} ms`).join('\n');
+}
+
+// Words of random letters barely compress, so enough of them needs several chunks
+function randomWords(length) {
+    let seed = 42;
+    let text = '';
+    while (text.length < length) {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        const random = (seed >>> 0) % 162;
+        text += random < 6 ? ' ' : String.fromCharCode(97 + random % 26);
+    }
+    return text;
+}
+
+// Random CJK characters, three UTF-8 bytes each, compress little
+function randomHanzi(length) {
+    let seed = 7;
+    return Array.from({ length }, () => {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        return String.fromCharCode(0x4e00 + (seed >>> 0) % 0x5000);
+    }).join('');
+}
+
+function sentFrames() {
+    return broadcasts().map(call => call.args[1]);
+}
+
+test('payloads are compressed when too long and chunked when compression is not enough', async () => {
+    assert.deepEqual(await encodeFrames('short', MESSAGE_ID, 1000), ['short']);
+
+    const log = logExcerpt(300);
+    const [compressed, ...rest] = await encodeFrames(log, MESSAGE_ID, 4000);
+    assert.ok(compressed.startsWith('z:v1:') && rest.length === 0);
+    assert.equal(await decodePayload(compressed), log);
+
+    const text = randomWords(5000);
+    const frames = await encodeFrames(text, MESSAGE_ID, 1000);
+    assert.ok(frames.length > 1 && frames.every(frame => frame.startsWith(`chunk:v1:${MESSAGE_ID}:`) && frame.length <= 1000));
+
+    // Parts may arrive out of order and twice; the clip comes out once
+    const assembler = new ChunkAssembler();
+    const arrivals = [...frames].reverse().concat(frames[0]).map(frame => assembler.accept(frame));
+    assert.deepEqual(arrivals.filter(packed => packed !== null).length, 1);
+    assert.equal(await decodePayload(arrivals.find(packed => packed !== null)), text);
+    assert.equal(assembler.accept('not a chunk'), 'not a chunk');
+
+    const tooLarge = randomWords(1000 * MAX_CHUNKS * 2);
+    assert.equal((await measurePayload(tooLarge, 1000)).fits, false);
+    await assert.rejects(encodeFrames(tooLarge, MESSAGE_ID, 1000), { name: 'PayloadTooLargeError' });
+});
+
+test('a log longer than the server limit reaches the other devices in parts within the limit', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+    const log = `${logExcerpt(80)}\n${randomWords(3 * MAX_CONTENT_LENGTH)}`;
+    const written = nextEvent(phone.clipboardManager, 'clipboardWritten');
+
+    await laptop.copy(log);
+    await written;
+    await settle();
+
+    assert.equal(phone.clipboard.text, log);
+    assert.ok(sentFrames().length > 1 && sentFrames().every(frame => frame.length <= MAX_CONTENT_LENGTH));
+    assert.deepEqual(phone.clipboardManager.searchHistory().map(entry => entry.text), [log]);
+    assert.equal(phone.clipboardManager.getSessionContent(sessionId).content, log);
+});
+
+test('content too large even in chunks is reported before anything is sent', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+    const blocked = nextEvent(laptop.clipboardManager, 'syncBlocked');
+    const text = randomWords(MAX_CONTENT_LENGTH * MAX_CHUNKS * 2);
+
+    const size = await laptop.clipboardManager.measureContent(text);
+    assert.equal(size.fits, false);
+    assert.ok(size.frames > MAX_CHUNKS);
+
+    await laptop.copy(text);
+    const { reason } = await blocked;
+
+    assert.equal(reason, 'tooLarge');
+    assert.deepEqual(sentFrames(), []);
+    assert.deepEqual(laptop.clipboardManager.getOutboxItems(), []);
+});
+
+test('a chunked clip sent while a device was offline is put back together when it catches up', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone] = await joinedDevices(sessionId, 'Laptop', 'Phone');
+    const text = randomWords(2 * MAX_CONTENT_LENGTH);
+    const resynchronized = nextEvent(laptop.clipboardManager, 'resynchronized');
+    const written = nextEvent(laptop.clipboardManager, 'clipboardWritten');
+
+    server.hubAvailable = false;
+    server.dropConnection(laptop.connection);
+    await settle();
+    const sent = nextEvent(phone.clipboardManager, 'syncCompleted');
+    await phone.copy(text);
+    await sent;
+
+    server.unblockHub();
+    await timers.advance(1000);
+    const snapshot = await resynchronized;
+    await written;
+
+    assert.deepEqual(snapshot.missedUpdates.map(update => update.content), [text]);
+    assert.equal(laptop.clipboard.text, text);
+    assert.ok(server.getContent(sessionId).startsWith('chunk:v1:'));
+    assert.equal(parseMessage(server.getContent(sessionId)).message, null);
+});
+
+test('frames are measured in UTF-8 bytes and cut between characters', async () => {
+    const text = randomHanzi(800) + '😀'.repeat(100);
+    const frames = await encodeFrames(text, MESSAGE_ID, 1000);
+    const encoder = new TextEncoder();
+
+    assert.ok(frames.length > 1 && frames.every(frame => encoder.encode(frame).length <= 1000));
+    assert.ok(frames.every(frame => !frame.includes('\uFFFD')));
+    const assembler = new ChunkAssembler();
+    const packed = frames.map(frame => assembler.accept(frame)).find(payload => payload !== null);
+    assert.equal(await decodePayload(packed), text);
+
+    const size = await measurePayload(text, 1000);
+    assert.equal(size.length, encoder.encode(text).length);
+    assert.equal(size.frames, frames.length);
+});
+
+for (const encrypted of [false, true]) {
+    test(`multibyte text within the server limit ${encrypted ? 'with' : 'without'} encryption`, async () => {
+        const { sessionId } = server.createSession();
+        const key = generateSessionKey();
+        const setup = device => encrypted && device.clipboardManager.setSessionKey(sessionId, key);
+        const [laptop, phone] = await joinDevices(sessionId, ['Laptop', 'Phone'], { setup });
+        const text = randomHanzi(5000);
+        const written = nextEvent(phone.clipboardManager, 'clipboardWritten');
+
+        await laptop.copy(text);
+        await written;
+        await settle();
+
+        assert.equal(phone.clipboard.text, text);
+        assert.ok(sentFrames().length > 1 && sentFrames().every(frame => frame.length <= MAX_CONTENT_LENGTH));
+        assert.deepEqual(laptop.clipboardManager.getOutboxItems(), []);
+    });
+}
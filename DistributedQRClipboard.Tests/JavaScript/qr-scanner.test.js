@@ -0,0 +1,137 @@
+import './fakes/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeHtml5Qrcode, installHtml5Qrcode } from './fakes/fake-html5-qrcode.js';
+import { settle } from './fakes/fake-timers.js';
+import { FakeClipboardServer } from './fakes/fake-server.js';
+import { FakeDevice } from './fakes/device.js';
+import { QRScanner } from '../../DistributedQRClipboard.Api/wwwroot/js/qr-scanner.js';
+
+const SESSION_ID = '3f2504e0-4f89-11d3-9a0c-0305e82c3301';
+
+beforeEach(() => {
+    installHtml5Qrcode();
+});
+
+async function startedScanner() {
+    const scanner = new QRScanner();
+    await scanner.initialize();
+    await scanner.startScanning();
+    return { scanner, camera: FakeHtml5Qrcode.instances[0] };
+}
+
+function record(emitter, eventName) {
+    const received = [];
+    emitter.on(eventName, (payload) => received.push(payload));
+    return received;
+}
+
+test('initialization prefers the back camera', async () => {
+    const scanner = new QRScanner();
+    await scanner.initialize();
+
+    assert.equal(scanner.getCurrentCameraId(), 'back');
+    assert.equal(scanner.getCameras().length, 2);
+});
+
+test('initialization fails without cameras', async () => {
+    FakeHtml5Qrcode.cameras = [];
+    const scanner = new QRScanner();
+    const errors = record(scanner, 'error');
+
+    await assert.rejects(scanner.initialize(), /No cameras found/);
+    assert.deepEqual(errors.map(error => error.type), ['cameraLoad', 'initialization']);
+});
+
+test('a scanned session ID is reported once and stops the scanner', async () => {
+    const { scanner, camera } = await startedScanner();
+    const detected = record(scanner, 'qrCodeDetected');
+
+    camera.miss();
+    camera.scan(` ${SESSION_ID} `);
+    await settle();
+
+    assert.deepEqual(detected.map(event => event.sessionId), [SESSION_ID]);
+    assert.equal(scanner.getIsScanning(), false);
+    assert.equal(camera.isRunning, false);
+});
+
+test('session links are accepted and other codes rejected', async () => {
+    const { scanner, camera } = await startedScanner();
+    const detected = record(scanner, 'qrCodeDetected');
+    const invalid = record(scanner, 'invalidQrCode');
+
+    camera.scan('https://example.com/menu');
+    assert.deepEqual(invalid.map(event => event.text), ['https://example.com/menu']);
+
+    scanner.lastScanTime = 0; // Skip the cooldown between scans
+    camera.scan(`http://localhost/?session=${SESSION_ID}`);
+    await settle();
+
+    assert.deepEqual(detected.map(event => event.sessionId), [SESSION_ID]);
+});
+
+test('a join link with a session key passes the key on', async () => {
+    const { scanner, camera } = await startedScanner();
+    const detected = record(scanner, 'qrCodeDetected');
+    const key = 'q'.repeat(43);
+
+    camera.scan(`http://localhost/?session=${SESSION_ID}#key=${key}`);
+    await settle();
+
+    assert.deepEqual(detected.map(event => [event.sessionId, event.key]), [[SESSION_ID, key]]);
+});
+
+test('repeated frames within the cooldown are ignored', async () => {
+    const { scanner, camera } = await startedScanner();
+    const invalid = record(scanner, 'invalidQrCode');
+
+    camera.scan('not a session');
+    camera.scan('not a session');
+
+    assert.equal(invalid.length, 1);
+});
+
+test('a denied camera permission is reported', async () => {
+    const scanner = new QRScanner();
+    await scanner.initialize();
+    const denied = record(scanner, 'permissionDenied');
+    const error = new Error('Permission denied');
+    error.name = 'NotAllowedError';
+    FakeHtml5Qrcode.startError = error;
+
+    await assert.rejects(scanner.startScanning(), /Permission denied/);
+    assert.equal(denied.length, 1);
+    assert.equal(scanner.getIsScanning(), false);
+});
+
+test('switching cameras restarts a running scan on the new camera', async () => {
+    const { scanner, camera } = await startedScanner();
+
+    await scanner.switchCamera('front');
+
+    assert.equal(camera.cameraId, 'front');
+    assert.equal(scanner.getIsScanning(), true);
+    await assert.rejects(scanner.switchCamera('missing'), /Camera not found/);
+});
+
+test('a phone scanning the laptop QR code joins its session', async () => {
+    const server = new FakeClipboardServer();
+    const laptop = new FakeDevice(server, 'Laptop');
+    const phone = new FakeDevice(server, 'Phone');
+    const { sessionId } = server.createSession();
+    await laptop.connect();
+    await laptop.join(sessionId);
+    await phone.connect();
+
+    const { scanner, camera } = await startedScanner();
+    scanner.on('qrCodeDetected', (event) => phone.join(event.sessionId));
+    camera.scan(`http://localhost/?session=${sessionId}`);
+    await settle();
+
+    assert.deepEqual(phone.signalRClient.getSessionIds(), [sessionId]);
+    assert.equal(server.getSession(sessionId).devices.size, 2);
+
+    await laptop.dispose();
+    await phone.dispose();
+});
@@ -0,0 +1,155 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { FakeClipboard, FakeItemClipboard } from './fakes/fake-clipboard.js';
+import { useSessionDevices, server, joinedDevice, broadcasts, storedContent } from './fakes/session-devices.js';
+import {
+    sanitizeHtml,
+    renderSanitizedHtml,
+    createRichContent,
+    parseRichContent,
+    htmlToText
+} from '../../DistributedQRClipboard.Api/wwwroot/js/rich-text.js';
+
+const TABLE_HTML = '<meta charset="utf-8"><table style="color:red"><tr><th>Name</th><th>Qty</th></tr><tr><td>Flour</td><td>2</td></tr></table>';
+
+useSessionDevices();
+
+// Devices get a clipboard that holds HTML unless a test gives them another
+async function joinedHtmlDevice(sessionId, name, clipboard = new FakeItemClipboard()) {
+    return joinedDevice(sessionId, name, { clipboard });
+}
+
+/**
+ * Minimal document that builds element records; it has no way to parse markup
+ */
+function recordingDocument() {
+    const node = (tag) => ({
+        tag,
+        attributes: {},
+        children: [],
+        setAttribute(name, value) { this.attributes[name] = value; },
+        appendChild(child) { this.children.push(child); return child; }
+    });
+    return {
+        createDocumentFragment: () => node('#fragment'),
+        createElement: (tag) => node(tag),
+        createTextNode: (text) => ({ text })
+    };
+}
+
+test('scripts, event handlers, styles and unsafe links are removed', () => {
+    const html = [
+        '<p onclick="steal()" style="position:fixed">Hi <b>there</b></p>',
+        '<script>alert(1)</script><style>body{display:none}</style>',
+        '<img src=x onerror="alert(1)"><svg><script>alert(2)</script></svg>',
+        '<a href="javascript:alert(3)">one</a>',
+        '<a href="java&#x0A;script:alert(4)">two</a>',
+        '<a href=" https://example.com/?a=1&amp;b=2 ">three</a>',
+        '<iframe src="https://evil.example"></iframe><x-widget>kept text</x-widget>'
+    ].join('');
+
+    assert.equal(sanitizeHtml(html), [
+        '<p>Hi <b>there</b></p>',
+        '<a>one</a>',
+        '<a>two</a>',
+        '<a href="https://example.com/?a=1&amp;b=2" rel="noopener noreferrer" target="_blank">three</a>',
+        'kept text'
+    ].join(''));
+});
+
+test('markup hidden in text and attributes stays text', () => {
+    const html = '<a title="&quot;><script>alert(1)</script>">a &lt;b&gt; <code>x < y && y > z</code></a>';
+
+    const sanitized = sanitizeHtml(html);
+
+    assert.equal(sanitized, '<a title="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">a &lt;b&gt; <code>x &lt; y &amp;&amp; y &gt; z</code></a>');
+    assert.equal(sanitizeHtml(sanitized), sanitized);
+});
+
+test('tables, lists and code from other applications keep their structure', () => {
+    const html = '<ul><li>one<li>two</ul><pre><code>if (a &lt; b) {\n  go();\n}</code></pre>' + TABLE_HTML;
+
+    const sanitized = sanitizeHtml(html);
+
+    assert.equal(sanitized, '<ul><li>one</li><li>two</li></ul><pre><code>if (a &lt; b) {\n  go();\n}</code></pre>'
+        + '<table><tr><th>Name</th><th>Qty</th></tr><tr><td>Flour</td><td>2</td></tr></table>');
+    assert.equal(htmlToText(TABLE_HTML), 'Name\tQty\n\nFlour\t2');
+});
+
+test('rendering builds nodes from the sanitized tree only', () => {
+    const fragment = renderSanitizedHtml('<b onmouseover="x()">bold</b><script>alert(1)</script><a href="https://a.example">a</a>', recordingDocument());
+
+    assert.deepEqual(fragment.children.map(child => child.tag), ['b', 'a']);
+    assert.deepEqual(fragment.children[0].attributes, {});
+    assert.deepEqual(fragment.children[0].children, [{ text: 'bold' }]);
+    assert.equal(fragment.children[1].attributes.href, 'https://a.example');
+});
+
+test('rich content falls back to plain text when formatting adds nothing or does not fit', () => {
+    assert.equal(createRichContent('plain', '<span style="font-weight:400">plain</span>'), 'plain');
+    assert.equal(createRichContent('long', `<b>${'x'.repeat(200)}</b>`, 100), 'long');
+
+    const content = createRichContent('', '<b>bold</b> text');
+    assert.deepEqual(parseRichContent(content), { text: 'bold text', html: '<b>bold</b> text' });
+    assert.equal(parseRichContent('data:application/x-clipboard-rich+json,{not json'), null);
+});
+
+test('formatted text copied on one device is written as HTML and plain text on the other', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedHtmlDevice(sessionId, 'Laptop');
+    const phone = await joinedHtmlDevice(sessionId, 'Phone');
+
+    await laptop.copyRich('Name Qty\nFlour 2', TABLE_HTML);
+    await settle();
+
+    assert.equal(phone.clipboard.text, 'Name Qty\nFlour 2');
+    assert.equal(phone.clipboard.html, '<table><tr><th>Name</th><th>Qty</th></tr><tr><td>Flour</td><td>2</td></tr></table>');
+    assert.ok(parseRichContent(storedContent(sessionId)));
+});
+
+test('HTML from a sender that skipped sanitizing is sanitized before it is written', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedHtmlDevice(sessionId, 'Laptop');
+    const phone = await joinedHtmlDevice(sessionId, 'Phone');
+    const html = '<b onclick="steal()">bold</b><script>alert(1)</script><a href="javascript:alert(2)">link</a>';
+    const content = 'data:application/x-clipboard-rich+json,' + JSON.stringify({ text: 'bold link', html });
+
+    await laptop.clipboardManager.setClipboardContent(content, sessionId);
+    await settle();
+
+    assert.equal(parseRichContent(storedContent(sessionId)).html, html);
+    assert.equal(phone.clipboard.html, '<b>bold</b><a>link</a>');
+    assert.equal(phone.clipboard.text, 'bold link');
+});
+
+test('HTML rewritten by the receiving browser is not sent back', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedHtmlDevice(sessionId, 'Laptop');
+    const rewriteHtml = html => `<meta charset="utf-8"><div>${html}</div>`;
+    const phone = await joinedHtmlDevice(sessionId, 'Phone', new FakeItemClipboard({ rewriteHtml }));
+
+    await laptop.copyRich('bold', '<b>bold</b>');
+    await settle();
+    await phone.clipboardManager.checkLocalClipboard();
+    await settle();
+
+    const updates = broadcasts();
+    assert.equal(updates.length, 1);
+});
+
+test('a text-only browser receives the plain text of formatted content', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await joinedHtmlDevice(sessionId, 'Laptop');
+    const phone = await joinedHtmlDevice(sessionId, 'Phone', new FakeClipboard());
+
+    await laptop.copyRich('see docs', 'see <a href="https://docs.example">docs</a>');
+    await settle();
+    await phone.clipboardManager.checkLocalClipboard();
+    await settle();
+
+    assert.equal(phone.clipboard.text, 'see docs');
+    assert.ok(parseRichContent(phone.clipboardManager.getCurrentContent()));
+    assert.equal(broadcasts().length, 1);
+});
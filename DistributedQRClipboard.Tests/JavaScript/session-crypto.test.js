@@ -0,0 +1,148 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { useSessionDevices, server, timers, joinDevices, nextEvent } from './fakes/session-devices.js';
+import {
+    generateSessionKey,
+    isEncryptedContent,
+    encryptContent,
+    decryptContent,
+    maxPlaintextLength,
+    buildJoinUrl,
+    readKeyFromUrl
+} from '../../DistributedQRClipboard.Api/wwwroot/js/session-crypto.js';
+import { MAX_CONTENT_LENGTH } from '../../DistributedQRClipboard.Api/wwwroot/js/hub-protocol.js';
+
+useSessionDevices();
+
+/**
+ * Join devices to a session; names listed in withKey get the session key first, as if from the QR code
+ */
+async function devicesWithKey(sessionId, key, names, withKey = names) {
+    return joinDevices(sessionId, names, name => ({
+        setup: device => withKey.includes(name) && device.clipboardManager.setSessionKey(sessionId, key)
+    }));
+}
+
+test('content round-trips and is bound to its session', async () => {
+    const key = generateSessionKey();
+    const sessionId = '3f2504e0-4f89-11d3-9a0c-0305e82c3301';
+    const otherSessionId = '3f2504e0-4f89-11d3-9a0c-0305e82c3302';
+
+    const first = await encryptContent('café ☕', key, sessionId);
+    const second = await encryptContent('café ☕', key, sessionId);
+
+    assert.ok(isEncryptedContent(first));
+    assert.notEqual(first, second);
+    assert.equal(await decryptContent(first, key, sessionId), 'café ☕');
+    await assert.rejects(decryptContent(first, key, otherSessionId), { name: 'DecryptionError', reason: 'invalid' });
+    await assert.rejects(decryptContent(first, generateSessionKey(), sessionId), { reason: 'invalid' });
+    await assert.rejects(decryptContent(first, null, sessionId), { reason: 'missingKey' });
+});
+
+test('the plaintext limit leaves room for the encryption overhead', async () => {
+    const key = generateSessionKey();
+    const limit = maxPlaintextLength(MAX_CONTENT_LENGTH);
+
+    const largest = await encryptContent('x'.repeat(limit), key, 'session');
+    const tooLarge = await encryptContent('x'.repeat(limit + 3), key, 'session');
+
+    assert.ok(largest.length <= MAX_CONTENT_LENGTH);
+    assert.ok(tooLarge.length > MAX_CONTENT_LENGTH);
+});
+
+test('the key travels in the join link fragment only', () => {
+    const key = generateSessionKey();
+    const url = buildJoinUrl('https://clip.example', '3f2504e0-4f89-11d3-9a0c-0305e82c3301', key);
+
+    assert.equal(new URL(url).searchParams.get('session'), '3f2504e0-4f89-11d3-9a0c-0305e82c3301');
+    assert.ok(!new URL(url).search.includes(key));
+    assert.equal(readKeyFromUrl(url), key);
+    assert.equal(readKeyFromUrl('https://clip.example?session=x#key=short'), null);
+    assert.equal(readKeyFromUrl('not a url'), null);
+});
+
+test('the server only ever sees ciphertext', async () => {
+    const { sessionId } = server.createSession();
+    const key = generateSessionKey();
+    const [laptop, phone] = await devicesWithKey(sessionId, key, ['Laptop', 'Phone']);
+    const received = nextEvent(phone.clipboardManager, 'clipboardWritten');
+
+    await laptop.copy('the wifi password');
+    await received;
+
+    const stored = server.getContent(sessionId);
+    assert.ok(isEncryptedContent(stored));
+    assert.ok(!stored.includes('wifi'));
+    assert.equal(phone.clipboard.text, 'the wifi password');
+    assert.equal(phone.clipboardManager.getSessionContent(sessionId).content, 'the wifi password');
+    assert.equal(laptop.clipboardManager.getEncryptionState(sessionId), 'encrypted');
+});
+
+test('a device without the key shows a cannot-decrypt state and does not send plaintext', async () => {
+    const { sessionId } = server.createSession();
+    const key = generateSessionKey();
+    const [laptop, phone] = await devicesWithKey(sessionId, key, ['Laptop', 'Phone'], ['Laptop']);
+    const failed = nextEvent(phone.clipboardManager, 'decryptionFailed');
+    const blocked = phone.record(phone.clipboardManager, 'syncBlocked');
+
+    await laptop.copy('meet at noon');
+    const failure = await failed;
+
+    assert.equal(failure.reason, 'missingKey');
+    assert.equal(phone.clipboard.text, '');
+    assert.equal(phone.clipboardManager.getSessionContent(sessionId).undecryptable, true);
+    assert.equal(phone.clipboardManager.getEncryptionState(sessionId), 'locked');
+
+    const stored = server.getContent(sessionId);
+    await phone.copy('plaintext from the phone');
+    assert.equal(blocked.length, 1);
+    assert.equal(server.getContent(sessionId), stored);
+
+    // Scanning the QR code later unlocks the session
+    phone.clipboardManager.setSessionKey(sessionId, key);
+    const received = nextEvent(phone.clipboardManager, 'clipboardWritten');
+    await laptop.copy('and now readable');
+    await received;
+    assert.equal(phone.clipboard.text, 'and now readable');
+});
+
+test('content missed during an outage is decrypted before it is reported', async () => {
+    const { sessionId } = server.createSession();
+    const key = generateSessionKey();
+    const [laptop, phone] = await devicesWithKey(sessionId, key, ['Laptop', 'Phone']);
+    const resynchronized = nextEvent(laptop.clipboardManager, 'resynchronized');
+    const applied = nextEvent(laptop.clipboardManager, 'clipboardWritten');
+
+    server.hubAvailable = false;
+    server.dropConnection(laptop.connection);
+    await settle();
+    // Encryption resolves outside the microtask queue, so wait for the send rather than settle()
+    const sent = nextEvent(phone.clipboardManager, 'syncCompleted');
+    await phone.copy('sent while the laptop was away');
+    await sent;
+
+    server.unblockHub();
+    await timers.advance(1000);
+    const snapshot = await resynchronized;
+    await applied;
+
+    assert.deepEqual(snapshot.missedUpdates.map(update => update.content), ['sent while the laptop was away']);
+    assert.equal(laptop.clipboard.text, 'sent while the laptop was away');
+});
+
+test('files sent in an encrypted session reach the hub encrypted', async () => {
+    const { sessionId } = server.createSession();
+    const key = generateSessionKey();
+    const [laptop, phone] = await devicesWithKey(sessionId, key, ['Laptop', 'Phone']);
+    const received = new Promise(resolve => phone.clipboardManager.on('fileTransferCompleted', resolve));
+
+    await laptop.clipboardManager.sendFile(new File(['top secret notes'], 'secret.txt', { type: 'text/plain' }), sessionId);
+    const transfer = await received;
+
+    const relayed = server.invocations.filter(call => call.method === 'RelayFileTransferAsync').map(call => call.args[2]);
+    assert.ok(relayed.every(message => !JSON.stringify(message).includes('secret')));
+    assert.equal(transfer.name, 'secret.txt');
+    assert.equal(await transfer.blob.text(), 'top secret notes');
+});
@@ -0,0 +1,255 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { FakeDevice } from './fakes/device.js';
+import { useSessionDevices, server, timers, devices } from './fakes/session-devices.js';
+
+useSessionDevices();
+
+async function connectDevice(name) {
+    const device = new FakeDevice(server, name, { timers });
+    devices.push(device);
+    await device.connect();
+    return device;
+}
+
+test('devices in the same session see each other join and leave', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    const phone = await connectDevice('Phone');
+    const joined = laptop.record(laptop.signalRClient, 'deviceJoined');
+    const left = laptop.record(laptop.signalRClient, 'deviceLeft');
+
+    await laptop.join(sessionId);
+    await phone.join(sessionId);
+    await settle();
+
+    assert.equal(joined.length, 1);
+    assert.equal(joined[0].deviceId, phone.deviceId);
+    assert.equal(joined[0].deviceName, 'Phone');
+    assert.equal(joined[0].totalDeviceCount, 2);
+
+    await phone.signalRClient.leaveSession(sessionId);
+    await settle();
+
+    assert.deepEqual(left.map(event => [event.deviceId, event.reason]), [[phone.deviceId, 'Disconnect']]);
+    assert.deepEqual(Array.from(laptop.signalRClient.sessions.get(sessionId).devices), []);
+});
+
+test('clipboard updates reach the other devices of the session only', async () => {
+    const first = server.createSession();
+    const second = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    const phone = await connectDevice('Phone');
+    const tablet = await connectDevice('Tablet');
+    await laptop.join(first.sessionId);
+    await phone.join(first.sessionId);
+    await tablet.join(second.sessionId);
+
+    const laptopReceived = laptop.record(laptop.signalRClient, 'clipboardReceived');
+    const phoneReceived = phone.record(phone.signalRClient, 'clipboardReceived');
+    const tabletReceived = tablet.record(tablet.signalRClient, 'clipboardReceived');
+
+    await laptop.signalRClient.sendClipboardContent('hello phone', first.sessionId);
+    await settle();
+
+    assert.ok(phoneReceived.length > 0);
+    assert.ok(phoneReceived.every(event => event.content === 'hello phone' && event.isFromOtherDevice));
+    assert.equal(phoneReceived[0].deviceId, laptop.deviceId);
+    assert.equal(phoneReceived[0].sessionId, first.sessionId);
+    assert.ok(laptopReceived.every(event => !event.isFromOtherDevice));
+    assert.deepEqual(tabletReceived, []);
+    assert.equal(server.getContent(first.sessionId), 'hello phone');
+});
+
+test('one connection routes events for several sessions by sessionId', async () => {
+    const work = server.createSession();
+    const home = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    const colleague = await connectDevice('Colleague');
+    await laptop.join(work.sessionId);
+    await laptop.join(home.sessionId);
+    await colleague.join(work.sessionId);
+
+    const received = laptop.record(laptop.signalRClient, 'clipboardReceived');
+    await colleague.signalRClient.sendClipboardContent('for work', work.sessionId);
+    await settle();
+
+    assert.deepEqual(laptop.signalRClient.getSessionIds(), [work.sessionId, home.sessionId]);
+    assert.ok(received.length > 0);
+    assert.ok(received.every(event => event.sessionId === work.sessionId));
+});
+
+test('joining a missing session fails with the server message and error code', async () => {
+    const laptop = await connectDevice('Laptop');
+
+    await assert.rejects(
+        laptop.signalRClient.joinSession('3f2504e0-4f89-11d3-9a0c-0305e82c3301', 'Laptop'),
+        { name: 'JoinSessionError', message: 'Session not found or expired', errorCode: 'SESSION_NOT_FOUND' }
+    );
+    assert.deepEqual(laptop.signalRClient.getSessionIds(), []);
+});
+
+test('a dropped connection backs off, reconnects, rejoins and reports missed updates', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    const phone = await connectDevice('Phone');
+    await laptop.join(sessionId);
+    await phone.join(sessionId);
+
+    const states = laptop.record(laptop.signalRClient, 'connectionStateChanged');
+    const snapshots = laptop.record(laptop.signalRClient, 'resynchronized');
+
+    server.blockHub();
+    server.dropConnection(phone.connection);
+    await settle();
+    assert.equal(laptop.signalRClient.getConnectionState(), 'Backoff');
+
+    // The phone keeps working over REST while the laptop is away
+    phone.activate();
+    await phone.apiClient.joinSession(sessionId, 'Phone', phone.deviceId);
+    await phone.apiClient.copyToClipboard(sessionId, 'sent while you were away', phone.deviceId);
+
+    server.unblockHub();
+    await timers.advance(1000);
+
+    assert.deepEqual(states, ['Reconnecting', 'Backoff', 'Reconnecting', 'Connected']);
+    assert.deepEqual(laptop.signalRClient.getSessionIds(), [sessionId]);
+    assert.ok(server.getSession(sessionId).devices.has(laptop.deviceId));
+
+    assert.equal(snapshots.length, 1);
+    assert.equal(snapshots[0].content.content, 'sent while you were away');
+    assert.deepEqual(snapshots[0].missedUpdates.map(update => update.content), ['sent while you were away']);
+});
+
+test('a rejoin reports the devices actually in the session, not just how many there are', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    const phone = await connectDevice('Phone');
+    const tablet = await connectDevice('Tablet');
+    await laptop.join(sessionId);
+    await phone.join(sessionId);
+    await tablet.join(sessionId);
+    await settle();
+
+    const snapshots = laptop.record(laptop.signalRClient, 'resynchronized');
+
+    // While the hub is down the tablet comes back over REST, the phone does not and a desktop joins
+    server.blockHub();
+    await settle();
+    const desktop = new FakeDevice(server, 'Desktop', { timers });
+    devices.push(desktop);
+    tablet.activate();
+    await tablet.apiClient.joinSession(sessionId, 'Tablet', tablet.deviceId);
+    desktop.activate();
+    await desktop.apiClient.joinSession(sessionId, 'Desktop', desktop.deviceId);
+
+    server.unblockHub();
+    laptop.activate();
+    await timers.advance(1000);
+
+    assert.equal(snapshots.length, 1);
+    assert.deepEqual(snapshots[0].devices, [
+        { deviceId: tablet.deviceId, deviceName: 'Tablet' },
+        { deviceId: desktop.deviceId, deviceName: 'Desktop' }
+    ]);
+});
+
+test('the retry policy gives up after its attempts and a manual reconnect recovers', async () => {
+    const laptop = await connectDevice('Laptop');
+    const gaveUp = laptop.record(laptop.signalRClient, 'maxReconnectAttemptsReached');
+
+    server.blockHub();
+    await settle();
+    await timers.advance(1000 + 2000 + 4000 + 8000 + 16000);
+
+    assert.equal(laptop.signalRClient.getConnectionState(), 'Failed');
+    assert.equal(gaveUp.length, 1);
+
+    server.unblockHub();
+    laptop.activate();
+    await laptop.signalRClient.reconnect();
+
+    assert.equal(laptop.signalRClient.getConnectionState(), 'Connected');
+});
+
+test('a session that expired during the outage ends after reconnecting', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    await laptop.join(sessionId);
+    const ended = laptop.record(laptop.signalRClient, 'sessionEnded');
+
+    server.dropConnection(laptop.connection);
+    server.sessions.delete(sessionId);
+    await settle();
+
+    assert.equal(laptop.signalRClient.getConnectionState(), 'Connected');
+    assert.deepEqual(ended.map(event => [event.sessionId, event.reason]), [[sessionId, 'Expired']]);
+    assert.deepEqual(laptop.signalRClient.getSessionIds(), []);
+});
+
+test('a rejoin refused for another reason keeps the session', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    await laptop.join(sessionId);
+    const ended = laptop.record(laptop.signalRClient, 'sessionEnded');
+
+    server.hubMethods = {
+        ...server.hubMethods,
+        JoinSessionAsync() {
+            return { success: false, message: 'An error occurred while joining the session' };
+        }
+    };
+    server.dropConnection(laptop.connection);
+    await settle();
+
+    assert.equal(laptop.signalRClient.getConnectionState(), 'Connected');
+    assert.deepEqual(ended, []);
+    assert.deepEqual(laptop.signalRClient.getSessionIds(), [sessionId]);
+});
+
+test('SessionEnded from the server drops only that session', async () => {
+    const first = server.createSession();
+    const second = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    await laptop.join(first.sessionId);
+    await laptop.join(second.sessionId);
+    const ended = laptop.record(laptop.signalRClient, 'sessionEnded');
+
+    server.expireSession(first.sessionId);
+    await settle();
+
+    assert.deepEqual(ended.map(event => event.reason), ['Expired']);
+    assert.deepEqual(laptop.signalRClient.getSessionIds(), [second.sessionId]);
+});
+
+test('lost invocations count as delivery failures but server rejections do not', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    await laptop.join(sessionId);
+
+    server.failNextInvocation('BroadcastClipboardUpdateAsync');
+    await assert.rejects(laptop.signalRClient.sendClipboardContent('lost', sessionId), /connection reset/);
+    await assert.rejects(laptop.signalRClient.sendClipboardContent('x'.repeat(10241), sessionId), /exceeds maximum/);
+    await laptop.signalRClient.sendClipboardContent('fine', sessionId);
+
+    const stats = laptop.signalRClient.getLinkStats();
+    assert.equal(stats.deliveryCount, 3);
+    assert.equal(stats.failedDeliveries, 1);
+});
+
+test('the latency probe pings on the fake timer schedule without reading the clipboard', async () => {
+    const { sessionId } = server.createSession();
+    const laptop = await connectDevice('Laptop');
+    await laptop.join(sessionId);
+
+    await timers.advance(15000 * 3);
+
+    const stats = laptop.signalRClient.getLinkStats();
+    assert.equal(stats.deliveryCount, 3);
+    assert.equal(stats.failedDeliveries, 0);
+    assert.equal(typeof stats.rtt, 'number');
+    assert.equal(server.invocations.filter(call => call.method === 'PingAsync').length, 3);
+    assert.equal(server.invocations.filter(call => call.method === 'GetClipboardContentAsync').length, 0);
+});
@@ -0,0 +1,88 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { FakeDevice } from './fakes/device.js';
+import { useSessionDevices, server, timers, devices, joinedDevices, broadcasts } from './fakes/session-devices.js';
+import { SyncPolicy } from '../../DistributedQRClipboard.Api/wwwroot/js/sync-policy.js';
+
+useSessionDevices();
+
+test('a receive-only device sends nothing it copies but takes what the others send', async () => {
+    const { sessionId } = server.createSession();
+    const [projector, laptop] = await joinedDevices(sessionId, 'Projector', 'Laptop');
+    await projector.clipboardManager.setSyncPolicy(SyncPolicy.ReceiveOnly);
+
+    await projector.copy('speaker notes');
+    await settle();
+    assert.deepEqual(broadcasts(), []);
+    assert.equal(laptop.clipboard.text, '');
+
+    await laptop.copy('slide link');
+    await settle();
+    assert.equal(projector.clipboard.text, 'slide link');
+});
+
+test('a manual device holds received clips until the user takes one', async () => {
+    const { sessionId } = server.createSession();
+    const [phone, laptop] = await joinedDevices(sessionId, 'Phone', 'Laptop');
+    await phone.clipboardManager.setSyncPolicy(SyncPolicy.Manual);
+    const received = phone.record(phone.clipboardManager, 'remoteClipboardReceived');
+
+    await laptop.copy('meeting room code');
+    await settle();
+
+    assert.equal(phone.clipboard.text, '');
+    assert.deepEqual(received.map(data => [data.content, data.held, data.written]), [['meeting room code', true, false]]);
+    assert.deepEqual(phone.clipboardManager.getHeldUpdates().map(update => [update.sessionId, update.content, update.deviceName]),
+        [[sessionId, 'meeting room code', 'Laptop']]);
+
+    assert.equal(await phone.clipboardManager.takeHeldUpdate(sessionId), true);
+    assert.equal(phone.clipboard.text, 'meeting room code');
+    assert.deepEqual(phone.clipboardManager.getHeldUpdates(), []);
+    assert.equal(await phone.clipboardManager.takeHeldUpdate(sessionId), false);
+
+    // Nothing the phone copies goes out on its own either
+    await phone.copy('grocery list');
+    await settle();
+    assert.equal(laptop.clipboard.text, 'meeting room code');
+});
+
+test('a send-only device keeps received clips out of its clipboard while still sending its own', async () => {
+    const { sessionId } = server.createSession();
+    const [desktop, laptop] = await joinedDevices(sessionId, 'Desktop', 'Laptop');
+    await desktop.clipboardManager.setSyncPolicy(SyncPolicy.SendOnly);
+
+    await laptop.copy('from the laptop');
+    await settle();
+    assert.equal(desktop.clipboard.text, '');
+    assert.equal(desktop.clipboardManager.getSessionContent(sessionId).content, 'from the laptop');
+
+    await desktop.copy('from the desktop');
+    await settle();
+    assert.equal(laptop.clipboard.text, 'from the desktop');
+});
+
+test('the policy survives a reload and shows up on the other devices, including ones that join later', async () => {
+    const { sessionId } = server.createSession();
+    const [phone, laptop] = await joinedDevices(sessionId, 'Phone', 'Laptop');
+    await phone.activate().clipboardManager.setSyncPolicy(SyncPolicy.Manual);
+    await settle();
+
+    assert.deepEqual(laptop.clipboardManager.getDevicePolicies(sessionId).map(device => [device.deviceName, device.syncPolicy]),
+        [['Phone', SyncPolicy.Manual]]);
+
+    const [tablet] = await joinedDevices(sessionId, 'Tablet');
+    await settle();
+    assert.deepEqual(tablet.clipboardManager.getDevicePolicies(sessionId).map(device => [device.deviceName, device.syncPolicy]),
+        [['Phone', SyncPolicy.Manual], ['Laptop', SyncPolicy.Automatic]]);
+
+    await phone.dispose();
+    await settle();
+    assert.deepEqual(laptop.clipboardManager.getDevicePolicies(sessionId).map(device => device.deviceName), ['Tablet']);
+
+    const reloaded = new FakeDevice(server, 'Phone', { timers, storage: phone.storage });
+    devices.push(reloaded);
+    assert.equal(reloaded.clipboardManager.getSyncPolicy(), SyncPolicy.Manual);
+    await assert.rejects(reloaded.clipboardManager.setSyncPolicy('sometimes'), /Unknown sync policy/);
+});
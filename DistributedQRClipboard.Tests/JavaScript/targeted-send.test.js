@@ -0,0 +1,114 @@
+import './fakes/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle } from './fakes/fake-timers.js';
+import { useSessionDevices, server, timers, joinedDevices } from './fakes/session-devices.js';
+import { DeliveryStatus } from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard.js';
+import { parseMessage } from '../../DistributedQRClipboard.Api/wwwroot/js/clipboard-message.js';
+
+useSessionDevices();
+
+function recipientStatuses(delivery) {
+    return delivery.recipients.map(recipient => [recipient.deviceName, recipient.status]);
+}
+
+test('only the chosen device applies a targeted clip, and the sender sees it delivered', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone, colleague] = await joinedDevices(sessionId, 'Laptop', 'Phone', 'Colleague');
+    const received = colleague.record(colleague.clipboardManager, 'remoteClipboardReceived');
+    const delivered = laptop.record(laptop.clipboardManager, 'clipboardDelivered');
+
+    await laptop.clipboardManager.setClipboardContent('flight confirmation ABC123', sessionId, { targets: [phone.deviceId] });
+    await settle();
+
+    assert.equal(phone.clipboard.text, 'flight confirmation ABC123');
+    assert.equal(colleague.clipboard.text, '');
+    assert.deepEqual(received, []);
+    assert.deepEqual(colleague.clipboardManager.searchHistory(), []);
+
+    const [delivery] = laptop.clipboardManager.getDeliveries(sessionId);
+    assert.equal(delivery.content, 'flight confirmation ABC123');
+    assert.deepEqual(recipientStatuses(delivery), [['Phone', DeliveryStatus.Delivered]]);
+    assert.deepEqual(delivered.map(data => [data.deviceId, data.deviceName]), [[phone.deviceId, 'Phone']]);
+
+    // A send without targets still reaches everyone
+    await laptop.clipboardManager.setClipboardContent('lunch at noon', sessionId);
+    await settle();
+    assert.equal(colleague.clipboard.text, 'lunch at noon');
+    assert.equal(laptop.clipboardManager.getDeliveries().length, 1);
+});
+
+test('the hub sends a targeted clip to the targets\' connections only', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone, colleague] = await joinedDevices(sessionId, 'Laptop', 'Phone', 'Colleague');
+    const phoneUpdates = phone.record(phone.signalRClient, 'clipboardReceived');
+    const colleagueUpdates = colleague.record(colleague.signalRClient, 'clipboardReceived');
+
+    await laptop.clipboardManager.setClipboardContent('flight confirmation ABC123', sessionId, { targets: [phone.deviceId] });
+    await settle();
+
+    const [call] = server.invocations.filter(invocation => invocation.method === 'BroadcastClipboardUpdateAsync');
+    assert.deepEqual(call.args[3], [phone.deviceId.toLowerCase()]);
+    assert.equal(phoneUpdates.length, 1);
+    assert.deepEqual(colleagueUpdates, []);
+});
+
+test('a targeted clip missed while offline reaches its recipient after reconnecting and no one else', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone, tablet, colleague] = await joinedDevices(sessionId, 'Laptop', 'Phone', 'Tablet', 'Colleague');
+
+    server.hubAvailable = false;
+    server.dropConnection(tablet.connection);
+    server.dropConnection(colleague.connection);
+    await settle();
+
+    await laptop.clipboardManager.setClipboardContent('parking spot 14', sessionId, { targets: [phone.deviceId, tablet.deviceId] });
+    await settle();
+    assert.deepEqual(recipientStatuses(laptop.clipboardManager.getDeliveries()[0]),
+        [['Phone', DeliveryStatus.Delivered], ['Tablet', DeliveryStatus.Sent]]);
+
+    server.unblockHub();
+    await timers.advance(1000);
+    await settle();
+
+    assert.equal(tablet.clipboard.text, 'parking spot 14');
+    assert.equal(colleague.clipboard.text, '');
+    assert.deepEqual(colleague.clipboardManager.searchHistory(), []);
+    assert.deepEqual(recipientStatuses(laptop.clipboardManager.getDeliveries()[0]),
+        [['Phone', DeliveryStatus.Delivered], ['Tablet', DeliveryStatus.Delivered]]);
+});
+
+test('burning a targeted clip leaves what the other devices hold alone', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone, colleague] = await joinedDevices(sessionId, 'Laptop', 'Phone', 'Colleague');
+
+    await laptop.clipboardManager.setClipboardContent('agenda for today', sessionId);
+    await settle();
+    await laptop.clipboardManager.setClipboardContent('door code 4411', sessionId, { targets: [phone.deviceId], burnAfterRead: true });
+    await settle();
+
+    assert.equal(phone.clipboard.text, 'door code 4411');
+    assert.equal(server.getContent(sessionId), null);
+    assert.equal(colleague.clipboard.text, 'agenda for today');
+});
+
+test('the server keeps a targeted clip from devices it was not sent to', async () => {
+    const { sessionId } = server.createSession();
+    const [laptop, phone, colleague] = await joinedDevices(sessionId, 'Laptop', 'Phone', 'Colleague');
+
+    await laptop.clipboardManager.setClipboardContent('flight confirmation ABC123', sessionId, { targets: [phone.deviceId] });
+    await settle();
+
+    // What each device can read back over REST and the hub
+    const read = async (device) => {
+        const text = (content) => content && parseMessage(content.content).content;
+        const current = await device.apiClient.getClipboardContent(sessionId, { deviceId: device.deviceId });
+        const { history } = await device.apiClient.getClipboardHistory(sessionId, 10, device.deviceId);
+        const fromHub = await device.signalRClient.getClipboardContent(sessionId);
+        return [text(current.clipboardContent), history.map(entry => text(entry.content)), text(fromHub)];
+    };
+
+    const clip = 'flight confirmation ABC123';
+    assert.deepEqual(await read(phone), [clip, [clip], clip]);
+    assert.deepEqual(await read(colleague), [null, [], null]);
+});
@@ -136,4 +136,279 @@ public sealed class ClipboardHubTests
         result.Success.Should().BeFalse();
         result.Message.Should().Be("An error occurred while retrieving clipboard content");
     }
+
+    /// <summary>
+    /// Tests that a connection joined to several sessions leaves all of them on disconnect.
+    /// </summary>
+    [Fact]
+    public async Task OnDisconnectedAsync_AfterJoiningTwoSessions_ShouldLeaveBoth()
+    {
+        // Arrange
+        var firstSessionId = Guid.NewGuid();
+        var secondSessionId = Guid.NewGuid();
+        var deviceId = Guid.NewGuid();
+        var mockClientProxy = new Mock<IClientProxy>();
+
+        _mockContext.Setup(x => x.Items).Returns(new Dictionary<object, object?>());
+        _mockClients.Setup(x => x.Group(It.IsAny<string>())).Returns(mockClientProxy.Object);
+        _mockClients.Setup(x => x.Client(It.IsAny<string>())).Returns(mockClientProxy.Object);
+        _mockSessionManager.Setup(x => x.GetSessionAsync(It.IsAny<Guid>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((Guid id, CancellationToken _) => new SessionInfo(id, DateTime.UtcNow, DateTime.UtcNow.AddHours(1), 1, DateTime.UtcNow));
+        _mockSessionManager.Setup(x => x.JoinSessionAsync(It.IsAny<JoinSessionRequest>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new JoinSessionResponse(null, true));
+        _mockClipboardManager.Setup(x => x.GetClipboardAsync(It.IsAny<GetClipboardRequest>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new GetClipboardResponse(null, true));
+
+        (await _hub.JoinSessionAsync(firstSessionId.ToString(), deviceId.ToString(), "Laptop")).Success.Should().BeTrue();
+        (await _hub.JoinSessionAsync(secondSessionId.ToString(), deviceId.ToString(), "Laptop")).Success.Should().BeTrue();
+
+        // Act
+        await _hub.OnDisconnectedAsync(null);
+
+        // Assert
+        _mockSessionManager.Verify(x => x.LeaveSessionAsync(firstSessionId, deviceId, DeviceLeaveReason.Disconnect, It.IsAny<CancellationToken>()), Times.Once);
+        _mockSessionManager.Verify(x => x.LeaveSessionAsync(secondSessionId, deviceId, DeviceLeaveReason.Disconnect, It.IsAny<CancellationToken>()), Times.Once);
+        _mockGroups.Verify(x => x.RemoveFromGroupAsync("test-connection-id", $"session_{firstSessionId}", It.IsAny<CancellationToken>()), Times.Once);
+        _mockGroups.Verify(x => x.RemoveFromGroupAsync("test-connection-id", $"session_{secondSessionId}", It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    /// <summary>
+    /// Tests that joining a missing session returns an error code clients can act on without parsing the message.
+    /// </summary>
+    [Fact]
+    public async Task JoinSessionAsync_WithMissingSession_ShouldReturnSessionNotFoundCode()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid();
+        var deviceId = Guid.NewGuid().ToString();
+
+        _mockSessionManager.Setup(x => x.GetSessionAsync(sessionId, It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new SessionNotFoundException(sessionId));
+
+        // Act
+        var result = await _hub.JoinSessionAsync(sessionId.ToString(), deviceId);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.ErrorCode.Should().Be("SESSION_NOT_FOUND");
+    }
+
+    /// <summary>
+    /// Tests that joining returns the devices in the session, so a rejoining device can tell who left and joined.
+    /// </summary>
+    [Fact]
+    public async Task JoinSessionAsync_WhenSuccessful_ShouldReturnSessionDevices()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid();
+        var deviceId = Guid.NewGuid();
+        var otherDevice = new DeviceInfo(Guid.NewGuid(), "Phone", DateTime.UtcNow, DateTime.UtcNow);
+        var joiningDevice = new DeviceInfo(deviceId, "Laptop", DateTime.UtcNow, DateTime.UtcNow);
+        var mockClientProxy = new Mock<IClientProxy>();
+
+        _mockContext.Setup(x => x.Items).Returns(new Dictionary<object, object?>());
+        _mockClients.Setup(x => x.Group(It.IsAny<string>())).Returns(mockClientProxy.Object);
+        _mockSessionManager.Setup(x => x.GetSessionAsync(sessionId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new SessionInfo(sessionId, DateTime.UtcNow, DateTime.UtcNow.AddHours(1), 2, DateTime.UtcNow));
+        _mockSessionManager.Setup(x => x.JoinSessionAsync(It.IsAny<JoinSessionRequest>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new JoinSessionResponse(null, true));
+        _mockSessionManager.Setup(x => x.GetSessionDevicesAsync(sessionId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<DeviceInfo> { otherDevice, joiningDevice });
+        _mockClipboardManager.Setup(x => x.GetClipboardAsync(It.IsAny<GetClipboardRequest>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new GetClipboardResponse(null, true));
+
+        // Act
+        var result = await _hub.JoinSessionAsync(sessionId.ToString(), deviceId.ToString(), "Laptop");
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Devices.Should().BeEquivalentTo(new[] { otherDevice, joiningDevice });
+    }
+
+    /// <summary>
+    /// Tests that the latency probe is answered without reading any session or clipboard.
+    /// </summary>
+    [Fact]
+    public async Task PingAsync_ShouldAnswerWithoutReadingClipboard()
+    {
+        // Arrange
+        var before = DateTime.UtcNow;
+
+        // Act
+        var result = await _hub.PingAsync();
+
+        // Assert
+        result.ServerTime.Should().BeOnOrAfter(before);
+        _mockSessionManager.VerifyNoOtherCalls();
+        _mockClipboardManager.VerifyNoOtherCalls();
+    }
+
+    /// <summary>
+    /// Tests that file transfer messages are only relayed for sessions the connection has joined.
+    /// </summary>
+    [Fact]
+    public async Task RelayFileTransferAsync_WithoutJoiningSession_ShouldReturnFailure()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid().ToString();
+        var deviceId = Guid.NewGuid().ToString();
+        var message = new FileTransferMessage("cancel", Guid.NewGuid().ToString(), Reason: "cancelled");
+
+        _mockContext.Setup(x => x.Items).Returns(new Dictionary<object, object?>());
+
+        // Act
+        var result = await _hub.RelayFileTransferAsync(sessionId, deviceId, message);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Message.Should().Be("Not joined to this session");
+        _mockClients.Verify(x => x.GroupExcept(It.IsAny<string>(), It.IsAny<IReadOnlyList<string>>()), Times.Never);
+    }
+
+    /// <summary>
+    /// Tests that sync policies are only announced for sessions the connection has joined.
+    /// </summary>
+    [Fact]
+    public async Task AnnounceSyncPolicyAsync_WithoutJoiningSession_ShouldReturnFailure()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid().ToString();
+        var deviceId = Guid.NewGuid().ToString();
+
+        _mockContext.Setup(x => x.Items).Returns(new Dictionary<object, object?>());
+
+        // Act
+        var result = await _hub.AnnounceSyncPolicyAsync(sessionId, deviceId, "receive-only");
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Message.Should().Be("Not joined to this session");
+        _mockClients.Verify(x => x.GroupExcept(It.IsAny<string>(), It.IsAny<IReadOnlyList<string>>()), Times.Never);
+    }
+
+    /// <summary>
+    /// Tests that delivery receipts are only relayed for sessions the connection has joined.
+    /// </summary>
+    [Fact]
+    public async Task AcknowledgeClipboardUpdateAsync_WithoutJoiningSession_ShouldReturnFailure()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid().ToString();
+        var deviceId = Guid.NewGuid().ToString();
+        var messageId = Guid.NewGuid().ToString();
+
+        _mockContext.Setup(x => x.Items).Returns(new Dictionary<object, object?>());
+
+        // Act
+        var result = await _hub.AcknowledgeClipboardUpdateAsync(sessionId, deviceId, messageId);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Message.Should().Be("Not joined to this session");
+        _mockClients.Verify(x => x.GroupExcept(It.IsAny<string>(), It.IsAny<IReadOnlyList<string>>()), Times.Never);
+    }
+
+    /// <summary>
+    /// Tests that a device the session no longer lists cannot relay to it, even on a connection that joined it.
+    /// </summary>
+    [Fact]
+    public async Task RelayFileTransferAsync_AfterDeviceLeftSession_ShouldReturnFailure()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid();
+        var deviceId = Guid.NewGuid();
+        var message = new FileTransferMessage("cancel", Guid.NewGuid().ToString(), Reason: "cancelled");
+
+        _mockContext.Setup(x => x.Items).Returns(new Dictionary<object, object?>
+        {
+            ["SessionIds"] = new HashSet<Guid> { sessionId },
+            ["DeviceId"] = deviceId
+        });
+        _mockSessionManager.Setup(x => x.GetSessionDevicesAsync(sessionId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<DeviceInfo>());
+
+        // Act
+        var result = await _hub.RelayFileTransferAsync(sessionId.ToString(), deviceId.ToString(), message);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Message.Should().Be("Not joined to this session");
+        _mockClients.Verify(x => x.GroupExcept(It.IsAny<string>(), It.IsAny<IReadOnlyList<string>>()), Times.Never);
+    }
+
+    /// <summary>
+    /// Tests that a connection cannot send on behalf of a device other than the one it joined as.
+    /// </summary>
+    [Fact]
+    public async Task AcknowledgeClipboardUpdateAsync_ForAnotherDevice_ShouldReturnFailure()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid();
+        var otherDeviceId = Guid.NewGuid();
+
+        _mockContext.Setup(x => x.Items).Returns(new Dictionary<object, object?>
+        {
+            ["SessionIds"] = new HashSet<Guid> { sessionId },
+            ["DeviceId"] = Guid.NewGuid()
+        });
+        _mockSessionManager.Setup(x => x.GetSessionDevicesAsync(sessionId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<DeviceInfo> { new(otherDeviceId, "Phone", DateTime.UtcNow, DateTime.UtcNow) });
+
+        // Act
+        var result = await _hub.AcknowledgeClipboardUpdateAsync(sessionId.ToString(), otherDeviceId.ToString(), Guid.NewGuid().ToString());
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Message.Should().Be("Not joined to this session");
+        _mockClients.Verify(x => x.GroupExcept(It.IsAny<string>(), It.IsAny<IReadOnlyList<string>>()), Times.Never);
+    }
+
+    /// <summary>
+    /// Tests that an update for chosen devices goes only to those devices' connections.
+    /// </summary>
+    [Fact]
+    public async Task BroadcastClipboardUpdateAsync_WithTargets_ShouldSendOnlyToTargetDevices()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid();
+        var deviceId = Guid.NewGuid();
+        var targetDeviceId = Guid.NewGuid();
+        var content = ClipboardContent.Create("For my phone only", deviceId);
+        var mockClientProxy = new Mock<IClientProxy>();
+
+        _mockClipboardManager.Setup(x => x.CopyToClipboardAsync(It.IsAny<CopyToClipboardRequest>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new CopyToClipboardResponse(content, true));
+        _mockClients.Setup(x => x.Groups(It.IsAny<IReadOnlyList<string>>())).Returns(mockClientProxy.Object);
+
+        // Act
+        var result = await _hub.BroadcastClipboardUpdateAsync(sessionId.ToString(), content.Content, deviceId.ToString(), [targetDeviceId.ToString()]);
+
+        // Assert
+        result.Success.Should().BeTrue();
+        _mockClipboardManager.Verify(x => x.CopyToClipboardAsync(
+            It.Is<CopyToClipboardRequest>(r => r.TargetDeviceIds!.Count == 1 && r.TargetDeviceIds[0] == targetDeviceId),
+            It.IsAny<CancellationToken>()), Times.Once);
+        _mockClients.Verify(x => x.Groups(It.Is<IReadOnlyList<string>>(groups =>
+            groups.Count == 1 && groups[0] == $"session_{sessionId}_device_{targetDeviceId}")), Times.Once);
+        _mockClients.Verify(x => x.GroupExcept(It.IsAny<string>(), It.IsAny<IReadOnlyList<string>>()), Times.Never);
+    }
+
+    /// <summary>
+    /// Tests that target device IDs are validated before anything is stored.
+    /// </summary>
+    [Fact]
+    public async Task BroadcastClipboardUpdateAsync_WithInvalidTarget_ShouldReturnFailure()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid().ToString();
+        var deviceId = Guid.NewGuid().ToString();
+
+        // Act
+        var result = await _hub.BroadcastClipboardUpdateAsync(sessionId, "content", deviceId, ["not-a-device"]);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Message.Should().Be("Invalid target device ID format");
+        _mockClipboardManager.Verify(x => x.CopyToClipboardAsync(It.IsAny<CopyToClipboardRequest>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
 }
@@ -171,6 +171,64 @@ public class ClipboardManagerTests
         result.ErrorMessage.Should().BeNull();
     }
 
+    [Fact]
+    public async Task CopyToClipboardAsync_ForTargetDevices_ShouldNotNotifyWholeSession()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid();
+        var deviceId = Guid.NewGuid();
+        var targetDeviceId = Guid.NewGuid();
+        var device = new DeviceInfo(deviceId, "Test Device", DateTime.UtcNow, DateTime.UtcNow);
+
+        var request = new CopyToClipboardRequest("For my phone only", sessionId, deviceId, [targetDeviceId]);
+
+        _mockSessionManager.Setup(x => x.ValidateSessionAsync(sessionId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(true);
+        _mockSessionManager.Setup(x => x.GetSessionDevicesAsync(sessionId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<DeviceInfo> { device });
+        _mockSessionManager.Setup(x => x.UpdateDeviceActivityAsync(sessionId, deviceId, It.IsAny<CancellationToken>()))
+            .Returns(Task.CompletedTask);
+
+        // Act
+        var result = await _clipboardManager.CopyToClipboardAsync(request);
+
+        // Assert
+        result.Success.Should().BeTrue();
+        _mockNotificationService.Verify(x => x.NotifyClipboardUpdatedAsync(
+            It.IsAny<Guid>(), It.IsAny<Guid>(), It.IsAny<ClipboardUpdatedEvent>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task CopyToClipboardAsync_ForTargetDevices_ShouldKeepContentFromOtherDevices()
+    {
+        // Arrange
+        var sessionId = Guid.NewGuid();
+        var sender = new DeviceInfo(Guid.NewGuid(), "Laptop", DateTime.UtcNow, DateTime.UtcNow);
+        var target = new DeviceInfo(Guid.NewGuid(), "Phone", DateTime.UtcNow, DateTime.UtcNow);
+        var other = new DeviceInfo(Guid.NewGuid(), "Tablet", DateTime.UtcNow, DateTime.UtcNow);
+
+        _mockSessionManager.Setup(x => x.ValidateSessionAsync(sessionId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(true);
+        _mockSessionManager.Setup(x => x.GetSessionDevicesAsync(sessionId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<DeviceInfo> { sender, target, other });
+
+        // Act
+        await _clipboardManager.CopyToClipboardAsync(new CopyToClipboardRequest("For my phone only", sessionId, sender.DeviceId, [target.DeviceId]));
+        var targetContent = await _clipboardManager.GetClipboardAsync(new GetClipboardRequest(sessionId, target.DeviceId));
+        var otherContent = await _clipboardManager.GetClipboardAsync(new GetClipboardRequest(sessionId, other.DeviceId));
+
+        await _clipboardManager.CopyToClipboardAsync(new CopyToClipboardRequest("For everyone", sessionId, sender.DeviceId));
+        var targetHistory = await _clipboardManager.GetClipboardHistoryAsync(sessionId, target.DeviceId);
+        var otherHistory = await _clipboardManager.GetClipboardHistoryAsync(sessionId, other.DeviceId);
+
+        // Assert
+        targetContent.ClipboardContent!.Value.Content.Should().Be("For my phone only");
+        otherContent.Success.Should().BeTrue();
+        otherContent.ClipboardContent.Should().BeNull();
+        targetHistory.Select(h => h.Content.Content).Should().Equal("For my phone only");
+        otherHistory.Should().BeEmpty();
+    }
+
     [Fact]
     public async Task CopyToClipboardAsync_WithInvalidSession_ShouldReturnFailure()
     {
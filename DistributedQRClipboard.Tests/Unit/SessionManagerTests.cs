@@ -3,6 +3,7 @@ using Microsoft.Extensions.Caching.Memory;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
 using Moq;
+using DistributedQRClipboard.Core.Interfaces;
 using DistributedQRClipboard.Core.Services;
 using DistributedQRClipboard.Core.Models;
 using DistributedQRClipboard.Core.Exceptions;
@@ -16,6 +17,7 @@ public class SessionManagerTests : IDisposable
 {
     private readonly IMemoryCache _memoryCache;
     private readonly Mock<ILogger<SessionManager>> _loggerMock;
+    private readonly Mock<IClipboardNotificationService> _notificationServiceMock;
     private readonly SessionManagerOptions _options;
     private readonly SessionManager _sessionManager;
 
@@ -23,6 +25,7 @@ public class SessionManagerTests : IDisposable
     {
         _memoryCache = new MemoryCache(new MemoryCacheOptions());
         _loggerMock = new Mock<ILogger<SessionManager>>();
+        _notificationServiceMock = new Mock<IClipboardNotificationService>();
         _options = new SessionManagerOptions
         {
             DefaultExpirationMinutes = 60,
@@ -36,7 +39,7 @@ public class SessionManagerTests : IDisposable
         var optionsMock = new Mock<IOptions<SessionManagerOptions>>();
         optionsMock.Setup(x => x.Value).Returns(_options);
 
-        _sessionManager = new SessionManager(_memoryCache, optionsMock.Object, _loggerMock.Object);
+        _sessionManager = new SessionManager(_memoryCache, _notificationServiceMock.Object, optionsMock.Object, _loggerMock.Object);
     }
 
     [Fact]
@@ -352,6 +355,66 @@ public class SessionManagerTests : IDisposable
             .Should().ThrowAsync<SessionNotFoundException>();
     }
 
+    [Fact]
+    public async Task CloseSession_ShouldNotifyDevicesThatSessionEnded()
+    {
+        // Arrange
+        var createResponse = await _sessionManager.CreateSessionAsync(new CreateSessionRequest("Device 1", 60));
+        var sessionId = createResponse.SessionInfo!.Value.SessionId;
+        await _sessionManager.JoinSessionAsync(new JoinSessionRequest(sessionId, Guid.NewGuid(), "Device 2"));
+
+        // Act
+        await _sessionManager.CloseSessionAsync(sessionId, SessionEndReason.ExplicitClose);
+
+        // Assert
+        _notificationServiceMock.Verify(x => x.NotifySessionEndedAsync(
+            It.Is<SessionEndedEvent>(e => e.SessionId == sessionId && e.Reason == SessionEndReason.ExplicitClose && e.FinalDeviceCount == 2),
+            It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task CleanupExpired_ShouldNotifyDevicesOfExpiredSessions()
+    {
+        // Arrange
+        var expiredResponse = await _sessionManager.CreateSessionAsync(new CreateSessionRequest("Device 1", 60));
+        var activeResponse = await _sessionManager.CreateSessionAsync(new CreateSessionRequest("Device 2", 60));
+        var expiredSessionId = expiredResponse.SessionInfo!.Value.SessionId;
+        var activeSessionId = activeResponse.SessionInfo!.Value.SessionId;
+
+        // Expire one session the way the cache does
+        _memoryCache.Remove($"session_{expiredSessionId}");
+
+        // Act
+        var (expiredSessions, _) = await _sessionManager.CleanupExpiredAsync();
+
+        // Assert
+        expiredSessions.Should().Be(1);
+        _notificationServiceMock.Verify(x => x.NotifySessionEndedAsync(
+            It.Is<SessionEndedEvent>(e => e.SessionId == expiredSessionId && e.Reason == SessionEndReason.Expired),
+            It.IsAny<CancellationToken>()), Times.Once);
+        _notificationServiceMock.Verify(x => x.NotifySessionEndedAsync(
+            It.Is<SessionEndedEvent>(e => e.SessionId == activeSessionId),
+            It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task CloseSession_ShouldCloseEvenWhenNotificationFails()
+    {
+        // Arrange
+        var createResponse = await _sessionManager.CreateSessionAsync(new CreateSessionRequest("Device 1", 60));
+        var sessionId = createResponse.SessionInfo!.Value.SessionId;
+        _notificationServiceMock
+            .Setup(x => x.NotifySessionEndedAsync(It.IsAny<SessionEndedEvent>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new InvalidOperationException("Hub unavailable"));
+
+        // Act
+        await _sessionManager.CloseSessionAsync(sessionId, SessionEndReason.ExplicitClose);
+
+        // Assert
+        var isValid = await _sessionManager.ValidateSessionAsync(sessionId);
+        isValid.Should().BeFalse();
+    }
+
     [Fact]
     public async Task GetSessionDevices_ShouldReturnAllConnectedDevices()
     {